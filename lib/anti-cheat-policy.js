@@ -0,0 +1,432 @@
+/**
+ * Anti-cheat policy service
+ *
+ * An olympiad's anti-cheat policy decides how violations weigh on the trust
+ * score, where the clean / suspicious / invalid lines are, whether an invalid
+ * score ends the attempt, which violations terminate it outright and which
+ * proctoring streams must be running. Olympiads without a policy use
+ * DEFAULT_POLICY. Policies are versioned: every change to the settings bumps
+ * version and keeps the old settings in history.
+ */
+
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import AntiCheatPolicy from '../models/AntiCheatPolicy.js';
+import Olympiad from '../models/Olympiad.js';
+import { DEFAULT_PROCTORING_REQUIREMENTS } from './proctoring-service.js';
+
+// Used by olympiads without a policy of their own; bump version when changing it
+export const DEFAULT_POLICY = Object.freeze({
+  policyId: null,
+  name: 'default',
+  version: 2,
+  weights: Object.freeze({
+    TAB_HIDDEN: 5,
+    TAB_VISIBLE: 1, // Coming back; the switch itself is TAB_HIDDEN
+    WINDOW_BLUR: 5,
+    WINDOW_FOCUS: 1, // Coming back; the switch itself is WINDOW_BLUR
+    DEVTOOLS_OPEN: 15,
+    COPY_ATTEMPT: 10,
+    PASTE_ATTEMPT: 15,
+    CONTEXT_MENU: 5,
+    SUSPICIOUS_KEYBOARD_SHORTCUT: 10,
+    FRONT_CAMERA_REVOKED: 30,
+    SCREEN_SHARE_REVOKED: 30,
+    DISPLAY_SURFACE_INVALID: 25,
+    PROCTORING_VIOLATION: 25,
+    VM_DETECTED: 100, // Instant fail
+    HEARTBEAT_GAP: 10,
+    DEVICE_SWITCH_DETECTED: 50,
+    REPLAY_ATTEMPT: 40,
+    TIME_WINDOW_VIOLATION: 15,
+    VERIFICATION_FAILED: 30, // Post-attempt checks, see collectSignals in lib/anti-cheat-scoring.js
+  }),
+  defaultWeight: 5,
+  // Most points one violation type can cost, however often it happens
+  caps: Object.freeze({
+    TAB_HIDDEN: 30,
+    TAB_VISIBLE: 5,
+    WINDOW_BLUR: 30,
+    WINDOW_FOCUS: 5,
+    DEVTOOLS_OPEN: 45,
+    COPY_ATTEMPT: 30,
+    PASTE_ATTEMPT: 45,
+    CONTEXT_MENU: 15,
+    SUSPICIOUS_KEYBOARD_SHORTCUT: 30,
+    FRONT_CAMERA_REVOKED: 60,
+    SCREEN_SHARE_REVOKED: 60,
+    DISPLAY_SURFACE_INVALID: 50,
+    PROCTORING_VIOLATION: 50,
+    VM_DETECTED: 100,
+    HEARTBEAT_GAP: 30,
+    DEVICE_SWITCH_DETECTED: 50,
+    REPLAY_ATTEMPT: 80,
+    TIME_WINDOW_VIOLATION: 30,
+    VERIFICATION_FAILED: 30,
+  }),
+  // Cap of types not listed in caps; null = uncapped
+  defaultCap: 20,
+  // A repeat of a type within windowSeconds of the previous one costs factor times
+  // as much as that one (a burst of 10 tab switches is one incident, not ten)
+  decay: Object.freeze({
+    windowSeconds: 120,
+    factor: 0.5,
+  }),
+  thresholds: Object.freeze({
+    invalid: 30,     // 0-30: invalid (auto-disqualify)
+    suspicious: 60,  // 31-60: suspicious (flag for review)
+  }),
+  autoDisqualify: true,
+  maxViolations: 5,
+  terminateOnTypes: Object.freeze([
+    'PROCTORING_VIOLATION',
+    'FRONT_CAMERA_REVOKED',
+    'SCREEN_SHARE_REVOKED',
+    'DISPLAY_SURFACE_INVALID',
+    'VM_DETECTED',
+  ]),
+  requiredStreams: Object.freeze({ ...DEFAULT_PROCTORING_REQUIREMENTS }),
+});
+
+export const VIOLATION_TYPES = Object.keys(DEFAULT_POLICY.weights);
+
+// Fields that make up a version; changing any of them bumps it
+const SETTING_FIELDS = [
+  'weights', 'defaultWeight', 'caps', 'defaultCap', 'decay', 'thresholds', 'autoDisqualify', 'maxViolations',
+  'terminateOnTypes', 'requiredStreams',
+];
+const STREAMS = Object.keys(DEFAULT_PROCTORING_REQUIREMENTS);
+const VIOLATION_TYPE_REGEX = /^[A-Z][A-Z0-9_]{0,99}$/;
+
+function invalidPolicy(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_POLICY';
+  return error;
+}
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function pickSettings(source) {
+  return Object.fromEntries(SETTING_FIELDS.map((field) => [field, source[field]]));
+}
+
+/**
+ * Settings of a policy in the shape scoring uses
+ * @param {Object} policy - Policy document (plain)
+ * @returns {Object} - { policyId, name, version, weights, defaultWeight, thresholds, ... }
+ */
+function resolvePolicy(policy) {
+  return {
+    policyId: policy._id.toString(),
+    name: policy.name,
+    version: policy.version,
+    weights: { ...DEFAULT_POLICY.weights, ...(policy.weights || {}) },
+    defaultWeight: policy.defaultWeight ?? DEFAULT_POLICY.defaultWeight,
+    caps: { ...DEFAULT_POLICY.caps, ...(policy.caps || {}) },
+    defaultCap: policy.defaultCap === undefined ? DEFAULT_POLICY.defaultCap : policy.defaultCap,
+    decay: { ...DEFAULT_POLICY.decay, ...(policy.decay || {}) },
+    thresholds: { ...DEFAULT_POLICY.thresholds, ...(policy.thresholds || {}) },
+    autoDisqualify: policy.autoDisqualify ?? DEFAULT_POLICY.autoDisqualify,
+    maxViolations: policy.maxViolations === undefined ? DEFAULT_POLICY.maxViolations : policy.maxViolations,
+    terminateOnTypes: policy.terminateOnTypes || [],
+    requiredStreams: { ...DEFAULT_POLICY.requiredStreams, ...(policy.requiredStreams || {}) },
+  };
+}
+
+function normalizeViolationTypes(value, field) {
+  if (!Array.isArray(value)) {
+    throw invalidPolicy(`${field} must be an array of violation types`);
+  }
+  const invalid = value.filter((type) => typeof type !== 'string' || !VIOLATION_TYPE_REGEX.test(type));
+  if (invalid.length > 0) {
+    throw invalidPolicy(`${field} has invalid violation types: ${invalid.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+// { TYPE: points } merged over the current map
+function normalizePointsMap(value, field, base) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw invalidPolicy(`${field} must be an object of violation type to points`);
+  }
+  const map = { ...base };
+  for (const [type, points] of Object.entries(value)) {
+    if (!VIOLATION_TYPE_REGEX.test(type)) {
+      throw invalidPolicy(`Invalid violation type in ${field}: ${type}`);
+    }
+    if (typeof points !== 'number' || !Number.isFinite(points) || points < 0 || points > 100) {
+      throw invalidPolicy(`${field}.${type} must be a number from 0 to 100`);
+    }
+    map[type] = points;
+  }
+  return map;
+}
+
+/**
+ * Validate a policy payload; on update only the given fields are checked
+ * @param {Object} data - Request body
+ * @param {Object|null} current - The policy being updated (null on create)
+ * @returns {Object} - Fields to write
+ * @throws {Error} - code INVALID_POLICY on the first invalid field
+ */
+function normalizePolicy(data = {}, current = null) {
+  const fields = {};
+  const base = current || DEFAULT_POLICY;
+
+  if (!current || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw invalidPolicy('name is required');
+    }
+    if (data.name.trim().toLowerCase() === DEFAULT_POLICY.name) {
+      throw invalidPolicy(`"${DEFAULT_POLICY.name}" is reserved for the built-in policy`);
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (data.description !== undefined) {
+    fields.description = data.description ? String(data.description).trim() : null;
+  }
+
+  for (const field of ['weights', 'caps']) {
+    if (data[field] !== undefined) {
+      fields[field] = normalizePointsMap(data[field], field, base[field] || DEFAULT_POLICY[field]);
+    } else if (!current) {
+      fields[field] = { ...DEFAULT_POLICY[field] };
+    }
+  }
+
+  if (data.defaultWeight !== undefined) {
+    if (typeof data.defaultWeight !== 'number' || data.defaultWeight < 0 || data.defaultWeight > 100) {
+      throw invalidPolicy('defaultWeight must be a number from 0 to 100');
+    }
+    fields.defaultWeight = data.defaultWeight;
+  }
+
+  if (data.defaultCap !== undefined) {
+    if (data.defaultCap !== null && (typeof data.defaultCap !== 'number' || data.defaultCap < 0 || data.defaultCap > 100)) {
+      throw invalidPolicy('defaultCap must be a number from 0 to 100, or null for no cap');
+    }
+    fields.defaultCap = data.defaultCap;
+  }
+
+  if (data.decay !== undefined) {
+    const decay = { ...(base.decay || DEFAULT_POLICY.decay), ...(data.decay || {}) };
+    if (typeof decay.windowSeconds !== 'number' || decay.windowSeconds < 0) {
+      throw invalidPolicy('decay.windowSeconds must be a number of seconds (0 turns decay off)');
+    }
+    if (typeof decay.factor !== 'number' || decay.factor < 0 || decay.factor > 1) {
+      throw invalidPolicy('decay.factor must be a number from 0 to 1');
+    }
+    fields.decay = { windowSeconds: decay.windowSeconds, factor: decay.factor };
+  }
+
+  if (data.thresholds !== undefined) {
+    const thresholds = { ...base.thresholds, ...(data.thresholds || {}) };
+    for (const key of ['invalid', 'suspicious']) {
+      if (typeof thresholds[key] !== 'number' || thresholds[key] < 0 || thresholds[key] > 100) {
+        throw invalidPolicy(`thresholds.${key} must be a number from 0 to 100`);
+      }
+    }
+    if (thresholds.invalid > thresholds.suspicious) {
+      throw invalidPolicy('thresholds.invalid cannot be above thresholds.suspicious');
+    }
+    fields.thresholds = { invalid: thresholds.invalid, suspicious: thresholds.suspicious };
+  }
+
+  if (data.autoDisqualify !== undefined) {
+    if (typeof data.autoDisqualify !== 'boolean') {
+      throw invalidPolicy('autoDisqualify must be true or false');
+    }
+    fields.autoDisqualify = data.autoDisqualify;
+  }
+
+  if (data.maxViolations !== undefined) {
+    if (data.maxViolations !== null && (!Number.isInteger(data.maxViolations) || data.maxViolations < 1)) {
+      throw invalidPolicy('maxViolations must be a whole number of at least 1, or null for no limit');
+    }
+    fields.maxViolations = data.maxViolations;
+  }
+
+  if (data.terminateOnTypes !== undefined) {
+    fields.terminateOnTypes = normalizeViolationTypes(data.terminateOnTypes, 'terminateOnTypes');
+  } else if (!current) {
+    fields.terminateOnTypes = [...DEFAULT_POLICY.terminateOnTypes];
+  }
+
+  if (data.requiredStreams !== undefined) {
+    if (!data.requiredStreams || typeof data.requiredStreams !== 'object') {
+      throw invalidPolicy(`requiredStreams must be an object with ${STREAMS.join(', ')}`);
+    }
+    const streams = { ...base.requiredStreams };
+    for (const [stream, required] of Object.entries(data.requiredStreams)) {
+      if (!STREAMS.includes(stream)) {
+        throw invalidPolicy(`Unknown stream ${stream}; streams are ${STREAMS.join(', ')}`);
+      }
+      if (typeof required !== 'boolean') {
+        throw invalidPolicy(`requiredStreams.${stream} must be true or false`);
+      }
+      streams[stream] = required;
+    }
+    fields.requiredStreams = streams;
+  }
+
+  return fields;
+}
+
+/**
+ * Policies with the number of olympiads using each
+ */
+export async function listPolicies() {
+  await connectMongoDB();
+  const policies = await AntiCheatPolicy.find({}).select('-history').sort({ name: 1 }).lean();
+  const counts = await Olympiad.aggregate([
+    { $match: { antiCheatPolicyId: { $ne: null } } },
+    { $group: { _id: '$antiCheatPolicyId', count: { $sum: 1 } } },
+  ]);
+  const countByPolicy = new Map(counts.map((entry) => [entry._id, entry.count]));
+  return policies.map((policy) => ({ ...toPlain(policy), olympiadCount: countByPolicy.get(policy._id.toString()) || 0 }));
+}
+
+export async function findPolicyById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const policy = await AntiCheatPolicy.findById(id).lean();
+  return policy ? toPlain(policy) : null;
+}
+
+export async function createPolicy(data, createdBy) {
+  const fields = normalizePolicy(data);
+  await connectMongoDB();
+  if (await AntiCheatPolicy.exists({ name: fields.name })) {
+    throw invalidPolicy('A policy with this name already exists');
+  }
+  const policy = await AntiCheatPolicy.create({
+    ...fields,
+    createdBy: createdBy ? createdBy.toString() : null,
+    updatedBy: createdBy ? createdBy.toString() : null,
+  });
+  return toPlain(policy.toObject());
+}
+
+/**
+ * Change a policy. A change to its settings starts a new version; attempts
+ * already scored keep pointing at the version that scored them.
+ * @returns {Promise<Object|null>} - Updated policy, null if not found
+ * @throws {Error} - code INVALID_POLICY if a field is invalid
+ */
+export async function updatePolicy(id, data, updatedBy = null) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const current = await AntiCheatPolicy.findById(id).lean();
+  if (!current) return null;
+
+  const fields = normalizePolicy(data, current);
+  if (fields.name && await AntiCheatPolicy.exists({ name: fields.name, _id: { $ne: id } })) {
+    throw invalidPolicy('A policy with this name already exists');
+  }
+
+  const settingsChanged = SETTING_FIELDS.some(
+    (field) => fields[field] !== undefined && JSON.stringify(fields[field]) !== JSON.stringify(current[field])
+  );
+  const update = { $set: { ...fields, updatedBy: updatedBy ? updatedBy.toString() : null } };
+  if (settingsChanged) {
+    update.$set.version = current.version + 1;
+    update.$push = {
+      history: {
+        version: current.version,
+        ...pickSettings(current),
+        replacedAt: new Date(),
+        replacedBy: updatedBy ? updatedBy.toString() : null,
+      },
+    };
+  }
+
+  // Matching the version read above keeps two concurrent edits from sharing a version number
+  const policy = await AntiCheatPolicy.findOneAndUpdate(
+    { _id: id, version: current.version },
+    update,
+    { new: true }
+  ).lean();
+  if (!policy) {
+    throw invalidPolicy('The policy was changed by someone else; reload it and try again');
+  }
+  return toPlain(policy);
+}
+
+/**
+ * @returns {Promise<Boolean|null>} - true if deleted, null if not found
+ * @throws {Error} - code POLICY_IN_USE while olympiads use it
+ */
+export async function deletePolicy(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const inUse = await Olympiad.countDocuments({ antiCheatPolicyId: id.toString() });
+  if (inUse > 0) {
+    const error = new Error(`The policy is used by ${inUse} olympiad(s); give them another policy first`);
+    error.code = 'POLICY_IN_USE';
+    throw error;
+  }
+  const policy = await AntiCheatPolicy.findByIdAndDelete(id);
+  return policy ? true : null;
+}
+
+/**
+ * The policy an olympiad runs under; DEFAULT_POLICY if it has none (or its
+ * policy was deleted)
+ * @param {Object|String} olympiadOrId - Olympiad (with antiCheatPolicyId) or its ID
+ * @returns {Promise<Object>} - Resolved policy settings with policyId, name and version
+ */
+export async function getOlympiadPolicy(olympiadOrId) {
+  let policyId = null;
+  if (olympiadOrId && typeof olympiadOrId === 'object' && 'antiCheatPolicyId' in olympiadOrId) {
+    policyId = olympiadOrId.antiCheatPolicyId;
+  } else if (olympiadOrId && mongoose.Types.ObjectId.isValid(String(olympiadOrId._id || olympiadOrId))) {
+    await connectMongoDB();
+    const olympiad = await Olympiad.findById(olympiadOrId._id || olympiadOrId).select('antiCheatPolicyId').lean();
+    policyId = olympiad?.antiCheatPolicyId || null;
+  }
+
+  if (!policyId) return DEFAULT_POLICY;
+  const policy = await findPolicyById(policyId);
+  return policy ? resolvePolicy(policy) : DEFAULT_POLICY;
+}
+
+/**
+ * Settings of a given version of a policy, for explaining an old trust score
+ * @param {String|null} policyId - null for the built-in default
+ * @param {Number} version - Policy version
+ * @returns {Promise<Object|null>} - Resolved settings, null if unknown
+ */
+export async function getPolicyVersion(policyId, version) {
+  if (!policyId) {
+    return version === DEFAULT_POLICY.version ? DEFAULT_POLICY : null;
+  }
+  const policy = await findPolicyById(policyId);
+  if (!policy) return null;
+  if (policy.version === version) return resolvePolicy(policy);
+  const entry = (policy.history || []).find((revision) => revision.version === version);
+  return entry ? resolvePolicy({ ...entry, _id: policy._id, name: policy.name }) : null;
+}
+
+/**
+ * What to record next to a trust score
+ * @returns {Object} - { policyId, name, version }
+ */
+export function policyReference(policy) {
+  return { policyId: policy.policyId, name: policy.name, version: policy.version };
+}
+
+export default {
+  DEFAULT_POLICY,
+  VIOLATION_TYPES,
+  listPolicies,
+  findPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  getOlympiadPolicy,
+  getPolicyVersion,
+  policyReference,
+};
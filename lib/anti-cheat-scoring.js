@@ -2,179 +2,174 @@
  * AntiCheat Trust Score Service
  * 
  * Aggregates all security signals into unified trust score (0-100)
- * and classifies attempts.
+ * and classifies attempts. Weights and thresholds come from the olympiad's
+ * anti-cheat policy, and the policy version is stored with the score.
+ *
+ * Every signal is counted once: collectSignals turns the attempt into one
+ * list of events (the recorded violations, plus a device switch or failed
+ * post-attempt verification that left no violation of its own), and each
+ * event costs its type's weight. Repeats of a type in quick succession decay,
+ * and each type's total is capped, so a pile of harmless events cannot
+ * disqualify a student on its own.
  */
 
 import Attempt from '../models/Attempt.js';
-
-// Violation weights (points deducted from 100)
-const VIOLATION_WEIGHTS = {
-  'TAB_HIDDEN': 5,
-  'TAB_VISIBLE': 2,
-  'WINDOW_BLUR': 5,
-  'WINDOW_FOCUS': 2,
-  'DEVTOOLS_OPEN': 15,
-  'COPY_ATTEMPT': 10,
-  'PASTE_ATTEMPT': 15,
-  'CONTEXT_MENU': 5,
-  'SUSPICIOUS_KEYBOARD_SHORTCUT': 10,
-  'FRONT_CAMERA_REVOKED': 30,
-  'SCREEN_SHARE_REVOKED': 30,
-  'DISPLAY_SURFACE_INVALID': 25,
-  'PROCTORING_VIOLATION': 25,
-  'VM_DETECTED': 100, // Instant fail
-  'HEARTBEAT_GAP': 10,
-  'DEVICE_SWITCH_DETECTED': 50,
-  'REPLAY_ATTEMPT': 40,
-  'TIME_WINDOW_VIOLATION': 15
-};
-
-// Trust score thresholds
-const TRUST_THRESHOLDS = {
-  INVALID: 30,      // 0-30: invalid (auto-disqualify)
-  SUSPICIOUS: 60,   // 31-60: suspicious (flag for review)
-  CLEAN: 100        // 61-100: clean (normal processing)
-};
-
-/**
- * Calculate violation points from violations array
- * @param {Array} violations - Violations array
- * @returns {Object} - { totalPoints, breakdown }
- */
-export function calculateViolationPoints(violations) {
-  if (!violations || violations.length === 0) {
-    return {
-      totalPoints: 0,
-      breakdown: []
-    };
-  }
-
-  const breakdown = [];
-  let totalPoints = 0;
-
-  violations.forEach(violation => {
-    const weight = VIOLATION_WEIGHTS[violation.type] || 5; // Default 5 points
-    totalPoints += weight;
-    
-    breakdown.push({
-      type: violation.type,
-      points: weight,
-      timestamp: violation.timestamp,
-      details: violation.details
-    });
-  });
-
-  return {
-    totalPoints,
-    breakdown
-  };
+import { DEFAULT_POLICY, getOlympiadPolicy, policyReference } from './anti-cheat-policy.js';
+import { openReview } from './proctor-review.js';
+
+// Breakdown categories; every type belongs to exactly one
+const PROCTORING_TYPES = ['FRONT_CAMERA_REVOKED', 'SCREEN_SHARE_REVOKED', 'DISPLAY_SURFACE_INVALID', 'PROCTORING_VIOLATION'];
+const DEVICE_TYPES = ['DEVICE_SWITCH_DETECTED', 'VM_DETECTED'];
+const TIMING_TYPES = ['HEARTBEAT_GAP', 'TIME_WINDOW_VIOLATION', 'VERIFICATION_FAILED'];
+
+// Post-attempt checks that are not already covered by a violation type
+const VERIFICATION_CHECKS = ['timeConsistency', 'questionOrder', 'answerTimestamps'];
+
+function categoryOf(type) {
+  if (PROCTORING_TYPES.includes(type) || type.includes('CAMERA') || type.includes('SCREEN')) return 'proctoring';
+  if (DEVICE_TYPES.includes(type)) return 'device';
+  if (TIMING_TYPES.includes(type)) return 'timing';
+  return 'behaviour';
 }
 
 /**
- * Calculate timing anomaly points
+ * The attempt's anti-cheat signals as one list of events, each signal once
  * @param {Object} attempt - Attempt document
- * @returns {Number} - Points deducted (0 if no anomalies)
+ * @returns {Array} - [{ type, timestamp, details }] oldest first
  */
-export function calculateTimingAnomalyPoints(attempt) {
-  let points = 0;
-
-  // Check for missed heartbeats
-  if (attempt.missedHeartbeats && attempt.missedHeartbeats > 0) {
-    points += Math.min(attempt.missedHeartbeats * 5, 25); // Max 25 points
+export function collectSignals(attempt) {
+  const signals = (attempt.violations || []).map((violation) => ({
+    type: violation.type,
+    timestamp: violation.timestamp ? new Date(violation.timestamp) : null,
+    details: violation.details,
+  }));
+  const has = (type) => signals.some((signal) => signal.type === type);
+
+  // handleDeviceSwitch records a violation along with the flag; older attempts may only have the flag
+  if (attempt.deviceSwitchDetected && !has('DEVICE_SWITCH_DETECTED')) {
+    signals.push({
+      type: 'DEVICE_SWITCH_DETECTED',
+      timestamp: attempt.deviceSwitchTimestamp ? new Date(attempt.deviceSwitchTimestamp) : null,
+      details: { source: 'deviceSwitchDetected' },
+    });
   }
 
-  // Check verification status
+  // missedHeartbeats is the counter behind HEARTBEAT_GAP violations, not a signal of its own.
+  // Failed verification counts for the checks no violation covers, or for heartbeat gaps
+  // that were never recorded as violations.
   if (attempt.verificationStatus === 'failed') {
-    points += 30; // Significant deduction for failed verification
+    const results = attempt.verificationResults || {};
+    const failedChecks = VERIFICATION_CHECKS.filter((check) => results[check] && !results[check].passed);
+    const uncoveredHeartbeatGaps = results.heartbeatTimeline && !results.heartbeatTimeline.passed && !has('HEARTBEAT_GAP');
+    if (failedChecks.length > 0 || uncoveredHeartbeatGaps || !attempt.verificationResults) {
+      signals.push({
+        type: 'VERIFICATION_FAILED',
+        timestamp: attempt.submittedAt ? new Date(attempt.submittedAt) : null,
+        details: { failedChecks: uncoveredHeartbeatGaps ? [...failedChecks, 'heartbeatTimeline'] : failedChecks },
+      });
+    }
   }
 
-  return points;
+  return signals.sort((a, b) => (a.timestamp?.getTime() ?? 0) - (b.timestamp?.getTime() ?? 0));
 }
 
 /**
- * Calculate device drift points
- * @param {Object} attempt - Attempt document
- * @returns {Number} - Points deducted
+ * Points of each signal after decay and caps
+ * @param {Array} signals - From collectSignals (oldest first)
+ * @param {Object} policy - Anti-cheat policy (weights, caps, decay)
+ * @returns {Object} - { totalPoints, byType: { TYPE: { count, points, capped } }, breakdown }
  */
-export function calculateDeviceDriftPoints(attempt) {
-  if (attempt.deviceSwitchDetected) {
-    return 50; // Major violation
+export function calculateSignalPoints(signals, policy = DEFAULT_POLICY) {
+  const windowMs = (policy.decay?.windowSeconds ?? 0) * 1000;
+  const factor = policy.decay?.factor ?? 1;
+  const byType = {};
+  const lastByType = new Map(); // type => { timestamp, points } of the previous occurrence
+  const breakdown = [];
+  let totalPoints = 0;
+
+  for (const signal of signals) {
+    const weight = policy.weights[signal.type] ?? policy.defaultWeight;
+    const cap = policy.caps?.[signal.type] ?? policy.defaultCap ?? Infinity;
+    const entry = byType[signal.type] || (byType[signal.type] = { count: 0, points: 0, capped: false });
+    entry.count++;
+
+    // Within the window of the previous one: a fraction of what that one cost
+    const previous = lastByType.get(signal.type);
+    let points = weight;
+    if (previous && windowMs > 0 && signal.timestamp && previous.timestamp
+        && signal.timestamp - previous.timestamp <= windowMs) {
+      points = previous.points * factor;
+    }
+    lastByType.set(signal.type, { timestamp: signal.timestamp, points });
+
+    const counted = Math.max(0, Math.min(points, cap - entry.points));
+    if (counted < points) entry.capped = true;
+    entry.points += counted;
+    totalPoints += counted;
+
+    breakdown.push({
+      type: signal.type,
+      points: Math.round(counted * 100) / 100,
+      timestamp: signal.timestamp,
+      details: signal.details
+    });
   }
-  return 0;
-}
 
-/**
- * Calculate proctoring violation points
- * @param {Object} attempt - Attempt document
- * @returns {Number} - Points deducted
- */
-export function calculateProctoringPoints(attempt) {
-  let points = 0;
-
-  // Check proctoring violations
-  const proctoringViolations = attempt.violations?.filter(v => 
-    v.type.includes('CAMERA') || 
-    v.type.includes('SCREEN') || 
-    v.type === 'PROCTORING_VIOLATION' ||
-    v.type === 'DISPLAY_SURFACE_INVALID'
-  ) || [];
-
-  // Sum points from proctoring violations
-  proctoringViolations.forEach(v => {
-    points += VIOLATION_WEIGHTS[v.type] || 25;
-  });
-
-  return points;
+  return {
+    totalPoints,
+    byType,
+    breakdown
+  };
 }
 
 /**
  * Calculate total trust score for attempt
  * @param {Object} attempt - Attempt document
- * @returns {Object} - { trustScore, classification, breakdown }
+ * @param {Object} policy - Anti-cheat policy (see lib/anti-cheat-policy.js)
+ * @returns {Object} - { trustScore, classification, breakdown, policy: { policyId, name, version } }
  */
-export function calculateTrustScore(attempt) {
-  // Start with 100 points
-  let trustScore = 100;
-
-  // Calculate deduction components
-  const violationPoints = calculateViolationPoints(attempt.violations || []);
-  const timingAnomalyPoints = calculateTimingAnomalyPoints(attempt);
-  const deviceDriftPoints = calculateDeviceDriftPoints(attempt);
-  const proctoringPoints = calculateProctoringPoints(attempt);
-
-  // Deduct points
-  trustScore -= violationPoints.totalPoints;
-  trustScore -= timingAnomalyPoints;
-  trustScore -= deviceDriftPoints;
-  trustScore -= proctoringPoints;
+export function calculateTrustScore(attempt, policy = DEFAULT_POLICY) {
+  const signals = collectSignals(attempt);
+  const { totalPoints, byType, breakdown: violationBreakdown } = calculateSignalPoints(signals, policy);
+
+  const categories = { behaviour: 0, proctoring: 0, device: 0, timing: 0 };
+  for (const [type, entry] of Object.entries(byType)) {
+    categories[categoryOf(type)] += entry.points;
+  }
+  const round = (value) => Math.round(value * 100) / 100;
 
   // Ensure score is between 0 and 100
-  trustScore = Math.max(0, Math.min(100, trustScore));
+  const trustScore = Math.max(0, Math.min(100, 100 - totalPoints));
 
   // Classify attempt
   let classification;
-  if (trustScore <= TRUST_THRESHOLDS.INVALID) {
+  if (trustScore <= policy.thresholds.invalid) {
     classification = 'invalid';
-  } else if (trustScore <= TRUST_THRESHOLDS.SUSPICIOUS) {
+  } else if (trustScore <= policy.thresholds.suspicious) {
     classification = 'suspicious';
   } else {
     classification = 'clean';
   }
 
-  // Build breakdown
+  // The four category totals add up to totalDeducted
   const breakdown = {
-    violationPoints: violationPoints.totalPoints,
-    timingAnomalyPoints,
-    deviceDriftPoints,
-    proctoringPoints,
-    totalDeducted: violationPoints.totalPoints + timingAnomalyPoints + deviceDriftPoints + proctoringPoints,
-    violationBreakdown: violationPoints.breakdown
+    violationPoints: round(categories.behaviour),
+    timingAnomalyPoints: round(categories.timing),
+    deviceDriftPoints: round(categories.device),
+    proctoringPoints: round(categories.proctoring),
+    totalDeducted: round(totalPoints),
+    byType: Object.fromEntries(
+      Object.entries(byType).map(([type, entry]) => [type, { ...entry, points: round(entry.points) }])
+    ),
+    missedHeartbeats: attempt.missedHeartbeats || 0,
+    violationBreakdown
   };
 
   return {
-    trustScore: Math.round(trustScore * 100) / 100, // Round to 2 decimals
+    trustScore: round(trustScore), // Round to 2 decimals
     classification,
-    breakdown
+    breakdown,
+    policy: policyReference(policy)
   };
 }
 
@@ -193,19 +188,29 @@ export async function calculateAndStoreTrustScore(attemptId) {
     throw new Error('Attempt not found');
   }
 
-  const trustScoreResult = calculateTrustScore(attempt);
+  const policy = await getOlympiadPolicy(attempt.olympiadId);
+  const trustScoreResult = calculateTrustScore(attempt, policy);
 
   // Store on attempt
   attempt.trustScore = trustScoreResult.trustScore;
   attempt.trustClassification = trustScoreResult.classification;
   attempt.scoringBreakdown = trustScoreResult.breakdown;
+  attempt.trustPolicy = trustScoreResult.policy;
 
-  // Auto-disqualify if invalid
-  if (trustScoreResult.classification === 'invalid' && attempt.status === 'started') {
+  // Auto-disqualify if invalid, unless the policy leaves that to a reviewer
+  if (policy.autoDisqualify && trustScoreResult.classification === 'invalid' && attempt.status === 'started') {
     attempt.status = 'auto_disqualified';
   }
 
   await attempt.save();
 
+  // Suspicious attempts, and invalid ones the policy does not disqualify, wait for a proctor (lib/proctor-review.js)
+  if (
+    trustScoreResult.classification === 'suspicious'
+    || (trustScoreResult.classification === 'invalid' && !policy.autoDisqualify)
+  ) {
+    await openReview(attempt);
+  }
+
   return trustScoreResult;
 }
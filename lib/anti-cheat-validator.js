@@ -5,6 +5,7 @@
  * - One attempt per user enforcement
  * - Time constraint validation
  * - Forward-only question access validation
+ * - Section boundaries of sectioned olympiads
  * - Suspicious pattern detection
  */
 
@@ -12,6 +13,7 @@ import Attempt from '../models/Attempt.js';
 import { isTimeExpired, validateTimeNotExpired } from './timer-service.js';
 import { isProctoringReady, validateProctoringStatus } from './proctoring-service.js';
 import { validateDeviceFingerprint } from './device-locking.js';
+import { validateSectionAccess } from './attempt-sections.js';
 import connectDB from './mongodb.js';
 
 /**
@@ -44,9 +46,10 @@ export async function checkExistingAttempt(userId, olympiadId) {
  * @param {String} userId - User ID
  * @param {String} olympiadId - Olympiad ID
  * @param {Object} proctoringStatus - Proctoring status
+ * @param {Object} proctoringRequirements - Streams the olympiad's anti-cheat policy requires
  * @returns {Promise<Object>} - Validation result { valid, error, code }
  */
-export async function validateCanStart(userId, olympiadId, proctoringStatus) {
+export async function validateCanStart(userId, olympiadId, proctoringStatus, proctoringRequirements) {
   try {
     // Check existing attempt
     const { hasAttempted, attempt } = await checkExistingAttempt(userId, olympiadId);
@@ -61,8 +64,8 @@ export async function validateCanStart(userId, olympiadId, proctoringStatus) {
         (restartableStatuses.includes(attempt?.status) || attempt?.trustClassification === 'invalid');
 
       if (canRestart) {
-        if (!isProctoringReady(proctoringStatus)) {
-          const proctoringValidation = validateProctoringStatus(proctoringStatus);
+        if (!isProctoringReady(proctoringStatus, proctoringRequirements)) {
+          const proctoringValidation = validateProctoringStatus(proctoringStatus, proctoringRequirements);
           return {
             valid: false,
             error: 'Proctoring requirements not met: ' + proctoringValidation.errors.join(', '),
@@ -89,8 +92,8 @@ export async function validateCanStart(userId, olympiadId, proctoringStatus) {
       }
 
       // Validate proctoring is ready for resume
-      if (!isProctoringReady(proctoringStatus)) {
-        const proctoringValidation = validateProctoringStatus(proctoringStatus);
+      if (!isProctoringReady(proctoringStatus, proctoringRequirements)) {
+        const proctoringValidation = validateProctoringStatus(proctoringStatus, proctoringRequirements);
         return {
           valid: false,
           error: 'Proctoring requirements not met: ' + proctoringValidation.errors.join(', '),
@@ -107,8 +110,8 @@ export async function validateCanStart(userId, olympiadId, proctoringStatus) {
     }
     
     // Validate proctoring is ready
-    if (!isProctoringReady(proctoringStatus)) {
-      const proctoringValidation = validateProctoringStatus(proctoringStatus);
+    if (!isProctoringReady(proctoringStatus, proctoringRequirements)) {
+      const proctoringValidation = validateProctoringStatus(proctoringStatus, proctoringRequirements);
       return {
         valid: false,
         error: 'Proctoring requirements not met: ' + proctoringValidation.errors.join(', '),
@@ -204,6 +207,17 @@ export function validateQuestionAccess(attempt, requestedQuestionIndex) {
     return activeValidation;
   }
   
+  // Sectioned olympiads: only the current section is reachable
+  const sectionValidation = validateSectionAccess(attempt, requestedQuestionIndex);
+  if (!sectionValidation.valid) {
+    return sectionValidation;
+  }
+  if (sectionValidation.freeNavigation) {
+    return {
+      valid: true
+    };
+  }
+
   // Allow access to previous or current questions
   if (requestedQuestionIndex <= attempt.currentQuestionIndex) {
     return {
@@ -249,6 +263,19 @@ export function validateAnswerSubmission(attempt, questionIndex) {
     return activeValidation;
   }
   
+  const sectionValidation = validateSectionAccess(attempt, questionIndex);
+  if (!sectionValidation.valid) {
+    return {
+      ...sectionValidation,
+      questionIndex
+    };
+  }
+  if (sectionValidation.freeNavigation) {
+    return {
+      valid: true
+    };
+  }
+
   // Allow answering previous or current questions; block skipping ahead
   if (questionIndex > attempt.currentQuestionIndex) {
     return {
@@ -268,16 +295,17 @@ export function validateAnswerSubmission(attempt, questionIndex) {
 /**
  * Check if attempt should be terminated due to violations
  * @param {Object} attempt - Attempt document
- * @param {Number} maxViolations - Maximum allowed violations (default: 5)
+ * @param {Number|null} maxViolations - Maximum allowed violations (default: 5, null: no limit)
  * @param {Array} highSeverityTypes - High severity violation types that cause immediate termination
+ * @param {Boolean} autoDisqualify - Whether an invalid trust score ends the attempt (policy setting)
  * @returns {Object} - { shouldTerminate, reason }
  * 
  * Note: Auto-disqualification is now handled via trust score system.
  * This function still exists for backward compatibility but trust score takes precedence.
  */
-export function shouldTerminateAttempt(attempt, maxViolations = 5, highSeverityTypes = []) {
+export function shouldTerminateAttempt(attempt, maxViolations = 5, highSeverityTypes = [], autoDisqualify = true) {
   // Check if already auto-disqualified by trust score
-  if (attempt.status === 'auto_disqualified' || attempt.trustClassification === 'invalid') {
+  if (attempt.status === 'auto_disqualified' || (autoDisqualify && attempt.trustClassification === 'invalid')) {
     return {
       shouldTerminate: true,
       reason: 'Attempt auto-disqualified by trust score system',
@@ -307,7 +335,7 @@ export function shouldTerminateAttempt(attempt, maxViolations = 5, highSeverityT
   }
   
   // Check violation count threshold
-  if (attempt.violations.length >= maxViolations) {
+  if (maxViolations !== null && attempt.violations.length >= maxViolations) {
     return {
       shouldTerminate: true,
       reason: `Maximum violation threshold exceeded (${maxViolations})`,
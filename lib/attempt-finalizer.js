@@ -0,0 +1,416 @@
+/**
+ * Attempt Finalizer
+ *
+ * Server-authoritative completion of attempts. Shared by the submit endpoint
+ * (post-submit checks), admin and proctor force-submits, and the expiry
+ * sweeper, which grades attempts whose timer ran out without the student
+ * submitting (closed tab, crashed browser).
+ */
+
+import connectMongoDB from './mongodb.js';
+import Attempt from '../models/Attempt.js';
+import Submission from '../models/Submission.js';
+import ProctoringSession from '../models/ProctoringSession.js';
+import { findOlympiadById } from './olympiad-helper.js';
+import { findQuestionsByOlympiadId } from './question-helper.js';
+import { createSubmission, findSubmissionsByOlympiadId } from './submission-helper.js';
+import { createResult, findResultByUserAndOlympiad } from './result-helper.js';
+import { findDraftByUserAndOlympiad, deleteDraft } from './draft-helper.js';
+import { scoreEssay } from './text-analysis.js';
+import { gradeAnswer } from './question-types.js';
+import { getAttemptQuestions } from './attempt-question-order.js';
+import { runPostAttemptVerification } from './post-attempt-verification.js';
+import { calculateAndStoreTrustScore } from './anti-cheat-scoring.js';
+import { getOlympiadPolicy } from './anti-cheat-policy.js';
+import { createAuditLog } from './audit-logger.js';
+
+// Let in-flight submits that started right before endsAt finish first
+const EXPIRY_GRACE_MS = 10000;
+const SWEEP_BATCH_SIZE = 50;
+// One sweep keeps taking batches until none are left or this much time has passed
+const SWEEP_TIME_BUDGET_MS = 25000;
+// A sweeper that crashed mid-finalization releases its claim after this long
+const FINALIZE_LEASE_MS = 5 * 60 * 1000;
+
+let sweepInProgress = false;
+
+/**
+ * Run post-attempt verification and trust scoring, then settle the final status
+ * @param {Object} attempt - Attempt document (submittedAt/completedAt already set)
+ * @param {Number} durationSeconds - Olympiad duration in seconds
+ * @returns {Promise<Object>} - { verificationResult, updatedAttempt }
+ */
+export async function completeAttemptChecks(attempt, durationSeconds) {
+  // Checks read the attempt from the database
+  await attempt.save();
+
+  const verificationResult = await runPostAttemptVerification(attempt._id, durationSeconds);
+  await calculateAndStoreTrustScore(attempt._id);
+
+  // Reload attempt to get updated trust score and verification results
+  const updatedAttempt = await Attempt.findById(attempt._id);
+  const policy = await getOlympiadPolicy(attempt.olympiadId);
+
+  if (!verificationResult.passed) {
+    attempt.status = 'verification_failed';
+  } else if (updatedAttempt.trustClassification === 'invalid' && policy.autoDisqualify) {
+    attempt.status = 'auto_disqualified';
+  } else {
+    attempt.status = 'completed'; // Completed even if suspicious; scoring queued it for review
+  }
+
+  attempt.trustScore = updatedAttempt.trustScore;
+  attempt.trustClassification = updatedAttempt.trustClassification;
+  attempt.scoringBreakdown = updatedAttempt.scoringBreakdown;
+  attempt.verificationStatus = updatedAttempt.verificationStatus;
+  attempt.verificationResults = updatedAttempt.verificationResults;
+
+  await attempt.save();
+
+  const proctoringSession = await ProctoringSession.findOne({ attemptId: attempt._id });
+  if (proctoringSession) {
+    proctoringSession.status = 'completed';
+    await proctoringSession.save();
+  }
+
+  return { verificationResult, updatedAttempt };
+}
+
+/**
+ * Essay olympiad drafts are saved under different keys by different clients
+ */
+function extractEssayContent(answers, questionId) {
+  if (typeof answers === 'string') return answers;
+  if (!answers || typeof answers !== 'object') return null;
+
+  const candidates = [answers[questionId], answers.essay, answers.content, answers.answer, ...Object.values(answers)];
+  return candidates.find((value) => typeof value === 'string' && value.trim().length > 0) || null;
+}
+
+/**
+ * Grade an attempt from the answers saved so far and its draft
+ * @returns {Promise<Object>} - { totalScore, createdSubmissions }
+ */
+async function gradeSavedAnswers(attempt, olympiad) {
+  const userId = attempt.userId.toString();
+  const olympiadId = olympiad._id.toString();
+
+  const questions = getAttemptQuestions(attempt, await findQuestionsByOlympiadId(olympiadId));
+  const saved = await Submission.find({ userId, olympiadId }).sort({ createdAt: 1 }).lean();
+  const draft = await findDraftByUserAndOlympiad(userId, olympiadId);
+  const draftAnswers = draft?.answers || {};
+
+  // Latest saved submission per question wins
+  const savedByQuestion = new Map(saved.map((submission) => [submission.questionId, submission]));
+
+  let otherSubmissions = null;
+  const loadOtherSubmissions = async () => {
+    if (!otherSubmissions) {
+      otherSubmissions = (await findSubmissionsByOlympiadId(olympiadId))
+        .filter((submission) => submission.userId !== userId);
+    }
+    return otherSubmissions;
+  };
+
+  let totalScore = 0;
+  let createdSubmissions = 0;
+
+  for (const question of questions) {
+    const savedSubmission = savedByQuestion.get(question._id);
+    if (savedSubmission) {
+      totalScore += savedSubmission.score || 0;
+      continue;
+    }
+
+    const draftAnswer = olympiad.type === 'essay'
+      ? extractEssayContent(draftAnswers, question._id)
+      : draftAnswers[question._id];
+    if (draftAnswer === undefined || draftAnswer === null || draftAnswer === '') {
+      continue;
+    }
+
+    let score = 0;
+    let isCorrect = false;
+    let scoringPolicy = null;
+    let answer = typeof draftAnswer === 'string' ? draftAnswer : JSON.stringify(draftAnswer);
+
+    const grade = gradeAnswer(question, draftAnswer);
+    if (grade) {
+      ({ score, isCorrect, scoringPolicy } = grade);
+    } else if (question.type === 'essay' && typeof draftAnswer === 'string' && draftAnswer.trim()) {
+      answer = draftAnswer.trim();
+      const others = (await loadOtherSubmissions()).filter((s) => s.questionId === question._id);
+      const essayScoring = scoreEssay(answer, question.points || 10, others);
+      score = essayScoring.score;
+      isCorrect = essayScoring.score > 0;
+    }
+
+    await createSubmission({
+      userId,
+      olympiadId,
+      questionId: question._id,
+      answer,
+      score,
+      isCorrect,
+      scoringPolicy,
+    });
+    totalScore += score;
+    createdSubmissions++;
+
+    // Essay olympiads grade a single essay
+    if (olympiad.type === 'essay') break;
+  }
+
+  return { totalScore, createdSubmissions };
+}
+
+/**
+ * Attempts whose finalization lease is free or has lapsed
+ */
+function unclaimedFilter(now) {
+  return { $or: [{ finalizingUntil: null }, { finalizingUntil: { $lte: now } }] };
+}
+
+/**
+ * Take the finalization lease on an attempt that has not been submitted yet.
+ * Whoever holds it (student submit, force-submit or the expiry sweeper) is the
+ * only one grading the attempt.
+ * @param {Object} filter - Extra conditions on the attempt
+ * @returns {Promise<Object|null>} - The claimed attempt, null if another run holds it or it does not match
+ */
+export async function claimAttempt(filter) {
+  const now = new Date();
+  return Attempt.findOneAndUpdate(
+    { ...filter, submittedAt: null, ...unclaimedFilter(now) },
+    { $set: { finalizingUntil: new Date(now.getTime() + FINALIZE_LEASE_MS) } },
+    { new: true }
+  );
+}
+
+/**
+ * Give up the lease on an attempt that was not submitted after all
+ * @param {String} attemptId - Attempt ID
+ */
+export async function releaseAttemptClaim(attemptId) {
+  await Attempt.updateOne({ _id: attemptId, submittedAt: null }, { $set: { finalizingUntil: null } });
+}
+
+/**
+ * Grade a claimed attempt from its saved answers and draft, create the Result,
+ * mark the attempt submitted and run the post-attempt checks
+ * @param {Object} claimed - Attempt holding the finalization lease
+ * @param {Object} options - { submittedAt, fields (other attempt fields to set), eventType, metadata (audit) }
+ * @returns {Promise<Object|null>} - Finalization summary, null if the olympiad is gone
+ */
+async function finalizeClaimedAttempt(claimed, { submittedAt, fields = {}, eventType, metadata = {} }) {
+  const olympiad = await findOlympiadById(claimed.olympiadId);
+  if (!olympiad) {
+    console.warn(`[Finalizer] Olympiad ${claimed.olympiadId} not found for attempt ${claimed._id}`);
+    return null;
+  }
+
+  const userId = claimed.userId.toString();
+  const olympiadId = olympiad._id.toString();
+
+  const { totalScore, createdSubmissions } = await gradeSavedAnswers(claimed, olympiad);
+
+  let result = await findResultByUserAndOlympiad(userId, olympiadId);
+  if (!result) {
+    const percentage = olympiad.totalPoints > 0 ? (totalScore / olympiad.totalPoints) * 100 : 0;
+    const shouldAutoPublish = olympiad.type === 'test';
+    result = await createResult({
+      userId,
+      olympiadId,
+      totalScore,
+      maxScore: olympiad.totalPoints,
+      percentage: Math.round(percentage * 100) / 100,
+      completedAt: submittedAt,
+      status: shouldAutoPublish ? 'checked' : 'pending',
+      visible: shouldAutoPublish,
+    });
+  }
+
+  try {
+    await deleteDraft(userId, olympiadId);
+  } catch (error) {
+    console.warn('Failed to delete draft after finalizing attempt:', error);
+  }
+
+  Object.assign(claimed, fields);
+  claimed.submittedAt = submittedAt;
+  claimed.completedAt = new Date();
+  claimed.finalizingUntil = null;
+
+  const { verificationResult, updatedAttempt } = await completeAttemptChecks(claimed, olympiad.duration);
+
+  await createAuditLog({
+    attemptId: claimed._id,
+    userId,
+    olympiadId,
+    eventType,
+    metadata: {
+      ...metadata,
+      totalScore: result.totalScore,
+      maxScore: olympiad.totalPoints,
+      percentage: result.percentage,
+      draftAnswersGraded: createdSubmissions,
+      trustScore: updatedAttempt.trustScore,
+      trustClassification: updatedAttempt.trustClassification,
+      verificationPassed: verificationResult.passed
+    }
+  });
+
+  return {
+    attemptId: claimed._id.toString(),
+    resultId: result._id,
+    totalScore: result.totalScore,
+    status: claimed.status,
+    submittedAt,
+  };
+}
+
+/**
+ * Finalize one expired attempt: grade it, create the Result and run the
+ * post-attempt checks. The attempt is claimed with a lease so concurrent
+ * sweepers never finalize it twice; submittedAt is only set once the Result
+ * exists, so a failed run is retried after the lease lapses.
+ * @param {String} attemptId - Attempt ID
+ * @returns {Promise<Object|null>} - Finalization summary, or null if already handled
+ */
+export async function finalizeExpiredAttempt(attemptId) {
+  await connectMongoDB();
+
+  const claimed = await claimAttempt({
+    _id: attemptId,
+    status: { $in: ['started', 'time_expired'] },
+    endsAt: { $lte: new Date() },
+  });
+  if (!claimed) {
+    return null;
+  }
+
+  // A missing olympiad keeps the lease, so it is only retried once the lease lapses
+  return finalizeClaimedAttempt(claimed, {
+    // The attempt ended when its timer did, not when the sweeper noticed
+    submittedAt: claimed.endsAt,
+    fields: { status: 'time_expired', autoSubmitted: true },
+    eventType: 'auto_submit',
+    metadata: { reason: 'time_expired', endsAt: claimed.endsAt },
+  });
+}
+
+/**
+ * Submit an attempt on an admin's or proctor's behalf, graded from its saved
+ * answers and draft like an auto-submit
+ * @param {String} attemptId - Attempt ID
+ * @param {String} adminId - Admin user ID
+ * @returns {Promise<Object>} - { success, attemptStatus, submittedAt, resultId, totalScore } or { success: false, reason }
+ */
+export async function finalizeForcedAttempt(attemptId, adminId) {
+  await connectMongoDB();
+
+  const attempt = await Attempt.findById(attemptId).select('status submittedAt').lean();
+  if (!attempt) {
+    throw new Error('Attempt not found');
+  }
+
+  // Invalidated attempts stay invalidated; submitted ones already have a result
+  const claimed = await claimAttempt({ _id: attempt._id, status: { $nin: ['completed', 'admin_invalidated'] } });
+  if (!claimed) {
+    return {
+      success: false,
+      reason: attempt.submittedAt || attempt.status === 'completed'
+        ? 'Attempt already submitted'
+        : attempt.status === 'admin_invalidated'
+          ? 'Attempt was invalidated'
+          : 'Attempt is being submitted'
+    };
+  }
+
+  let finalized;
+  try {
+    finalized = await finalizeClaimedAttempt(claimed, {
+      submittedAt: new Date(),
+      fields: { adminSubmitted: true },
+      eventType: 'admin_force_submit',
+      metadata: { adminId, originalStatus: attempt.status },
+    });
+  } catch (error) {
+    // Let the admin retry right away instead of waiting for the lease
+    await releaseAttemptClaim(claimed._id);
+    throw error;
+  }
+  if (!finalized) {
+    await releaseAttemptClaim(claimed._id);
+    return { success: false, reason: 'Olympiad not found' };
+  }
+
+  return {
+    success: true,
+    attemptStatus: finalized.status,
+    submittedAt: finalized.submittedAt,
+    resultId: finalized.resultId,
+    totalScore: finalized.totalScore
+  };
+}
+
+/**
+ * Finalize every started attempt whose timer has run out, batch after batch,
+ * so a large olympiad ending at once is not spread over many ticks
+ * @returns {Promise<Number>} - Number of attempts finalized
+ */
+export async function sweepExpiredAttempts() {
+  if (sweepInProgress) return 0;
+  sweepInProgress = true;
+
+  let finalized = 0;
+  const deadline = Date.now() + SWEEP_TIME_BUDGET_MS;
+  try {
+    await connectMongoDB();
+
+    while (Date.now() < deadline) {
+      const now = new Date();
+      const cutoff = new Date(now.getTime() - EXPIRY_GRACE_MS);
+      // Claimed attempts drop out of this query, failed ones included until their lease lapses
+      const expired = await Attempt.find({
+        status: { $in: ['started', 'time_expired'] },
+        endsAt: { $lte: cutoff },
+        submittedAt: null,
+        ...unclaimedFilter(now),
+      })
+        .select('_id')
+        .sort({ endsAt: 1 })
+        .limit(SWEEP_BATCH_SIZE)
+        .lean();
+
+      for (const { _id } of expired) {
+        if (Date.now() >= deadline) break;
+        try {
+          if (await finalizeExpiredAttempt(_id)) {
+            finalized++;
+          }
+        } catch (error) {
+          console.error(`[Sweeper] Failed to finalize attempt ${_id}:`, error);
+        }
+      }
+
+      if (expired.length < SWEEP_BATCH_SIZE) break;
+    }
+  } finally {
+    sweepInProgress = false;
+  }
+
+  if (finalized > 0 && process.env.NODE_ENV === 'development') {
+    console.log(`[Sweeper] Auto-submitted ${finalized} expired attempt(s)`);
+  }
+  return finalized;
+}
+
+export default {
+  completeAttemptChecks,
+  claimAttempt,
+  releaseAttemptClaim,
+  finalizeExpiredAttempt,
+  finalizeForcedAttempt,
+  sweepExpiredAttempts,
+};
@@ -0,0 +1,100 @@
+/**
+ * Attempt Question Order
+ *
+ * Per-attempt question and option permutations. The permutation is generated
+ * once when the attempt starts and stored on the Attempt, so every endpoint
+ * maps the student's question index back to the same canonical question ID.
+ */
+
+import crypto from 'crypto';
+import { getChoiceList, ALWAYS_SHUFFLED_TYPES } from './question-types.js';
+import { groupQuestionsBySection } from './attempt-sections.js';
+
+/**
+ * Fisher-Yates shuffle using a CSPRNG (students must not predict the order)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - New shuffled array
+ */
+export function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Build the question order and option permutations for a new attempt.
+ * Sectioned olympiads keep each section's questions together (shuffled only
+ * within their section) so every section maps to a contiguous index range.
+ * @param {Array} questions - Olympiad questions in canonical order
+ * @param {Object} olympiad - Olympiad (reads shuffleQuestions / shuffleOptions / sections)
+ * @returns {Object} - { questionOrder, optionOrders, sectionGroups }
+ */
+export function buildAttemptQuestionOrder(questions, olympiad = {}) {
+  const canonicalIds = (questions || []).map((q) => q._id.toString());
+  const order = (ids) => (olympiad.shuffleQuestions ? shuffle(ids) : ids);
+
+  const sectionGroups = groupQuestionsBySection(canonicalIds, olympiad.sections)
+    .map((group) => ({ ...group, questionIds: order(group.questionIds) }))
+    .filter((group) => group.questionIds.length > 0);
+  const questionOrder = sectionGroups.length > 0
+    ? sectionGroups.flatMap((group) => group.questionIds)
+    : order(canonicalIds);
+
+  // Matching and ordering lists are stored in answer order, so they are
+  // always permuted; multiple-choice options only when the olympiad asks for it
+  const optionOrders = {};
+  for (const question of questions || []) {
+    const choiceCount = getChoiceList(question).length;
+    const shouldShuffle = ALWAYS_SHUFFLED_TYPES.includes(question.type) ||
+      (olympiad.shuffleOptions && question.type === 'multiple-choice');
+    if (shouldShuffle && choiceCount > 1) {
+      optionOrders[question._id.toString()] = shuffle([...Array(choiceCount).keys()]);
+    }
+  }
+
+  return { questionOrder, optionOrders, sectionGroups };
+}
+
+/**
+ * Get olympiad questions in the order served to this attempt.
+ * Attempts without a stored order (created before ordering existed) keep the
+ * canonical order. Questions added after the attempt started are not served.
+ * @param {Object} attempt - Attempt document
+ * @param {Array} questions - Olympiad questions in canonical order
+ * @returns {Array} - Questions in attempt order
+ */
+export function getAttemptQuestions(attempt, questions) {
+  const order = attempt?.questionOrder || [];
+  if (order.length === 0) {
+    return questions;
+  }
+
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  return order.map((id) => byId.get(id.toString())).filter(Boolean);
+}
+
+/**
+ * Get a question's choices (options, matching right-hand items or ordering
+ * items) in the order served to this attempt
+ * @param {Object} attempt - Attempt document
+ * @param {Object} question - Question
+ * @returns {Array} - Choices (see below if no valid permutation is stored)
+ */
+export function getAttemptOptions(attempt, question) {
+  const options = getChoiceList(question);
+  const permutation = attempt?.optionOrders?.[question._id.toString()];
+
+  const isPermutation = Array.isArray(permutation) &&
+    permutation.length === options.length &&
+    [...permutation].sort((a, b) => a - b).every((value, index) => value === index);
+
+  if (!isPermutation) {
+    // Never reveal the answer order of matching/ordering lists
+    return ALWAYS_SHUFFLED_TYPES.includes(question.type) ? shuffle(options) : options;
+  }
+
+  return permutation.map((index) => options[index]);
+}
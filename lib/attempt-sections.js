@@ -0,0 +1,360 @@
+/**
+ * Attempt Sections
+ *
+ * Sectioned olympiads split their questions into ordered sections, each with
+ * its own timer and navigation mode. The section schedule is fixed on the
+ * Attempt when it starts: every section covers a contiguous range of the
+ * attempt's question order and only the current section can be viewed or
+ * answered. A section is locked once its timer runs out or the student moves
+ * on early; time left in a section is never carried over to the next one.
+ */
+
+import { calculateEndTime } from './timer-service.js';
+
+export const SECTION_NAVIGATION_MODES = ['forward-only', 'free'];
+export const DEFAULT_SECTION_NAVIGATION = 'forward-only';
+
+function toId(value) {
+  return value?.toString?.() ?? String(value);
+}
+
+/**
+ * Validate the sections of an olympiad
+ * @param {Array} sections - [{ title, duration (seconds), navigation?, questions: [questionId] }]
+ * @param {Array} olympiadQuestionIds - Questions that belong to the olympiad
+ * @returns {Object} - { sections, duration } (duration = sum of section durations)
+ * @throws {Error} - If a section is malformed or a question is unknown or listed twice
+ */
+export function normalizeSections(sections, olympiadQuestionIds = []) {
+  if (!Array.isArray(sections)) {
+    throw new Error('sections must be an array');
+  }
+
+  const allowedIds = new Set(olympiadQuestionIds.map(toId));
+  const seen = new Set();
+
+  const normalized = sections.map((section, index) => {
+    const label = `Section ${index + 1}`;
+    if (!section || typeof section !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+
+    const title = typeof section.title === 'string' ? section.title.trim() : '';
+    if (!title) {
+      throw new Error(`${label}: title is required`);
+    }
+
+    const duration = Number(section.duration);
+    if (!Number.isInteger(duration) || duration <= 0) {
+      throw new Error(`${label}: duration must be a positive number of seconds`);
+    }
+
+    const navigation = section.navigation || DEFAULT_SECTION_NAVIGATION;
+    if (!SECTION_NAVIGATION_MODES.includes(navigation)) {
+      throw new Error(`${label}: navigation must be one of ${SECTION_NAVIGATION_MODES.join(', ')}`);
+    }
+
+    const questions = Array.isArray(section.questions) ? section.questions.map(toId) : [];
+    if (questions.length === 0) {
+      throw new Error(`${label}: at least one question is required`);
+    }
+    for (const questionId of questions) {
+      if (!allowedIds.has(questionId)) {
+        throw new Error(`${label}: question ${questionId} does not belong to this olympiad`);
+      }
+      if (seen.has(questionId)) {
+        throw new Error(`${label}: question ${questionId} is already assigned to a section`);
+      }
+      seen.add(questionId);
+    }
+
+    return {
+      ...(section._id && { _id: toId(section._id) }),
+      title,
+      duration,
+      navigation,
+      questions,
+    };
+  });
+
+  return {
+    sections: normalized,
+    duration: normalized.reduce((sum, section) => sum + section.duration, 0),
+  };
+}
+
+/**
+ * Split question IDs into the olympiad's sections, keeping the given order
+ * inside each section. Questions added to the olympiad without being assigned
+ * to a section join the last section.
+ * @param {Array} questionIds - Canonical question IDs
+ * @param {Array} sections - Olympiad sections
+ * @returns {Array} - [{ section, questionIds }] in section order (empty if not sectioned)
+ */
+export function groupQuestionsBySection(questionIds, sections = []) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return [];
+  }
+
+  const sectionByQuestion = new Map();
+  sections.forEach((section, index) => {
+    for (const questionId of section.questions || []) {
+      sectionByQuestion.set(toId(questionId), index);
+    }
+  });
+
+  const groups = sections.map((section) => ({ section, questionIds: [] }));
+  for (const questionId of questionIds) {
+    const index = sectionByQuestion.get(questionId) ?? sections.length - 1;
+    groups[index].questionIds.push(questionId);
+  }
+  return groups;
+}
+
+/**
+ * Build the section schedule stored on a new attempt. Section durations are
+ * scaled so they add up to the attempt's (possibly accommodated) duration.
+ * @param {Array} groups - Output of groupQuestionsBySection, in attempt order
+ * @param {Date} startedAt - Attempt start
+ * @param {Number} durationSeconds - Attempt duration
+ * @returns {Array} - Attempt sections; the first one is already open
+ */
+export function buildSectionSchedule(groups, startedAt, durationSeconds) {
+  if (!groups || groups.length === 0) {
+    return [];
+  }
+
+  const baseTotal = groups.reduce((sum, { section }) => sum + (section.duration || 0), 0);
+  const scale = baseTotal > 0 ? durationSeconds / baseTotal : 1;
+
+  let startIndex = 0;
+  let allocated = 0;
+  const schedule = groups.map(({ section, questionIds }, index) => {
+    const isLast = index === groups.length - 1;
+    // The last section absorbs rounding so the schedule matches endsAt exactly
+    const sectionDuration = isLast
+      ? durationSeconds - allocated
+      : Math.round((section.duration || 0) * scale);
+    allocated += sectionDuration;
+
+    const entry = {
+      sectionId: toId(section._id),
+      title: section.title,
+      navigation: section.navigation || DEFAULT_SECTION_NAVIGATION,
+      startIndex,
+      endIndex: startIndex + questionIds.length,
+      durationSeconds: sectionDuration,
+      startedAt: null,
+      endsAt: null,
+      endedAt: null,
+    };
+    startIndex = entry.endIndex;
+    return entry;
+  });
+
+  schedule[0].startedAt = new Date(startedAt);
+  schedule[0].endsAt = calculateEndTime(startedAt, schedule[0].durationSeconds);
+  return schedule;
+}
+
+export function isSectionedAttempt(attempt) {
+  return (attempt?.sections?.length || 0) > 0;
+}
+
+export function getCurrentSection(attempt) {
+  if (!isSectionedAttempt(attempt)) return null;
+  return attempt.sections[attempt.currentSectionIndex || 0] || null;
+}
+
+/**
+ * Lock a section and count the questions left in it as skipped
+ */
+function closeSection(attempt, section, at) {
+  section.endedAt = at;
+
+  const questionIds = (attempt.questionOrder || []).slice(section.startIndex, section.endIndex);
+  for (const questionId of questionIds) {
+    if (!attempt.answeredQuestions.includes(questionId) && !attempt.skippedQuestions.includes(questionId)) {
+      attempt.skippedQuestions.push(questionId);
+    }
+  }
+}
+
+function openSection(attempt, index, at) {
+  const section = attempt.sections[index];
+  section.startedAt = at;
+  section.endsAt = calculateEndTime(at, section.durationSeconds);
+  attempt.currentSectionIndex = index;
+  attempt.currentQuestionIndex = Math.max(attempt.currentQuestionIndex || 0, section.startIndex);
+}
+
+function markSectionsModified(attempt) {
+  if (typeof attempt.markModified === 'function') {
+    attempt.markModified('sections');
+  }
+}
+
+/**
+ * Move the attempt into whichever section the clock says it should be in.
+ * A section that ran out hands over to the next one at the moment it ended,
+ * so the schedule is the same no matter when the next request arrives.
+ * @param {Object} attempt - Attempt document (mutated; caller saves)
+ * @param {Date} now - Current server time
+ * @returns {Boolean} - True if the attempt changed
+ */
+export function syncAttemptSections(attempt, now = new Date()) {
+  if (!isSectionedAttempt(attempt)) return false;
+
+  let changed = false;
+  let index = attempt.currentSectionIndex || 0;
+  while (index < attempt.sections.length - 1) {
+    const section = attempt.sections[index];
+    if (!section.endsAt || new Date(section.endsAt) > now) break;
+
+    const endedAt = new Date(section.endsAt);
+    closeSection(attempt, section, endedAt);
+    index++;
+    openSection(attempt, index, endedAt);
+    changed = true;
+  }
+
+  if (changed) markSectionsModified(attempt);
+  return changed;
+}
+
+/**
+ * Finish the current section early and open the next one. Unused time in the
+ * finished section is forfeited, so the attempt end time moves forward.
+ * @param {Object} attempt - Attempt document (mutated; caller saves)
+ * @param {Date} now - Current server time
+ * @returns {Object} - The section that was opened
+ * @throws {Error} - If the attempt is not sectioned or is already in its last section
+ */
+export function advanceSection(attempt, now = new Date()) {
+  if (!isSectionedAttempt(attempt)) {
+    throw new Error('This olympiad has no sections');
+  }
+
+  syncAttemptSections(attempt, now);
+  const index = attempt.currentSectionIndex || 0;
+  if (index >= attempt.sections.length - 1) {
+    throw new Error('Already in the last section. Submit the olympiad to finish.');
+  }
+
+  closeSection(attempt, attempt.sections[index], now);
+  openSection(attempt, index + 1, now);
+
+  const remainingSeconds = attempt.sections
+    .slice(index + 1)
+    .reduce((sum, section) => sum + section.durationSeconds, 0);
+  attempt.endsAt = calculateEndTime(now, remainingSeconds);
+
+  markSectionsModified(attempt);
+  return attempt.sections[index + 1];
+}
+
+/**
+ * Spread extra time (e.g. an accommodation granted mid-attempt) over the
+ * current and upcoming sections in proportion to their durations
+ * @param {Object} attempt - Attempt document (mutated; caller saves)
+ * @param {Number} extraSeconds - Seconds to add
+ */
+export function extendAttemptSections(attempt, extraSeconds) {
+  if (!isSectionedAttempt(attempt) || extraSeconds <= 0) return;
+
+  syncAttemptSections(attempt);
+  const pending = attempt.sections.slice(attempt.currentSectionIndex || 0);
+  const pendingTotal = pending.reduce((sum, section) => sum + section.durationSeconds, 0);
+
+  let allocated = 0;
+  pending.forEach((section, index) => {
+    const share = index === pending.length - 1
+      ? extraSeconds - allocated
+      : Math.round(extraSeconds * (pendingTotal > 0 ? section.durationSeconds / pendingTotal : 0));
+    allocated += share;
+    section.durationSeconds += share;
+    if (section.startedAt) {
+      section.endsAt = calculateEndTime(section.startedAt, section.durationSeconds);
+    }
+  });
+
+  markSectionsModified(attempt);
+}
+
+/**
+ * Seconds given up by finishing sections before their timers ran out
+ * @param {Object} attempt - Attempt document
+ * @returns {Number} - Forfeited seconds
+ */
+export function getForfeitedSeconds(attempt) {
+  if (!isSectionedAttempt(attempt)) return 0;
+
+  return attempt.sections.reduce((sum, section) => {
+    if (!section.endedAt || !section.endsAt) return sum;
+    const unusedMs = new Date(section.endsAt) - new Date(section.endedAt);
+    return sum + Math.max(0, Math.round(unusedMs / 1000));
+  }, 0);
+}
+
+/**
+ * Exclusive end of the question range the student can currently move through
+ * @param {Object} attempt - Attempt document
+ * @param {Number} totalQuestions - Questions in the attempt
+ * @returns {Number} - End index of the current section (or of the whole attempt)
+ */
+export function getSectionEndIndex(attempt, totalQuestions) {
+  const section = getCurrentSection(attempt);
+  return section ? Math.min(section.endIndex, totalQuestions) : totalQuestions;
+}
+
+/**
+ * Check that a question index lies in the current section
+ * @param {Object} attempt - Attempt document (sections already synced)
+ * @param {Number} questionIndex - Requested question index
+ * @returns {Object} - { valid, freeNavigation } or { valid: false, error, code, ... }
+ */
+export function validateSectionAccess(attempt, questionIndex) {
+  const section = getCurrentSection(attempt);
+  if (!section) {
+    return { valid: true, freeNavigation: false };
+  }
+
+  if (questionIndex < section.startIndex) {
+    return {
+      valid: false,
+      error: 'This question belongs to a section that is already closed.',
+      code: 'SECTION_LOCKED',
+      currentSectionIndex: attempt.currentSectionIndex || 0,
+      currentQuestionIndex: attempt.currentQuestionIndex,
+      requestedQuestionIndex: questionIndex
+    };
+  }
+
+  if (questionIndex >= section.endIndex) {
+    return {
+      valid: false,
+      error: 'This question belongs to a section that has not started yet.',
+      code: 'SECTION_NOT_STARTED',
+      currentSectionIndex: attempt.currentSectionIndex || 0,
+      currentQuestionIndex: attempt.currentQuestionIndex,
+      requestedQuestionIndex: questionIndex
+    };
+  }
+
+  return { valid: true, freeNavigation: section.navigation === 'free' };
+}
+
+export default {
+  SECTION_NAVIGATION_MODES,
+  normalizeSections,
+  groupQuestionsBySection,
+  buildSectionSchedule,
+  isSectionedAttempt,
+  getCurrentSection,
+  syncAttemptSections,
+  advanceSection,
+  extendAttemptSections,
+  getForfeitedSeconds,
+  getSectionEndIndex,
+  validateSectionAccess,
+};
@@ -5,6 +5,8 @@ import { fileURLToPath } from 'url';
 import { readFileSync, existsSync } from 'fs';
 import connectMongoDB from './mongodb.js';
 import { findUserByIdWithoutPassword } from './user-helper.js';
+import AuthSession from '../models/AuthSession.js';
+import { isTwoFactorRequired } from './two-factor.js';
 
 // Ensure environment variables are loaded
 // Next.js automatically loads .env files, but we ensure it's loaded here too
@@ -134,7 +136,13 @@ function getJWTSecret() {
   return null;
 }
 
-export const generateToken = (id) => {
+/**
+ * Sign an access token. Tokens tied to a session (sid) are short-lived and die
+ * with the session; the refresh token renews them (lib/session-service.js).
+ * @param {String} id - User ID
+ * @param {String} sessionId - AuthSession ID
+ */
+export const generateToken = (id, sessionId = null) => {
   const secret = getJWTSecret();
   
   if (!secret) {
@@ -142,6 +150,12 @@ export const generateToken = (id) => {
     throw new Error('JWT_SECRET is not defined in environment variables. Please check your .env file and restart the server.');
   }
   
+  if (sessionId) {
+    return jwt.sign({ id, sid: sessionId }, secret, {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    });
+  }
+
   return jwt.sign({ id }, secret, {
     expiresIn: process.env.JWT_EXPIRE || '7d',
   });
@@ -159,36 +173,112 @@ export const verifyToken = (token) => {
   }
 };
 
-export const protect = async (req) => {
-  let token;
+/**
+ * Sign a short-lived token that proves one step of a sign-in (e.g. the password
+ * was right, the second factor is still missing). It never works as an access token.
+ * @param {String} id - User ID
+ * @param {String} purpose - 'two_factor_login' or 'two_factor_setup'
+ * @param {String} expiresIn - jsonwebtoken duration
+ */
+export const generateChallengeToken = (id, purpose, expiresIn = '5m') => {
+  const secret = getJWTSecret();
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in environment variables. Please check your .env file and restart the server.');
+  }
+  return jwt.sign({ id, purpose }, secret, { expiresIn });
+};
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+/**
+ * Resolve the user of a challenge token issued for the given purpose
+ * @returns {Promise<Object>} - { user } or { error, status }
+ */
+export const authenticateChallenge = async (token, purpose) => {
+  const decoded = token ? verifyToken(token) : null;
+  if (!decoded || decoded.purpose !== purpose) {
+    return { error: 'Sign-in step expired, please log in again', status: 401 };
   }
 
-  if (!token) {
-    return { error: 'Not authorized, no token', status: 401 };
+  await connectMongoDB();
+  const user = await findUserByIdWithoutPassword(decoded.id);
+  if (!user) {
+    return { error: 'User not found', status: 401 };
+  }
+  if (user.userBan) {
+    return { error: 'Your account has been banned', status: 403 };
   }
+  return { user };
+};
 
-  try {
-    const decoded = verifyToken(token);
-    if (!decoded) {
-      return { error: 'Not authorized, token failed', status: 401 };
+/**
+ * Resolve the user behind an already verified sign-in. Rejects banned users,
+ * staff who still have to enroll in required 2FA, revoked or expired sessions,
+ * and session-less sign-ins from before the user's tokensValidAfter. Long-lived
+ * connections call it directly, after their access token has expired.
+ * @param {String} userId - User ID
+ * @param {String|null} sessionId - AuthSession ID
+ * @param {Number} issuedAt - Token iat (seconds), checked for session-less sign-ins
+ * @returns {Promise<Object>} - { user, sessionId, issuedAt } or { error, status }
+ */
+export const authenticateSession = async (userId, sessionId, issuedAt) => {
+  await connectMongoDB();
+  const user = await findUserByIdWithoutPassword(userId);
+
+  if (!user) {
+    return { error: 'User not found', status: 401 };
+  }
+
+  if (user.userBan) {
+    return { error: 'Your account has been banned', status: 403 };
+  }
+
+  if (!user.twoFactorEnabled && isTwoFactorRequired(user)) {
+    return { error: 'Two-factor authentication is required for your role. Log in again to set it up.', status: 403 };
+  }
+
+  if (sessionId) {
+    const session = await AuthSession.findById(sessionId).select('userId revokedAt expiresAt').lean();
+    if (!session || session.revokedAt || session.expiresAt < new Date() || session.userId !== user._id) {
+      return { error: 'Session expired or revoked', status: 401 };
     }
+  } else if (user.tokensValidAfter && issuedAt * 1000 < new Date(user.tokensValidAfter).getTime()) {
+    return { error: 'Session expired or revoked', status: 401 };
+  }
 
-    await connectMongoDB();
-    const user = await findUserByIdWithoutPassword(decoded.id);
+  return { user, sessionId: sessionId || null, issuedAt };
+};
 
-    if (!user) {
-      return { error: 'User not found', status: 401 };
+/**
+ * Resolve the user of an access token (see authenticateSession for the checks)
+ * @param {String} token - Access token
+ * @returns {Promise<Object>} - { user, sessionId, issuedAt } or { error, status }
+ */
+export const authenticateToken = async (token) => {
+  try {
+    const decoded = verifyToken(token);
+    if (!decoded || decoded.purpose) {
+      return { error: 'Not authorized, token failed', status: 401 };
     }
 
-    return { user };
+    return await authenticateSession(decoded.id, decoded.sid || null, decoded.iat);
   } catch (error) {
     return { error: 'Not authorized, token failed', status: 401 };
   }
 };
 
+export const protect = async (req) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return { error: 'Not authorized, no token', status: 401 };
+  }
+
+  return authenticateToken(token);
+};
+
 export const authorize = (...roles) => {
   return (user) => {
     if (!roles.includes(user.role)) {
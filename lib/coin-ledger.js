@@ -0,0 +1,489 @@
+/**
+ * Coin Ledger
+ *
+ * Every change to User.coins goes through this module and is recorded as a
+ * CoinTransaction. Balances are changed with a single atomic $inc (debits are
+ * conditional on the balance covering them, so concurrent spends can never
+ * overdraw), and movements carrying an idempotency key are applied at most once.
+ *
+ * The ledger is the source of truth: the sum of a user's entries must equal
+ * User.coins. Balances that predate the ledger are carried over once as an
+ * opening_balance entry, and reconcileUserBalance reports any drift.
+ */
+
+import connectMongoDB from './mongodb.js';
+import User from '../models/User.js';
+import CoinTransaction from '../models/CoinTransaction.js';
+
+// Balance shown to users created before the coins field existed
+export const LEGACY_DEFAULT_COINS = 100;
+
+export const TRANSACTION_TYPES = ['purchase', 'purchase_reversal', 'promo_bonus', 'entry_fee', 'refund', 'admin_adjustment', 'signup_bonus', 'opening_balance'];
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function coinError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Give legacy users the balance they were always shown, so a debit's $inc
+ * never starts from a missing field
+ */
+async function ensureCoinBalance(userId) {
+  await User.updateOne({ _id: userId, coins: { $exists: false } }, { $set: { coins: LEGACY_DEFAULT_COINS } });
+}
+
+/**
+ * Carry a balance that predates the ledger over as its first entry, so the
+ * entries of every user add up to User.coins
+ */
+async function ensureOpeningBalance(userId) {
+  const key = userId.toString();
+  if (await CoinTransaction.exists({ userId: key })) return;
+
+  const user = await User.findById(userId).select('coins').lean();
+  if (!user) return;
+
+  try {
+    await CoinTransaction.create({
+      userId: key,
+      amount: user.coins,
+      type: 'opening_balance',
+      balanceAfter: user.coins,
+      reason: 'Balance before the coin ledger',
+      idempotencyKey: `opening_balance:${key}`,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Apply a signed coin movement and record it
+ * @param {String} userId - User ID
+ * @param {Number} amount - Positive to credit, negative to debit (whole coins)
+ * @param {Object} entry - { type, reason?, referenceType?, referenceId?, idempotencyKey?, createdBy? }
+ * @returns {Promise<Object>} - { transaction, balance, duplicate }
+ * @throws {Error} - code USER_NOT_FOUND or INSUFFICIENT_COINS
+ */
+async function applyCoinChange(userId, amount, entry) {
+  await connectMongoDB();
+
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new Error('Coin amount must be a non-zero whole number');
+  }
+
+  if (entry.idempotencyKey) {
+    const existing = await CoinTransaction.findOne({ idempotencyKey: entry.idempotencyKey }).lean();
+    if (existing) {
+      return { transaction: toPlain(existing), balance: existing.balanceAfter, duplicate: true };
+    }
+  }
+
+  await ensureCoinBalance(userId);
+  await ensureOpeningBalance(userId);
+
+  const filter = amount < 0 ? { _id: userId, coins: { $gte: -amount } } : { _id: userId };
+  const user = await User.findOneAndUpdate(filter, { $inc: { coins: amount } }, { new: true })
+    .select('coins')
+    .lean();
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    throw exists
+      ? coinError('Insufficient coins', 'INSUFFICIENT_COINS')
+      : coinError('User not found', 'USER_NOT_FOUND');
+  }
+
+  try {
+    const transaction = await CoinTransaction.create({
+      userId: userId.toString(),
+      amount,
+      type: entry.type,
+      balanceAfter: user.coins,
+      reason: entry.reason || null,
+      referenceType: entry.referenceType || null,
+      referenceId: entry.referenceId ? entry.referenceId.toString() : null,
+      idempotencyKey: entry.idempotencyKey || undefined,
+      createdBy: entry.createdBy ? entry.createdBy.toString() : null,
+    });
+    return { transaction: toPlain(transaction.toObject()), balance: user.coins, duplicate: false };
+  } catch (error) {
+    // A parallel call with the same key won; undo our balance change
+    await User.updateOne({ _id: userId }, { $inc: { coins: -amount } });
+    if (error.code === 11000 && entry.idempotencyKey) {
+      const existing = await CoinTransaction.findOne({ idempotencyKey: entry.idempotencyKey }).lean();
+      return { transaction: toPlain(existing), balance: existing.balanceAfter, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add coins to a user's balance
+ * @param {String} userId - User ID
+ * @param {Number} amount - Coins to add (> 0)
+ * @param {Object} entry - { type, reason?, referenceType?, referenceId?, idempotencyKey?, createdBy? }
+ */
+export async function creditCoins(userId, amount, entry) {
+  if (!(amount > 0)) {
+    throw new Error('Credit amount must be positive');
+  }
+  return applyCoinChange(userId, amount, entry);
+}
+
+/**
+ * Take coins from a user's balance; fails without side effects if the balance is too low
+ * @param {String} userId - User ID
+ * @param {Number} amount - Coins to take (> 0)
+ * @param {Object} entry - { type, reason?, referenceType?, referenceId?, idempotencyKey?, createdBy? }
+ */
+export async function debitCoins(userId, amount, entry) {
+  if (!(amount > 0)) {
+    throw new Error('Debit amount must be positive');
+  }
+  return applyCoinChange(userId, -amount, entry);
+}
+
+/**
+ * Credit a paid CoinPurchase (once per purchase, however often the provider retries)
+ * @param {Object} purchase - CoinPurchase document
+ */
+export async function creditPurchase(purchase) {
+  return creditCoins(purchase.userId.toString(), purchase.coins, {
+    type: 'purchase',
+    reason: `Purchased ${purchase.coins} coins via ${purchase.paymentProvider || 'payment'}`,
+    referenceType: 'coin_purchase',
+    referenceId: purchase._id,
+    idempotencyKey: `purchase:${purchase._id}`,
+  });
+}
+
+/**
+ * Take back the coins of a purchase the payment provider cancelled after it was
+ * paid, including any promo bonus the ledger shows was granted for it
+ * @param {Object} purchase - CoinPurchase document
+ * @throws {Error} - code INSUFFICIENT_COINS if the coins were already spent
+ */
+export async function reversePurchase(purchase) {
+  await connectMongoDB();
+
+  const bonus = await CoinTransaction.findOne({ idempotencyKey: `promo_bonus:${purchase._id}` })
+    .select('amount')
+    .lean();
+  const coins = purchase.coins + (bonus?.amount || 0);
+  return debitCoins(purchase.userId.toString(), coins, {
+    type: 'purchase_reversal',
+    reason: `Payment for ${coins} coins cancelled by ${purchase.paymentProvider || 'provider'}`,
+    referenceType: 'coin_purchase',
+    referenceId: purchase._id,
+    idempotencyKey: `purchase_reversal:${purchase._id}`,
+  });
+}
+
+/**
+ * Entry fee debits of a user for an olympiad that have not been refunded yet
+ * @returns {Promise<Array>} - Unrefunded entry_fee transactions
+ */
+export async function findUnrefundedEntryFees(userId, olympiadId) {
+  await connectMongoDB();
+
+  const fees = await CoinTransaction.find({
+    userId: userId.toString(),
+    type: 'entry_fee',
+    referenceType: 'olympiad',
+    referenceId: olympiadId.toString(),
+  }).lean();
+  if (fees.length === 0) return [];
+
+  const refunded = await CoinTransaction.find({
+    idempotencyKey: { $in: fees.map((fee) => `refund:${fee._id}`) },
+  }).select('idempotencyKey').lean();
+  const refundedKeys = new Set(refunded.map((refund) => refund.idempotencyKey));
+
+  return fees
+    .filter((fee) => !refundedKeys.has(`refund:${fee._id}`))
+    .map(toPlain);
+}
+
+/**
+ * Charge an olympiad's entry fee, unless it is free or the user already paid
+ * (a restarted attempt is not charged twice)
+ * @param {Object} olympiad - Olympiad (reads entryFee)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - { transaction, balance } or null if nothing was charged
+ * @throws {Error} - code INSUFFICIENT_COINS
+ */
+export async function chargeEntryFee(olympiad, userId) {
+  const fee = olympiad.entryFee || 0;
+  if (fee <= 0) return null;
+
+  const unrefunded = await findUnrefundedEntryFees(userId, olympiad._id);
+  if (unrefunded.length > 0) return null;
+
+  // Every earlier fee was refunded; the count keys this charge so parallel starts share it
+  const previousFees = await CoinTransaction.countDocuments({
+    userId: userId.toString(),
+    type: 'entry_fee',
+    referenceType: 'olympiad',
+    referenceId: olympiad._id.toString(),
+  });
+
+  const charge = await debitCoins(userId, fee, {
+    type: 'entry_fee',
+    reason: `Entry fee for ${olympiad.title}`,
+    referenceType: 'olympiad',
+    referenceId: olympiad._id,
+    idempotencyKey: `entry_fee:${olympiad._id}:${userId}:${previousFees}`,
+  });
+  // A parallel start already charged it; this caller must not refund it
+  return charge.duplicate ? null : charge;
+}
+
+/**
+ * Refund a single debit (at most once)
+ * @param {Object} transaction - The debit CoinTransaction
+ * @param {Object} options - { reason, createdBy }
+ * @returns {Promise<Object>} - { transaction, balance, duplicate }
+ */
+export async function refundTransaction(transaction, options = {}) {
+  if (!(transaction.amount < 0)) {
+    throw new Error('Only debits can be refunded');
+  }
+  return creditCoins(transaction.userId, -transaction.amount, {
+    type: 'refund',
+    reason: options.reason || 'Refund',
+    referenceType: 'coin_transaction',
+    referenceId: transaction._id,
+    idempotencyKey: `refund:${transaction._id}`,
+    createdBy: options.createdBy || null,
+  });
+}
+
+/**
+ * Refund every unrefunded entry fee a user paid for an olympiad
+ * @param {String} userId - User ID
+ * @param {String} olympiadId - Olympiad ID
+ * @param {Object} options - { reason, createdBy }
+ * @returns {Promise<Number>} - Coins refunded
+ */
+export async function refundEntryFees(userId, olympiadId, options = {}) {
+  const fees = await findUnrefundedEntryFees(userId, olympiadId);
+
+  let refunded = 0;
+  for (const fee of fees) {
+    const { duplicate } = await refundTransaction(fee, {
+      reason: options.reason || 'Entry fee refund',
+      createdBy: options.createdBy,
+    });
+    if (!duplicate) refunded += -fee.amount;
+  }
+  return refunded;
+}
+
+/**
+ * Refund the entry fees of everyone who paid for an olympiad (olympiad cancelled)
+ * @param {String} olympiadId - Olympiad ID
+ * @param {Object} options - { reason, createdBy }
+ * @returns {Promise<Object>} - { usersRefunded, coinsRefunded }
+ */
+export async function refundOlympiadEntryFees(olympiadId, options = {}) {
+  await connectMongoDB();
+
+  const userIds = await CoinTransaction.distinct('userId', {
+    type: 'entry_fee',
+    referenceType: 'olympiad',
+    referenceId: olympiadId.toString(),
+  });
+
+  let usersRefunded = 0;
+  let coinsRefunded = 0;
+  for (const userId of userIds) {
+    try {
+      const coins = await refundEntryFees(userId, olympiadId, options);
+      if (coins > 0) {
+        usersRefunded++;
+        coinsRefunded += coins;
+      }
+    } catch (error) {
+      console.error(`[CoinLedger] Failed to refund entry fee of user ${userId}:`, error);
+    }
+  }
+  return { usersRefunded, coinsRefunded };
+}
+
+/**
+ * Record the coins a new account starts with (the User.coins default)
+ * @param {Object} user - Freshly created user
+ * @returns {Promise<Object|null>} - The signup_bonus transaction, or null for a zero balance
+ */
+export async function recordSignupBonus(user) {
+  await connectMongoDB();
+
+  if (!(user.coins > 0)) return null;
+
+  const key = user._id.toString();
+  try {
+    const transaction = await CoinTransaction.create({
+      userId: key,
+      amount: user.coins,
+      type: 'signup_bonus',
+      balanceAfter: user.coins,
+      reason: 'Signup bonus',
+      idempotencyKey: `signup_bonus:${key}`,
+    });
+    return toPlain(transaction.toObject());
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return toPlain(await CoinTransaction.findOne({ idempotencyKey: `signup_bonus:${key}` }).lean());
+  }
+}
+
+/**
+ * Manual balance correction by staff; the reason is mandatory
+ * @param {String} userId - User ID
+ * @param {Number} amount - Signed whole coins; a debit cannot take the balance below 0
+ * @param {Object} options - { reason, createdBy }
+ * @returns {Promise<Object>} - { transaction, balance, duplicate }
+ * @throws {Error} - code USER_NOT_FOUND or INSUFFICIENT_COINS
+ */
+export async function adjustCoins(userId, amount, options = {}) {
+  const reason = typeof options.reason === 'string' ? options.reason.trim() : '';
+  if (!reason) {
+    throw new Error('A reason is required for balance adjustments');
+  }
+  return applyCoinChange(userId, amount, {
+    type: 'admin_adjustment',
+    reason,
+    referenceType: 'user',
+    referenceId: userId,
+    createdBy: options.createdBy || null,
+  });
+}
+
+/**
+ * A user's ledger entries, newest first
+ * @param {String} userId - User ID
+ * @param {Object} options - { page, limit, type }
+ * @returns {Promise<Object>} - { transactions, pagination }
+ */
+export async function getTransactionHistory(userId, options = {}) {
+  await connectMongoDB();
+
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit, 10) || 20));
+
+  const query = { userId: userId.toString() };
+  if (options.type) query.type = options.type;
+
+  const [transactions, total] = await Promise.all([
+    CoinTransaction.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CoinTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions: transactions.map(toPlain),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Sum of a user's ledger entries
+ * @returns {Promise<Object>} - { balance, transactionCount }
+ */
+export async function getLedgerBalance(userId) {
+  await connectMongoDB();
+
+  const [totals] = await CoinTransaction.aggregate([
+    { $match: { userId: userId.toString() } },
+    { $group: { _id: null, balance: { $sum: '$amount' }, transactionCount: { $sum: 1 } } },
+  ]);
+  return {
+    balance: totals?.balance || 0,
+    transactionCount: totals?.transactionCount || 0,
+  };
+}
+
+/**
+ * Compare User.coins with the ledger
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - { storedBalance, ledgerBalance, difference, consistent, transactionCount },
+ * null if the user does not exist. difference > 0 means User.coins holds more than the ledger explains.
+ */
+export async function reconcileUserBalance(userId) {
+  await connectMongoDB();
+
+  if (!(await User.exists({ _id: userId }))) return null;
+
+  await ensureCoinBalance(userId);
+  await ensureOpeningBalance(userId);
+
+  const user = await User.findById(userId).select('coins').lean();
+  const ledger = await getLedgerBalance(userId);
+  const difference = user.coins - ledger.balance;
+
+  return {
+    storedBalance: user.coins,
+    ledgerBalance: ledger.balance,
+    difference,
+    consistent: difference === 0,
+    transactionCount: ledger.transactionCount,
+  };
+}
+
+/**
+ * Reset User.coins to the ledger sum. Only applies if the stored balance is
+ * still the one that was audited, so a movement in between is never lost.
+ * @param {String} userId - User ID
+ * @param {Number} expectedBalance - storedBalance from reconcileUserBalance
+ * @returns {Promise<Object|null>} - Fresh reconciliation, or null if the balance changed meanwhile
+ * @throws {Error} - If the ledger sums to a negative balance
+ */
+export async function restoreBalanceFromLedger(userId, expectedBalance) {
+  const before = await reconcileUserBalance(userId);
+  if (!before || before.storedBalance !== expectedBalance) return null;
+  if (before.consistent) return before;
+  if (before.ledgerBalance < 0) {
+    throw new Error('Ledger balance is negative; correct it with an adjustment instead');
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, coins: expectedBalance },
+    { $set: { coins: before.ledgerBalance } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  return reconcileUserBalance(userId);
+}
+
+export default {
+  creditCoins,
+  debitCoins,
+  creditPurchase,
+  reversePurchase,
+  findUnrefundedEntryFees,
+  chargeEntryFee,
+  refundTransaction,
+  refundEntryFees,
+  refundOlympiadEntryFees,
+  recordSignupBonus,
+  adjustCoins,
+  getTransactionHistory,
+  getLedgerBalance,
+  reconcileUserBalance,
+  restoreBalanceFromLedger,
+};
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import CoinPackage from '../models/CoinPackage.js';
+
+const MAX_PACKAGE_COINS = 100000;
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Validate a package payload; on update only the given fields are checked
+ * @param {Object} data - { name, coins, priceUzs, description, active, sortOrder }
+ * @param {Boolean} partial - Update (fields optional) instead of create
+ * @returns {Object} - Fields to write
+ * @throws {Error} - On the first invalid field
+ */
+function normalizePackage(data = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new Error('name is required');
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (!partial || data.coins !== undefined) {
+    const coins = Number(data.coins);
+    if (!Number.isInteger(coins) || coins < 1 || coins > MAX_PACKAGE_COINS) {
+      throw new Error(`coins must be a whole number between 1 and ${MAX_PACKAGE_COINS}`);
+    }
+    fields.coins = coins;
+  }
+
+  if (!partial || data.priceUzs !== undefined) {
+    const priceUzs = Number(data.priceUzs);
+    if (!Number.isInteger(priceUzs) || priceUzs < 1000) {
+      throw new Error('priceUzs must be a whole number of so\'m (1000 or more)');
+    }
+    fields.priceUzs = priceUzs;
+  }
+
+  if (data.description !== undefined) {
+    fields.description = hasValue(data.description) ? String(data.description).trim() : null;
+  }
+
+  if (data.active !== undefined) {
+    fields.active = Boolean(data.active);
+  }
+
+  if (data.sortOrder !== undefined) {
+    const sortOrder = hasValue(data.sortOrder) ? Number(data.sortOrder) : 0;
+    if (!Number.isInteger(sortOrder)) {
+      throw new Error('sortOrder must be a whole number');
+    }
+    fields.sortOrder = sortOrder;
+  }
+
+  return fields;
+}
+
+/**
+ * Price list, cheapest first within the same sortOrder
+ * @param {Object} options - { includeInactive }
+ */
+export async function listCoinPackages({ includeInactive = false } = {}) {
+  await connectMongoDB();
+  const query = includeInactive ? {} : { active: true };
+  const packages = await CoinPackage.find(query).sort({ sortOrder: 1, priceUzs: 1 }).lean();
+  return packages.map(toPlain);
+}
+
+export async function findCoinPackageById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const coinPackage = await CoinPackage.findById(id).lean();
+  if (!coinPackage) return null;
+  return toPlain(coinPackage);
+}
+
+export async function createCoinPackage(data, createdBy) {
+  await connectMongoDB();
+  const coinPackage = await CoinPackage.create({
+    ...normalizePackage(data),
+    createdBy: createdBy ? createdBy.toString() : null,
+  });
+  return toPlain(coinPackage.toObject());
+}
+
+/**
+ * @returns {Promise<Object|null>} - Updated package, null if not found
+ * @throws {Error} - If a field is invalid
+ */
+export async function updateCoinPackage(id, data) {
+  const fields = normalizePackage(data, true);
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  await connectMongoDB();
+  const coinPackage = await CoinPackage.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+  if (!coinPackage) return null;
+  return toPlain(coinPackage);
+}
+
+export default {
+  listCoinPackages,
+  findCoinPackageById,
+  createCoinPackage,
+  updateCoinPackage,
+};
@@ -17,8 +17,52 @@ export const sendCsv = (res, filename, headers, rows) => {
   res.status(200).send(csv);
 };
 
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows of strings.
+ * Blank lines are skipped; a leading BOM is dropped.
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
 export default {
   toCsvValue,
   buildCsv,
   sendCsv,
+  parseCsv,
 };
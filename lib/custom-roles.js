@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import Role from '../models/Role.js';
+import RoleAssignment from '../models/RoleAssignment.js';
+import Olympiad from '../models/Olympiad.js';
+import School from '../models/School.js';
+import User from '../models/User.js';
+import { CAPABILITIES, OWNER_ONLY_CAPABILITIES, SCOPE_TYPES } from './permissions.js';
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function invalidRole(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ROLE';
+  return error;
+}
+
+/**
+ * Validate a role payload; on update only the given fields are checked
+ * @param {Object} data - { name, description, capabilities }
+ * @param {Boolean} partial - Update (fields optional) instead of create
+ * @returns {Object} - Fields to write
+ * @throws {Error} - code INVALID_ROLE on the first invalid field
+ */
+function normalizeRole(data = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw invalidRole('name is required');
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (data.description !== undefined) {
+    fields.description = data.description ? String(data.description).trim() : null;
+  }
+
+  if (!partial || data.capabilities !== undefined) {
+    if (!Array.isArray(data.capabilities) || data.capabilities.length === 0) {
+      throw invalidRole('capabilities must be a non-empty array');
+    }
+    const unknown = data.capabilities.filter((capability) => !CAPABILITIES[capability]);
+    if (unknown.length > 0) {
+      throw invalidRole(`Unknown capabilities: ${unknown.join(', ')}`);
+    }
+    const ownerOnly = data.capabilities.filter((capability) => OWNER_ONLY_CAPABILITIES.includes(capability));
+    if (ownerOnly.length > 0) {
+      throw invalidRole(`These capabilities cannot be delegated: ${ownerOnly.join(', ')}`);
+    }
+    fields.capabilities = [...new Set(data.capabilities)];
+  }
+
+  return fields;
+}
+
+/**
+ * Check that an assignment scope points at something real
+ * @returns {Promise<Object>} - { scopeType, scopeId }
+ * @throws {Error} - code INVALID_ROLE
+ */
+async function normalizeScope(scopeType = 'global', scopeId = null) {
+  if (!SCOPE_TYPES.includes(scopeType)) {
+    throw invalidRole(`scopeType must be one of: ${SCOPE_TYPES.join(', ')}`);
+  }
+  if (scopeType === 'global') {
+    return { scopeType, scopeId: null };
+  }
+
+  const id = typeof scopeId === 'string' ? scopeId.trim() : '';
+  if (!id) {
+    throw invalidRole(`scopeId is required for a ${scopeType} scope`);
+  }
+
+  if (scopeType === 'olympiad') {
+    const exists = mongoose.Types.ObjectId.isValid(id) && await Olympiad.exists({ _id: id });
+    if (!exists) throw invalidRole('Olympiad not found');
+  }
+  if (scopeType === 'school') {
+    const exists = mongoose.Types.ObjectId.isValid(id) && await School.exists({ _id: id });
+    if (!exists) throw invalidRole('School not found');
+  }
+  if (scopeType === 'university') {
+    const exists = mongoose.Types.ObjectId.isValid(id) && await User.exists({ _id: id, role: 'university' });
+    if (!exists) throw invalidRole('University account not found');
+  }
+
+  return { scopeType, scopeId: id };
+}
+
+/**
+ * Custom roles with how many users hold each
+ */
+export async function listRoles() {
+  await connectMongoDB();
+  const roles = await Role.find({}).sort({ name: 1 }).lean();
+  const counts = await RoleAssignment.aggregate([{ $group: { _id: '$roleId', count: { $sum: 1 } } }]);
+  const countByRole = new Map(counts.map((entry) => [entry._id, entry.count]));
+  return roles.map((role) => ({ ...toPlain(role), assignmentCount: countByRole.get(role._id.toString()) || 0 }));
+}
+
+export async function findRoleById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const role = await Role.findById(id).lean();
+  return role ? toPlain(role) : null;
+}
+
+export async function createRole(data, createdBy) {
+  const fields = normalizeRole(data);
+  await connectMongoDB();
+  if (await Role.exists({ name: fields.name })) {
+    throw invalidRole('A role with this name already exists');
+  }
+  const role = await Role.create({ ...fields, createdBy: createdBy ? createdBy.toString() : null });
+  return toPlain(role.toObject());
+}
+
+/**
+ * @returns {Promise<Object|null>} - Updated role, null if not found
+ * @throws {Error} - code INVALID_ROLE if a field is invalid
+ */
+export async function updateRole(id, data) {
+  const fields = normalizeRole(data, true);
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  await connectMongoDB();
+  if (fields.name && await Role.exists({ name: fields.name, _id: { $ne: id } })) {
+    throw invalidRole('A role with this name already exists');
+  }
+  const role = await Role.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+  return role ? toPlain(role) : null;
+}
+
+/**
+ * Delete a role and take it away from everyone holding it
+ * @returns {Promise<Number|null>} - Assignments removed, null if not found
+ */
+export async function deleteRole(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const role = await Role.findByIdAndDelete(id);
+  if (!role) return null;
+  const result = await RoleAssignment.deleteMany({ roleId: id });
+  return result.deletedCount;
+}
+
+/**
+ * Custom roles a user holds, with the role name and capabilities
+ */
+export async function listUserAssignments(userId) {
+  await connectMongoDB();
+  const assignments = await RoleAssignment.find({ userId: userId.toString() }).sort({ createdAt: 1 }).lean();
+  const roles = await Role.find({ _id: { $in: assignments.map((a) => a.roleId) } }).lean();
+  const rolesById = new Map(roles.map((role) => [role._id.toString(), role]));
+  return assignments.map((assignment) => {
+    const role = rolesById.get(assignment.roleId);
+    return {
+      ...toPlain(assignment),
+      roleName: role ? role.name : null,
+      capabilities: role ? role.capabilities : [],
+    };
+  });
+}
+
+/**
+ * Give a user a custom role within a scope
+ * @param {String} userId - User ID
+ * @param {Object} data - { roleId, scopeType, scopeId }
+ * @param {String} grantedBy - Owner ID
+ * @throws {Error} - code INVALID_ROLE
+ */
+export async function assignRole(userId, { roleId, scopeType, scopeId } = {}, grantedBy = null) {
+  const role = await findRoleById(roleId);
+  if (!role) {
+    throw invalidRole('Role not found');
+  }
+  const scope = await normalizeScope(scopeType, scopeId);
+
+  await connectMongoDB();
+  try {
+    const assignment = await RoleAssignment.create({
+      userId: userId.toString(),
+      roleId: role._id,
+      ...scope,
+      grantedBy: grantedBy ? grantedBy.toString() : null,
+    });
+    return { ...toPlain(assignment.toObject()), roleName: role.name, capabilities: role.capabilities };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw invalidRole('User already has this role in this scope');
+    }
+    throw error;
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} - The removed assignment, null if the user has no such assignment
+ */
+export async function revokeAssignment(userId, assignmentId) {
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) return null;
+  await connectMongoDB();
+  const assignment = await RoleAssignment.findOneAndDelete({ _id: assignmentId, userId: userId.toString() }).lean();
+  return assignment ? toPlain(assignment) : null;
+}
+
+export default {
+  listRoles,
+  findRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  listUserAssignments,
+  assignRole,
+  revokeAssignment,
+};
@@ -6,7 +6,10 @@
 
 import Attempt from '../models/Attempt.js';
 import { createAuditLog } from './audit-logger.js';
+import { refundEntryFees } from './coin-ledger.js';
 import connectMongoDB from './mongodb.js';
+import { getTimerStatus } from './timer-service.js';
+import { finalizeForcedAttempt } from './attempt-finalizer.js';
 
 /**
  * Pause attempt (stops timer)
@@ -34,6 +37,11 @@ export async function pauseAttempt(attemptId, reason, adminId) {
   attempt.pausedAt = new Date();
   attempt.pausedBy = adminId;
   attempt.pauseReason = reason;
+  attempt.pauses.push({
+    pausedAt: attempt.pausedAt,
+    pausedBy: adminId,
+    reason
+  });
 
   await attempt.save();
 
@@ -53,17 +61,19 @@ export async function pauseAttempt(attemptId, reason, adminId) {
   return {
     success: true,
     attemptStatus: attempt.status,
-    pausedAt: attempt.pausedAt
+    userId: attempt.userId,
+    pausedAt: attempt.pausedAt,
+    pauseCount: attempt.pauses.length
   };
 }
 
 /**
- * Force submit attempt (even if time expired or violations)
+ * Resume a paused attempt; the deadline moves by the time spent paused
  * @param {String} attemptId - Attempt ID
  * @param {String} adminId - Admin user ID
- * @returns {Promise<Object>} - Force submit result
+ * @returns {Promise<Object>} - Resume result
  */
-export async function forceSubmitAttempt(attemptId, adminId) {
+export async function resumeAttempt(attemptId, adminId) {
   await connectMongoDB();
 
   const attempt = await Attempt.findById(attemptId);
@@ -71,40 +81,91 @@ export async function forceSubmitAttempt(attemptId, adminId) {
     throw new Error('Attempt not found');
   }
 
-  if (attempt.status === 'completed') {
+  if (attempt.status !== 'paused') {
     return {
       success: false,
-      reason: 'Attempt already completed'
+      reason: `Cannot resume attempt with status: ${attempt.status}`
     };
   }
 
-  attempt.status = 'completed';
-  attempt.submittedAt = new Date();
-  attempt.completedAt = new Date();
-  attempt.adminSubmitted = true;
+  const resumedAt = new Date();
+  const openPause = attempt.pauses.find((entry) => !entry.resumedAt);
+  // Paused before pauses were recorded
+  const pause = openPause
+    ? openPause.toObject()
+    : { pausedAt: attempt.pausedAt || resumedAt, pausedBy: attempt.pausedBy || null, reason: attempt.pauseReason || null };
+  const pausedMs = Math.max(0, resumedAt - pause.pausedAt);
 
-  await attempt.save();
+  const update = {
+    status: 'started',
+    endsAt: new Date(attempt.endsAt.getTime() + pausedMs)
+  };
+  // The running section's timer was stopped too
+  (attempt.sections || []).forEach((section, index) => {
+    if (section.endsAt && !section.endedAt) {
+      update[`sections.${index}.endsAt`] = new Date(section.endsAt.getTime() + pausedMs);
+    }
+  });
+
+  // Conditional on the state read above, so parallel resumes cannot both move the deadline
+  const filter = { _id: attempt._id, status: 'paused', endsAt: attempt.endsAt };
+  let changes;
+  if (openPause) {
+    filter.pauses = { $elemMatch: { pausedAt: pause.pausedAt, resumedAt: null } };
+    changes = { $set: { ...update, 'pauses.$.resumedAt': resumedAt, 'pauses.$.resumedBy': adminId } };
+  } else {
+    changes = { $set: update, $push: { pauses: { ...pause, resumedAt, resumedBy: adminId } } };
+  }
+
+  const resumed = await Attempt.findOneAndUpdate(filter, changes, { new: true });
+  if (!resumed) {
+    const current = await Attempt.findById(attempt._id).select('status').lean();
+    return {
+      success: false,
+      reason: `Cannot resume attempt with status: ${current?.status || 'unknown'}`
+    };
+  }
 
   // Log to audit
   await createAuditLog({
     attemptId: attempt._id,
     userId: attempt.userId,
     olympiadId: attempt.olympiadId,
-    eventType: 'admin_force_submit',
+    eventType: 'admin_resume',
     metadata: {
       adminId,
-      submittedAt: attempt.submittedAt,
-      originalStatus: attempt.status
+      pausedAt: pause.pausedAt,
+      resumedAt,
+      pausedSeconds: Math.round(pausedMs / 1000),
+      pauseCount: resumed.pauses.length,
+      endsAt: resumed.endsAt
     }
   });
 
   return {
     success: true,
-    attemptStatus: attempt.status,
-    submittedAt: attempt.submittedAt
+    attemptStatus: resumed.status,
+    userId: resumed.userId,
+    resumedAt,
+    pausedSeconds: Math.round(pausedMs / 1000),
+    endsAt: resumed.endsAt,
+    pauses: resumed.pauses.map((entry) => entry.toObject()),
+    timer: getTimerStatus(resumed.endsAt, resumed)
   };
 }
 
+/**
+ * Force submit attempt (even if time expired or violations). It is graded from
+ * its saved answers and draft, gets a Result and runs the post-attempt checks,
+ * the same as an auto-submit.
+ * @param {String} attemptId - Attempt ID
+ * @param {String} adminId - Admin user ID
+ * @returns {Promise<Object>} - Force submit result
+ */
+export async function forceSubmitAttempt(attemptId, adminId) {
+  return finalizeForcedAttempt(attemptId, adminId);
+}
+
 /**
  * Invalidate attempt
  * @param {String} attemptId - Attempt ID
@@ -127,6 +188,12 @@ export async function invalidateAttempt(attemptId, reason, adminId) {
 
   await attempt.save();
 
+  // The student is not charged for an attempt that does not count
+  const coinsRefunded = await refundEntryFees(attempt.userId, attempt.olympiadId, {
+    reason: 'Attempt invalidated by admin',
+    createdBy: adminId
+  });
+
   // Log to audit
   await createAuditLog({
     attemptId: attempt._id,
@@ -136,13 +203,61 @@ export async function invalidateAttempt(attemptId, reason, adminId) {
     metadata: {
       reason,
       adminId,
-      invalidatedAt: attempt.invalidatedAt
+      invalidatedAt: attempt.invalidatedAt,
+      coinsRefunded
+    }
+  });
+
+  return {
+    success: true,
+    attemptStatus: attempt.status,
+    invalidatedAt: attempt.invalidatedAt,
+    coinsRefunded
+  };
+}
+
+/**
+ * Warn the student of an attempt (the attempt stays valid)
+ * @param {String} attemptId - Attempt ID
+ * @param {String} message - Warning shown to the student
+ * @param {String} adminId - Admin user ID
+ * @returns {Promise<Object>} - Warning result
+ */
+export async function warnAttempt(attemptId, message, adminId) {
+  await connectMongoDB();
+
+  const attempt = await Attempt.findById(attemptId);
+  if (!attempt) {
+    throw new Error('Attempt not found');
+  }
+
+  const warning = {
+    message,
+    issuedBy: adminId,
+    issuedAt: new Date()
+  };
+  attempt.warnings.push(warning);
+
+  await attempt.save();
+
+  // Log to audit
+  await createAuditLog({
+    attemptId: attempt._id,
+    userId: attempt.userId,
+    olympiadId: attempt.olympiadId,
+    eventType: 'admin_warn',
+    metadata: {
+      message,
+      adminId,
+      issuedAt: warning.issuedAt,
+      warningCount: attempt.warnings.length
     }
   });
 
   return {
     success: true,
     attemptStatus: attempt.status,
-    invalidatedAt: attempt.invalidatedAt
+    warning,
+    warningCount: attempt.warnings.length
   };
 }
@@ -49,6 +49,11 @@ export async function createOlympiad(olympiadData) {
     status,
     createdBy: olympiadData.createdBy,
     olympiadLogo: olympiadData.olympiadLogo?.trim() || null,
+    shuffleQuestions: Boolean(olympiadData.shuffleQuestions),
+    shuffleOptions: Boolean(olympiadData.shuffleOptions),
+    entryFee: olympiadData.entryFee || 0,
+    antiCheatPolicyId: olympiadData.antiCheatPolicyId || null,
+    ...(olympiadData.registration && { registration: olympiadData.registration }),
   });
 
   const doc = olympiad.toObject();
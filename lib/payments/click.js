@@ -0,0 +1,179 @@
+/**
+ * Click payment provider
+ *
+ * Click calls the webhook twice per payment: Prepare (action 0) reserves the
+ * order, Complete (action 1) reports the result. Both are signed with an MD5 of
+ * the request fields and the secret key. Refunds go through Click's merchant API
+ * payment reversal.
+ */
+
+import crypto from 'crypto';
+import connectMongoDB from '../mongodb.js';
+import CoinPurchase from '../../models/CoinPurchase.js';
+import { settlePurchase, cancelPaidPurchase } from './core.js';
+
+const CLICK_API_URL = 'https://api.click.uz/v2/merchant';
+
+function md5(str) {
+  return crypto.createHash('md5').update(str).digest('hex');
+}
+
+function sendClick(res, status, fields) {
+  res.status(status).send(Object.entries(fields).map(([key, value]) => `${key}=${value}`).join('&'));
+}
+
+/**
+ * Find the order of a Click callback; Click may only pay Click orders
+ */
+async function findOrder(merchantTransId) {
+  const purchase = await CoinPurchase.findOne({ orderId: merchantTransId });
+  if (!purchase || purchase.paymentProvider !== 'click') return null;
+  return purchase;
+}
+
+async function prepare(body, res) {
+  const reply = {
+    click_trans_id: body.click_trans_id,
+    merchant_trans_id: body.merchant_trans_id,
+  };
+
+  const purchase = await findOrder(body.merchant_trans_id);
+  if (!purchase || purchase.status !== 'pending') {
+    return sendClick(res, 200, { error: -5, error_note: 'Order not found' });
+  }
+  if (Math.abs(parseFloat(body.amount) - purchase.amountUzs) > 0.01) {
+    return sendClick(res, 200, { error: -2, error_note: 'Incorrect amount' });
+  }
+
+  // A retried Prepare keeps the id Click already has
+  if (!purchase.clickPrepareId) {
+    purchase.clickPrepareId = Date.now();
+  }
+  purchase.clickTransId = String(body.click_trans_id);
+  purchase.clickPaydocId = body.click_paydoc_id ? String(body.click_paydoc_id) : null;
+  await purchase.save();
+
+  return sendClick(res, 200, {
+    ...reply,
+    merchant_prepare_id: purchase.clickPrepareId,
+    error: 0,
+    error_note: 'Success',
+  });
+}
+
+async function complete(body, res) {
+  const reply = {
+    click_trans_id: body.click_trans_id,
+    merchant_trans_id: body.merchant_trans_id,
+  };
+
+  const purchase = await findOrder(body.merchant_trans_id);
+  if (!purchase || String(purchase.clickPrepareId) !== String(body.merchant_prepare_id)) {
+    return sendClick(res, 200, { error: -6, error_note: 'Transaction not found' });
+  }
+
+  // Click reports a failed payment with a non-zero error
+  if (parseInt(body.error, 10) !== 0) {
+    await CoinPurchase.updateOne({ _id: purchase._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+    return sendClick(res, 200, { ...reply, merchant_confirm_id: '', error: -9, error_note: 'Cancelled' });
+  }
+
+  if (purchase.status === 'pending') {
+    await settlePurchase(purchase);
+  }
+
+  const current = await CoinPurchase.findById(purchase._id).select('status').lean();
+  if (current.status !== 'paid') {
+    return sendClick(res, 200, { ...reply, merchant_confirm_id: '', error: -9, error_note: 'Transaction cancelled' });
+  }
+  return sendClick(res, 200, {
+    ...reply,
+    merchant_confirm_id: purchase.clickPrepareId,
+    error: 0,
+    error_note: 'Success',
+  });
+}
+
+/**
+ * Return the money through Click's merchant API
+ */
+async function reverseClickPayment(purchase) {
+  const merchantUserId = process.env.CLICK_MERCHANT_USER_ID;
+  if (!merchantUserId || !purchase.clickPaydocId) {
+    throw new Error('Click refunds need CLICK_MERCHANT_USER_ID and a Click payment id on the purchase');
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const digest = crypto.createHash('sha1').update(`${timestamp}${process.env.CLICK_SECRET_KEY}`).digest('hex');
+  const response = await fetch(
+    `${CLICK_API_URL}/payment/reversal/${process.env.CLICK_SERVICE_ID}/${purchase.clickPaydocId}`,
+    {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        Auth: `${merchantUserId}:${digest}:${timestamp}`,
+      },
+    }
+  );
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.error_code !== 0) {
+    throw new Error(`Click reversal failed: ${data.error_note || response.status}`);
+  }
+}
+
+const clickProvider = {
+  name: 'click',
+  label: 'Click',
+  defaultReturnPath: '/buy-coins?success=1',
+
+  isConfigured() {
+    return Boolean(process.env.CLICK_MERCHANT_ID && process.env.CLICK_SERVICE_ID && process.env.CLICK_SECRET_KEY);
+  },
+
+  buildCheckoutUrl(purchase, returnUrl) {
+    const params = new URLSearchParams({
+      merchant_id: process.env.CLICK_MERCHANT_ID,
+      service_id: process.env.CLICK_SERVICE_ID,
+      amount: purchase.amountUzs.toFixed(2), // Amount in so'm (e.g. 125000.00)
+      transaction_param: purchase.orderId,
+      return_url: returnUrl,
+    });
+    return `https://my.click.uz/services/pay?${params.toString()}`;
+  },
+
+  // Complete signs merchant_prepare_id as well; the amount is signed as sent
+  verifySignature(req) {
+    const body = req.body || {};
+    if (String(body.service_id) !== String(process.env.CLICK_SERVICE_ID)) return false;
+
+    const prepareId = parseInt(body.action, 10) === 1 ? (body.merchant_prepare_id ?? '') : '';
+    const expected = md5(
+      `${body.click_trans_id}${body.service_id}${process.env.CLICK_SECRET_KEY}${body.merchant_trans_id}${prepareId}${body.amount}${body.action}${body.sign_time || ''}`
+    );
+    return expected === body.sign_string;
+  },
+
+  async handleCallback(req, res) {
+    const body = req.body || {};
+    if (!body.merchant_trans_id) {
+      return sendClick(res, 400, { error: -8, error_note: 'Invalid params' });
+    }
+    if (!this.verifySignature(req)) {
+      return sendClick(res, 400, { error: -1, error_note: 'Bad sign' });
+    }
+
+    await connectMongoDB();
+
+    const action = parseInt(body.action, 10);
+    if (action === 0) return prepare(body, res);
+    if (action === 1) return complete(body, res);
+    return sendClick(res, 400, { error: -8, error_note: 'Unknown action' });
+  },
+
+  async refund(purchase) {
+    return cancelPaidPurchase(purchase, { refundPayment: reverseClickPayment });
+  },
+};
+
+export default clickProvider;
@@ -0,0 +1,180 @@
+/**
+ * Payment core
+ *
+ * What every payment provider shares: pricing from the coin package list,
+ * order creation, return URL resolution and the two steps that move coins. settlePurchase and
+ * cancelPaidPurchase pair the CoinPurchase status change with the ledger
+ * movement: the status is claimed with a conditional update so only one
+ * callback wins, the ledger entry is idempotent per purchase, and a failed
+ * credit puts the status back so the provider can retry.
+ */
+
+import crypto from 'crypto';
+import connectMongoDB from '../mongodb.js';
+import CoinPurchase from '../../models/CoinPurchase.js';
+import { creditPurchase, reversePurchase } from '../coin-ledger.js';
+import { findCoinPackageById } from '../coin-packages.js';
+import { checkPromoCode, redeemPromoBonus, reversePromoRedemption } from '../promo-codes.js';
+
+function invalidPurchase(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PURCHASE';
+  return error;
+}
+
+/**
+ * Price a purchase request server-side: the client only picks a package and
+ * optionally a promo code
+ * @param {Object} body - { packageId, promoCode? }
+ * @param {String} userId - Buyer
+ * @returns {Promise<Object>} - { coinPackage, promo } (promo: { promoCodeId, code, bonusCoins } or null)
+ * @throws {Error} - code INVALID_PURCHASE for an unknown package, INVALID_PROMO for an unusable code
+ */
+export async function resolvePurchaseRequest(body = {}, userId) {
+  if (!body.packageId) {
+    throw invalidPurchase('packageId is required');
+  }
+
+  const coinPackage = await findCoinPackageById(body.packageId);
+  if (!coinPackage || !coinPackage.active) {
+    throw invalidPurchase('Coin package not available');
+  }
+
+  const promo = body.promoCode ? await checkPromoCode(body.promoCode, coinPackage, userId) : null;
+  return { coinPackage, promo };
+}
+
+export function getFrontendBaseUrl(req) {
+  const configured = process.env.FRONTEND_URL;
+  if (configured && configured.trim()) {
+    return configured.trim();
+  }
+
+  const forwardedHost = req.headers['x-forwarded-host'] || req.headers.host;
+  if (forwardedHost && typeof forwardedHost === 'string') {
+    const forwardedProto = req.headers['x-forwarded-proto'];
+    const protocol =
+      typeof forwardedProto === 'string' && forwardedProto.trim()
+        ? forwardedProto.split(',')[0].trim()
+        : process.env.NODE_ENV === 'production'
+          ? 'https'
+          : 'http';
+    return `${protocol}://${forwardedHost}`;
+  }
+
+  return process.env.NODE_ENV === 'development'
+    ? 'http://localhost:5173'
+    : 'http://localhost:3000';
+}
+
+/**
+ * Where the provider sends the user after checkout
+ * @param {Object} req - Request (for the frontend URL fallback)
+ * @param {String} returnUrl - URL requested by the client, if any
+ * @param {String} defaultPath - Provider's default frontend path
+ */
+export function resolveReturnUrl(req, returnUrl, defaultPath) {
+  if (returnUrl && typeof returnUrl === 'string') return returnUrl;
+  return `${getFrontendBaseUrl(req)}${defaultPath}`;
+}
+
+/**
+ * Create a pending CoinPurchase for a provider
+ * @param {String} provider - Provider name
+ * @param {Object} data - { userId, coinPackage, promo } from resolvePurchaseRequest
+ * @returns {Promise<Object>} - CoinPurchase document
+ */
+export async function createPurchaseOrder(provider, { userId, coinPackage, promo = null }) {
+  await connectMongoDB();
+
+  const orderId = `coin_${userId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  return CoinPurchase.create({
+    userId,
+    coins: coinPackage.coins,
+    amountUzs: coinPackage.priceUzs,
+    amountTiyin: coinPackage.priceUzs * 100,
+    status: 'pending',
+    paymentProvider: provider,
+    packageId: coinPackage._id,
+    promoCodeId: promo?.promoCodeId || null,
+    promoCode: promo?.code || null,
+    promoBonusCoins: promo?.bonusCoins || 0,
+    orderId,
+  });
+}
+
+/**
+ * Mark a pending purchase paid and credit its coins, then its promo bonus.
+ * A bonus that fails is logged, never undoes the paid coins.
+ * @param {Object} purchase - CoinPurchase document
+ * @param {Object} options - { match, set, revert }: extra provider conditions for the claim,
+ * provider fields to write with it, and the values to restore if crediting fails
+ * @returns {Promise<Object|null>} - The paid purchase, or null if it was not pending (or match failed)
+ */
+export async function settlePurchase(purchase, { match = {}, set = {}, revert = {} } = {}) {
+  await connectMongoDB();
+
+  const paid = await CoinPurchase.findOneAndUpdate(
+    { _id: purchase._id, status: 'pending', ...match },
+    { $set: { status: 'paid', ...set } },
+    { new: true }
+  );
+  if (!paid) return null;
+
+  try {
+    await creditPurchase(paid);
+  } catch (error) {
+    await CoinPurchase.updateOne(
+      { _id: paid._id, status: 'paid' },
+      { $set: { status: 'pending', ...revert } }
+    );
+    throw error;
+  }
+
+  if (paid.promoCodeId) {
+    try {
+      await redeemPromoBonus(paid);
+    } catch (error) {
+      console.error(`[payments] Promo bonus of purchase ${paid._id} failed:`, error);
+    }
+  }
+  return paid;
+}
+
+/**
+ * Take back the coins of a paid purchase and mark it cancelled. Coins go first,
+ * so nothing is cancelled while the user has already spent them; the reversal
+ * is recorded once per purchase, which makes the whole step safe to retry.
+ * @param {Object} purchase - CoinPurchase document
+ * @param {Object} options - { match, set, refundPayment }: extra provider conditions and fields
+ * for the status change, and an optional provider call returning the money, run between the two
+ * @returns {Promise<Object|null>} - The cancelled purchase, or null if a parallel call cancelled it
+ * @throws {Error} - code INSUFFICIENT_COINS if the coins were already spent
+ */
+export async function cancelPaidPurchase(purchase, { match = {}, set = {}, refundPayment = null } = {}) {
+  await connectMongoDB();
+
+  await reversePurchase(purchase);
+  if (refundPayment) {
+    await refundPayment(purchase);
+  }
+
+  const cancelled = await CoinPurchase.findOneAndUpdate(
+    { _id: purchase._id, status: 'paid', ...match },
+    { $set: { status: 'cancelled', ...set } },
+    { new: true }
+  );
+  if (cancelled?.promoCodeId) {
+    await reversePromoRedemption(cancelled._id);
+  }
+  return cancelled;
+}
+
+export default {
+  resolvePurchaseRequest,
+  getFrontendBaseUrl,
+  resolveReturnUrl,
+  createPurchaseOrder,
+  settlePurchase,
+  cancelPaidPurchase,
+};
@@ -0,0 +1,97 @@
+/**
+ * Fake payment provider for local testing
+ *
+ * The checkout URL points straight at the fake webhook, which pays (or
+ * cancels) the order and redirects back to the frontend, so the whole coin
+ * purchase flow runs without a real provider. Links are HMAC-signed and the
+ * provider is never available in production.
+ * Enable with PAYMENTS_FAKE_ENABLED=true.
+ */
+
+import crypto from 'crypto';
+import connectMongoDB from '../mongodb.js';
+import CoinPurchase from '../../models/CoinPurchase.js';
+import { settlePurchase, cancelPaidPurchase } from './core.js';
+
+const FAKE_ACTIONS = ['pay', 'cancel'];
+
+function getSecret() {
+  return process.env.PAYMENTS_FAKE_SECRET || 'fake-payments-secret';
+}
+
+function sign(orderId, action) {
+  return crypto.createHmac('sha256', getSecret()).update(`${orderId}:${action}`).digest('hex');
+}
+
+function getBackendBaseUrl(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host || 'localhost:3000';
+  const proto = req.headers['x-forwarded-proto']?.split(',')[0].trim() || 'http';
+  return `${proto}://${host}`;
+}
+
+function callbackParams(req) {
+  return req.method === 'GET' ? req.query : (req.body || {});
+}
+
+const fakeProvider = {
+  name: 'fake',
+  label: 'Fake payments',
+  defaultReturnPath: '/buy-coins?success=1',
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' && process.env.PAYMENTS_FAKE_ENABLED === 'true';
+  },
+
+  buildCheckoutUrl(purchase, returnUrl, req) {
+    const params = new URLSearchParams({
+      order_id: purchase.orderId,
+      action: 'pay',
+      sign: sign(purchase.orderId, 'pay'),
+      return_url: returnUrl,
+    });
+    return `${getBackendBaseUrl(req)}/api/payment/fake-webhook?${params.toString()}`;
+  },
+
+  verifySignature(req) {
+    const { order_id: orderId, action, sign: signature } = callbackParams(req);
+    if (!orderId || !FAKE_ACTIONS.includes(action) || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(sign(orderId, action));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // GET (the checkout link) redirects back to return_url; POST answers with JSON
+  async handleCallback(req, res) {
+    const { order_id: orderId, action, return_url: returnUrl } = callbackParams(req);
+    if (!this.verifySignature(req)) {
+      return res.status(400).json({ success: false, message: 'Bad sign' });
+    }
+
+    await connectMongoDB();
+
+    const purchase = await CoinPurchase.findOne({ orderId, paymentProvider: 'fake' });
+    if (!purchase) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (action === 'pay') {
+      await settlePurchase(purchase);
+    } else {
+      await CoinPurchase.updateOne({ _id: purchase._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+    }
+
+    const current = await CoinPurchase.findById(purchase._id).select('status').lean();
+    if (req.method === 'GET' && returnUrl) {
+      const separator = returnUrl.includes('?') ? '&' : '?';
+      return res.redirect(302, `${returnUrl}${separator}orderId=${encodeURIComponent(orderId)}&status=${current.status}`);
+    }
+    return res.json({ success: true, orderId, status: current.status });
+  },
+
+  async refund(purchase) {
+    return cancelPaidPurchase(purchase);
+  },
+};
+
+export default fakeProvider;
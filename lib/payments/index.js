@@ -0,0 +1,110 @@
+/**
+ * Payment providers
+ *
+ * Each provider is an adapter with the same shape:
+ *
+ *   name, label, defaultReturnPath
+ *   isConfigured()                          - Env vars present
+ *   buildCheckoutUrl(purchase, returnUrl, req) - Where to send the user to pay
+ *   verifySignature(req)                    - Is this callback really from the provider
+ *   handleCallback(req, res)                - Answer the provider's webhook in its own format,
+ *                                             paying orders through settlePurchase
+ *   refund(purchase)                        - Return the money and take the coins back
+ *                                             (through cancelPaidPurchase)
+ *
+ * Everything else (pricing, order creation, return URLs, crediting coins)
+ * lives in ./core.js, so a new provider is one adapter registered below.
+ */
+
+import clickProvider from './click.js';
+import paymeProvider from './payme.js';
+import fakeProvider from './fake.js';
+import connectMongoDB from '../mongodb.js';
+import CoinPurchase from '../../models/CoinPurchase.js';
+import { resolvePurchaseRequest, resolveReturnUrl, createPurchaseOrder } from './core.js';
+
+const PROVIDERS = {
+  [clickProvider.name]: clickProvider,
+  [paymeProvider.name]: paymeProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+export const PAYMENT_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * @param {String} name - Provider name ('click', 'payme', 'fake')
+ * @returns {Object|null} - Provider adapter
+ */
+export function getPaymentProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/**
+ * Providers a user can pay with right now
+ * @returns {Array} - [{ name, label }]
+ */
+export function listAvailableProviders() {
+  return Object.values(PROVIDERS)
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, label }) => ({ name, label }));
+}
+
+/**
+ * Create a coin purchase and its checkout URL
+ * @param {String} providerName - Provider name
+ * @param {Object} req - Request (body: { packageId, promoCode?, returnUrl? })
+ * @param {String} userId - Buyer
+ * @returns {Promise<Object>} - { paymentUrl, orderId, packageId, coins, bonusCoins, amountUzs }
+ * @throws {Error} - code INVALID_PURCHASE or INVALID_PROMO if the request cannot be priced
+ */
+export async function createPaymentOrder(providerName, req, userId) {
+  const provider = getPaymentProvider(providerName);
+  const { coinPackage, promo } = await resolvePurchaseRequest(req.body || {}, userId);
+  const returnUrl = resolveReturnUrl(req, req.body?.returnUrl, provider.defaultReturnPath);
+
+  const purchase = await createPurchaseOrder(provider.name, { userId, coinPackage, promo });
+
+  return {
+    paymentUrl: provider.buildCheckoutUrl(purchase, returnUrl, req),
+    orderId: purchase.orderId,
+    packageId: coinPackage._id,
+    coins: purchase.coins,
+    bonusCoins: purchase.promoBonusCoins,
+    amountUzs: purchase.amountUzs,
+  };
+}
+
+/**
+ * Refund a paid purchase through its provider
+ * @param {String} purchaseId - CoinPurchase ID
+ * @returns {Promise<Object>} - The cancelled purchase
+ * @throws {Error} - If the purchase is not paid, the provider cannot refund it,
+ * or the coins were already spent (code INSUFFICIENT_COINS)
+ */
+export async function refundPurchase(purchaseId) {
+  await connectMongoDB();
+
+  const purchase = await CoinPurchase.findById(purchaseId);
+  if (!purchase) {
+    throw new Error('Purchase not found');
+  }
+  if (purchase.status !== 'paid') {
+    throw new Error('Only paid purchases can be refunded');
+  }
+
+  const provider = getPaymentProvider(purchase.paymentProvider);
+  if (!provider) {
+    throw new Error('Unknown payment provider');
+  }
+
+  const cancelled = await provider.refund(purchase);
+  return cancelled || CoinPurchase.findById(purchaseId).lean();
+}
+
+export default {
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider,
+  listAvailableProviders,
+  createPaymentOrder,
+  refundPurchase,
+};
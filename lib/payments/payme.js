@@ -0,0 +1,439 @@
+/**
+ * Payme payment provider
+ *
+ * Implements the Merchant API JSON-RPC methods Payme calls on the webhook and keeps
+ * each Payme transaction's state on its CoinPurchase:
+ *
+ *   1  created      CreateTransaction reserved the order
+ *   2  performed    PerformTransaction paid it; coins credited
+ *  -1  cancelled    CancelTransaction (or the 12h timeout) before perform
+ *  -2  cancelled    CancelTransaction after perform; coins taken back
+ *
+ * Every method is idempotent: repeating a call for a transaction returns the
+ * stored state and times instead of acting twice. State changes are atomic
+ * conditional updates, so parallel retries cannot both win.
+ */
+
+import connectMongoDB from '../mongodb.js';
+import CoinPurchase from '../../models/CoinPurchase.js';
+import { settlePurchase, cancelPaidPurchase } from './core.js';
+
+// Payme cancels transactions that are not performed within 12 hours
+export const PAYME_TRANSACTION_TIMEOUT_MS = 12 * 60 * 60 * 1000;
+
+export const PAYME_STATES = {
+  CREATED: 1,
+  PERFORMED: 2,
+  CANCELLED: -1,
+  CANCELLED_AFTER_PERFORM: -2,
+};
+
+// CancelTransaction reason Payme uses for timed out transactions
+const CANCEL_REASON_TIMEOUT = 4;
+
+export const PAYME_ERRORS = {
+  INVALID_AMOUNT: -31001,
+  TRANSACTION_NOT_FOUND: -31003,
+  CANNOT_CANCEL: -31007,
+  CANNOT_PERFORM: -31008,
+  INVALID_ACCOUNT: -31050,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  SYSTEM_ERROR: -32400,
+  UNAUTHORIZED: -32504,
+};
+
+export function localized(text) {
+  return { uz: text, ru: text, en: text };
+}
+
+function paymeError(code, message, data) {
+  const error = new Error(message);
+  error.paymeCode = code;
+  if (data) error.data = data;
+  return error;
+}
+
+function transactionIdOf(params) {
+  const transactionId = params?.id;
+  if (!transactionId || typeof transactionId !== 'string') {
+    throw paymeError(PAYME_ERRORS.INVALID_REQUEST, 'Transaction id is required');
+  }
+  return transactionId;
+}
+
+function isExpired(purchase, now = Date.now()) {
+  return now - purchase.paymeCreateTime > PAYME_TRANSACTION_TIMEOUT_MS;
+}
+
+function createResult(purchase) {
+  return {
+    create_time: purchase.paymeCreateTime,
+    transaction: purchase._id.toString(),
+    state: purchase.paymeState,
+  };
+}
+
+function performResult(purchase) {
+  return {
+    transaction: purchase._id.toString(),
+    perform_time: purchase.paymePerformTime,
+    state: purchase.paymeState,
+  };
+}
+
+function cancelResult(purchase) {
+  return {
+    transaction: purchase._id.toString(),
+    cancel_time: purchase.paymeCancelTime,
+    state: purchase.paymeState,
+  };
+}
+
+function isCancelled(purchase) {
+  return purchase.paymeState === PAYME_STATES.CANCELLED || purchase.paymeState === PAYME_STATES.CANCELLED_AFTER_PERFORM;
+}
+
+function checkResult(purchase) {
+  return {
+    create_time: purchase.paymeCreateTime,
+    perform_time: purchase.paymePerformTime || 0,
+    cancel_time: purchase.paymeCancelTime || 0,
+    transaction: purchase._id.toString(),
+    state: purchase.paymeState,
+    reason: purchase.paymeCancelReason ?? null,
+  };
+}
+
+async function findTransaction(transactionId) {
+  const purchase = await CoinPurchase.findOne({ paymeTransactionId: transactionId });
+  if (!purchase) {
+    throw paymeError(PAYME_ERRORS.TRANSACTION_NOT_FOUND, 'Transaction not found');
+  }
+  return purchase;
+}
+
+/**
+ * The order Payme wants to pay: must exist, await payment and match the amount (tiyin)
+ */
+async function findPayableOrder(params) {
+  const orderId = params?.account?.order_id;
+  if (!orderId) {
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order not found', 'order_id');
+  }
+
+  const amount = Number(params?.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw paymeError(PAYME_ERRORS.INVALID_AMOUNT, 'Invalid amount');
+  }
+
+  const purchase = await CoinPurchase.findOne({ orderId: String(orderId) });
+  if (!purchase || (purchase.paymentProvider && purchase.paymentProvider !== 'payme')) {
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order not found', 'order_id');
+  }
+  if (purchase.status !== 'pending') {
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order is not awaiting payment', 'order_id');
+  }
+  if (purchase.amountTiyin !== amount) {
+    throw paymeError(PAYME_ERRORS.INVALID_AMOUNT, 'Amount mismatch');
+  }
+  return purchase;
+}
+
+/**
+ * Cancel a created transaction that outlived the timeout
+ */
+async function cancelExpired(purchase) {
+  await CoinPurchase.updateOne(
+    { _id: purchase._id, paymeState: PAYME_STATES.CREATED },
+    {
+      $set: {
+        paymeState: PAYME_STATES.CANCELLED,
+        paymeCancelTime: Date.now(),
+        paymeCancelReason: CANCEL_REASON_TIMEOUT,
+        status: 'cancelled',
+      },
+    }
+  );
+}
+
+export async function checkPerformTransaction(params) {
+  const purchase = await findPayableOrder(params);
+  if (purchase.paymeTransactionId) {
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order already has a pending transaction', 'order_id');
+  }
+  return { allow: true };
+}
+
+export async function createTransaction(params) {
+  const transactionId = transactionIdOf(params);
+
+  const existing = await CoinPurchase.findOne({ paymeTransactionId: transactionId });
+  if (existing) {
+    if (existing.paymeState !== PAYME_STATES.CREATED) {
+      throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction is no longer open');
+    }
+    if (isExpired(existing)) {
+      await cancelExpired(existing);
+      throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction timed out');
+    }
+    return createResult(existing);
+  }
+
+  const time = Number(params?.time);
+  if (!Number.isFinite(time)) {
+    throw paymeError(PAYME_ERRORS.INVALID_REQUEST, 'Transaction time is required');
+  }
+
+  const purchase = await findPayableOrder(params);
+  if (purchase.paymeTransactionId) {
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order already has a pending transaction', 'order_id');
+  }
+  if (Date.now() - time > PAYME_TRANSACTION_TIMEOUT_MS) {
+    throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction timed out');
+  }
+
+  let created;
+  try {
+    created = await CoinPurchase.findOneAndUpdate(
+      { _id: purchase._id, status: 'pending', paymeTransactionId: { $exists: false } },
+      {
+        $set: {
+          paymeTransactionId: transactionId,
+          paymeState: PAYME_STATES.CREATED,
+          paymeTime: time,
+          paymeCreateTime: Date.now(),
+          paymentProvider: 'payme',
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    // The same transaction id was just attached to another order
+    if (error.code !== 11000) throw error;
+  }
+
+  if (!created) {
+    // Lost a race: a retry of this same call is fine, anything else is not
+    const winner = await CoinPurchase.findOne({ paymeTransactionId: transactionId });
+    if (winner && winner._id.equals(purchase._id) && winner.paymeState === PAYME_STATES.CREATED) {
+      return createResult(winner);
+    }
+    throw paymeError(PAYME_ERRORS.INVALID_ACCOUNT, 'Order already has a pending transaction', 'order_id');
+  }
+
+  return createResult(created);
+}
+
+export async function performTransaction(params) {
+  const purchase = await findTransaction(transactionIdOf(params));
+
+  if (purchase.paymeState === PAYME_STATES.PERFORMED) {
+    return performResult(purchase);
+  }
+  if (purchase.paymeState !== PAYME_STATES.CREATED) {
+    throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction is cancelled');
+  }
+  if (isExpired(purchase)) {
+    await cancelExpired(purchase);
+    throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction timed out');
+  }
+
+  const performed = await settlePurchase(purchase, {
+    match: { paymeState: PAYME_STATES.CREATED },
+    set: { paymeState: PAYME_STATES.PERFORMED, paymePerformTime: Date.now() },
+    revert: { paymeState: PAYME_STATES.CREATED, paymePerformTime: 0 },
+  });
+  if (!performed) {
+    // A parallel call moved the state; answer once from the stored one
+    const current = await findTransaction(purchase.paymeTransactionId);
+    if (current.paymeState === PAYME_STATES.PERFORMED) {
+      return performResult(current);
+    }
+    if (isCancelled(current)) {
+      throw paymeError(PAYME_ERRORS.CANNOT_PERFORM, 'Transaction is cancelled');
+    }
+    // Still open: the parallel call failed and rolled back, Payme retries
+    throw paymeError(PAYME_ERRORS.SYSTEM_ERROR, 'Transaction is being processed');
+  }
+
+  return performResult(performed);
+}
+
+export async function cancelTransaction(params) {
+  const purchase = await findTransaction(transactionIdOf(params));
+  const reason = Number.isInteger(params?.reason) ? params.reason : null;
+
+  if (isCancelled(purchase)) {
+    return cancelResult(purchase);
+  }
+
+  const cancelFields = { paymeCancelTime: Date.now(), paymeCancelReason: reason };
+  let cancelled;
+  if (purchase.paymeState === PAYME_STATES.PERFORMED) {
+    try {
+      cancelled = await cancelPaidPurchase(purchase, {
+        match: { paymeState: PAYME_STATES.PERFORMED },
+        set: { paymeState: PAYME_STATES.CANCELLED_AFTER_PERFORM, ...cancelFields },
+      });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_COINS') {
+        throw paymeError(PAYME_ERRORS.CANNOT_CANCEL, 'Coins were already spent; the order cannot be cancelled');
+      }
+      throw error;
+    }
+  } else {
+    cancelled = await CoinPurchase.findOneAndUpdate(
+      { _id: purchase._id, paymeState: PAYME_STATES.CREATED },
+      { $set: { paymeState: PAYME_STATES.CANCELLED, status: 'cancelled', ...cancelFields } },
+      { new: true }
+    );
+  }
+  if (!cancelled) {
+    // A parallel call moved the state; answer once from the stored one
+    const current = await findTransaction(purchase.paymeTransactionId);
+    if (isCancelled(current)) {
+      return cancelResult(current);
+    }
+    // Performed or still open after a parallel call: Payme retries the cancel
+    throw paymeError(PAYME_ERRORS.SYSTEM_ERROR, 'Transaction is being processed');
+  }
+
+  return cancelResult(cancelled);
+}
+
+export async function checkTransaction(params) {
+  const purchase = await findTransaction(transactionIdOf(params));
+  return checkResult(purchase);
+}
+
+export async function getStatement(params) {
+  const from = Number(params?.from);
+  const to = Number(params?.to);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    throw paymeError(PAYME_ERRORS.INVALID_REQUEST, 'from and to are required');
+  }
+
+  const purchases = await CoinPurchase.find({
+    paymeTransactionId: { $exists: true },
+    paymeTime: { $gte: from, $lte: to },
+  }).sort({ paymeTime: 1 }).lean();
+
+  return {
+    transactions: purchases.map((purchase) => ({
+      id: purchase.paymeTransactionId,
+      time: purchase.paymeTime,
+      amount: purchase.amountTiyin,
+      account: { order_id: purchase.orderId },
+      ...checkResult(purchase),
+      receivers: null,
+    })),
+  };
+}
+
+const METHODS = {
+  CheckPerformTransaction: checkPerformTransaction,
+  CreateTransaction: createTransaction,
+  PerformTransaction: performTransaction,
+  CancelTransaction: cancelTransaction,
+  CheckTransaction: checkTransaction,
+  GetStatement: getStatement,
+};
+
+/**
+ * Run a Payme JSON-RPC method
+ * @param {String} method - JSON-RPC method name
+ * @param {Object} params - JSON-RPC params
+ * @returns {Promise<Object>} - { result } or { error: { code, message, data? } }
+ */
+export async function handlePaymeRequest(method, params) {
+  const run = METHODS[method];
+  if (!run) {
+    return { error: { code: PAYME_ERRORS.METHOD_NOT_FOUND, message: localized('Method not found'), data: method } };
+  }
+
+  try {
+    await connectMongoDB();
+    return { result: await run(params || {}) };
+  } catch (error) {
+    if (error.paymeCode) {
+      return {
+        error: {
+          code: error.paymeCode,
+          message: localized(error.message),
+          ...(error.data && { data: error.data }),
+        },
+      };
+    }
+    console.error(`[payme] ${method} failed:`, error);
+    return { error: { code: PAYME_ERRORS.SYSTEM_ERROR, message: localized('Internal error') } };
+  }
+}
+
+function parseAuthHeader(auth) {
+  if (!auth || !auth.startsWith('Basic ')) return null;
+  try {
+    const decoded = Buffer.from(auth.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    return { id: decoded.slice(0, separator), key: decoded.slice(separator + 1) };
+  } catch {
+    return null;
+  }
+}
+
+function sendJsonRpc(res, id, result, error) {
+  const body = error
+    ? { jsonrpc: '2.0', id, error }
+    : { jsonrpc: '2.0', id, result };
+  res.setHeader('Content-Type', 'application/json');
+  res.status(200).json(body);
+}
+
+const paymeProvider = {
+  name: 'payme',
+  label: 'Payme',
+  defaultReturnPath: '/buy-coins',
+
+  isConfigured() {
+    return Boolean(process.env.PAYME_MERCHANT_ID && process.env.PAYME_SECRET_KEY);
+  },
+
+  buildCheckoutUrl(purchase, returnUrl) {
+    const params = `m=${process.env.PAYME_MERCHANT_ID};ac.order_id=${purchase.orderId};a=${purchase.amountTiyin};c=${encodeURIComponent(returnUrl)};l=uz`;
+    return `https://checkout.paycom.uz/${Buffer.from(params, 'utf8').toString('base64')}`;
+  },
+
+  // Payme logs in as "Paycom" (the merchant id is accepted for older setups)
+  verifySignature(req) {
+    const auth = parseAuthHeader(req.headers.authorization);
+    return Boolean(auth)
+      && (auth.id === 'Paycom' || auth.id === process.env.PAYME_MERCHANT_ID)
+      && auth.key === process.env.PAYME_SECRET_KEY;
+  },
+
+  // Payme expects HTTP 200 for every JSON-RPC answer, errors included
+  async handleCallback(req, res) {
+    if (!this.verifySignature(req)) {
+      return sendJsonRpc(res, req.body?.id ?? null, null, {
+        code: PAYME_ERRORS.UNAUTHORIZED,
+        message: localized('Unauthorized'),
+      });
+    }
+
+    const { method, params, id } = req.body || {};
+    if (!method || id === undefined) {
+      return sendJsonRpc(res, id ?? null, null, { code: PAYME_ERRORS.INVALID_REQUEST, message: localized('Invalid request') });
+    }
+
+    const { result, error } = await handlePaymeRequest(method, params);
+    return sendJsonRpc(res, id, result, error);
+  },
+
+  // Payme starts refunds itself (merchant cabinet) and reports them through CancelTransaction
+  async refund() {
+    throw new Error('Payme payments are refunded from the Payme merchant cabinet');
+  },
+};
+
+export default paymeProvider;
@@ -0,0 +1,274 @@
+/**
+ * Permissions
+ *
+ * Routes ask for a capability ("olympiad.edit", "submission.grade", ...) on a
+ * resource instead of listing roles. A user's grants come from two places:
+ *
+ *   - their built-in User.role (BUILT_IN_ROLE_GRANTS below); a university
+ *     account's grants cover only olympiads it owns, a school teacher's or
+ *     school admin's only their own school
+ *   - owner-defined custom roles (models/Role.js) held through RoleAssignment,
+ *     each limited to one olympiad, school or university, or platform-wide
+ *
+ * A grant matches a resource when its scope does: global matches everything,
+ * an olympiad scope matches resource.olympiadId, and so on. Resources are plain
+ * objects ({ olympiadId, universityId, schoolId }); olympiadResource builds one
+ * for an olympiad.
+ */
+
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import Olympiad from '../models/Olympiad.js';
+import Role from '../models/Role.js';
+import RoleAssignment from '../models/RoleAssignment.js';
+
+export const CAPABILITIES = {
+  'olympiad.view': 'See olympiads in the admin panel, with their settings',
+  'olympiad.create': 'Create olympiads',
+  'olympiad.edit': 'Edit olympiad settings, sections and logos',
+  'olympiad.delete': 'Delete olympiads',
+  'olympiad.manage_status': 'Start, finish and change the status of olympiads',
+  'question.manage': 'Create, edit and delete olympiad questions',
+  'question_bank.manage': 'Manage the reusable question bank',
+  'registration.manage': 'Review and export registrations',
+  'accommodation.manage': 'Grant and revoke extra time',
+  'submission.view': 'See student submissions',
+  'submission.grade': 'Grade submissions',
+  'results.view': 'See results',
+  'results.edit': 'Edit scores and re-run grading',
+  'results.publish': 'Change result status and visibility',
+  'proctoring.view': 'See camera and screen captures',
+  'proctoring.review': 'Review suspicious attempts: clear, warn, invalidate or escalate',
+  'proctoring.control': 'Pause, resume, warn and force-submit attempts in progress',
+  'anticheat.manage': 'Create and edit anti-cheat policies',
+  'schools.manage': 'Create schools and manage their members',
+  'school.manage_members': 'Add and remove a school\'s teachers and students',
+  'school.register_students': 'Register a school\'s students for olympiads',
+  'users.view': 'List users',
+  'users.ban': 'Ban and unban users',
+  'users.reset_password': 'Issue password reset tokens',
+  'users.reset_two_factor': 'Reset a user\'s two-factor authentication',
+  'analytics.view': 'See platform analytics, metrics and reports',
+  'audit.view': 'See owner audit logs',
+  'data.export': 'Export platform data',
+  'coins.manage': 'Manage coin packages, promo codes and user balances',
+  'payments.refund': 'Refund coin purchases',
+  'roles.manage': 'Change user roles and manage custom roles',
+  'system.manage': 'Change system controls',
+};
+
+// Never part of a custom role: whoever holds them can grant themselves anything
+export const OWNER_ONLY_CAPABILITIES = ['roles.manage', 'system.manage'];
+
+export const SCOPE_TYPES = ['global', 'olympiad', 'school', 'university'];
+
+const ALL_CAPABILITIES = Object.keys(CAPABILITIES);
+
+const GRADING_CAPABILITIES = ['submission.view', 'submission.grade', 'results.view', 'results.edit', 'results.publish', 'proctoring.view'];
+
+// scope: 'global', or 'own_university' / 'own_school' resolved against the user
+export const BUILT_IN_ROLE_GRANTS = {
+  owner: ALL_CAPABILITIES.map((capability) => ({ capability, scope: 'global' })),
+  admin: [
+    'olympiad.view', 'olympiad.create', 'olympiad.edit', 'olympiad.delete', 'olympiad.manage_status',
+    'question.manage', 'question_bank.manage', 'registration.manage', 'accommodation.manage',
+    ...GRADING_CAPABILITIES,
+    'proctoring.review', 'proctoring.control', 'anticheat.manage',
+    'schools.manage', 'users.view', 'users.ban', 'users.reset_password',
+  ].map((capability) => ({ capability, scope: 'global' })),
+  resolter: GRADING_CAPABILITIES.map((capability) => ({ capability, scope: 'global' })),
+  university: [
+    { capability: 'olympiad.view', scope: 'own_university' },
+    { capability: 'question.manage', scope: 'own_university' },
+  ],
+  'school-teacher': [
+    { capability: 'results.view', scope: 'own_school' },
+    { capability: 'proctoring.view', scope: 'own_school' },
+  ],
+  'school-admin': [
+    'school.manage_members', 'school.register_students', 'results.view', 'proctoring.view',
+  ].map((capability) => ({ capability, scope: 'own_school' })),
+};
+
+// Grants of the user objects of the current request (protect loads a fresh one per request)
+const grantCache = new WeakMap();
+
+function permissionError(message, status = 403) {
+  return { error: message, status };
+}
+
+function builtInGrants(user) {
+  const grants = [];
+  for (const { capability, scope } of BUILT_IN_ROLE_GRANTS[user.role] || []) {
+    if (scope === 'global') {
+      grants.push({ capability, scopeType: 'global', scopeId: null });
+    } else if (scope === 'own_university') {
+      grants.push({ capability, scopeType: 'university', scopeId: user._id.toString() });
+    } else if (scope === 'own_school' && user.schoolId) {
+      grants.push({ capability, scopeType: 'school', scopeId: user.schoolId });
+    }
+  }
+  return grants;
+}
+
+async function customRoleGrants(userId) {
+  await connectMongoDB();
+  const assignments = await RoleAssignment.find({ userId }).lean();
+  if (assignments.length === 0) return [];
+
+  const roles = await Role.find({ _id: { $in: assignments.map((a) => a.roleId) } }).lean();
+  const rolesById = new Map(roles.map((role) => [role._id.toString(), role]));
+
+  const grants = [];
+  for (const assignment of assignments) {
+    const role = rolesById.get(assignment.roleId);
+    if (!role) continue;
+    for (const capability of role.capabilities) {
+      if (OWNER_ONLY_CAPABILITIES.includes(capability)) continue;
+      grants.push({
+        capability,
+        scopeType: assignment.scopeType,
+        scopeId: assignment.scopeId,
+        roleId: assignment.roleId,
+        roleName: role.name,
+      });
+    }
+  }
+  return grants;
+}
+
+/**
+ * Every grant a user holds: [{ capability, scopeType, scopeId, roleId?, roleName? }]
+ * @param {Object} user - User from protect
+ */
+export async function getUserGrants(user) {
+  if (!grantCache.has(user)) {
+    grantCache.set(user, customRoleGrants(user._id.toString()).then((custom) => [...builtInGrants(user), ...custom]));
+  }
+  return grantCache.get(user);
+}
+
+function grantMatches(grant, resource) {
+  switch (grant.scopeType) {
+    case 'global':
+      return true;
+    case 'olympiad':
+      return Boolean(resource.olympiadId) && String(resource.olympiadId) === grant.scopeId;
+    case 'university':
+      return Boolean(resource.universityId) && String(resource.universityId) === grant.scopeId;
+    case 'school':
+      return Boolean(resource.schoolId) && String(resource.schoolId) === grant.scopeId;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resource descriptor for an olympiad, with the university that owns it
+ * @param {String|Object} olympiad - Olympiad ID, or an olympiad already loaded
+ * @returns {Promise<Object|null>} - { olympiadId, universityId }, null if there is no such olympiad
+ */
+export async function olympiadResource(olympiad) {
+  let doc = olympiad;
+  if (!olympiad || typeof olympiad !== 'object') {
+    if (!mongoose.Types.ObjectId.isValid(olympiad)) return null;
+    await connectMongoDB();
+    doc = await Olympiad.findById(olympiad).select('_id ownerUniversityId').lean();
+    if (!doc) return null;
+  }
+  return {
+    olympiadId: doc._id.toString(),
+    universityId: doc.ownerUniversityId ? doc.ownerUniversityId.toString() : null,
+  };
+}
+
+/**
+ * Does the user hold the capability for this resource?
+ * @param {Object} user - User from protect
+ * @param {String} capability - e.g. 'olympiad.edit'
+ * @param {Object} resource - { olympiadId, universityId, schoolId }; {} asks for a platform-wide grant
+ * @returns {Promise<Object|null>} - { error, status } if not, like authorize
+ */
+export async function checkPermission(user, capability, resource = {}) {
+  const grants = await getUserGrants(user);
+  const allowed = grants.some((grant) => grant.capability === capability && grantMatches(grant, resource || {}));
+  return allowed ? null : permissionError(`You do not have permission to do this (${capability})`);
+}
+
+/**
+ * Does the user hold the capability anywhere? The gate for routes that then
+ * check or filter by resource.
+ * @returns {Promise<Object|null>} - { error, status } if not
+ */
+export async function checkPermissionInAnyScope(user, capability) {
+  const grants = await getUserGrants(user);
+  const allowed = grants.some((grant) => grant.capability === capability);
+  return allowed ? null : permissionError(`You do not have permission to do this (${capability})`);
+}
+
+/**
+ * Where a capability applies, for filtering lists
+ * @returns {Promise<Object>} - { global, olympiadIds, universityIds, schoolIds } (arrays of IDs)
+ */
+export async function getPermissionScope(user, capability) {
+  const grants = (await getUserGrants(user)).filter((grant) => grant.capability === capability);
+  const scope = { global: false, olympiadIds: [], universityIds: [], schoolIds: [] };
+  for (const grant of grants) {
+    if (grant.scopeType === 'global') scope.global = true;
+    if (grant.scopeType === 'olympiad') scope.olympiadIds.push(grant.scopeId);
+    if (grant.scopeType === 'university') scope.universityIds.push(grant.scopeId);
+    if (grant.scopeType === 'school') scope.schoolIds.push(grant.scopeId);
+  }
+  return scope;
+}
+
+/**
+ * Does a scope (from getPermissionScope) cover this resource?
+ */
+export function scopeCovers(scope, resource = {}) {
+  if (scope.global) return true;
+  if (resource.olympiadId && scope.olympiadIds.includes(String(resource.olympiadId))) return true;
+  if (resource.universityId && scope.universityIds.includes(String(resource.universityId))) return true;
+  if (resource.schoolId && scope.schoolIds.includes(String(resource.schoolId))) return true;
+  return false;
+}
+
+/**
+ * Keep the items whose olympiad the user holds the capability for
+ * @param {Object} user - User from protect
+ * @param {String} capability - e.g. 'results.view'
+ * @param {Array} items - Anything tied to an olympiad (questions, submissions, results)
+ * @param {Function} getOlympiadId - Item => olympiad ID
+ */
+export async function filterByOlympiadPermission(user, capability, items, getOlympiadId = (item) => item.olympiadId) {
+  const scope = await getPermissionScope(user, capability);
+  if (scope.global) return items;
+
+  const olympiadIds = [...new Set(items.map((item) => String(getOlympiadId(item))))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  await connectMongoDB();
+  const olympiads = await Olympiad.find({ _id: { $in: olympiadIds } }).select('_id ownerUniversityId').lean();
+  const resources = new Map(olympiads.map((olympiad) => [
+    olympiad._id.toString(),
+    { olympiadId: olympiad._id.toString(), universityId: olympiad.ownerUniversityId ? olympiad.ownerUniversityId.toString() : null },
+  ]));
+
+  return items.filter((item) => {
+    const resource = resources.get(String(getOlympiadId(item)));
+    return Boolean(resource) && scopeCovers(scope, resource);
+  });
+}
+
+export default {
+  CAPABILITIES,
+  OWNER_ONLY_CAPABILITIES,
+  SCOPE_TYPES,
+  BUILT_IN_ROLE_GRANTS,
+  getUserGrants,
+  olympiadResource,
+  checkPermission,
+  checkPermissionInAnyScope,
+  getPermissionScope,
+  scopeCovers,
+  filterByOlympiadPermission,
+};
@@ -8,6 +8,8 @@ import Attempt from '../models/Attempt.js';
 import SessionHeartbeat from '../models/SessionHeartbeat.js';
 import { createAuditLog } from './audit-logger.js';
 import connectMongoDB from './mongodb.js';
+import { getAttemptDurationSeconds, getPauseIntervals, getPausedMs } from './timer-service.js';
+import { getForfeitedSeconds } from './attempt-sections.js';
 
 const TIME_CONSISTENCY_BUFFER_MS = 5000; // ±5 seconds buffer
 const SUSPICIOUS_HEARTBEAT_GAP_MS = 30000; // 30 seconds
@@ -15,10 +17,15 @@ const SUSPICIOUS_HEARTBEAT_GAP_MS = 30000; // 30 seconds
 /**
  * Verify total time consistency
  * @param {Object} attempt - Attempt document
- * @param {Number} expectedDurationSeconds - Expected duration in seconds
+ * @param {Number} olympiadDurationSeconds - Olympiad duration in seconds (the attempt's
+ *   accommodated duration takes precedence when one was granted)
  * @returns {Object} - Verification result
  */
-export function verifyTimeConsistency(attempt, expectedDurationSeconds) {
+export function verifyTimeConsistency(attempt, olympiadDurationSeconds) {
+  // Sections finished early shorten the attempt by the time left in them
+  const forfeitedSeconds = getForfeitedSeconds(attempt);
+  const expectedDurationSeconds = getAttemptDurationSeconds(attempt, olympiadDurationSeconds) - forfeitedSeconds;
+
   if (!attempt.startedAt || !attempt.submittedAt) {
     return {
       passed: false,
@@ -30,7 +37,9 @@ export function verifyTimeConsistency(attempt, expectedDurationSeconds) {
     };
   }
 
-  const actualDurationMs = new Date(attempt.submittedAt) - new Date(attempt.startedAt);
+  // Time spent paused by an admin did not count against the timer
+  const pausedMs = getPausedMs(attempt, attempt.startedAt, attempt.submittedAt);
+  const actualDurationMs = new Date(attempt.submittedAt) - new Date(attempt.startedAt) - pausedMs;
   const expectedDurationMs = expectedDurationSeconds * 1000;
   const difference = Math.abs(actualDurationMs - expectedDurationMs);
 
@@ -44,6 +53,10 @@ export function verifyTimeConsistency(attempt, expectedDurationSeconds) {
     details: {
       actualDurationSeconds: Math.round(actualDurationMs / 1000),
       expectedDurationSeconds,
+      olympiadDurationSeconds,
+      accommodated: expectedDurationSeconds + forfeitedSeconds !== olympiadDurationSeconds,
+      forfeitedSeconds,
+      pausedSeconds: Math.round(pausedMs / 1000),
       differenceSeconds: Math.round(difference / 1000),
       bufferSeconds: TIME_CONSISTENCY_BUFFER_MS / 1000
     }
@@ -66,20 +79,36 @@ export function verifyQuestionOrder(attempt) {
   const expectedIndex = totalProcessed;
 
   // Allow some tolerance (questions might be skipped/answered out of strict order)
-  const passed = attempt.currentQuestionIndex >= expectedIndex - 1 && 
+  const indexConsistent = attempt.currentQuestionIndex >= expectedIndex - 1 && 
                  attempt.currentQuestionIndex <= expectedIndex + 1;
 
+  // Every answered/skipped question must map back to a question in this attempt's order
+  const questionOrder = (attempt.questionOrder || []).map((id) => id.toString());
+  const unknownQuestionIds = questionOrder.length > 0
+    ? [...(attempt.answeredQuestions || []), ...(attempt.skippedQuestions || [])]
+        .map((id) => id.toString())
+        .filter((id) => !questionOrder.includes(id))
+    : [];
+
+  const passed = indexConsistent && unknownQuestionIds.length === 0;
+
+  let reason = 'Question order check passed';
+  if (!indexConsistent) {
+    reason = `Question index inconsistency (current: ${attempt.currentQuestionIndex}, expected: ~${expectedIndex})`;
+  } else if (unknownQuestionIds.length > 0) {
+    reason = `${unknownQuestionIds.length} processed questions not in attempt question order`;
+  }
+
   return {
     passed,
-    reason: passed
-      ? 'Question order check passed'
-      : `Question index inconsistency (current: ${attempt.currentQuestionIndex}, expected: ~${expectedIndex})`,
+    reason,
     details: {
       currentQuestionIndex: attempt.currentQuestionIndex,
       answeredCount,
       skippedCount,
       totalProcessed,
-      expectedIndex
+      expectedIndex,
+      unknownQuestionIds
     }
   };
 }
@@ -152,10 +181,17 @@ export async function verifyHeartbeatTimeline(attemptId) {
       };
     }
 
-    // Check for suspicious gaps
+    // Check for suspicious gaps; a student may go quiet while an admin has the attempt paused
+    const pauses = getPauseIntervals(attempt, attempt.startedAt, attempt.submittedAt || new Date());
     const suspiciousGaps = [];
     for (let i = 1; i < heartbeats.length; i++) {
-      const gap = new Date(heartbeats[i].lastSeenAt) - new Date(heartbeats[i - 1].lastSeenAt);
+      const gapStart = new Date(heartbeats[i - 1].lastSeenAt);
+      const gapEnd = new Date(heartbeats[i].lastSeenAt);
+      const pausedMs = pauses.reduce(
+        (total, pause) => total + Math.max(0, Math.min(gapEnd, pause.end) - Math.max(gapStart, pause.start)),
+        0
+      );
+      const gap = gapEnd - gapStart - pausedMs;
       if (gap > SUSPICIOUS_HEARTBEAT_GAP_MS) {
         suspiciousGaps.push({
           index: i,
@@ -0,0 +1,393 @@
+/**
+ * Live proctoring
+ *
+ * The /proctor Socket.io namespace lets staff watch olympiads while they run.
+ * Proctors connect with the same token as the API (it only has to be valid at
+ * connect; later requests re-check its session) and need proctoring.view to
+ * watch an olympiad, proctoring.control to act on its attempts. A watcher gets
+ * the olympiad's live attempts on watch-olympiad, then every change as an event:
+ * students connecting and dropping, moving to another question, missed
+ * heartbeats, new violations and trust score changes (a running estimate under
+ * the olympiad's anti-cheat policy until the attempt is scored for real).
+ *
+ * Commands (pause, resume, warn-student, force-submit) go through
+ * emergency-controls and are pushed to the student's sockets, which join
+ * studentRoom(userId) on connect.
+ */
+
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import Attempt from '../models/Attempt.js';
+import User from '../models/User.js';
+import { authenticateToken, authenticateSession } from './auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from './permissions.js';
+import { getOlympiadPolicy } from './anti-cheat-policy.js';
+import { calculateTrustScore } from './anti-cheat-scoring.js';
+import { pauseAttempt, resumeAttempt, forceSubmitAttempt, warnAttempt } from './emergency-controls.js';
+import * as presenceStore from './presence-store.js';
+
+export const PROCTOR_NAMESPACE = '/proctor';
+
+const LIVE_ATTEMPT_STATUSES = ['started', 'paused'];
+const RECENT_VIOLATIONS = 5;
+
+const COMMAND_MESSAGES = {
+  pause: 'Attempt paused successfully',
+  resume: 'Attempt resumed successfully',
+  'warn-student': 'Warning sent',
+  'force-submit': 'Attempt submitted successfully',
+};
+
+const olympiadRoom = (olympiadId) => `olympiad-${olympiadId}`;
+
+export const studentRoom = (userId) => `user-${userId}`;
+
+// Live attempts last sent to each watched olympiad: olympiadId -> Map(attemptId -> entry)
+const lastBroadcast = new Map();
+let broadcastInProgress = false;
+
+// API routes are compiled apart from server.js, so the server is shared through global like the Mongo connection
+function getIO() {
+  return global.proctorLiveIO || null;
+}
+
+/**
+ * Push an event to a student's sockets (no-op outside the Socket.io server)
+ * @param {String} userId - Student user ID
+ * @param {String} event - e.g. 'attempt-paused'
+ * @param {Object} payload - Event data
+ */
+export function notifyStudent(userId, event, payload) {
+  const io = getIO();
+  if (!io || !userId) return;
+  io.to(studentRoom(userId.toString())).emit(event, payload);
+}
+
+function liveEntry(attempt, users, policy) {
+  const attemptId = attempt._id.toString();
+  const student = users.get(attempt.userId);
+  const presence = presenceStore.getAllForAttempt(attemptId);
+  const lastSeenAt = presence.reduce(
+    (latest, entry) => (!latest || entry.lastSeenAt > latest ? entry.lastSeenAt : latest),
+    null
+  );
+  const violations = attempt.violations || [];
+  const { trustScore, classification } = calculateTrustScore(attempt, policy);
+
+  return {
+    attemptId,
+    userId: attempt.userId,
+    student: {
+      name: student ? student.name : 'Unknown',
+      email: student ? student.email : 'Unknown',
+    },
+    status: attempt.status,
+    connected: presence.length > 0,
+    lastSeenAt: lastSeenAt || attempt.lastHeartbeatAt || null,
+    currentQuestionIndex: attempt.currentQuestionIndex,
+    questionCount: (attempt.questionOrder || []).length,
+    missedHeartbeats: attempt.missedHeartbeats || 0,
+    violationCount: violations.length,
+    recentViolations: violations.slice(-RECENT_VIOLATIONS).map((violation) => ({
+      type: violation.type,
+      timestamp: violation.timestamp,
+    })),
+    warningCount: (attempt.warnings || []).length,
+    trustScore,
+    trustClassification: classification,
+    endsAt: attempt.endsAt,
+    pausedAt: attempt.status === 'paused' ? attempt.pausedAt : null,
+  };
+}
+
+/**
+ * Attempts in progress in an olympiad, as proctors see them
+ * @param {String} olympiadId - Olympiad ID
+ * @returns {Promise<Array>} - Live entries, by student name
+ */
+export async function getLiveOlympiadState(olympiadId) {
+  await connectMongoDB();
+
+  const [attempts, policy] = await Promise.all([
+    Attempt.find({ olympiadId: String(olympiadId), status: { $in: LIVE_ATTEMPT_STATUSES } })
+      .select('userId status currentQuestionIndex questionOrder missedHeartbeats lastHeartbeatAt violations warnings '
+        + 'deviceSwitchDetected deviceSwitchTimestamp verificationStatus endsAt pausedAt')
+      .lean(),
+    getOlympiadPolicy(olympiadId),
+  ]);
+
+  const userIds = [...new Set(attempts.map((attempt) => attempt.userId))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const users = new Map(
+    (await User.find({ _id: { $in: userIds } }).select('name email').lean())
+      .map((user) => [user._id.toString(), user])
+  );
+
+  return attempts
+    .map((attempt) => liveEntry(attempt, users, policy))
+    .sort((a, b) => a.student.name.localeCompare(b.student.name));
+}
+
+// Events for what changed between two broadcasts of one attempt
+function attemptEvents(previous, current) {
+  const base = { attemptId: current.attemptId, userId: current.userId };
+  if (!previous) {
+    return [['attempt-started', { ...base, attempt: current }]];
+  }
+
+  const events = [];
+  if (current.connected !== previous.connected) {
+    events.push([current.connected ? 'student-connected' : 'student-disconnected', { ...base, attempt: current }]);
+  }
+  if (current.status !== previous.status) {
+    events.push(['attempt-status', { ...base, status: current.status, pausedAt: current.pausedAt, endsAt: current.endsAt }]);
+  }
+  if (current.currentQuestionIndex !== previous.currentQuestionIndex) {
+    events.push(['question-changed', {
+      ...base,
+      currentQuestionIndex: current.currentQuestionIndex,
+      previousQuestionIndex: previous.currentQuestionIndex,
+      questionCount: current.questionCount,
+    }]);
+  }
+  if (current.missedHeartbeats !== previous.missedHeartbeats) {
+    events.push(['missed-heartbeats', { ...base, missedHeartbeats: current.missedHeartbeats }]);
+  }
+  if (current.violationCount > previous.violationCount) {
+    const added = Math.min(current.violationCount - previous.violationCount, current.recentViolations.length);
+    events.push(['violation', {
+      ...base,
+      violations: current.recentViolations.slice(-added),
+      violationCount: current.violationCount,
+    }]);
+  }
+  if (current.trustScore !== previous.trustScore) {
+    events.push(['trust-score-changed', {
+      ...base,
+      trustScore: current.trustScore,
+      previousTrustScore: previous.trustScore,
+      trustClassification: current.trustClassification,
+    }]);
+  }
+  return events;
+}
+
+async function broadcastOlympiad(namespace, olympiadId) {
+  const entries = await getLiveOlympiadState(olympiadId);
+  const previous = lastBroadcast.get(olympiadId) || new Map();
+  const current = new Map(entries.map((entry) => [entry.attemptId, entry]));
+  const room = namespace.to(olympiadRoom(olympiadId));
+
+  for (const entry of entries) {
+    for (const [event, payload] of attemptEvents(previous.get(entry.attemptId), entry)) {
+      room.emit(event, { olympiadId, ...payload });
+    }
+  }
+  for (const [attemptId, entry] of previous) {
+    if (!current.has(attemptId)) {
+      room.emit('attempt-ended', { olympiadId, attemptId, userId: entry.userId });
+    }
+  }
+
+  lastBroadcast.set(olympiadId, current);
+}
+
+/**
+ * Send watchers what changed in their olympiads since the last run.
+ * Run on an interval by server.js.
+ * @returns {Promise<Number>} - Olympiads broadcast
+ */
+export async function broadcastLiveState() {
+  const io = getIO();
+  if (!io || broadcastInProgress) return 0;
+  broadcastInProgress = true;
+
+  try {
+    const namespace = io.of(PROCTOR_NAMESPACE);
+    const watched = [...namespace.adapter.rooms.keys()]
+      .filter((room) => room.startsWith('olympiad-'))
+      .map((room) => room.slice('olympiad-'.length));
+
+    // Olympiads nobody watches anymore start from scratch next time
+    for (const olympiadId of lastBroadcast.keys()) {
+      if (!watched.includes(olympiadId)) lastBroadcast.delete(olympiadId);
+    }
+
+    for (const olympiadId of watched) {
+      try {
+        await broadcastOlympiad(namespace, olympiadId);
+      } catch (error) {
+        console.error(`Live proctoring broadcast error (olympiad ${olympiadId}):`, error);
+      }
+    }
+    return watched.length;
+  } finally {
+    broadcastInProgress = false;
+  }
+}
+
+// Re-checked on every request so bans, revoked sessions and role changes apply at once.
+// Checks the session the socket connected with, not its token, which expires long before
+// a proctoring shift ends.
+async function authorizeSocket(socket, capability, olympiadId) {
+  const { userId, sessionId, issuedAt } = socket.proctorSession;
+  const authResult = await authenticateSession(userId, sessionId, issuedAt);
+  if (authResult.error) return authResult;
+
+  const resource = await olympiadResource(olympiadId);
+  if (!resource) return { error: 'Olympiad not found', status: 404 };
+
+  const permissionError = await checkPermission(authResult.user, capability, resource);
+  return permissionError || authResult;
+}
+
+async function runCommand(command, attempt, user, data) {
+  const adminId = user._id.toString();
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+
+  switch (command) {
+    case 'pause': {
+      if (!reason) return { success: false, reason: 'Reason is required for pausing attempt' };
+      const result = await pauseAttempt(attempt._id, reason, adminId);
+      if (result.success) {
+        notifyStudent(attempt.userId, 'attempt-paused', { attemptId: attempt._id.toString(), reason, pausedAt: result.pausedAt });
+      }
+      return result;
+    }
+    case 'resume': {
+      const result = await resumeAttempt(attempt._id, adminId);
+      if (result.success) {
+        notifyStudent(attempt.userId, 'attempt-resumed', { attemptId: attempt._id.toString(), timer: result.timer });
+      }
+      return result;
+    }
+    case 'warn-student': {
+      const message = typeof data.message === 'string' ? data.message.trim() : reason;
+      if (!message) return { success: false, reason: 'A warning message is required' };
+      const result = await warnAttempt(attempt._id, message, adminId);
+      notifyStudent(attempt.userId, 'proctor-warning', {
+        attemptId: attempt._id.toString(),
+        message,
+        issuedAt: result.warning.issuedAt,
+      });
+      return result;
+    }
+    case 'force-submit': {
+      const result = await forceSubmitAttempt(attempt._id, adminId);
+      if (result.success) {
+        notifyStudent(attempt.userId, 'attempt-force-submitted', { attemptId: attempt._id.toString(), submittedAt: result.submittedAt });
+      }
+      return result;
+    }
+    default:
+      return { success: false, reason: `Unknown command: ${command}` };
+  }
+}
+
+/**
+ * Set up the /proctor namespace on the Socket.io server
+ * @param {Object} io - Socket.io server
+ * @returns {Object} - The namespace
+ */
+export function attachProctorNamespace(io) {
+  global.proctorLiveIO = io;
+  const namespace = io.of(PROCTOR_NAMESPACE);
+
+  // Staff only: unlike the student namespace, no token means no connection
+  namespace.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next(new Error('Not authorized, no token'));
+
+    const authResult = await authenticateToken(token);
+    if (authResult.error) return next(new Error(authResult.error));
+
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'proctoring.view');
+    if (permissionError) return next(new Error(permissionError.error));
+
+    socket.userId = authResult.user._id;
+    socket.proctorSession = {
+      userId: authResult.user._id,
+      sessionId: authResult.sessionId,
+      issuedAt: authResult.issuedAt,
+    };
+    return next();
+  });
+
+  namespace.on('connection', (socket) => {
+    console.log('Proctor connected:', socket.id, `(User: ${socket.userId})`);
+
+    const reply = (ack, payload) => {
+      if (typeof ack === 'function') ack(payload);
+    };
+
+    // Start watching an olympiad; the ack carries its live attempts
+    socket.on('watch-olympiad', async (data, ack) => {
+      const olympiadId = typeof data === 'string' ? data : data?.olympiadId;
+      try {
+        const authResult = await authorizeSocket(socket, 'proctoring.view', olympiadId);
+        if (authResult.error) return reply(ack, { success: false, message: authResult.error });
+
+        const attempts = await getLiveOlympiadState(olympiadId);
+        socket.join(olympiadRoom(olympiadId));
+        if (!lastBroadcast.has(olympiadId)) {
+          lastBroadcast.set(olympiadId, new Map(attempts.map((entry) => [entry.attemptId, entry])));
+        }
+        reply(ack, { success: true, olympiadId, attempts });
+      } catch (error) {
+        console.error('Watch olympiad error:', error);
+        reply(ack, { success: false, message: 'Error loading live state' });
+      }
+    });
+
+    socket.on('unwatch-olympiad', (data, ack) => {
+      const olympiadId = typeof data === 'string' ? data : data?.olympiadId;
+      socket.leave(olympiadRoom(olympiadId));
+      reply(ack, { success: true, olympiadId });
+    });
+
+    // { attemptId, reason } for pause, { attemptId, message } for warn-student, { attemptId } otherwise
+    for (const command of ['pause', 'resume', 'warn-student', 'force-submit']) {
+      socket.on(command, async (data, ack) => {
+        const attemptId = data?.attemptId;
+        try {
+          if (!attemptId || !mongoose.Types.ObjectId.isValid(attemptId)) {
+            return reply(ack, { success: false, message: 'attemptId is required' });
+          }
+          await connectMongoDB();
+          const attempt = await Attempt.findById(attemptId).select('userId olympiadId status').lean();
+          if (!attempt) return reply(ack, { success: false, message: 'Attempt not found' });
+
+          const authResult = await authorizeSocket(socket, 'proctoring.control', attempt.olympiadId);
+          if (authResult.error) return reply(ack, { success: false, message: authResult.error });
+
+          const result = await runCommand(command, attempt, authResult.user, data);
+          reply(ack, { ...result, message: result.success ? COMMAND_MESSAGES[command] : result.reason });
+
+          // Watchers see the effect right away rather than on the next tick
+          if (result.success) {
+            await broadcastOlympiad(namespace, attempt.olympiadId).catch((error) =>
+              console.error('Live proctoring broadcast error:', error)
+            );
+          }
+        } catch (error) {
+          console.error(`Proctor ${command} error:`, error);
+          reply(ack, { success: false, message: error.message || `Failed to ${command}` });
+        }
+      });
+    }
+
+    socket.on('disconnect', () => {
+      console.log('Proctor disconnected:', socket.id);
+    });
+  });
+
+  return namespace;
+}
+
+export default {
+  PROCTOR_NAMESPACE,
+  studentRoom,
+  notifyStudent,
+  getLiveOlympiadState,
+  broadcastLiveState,
+  attachProctorNamespace,
+};
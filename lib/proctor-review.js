@@ -0,0 +1,389 @@
+/**
+ * Proctor review service
+ *
+ * Attempts that trust scoring classifies suspicious (or invalid, when the
+ * olympiad's policy turns auto-disqualification off) are queued for a human
+ * reviewer (Attempt.review) and their result is held as 'under-review' and
+ * hidden from the student and the rankings until a decision. A
+ * reviewer clears the attempt, warns the student, invalidates the attempt
+ * (emergency-controls) or escalates it to a senior reviewer; escalated attempts
+ * stay in the queue until someone else decides. Every decision is kept with
+ * its reason, reviewer and time, and settles Result.status.
+ */
+
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import Attempt from '../models/Attempt.js';
+import AuditLog from '../models/AuditLog.js';
+import CameraCapture from '../models/CameraCapture.js';
+import ProctoringSession from '../models/ProctoringSession.js';
+import Result from '../models/Result.js';
+import Olympiad from '../models/Olympiad.js';
+import User from '../models/User.js';
+import { createAuditLog } from './audit-logger.js';
+import { invalidateAttempt, warnAttempt } from './emergency-controls.js';
+
+export const REVIEW_ACTIONS = ['clear', 'warn', 'invalidate', 'escalate'];
+
+// Queue states awaiting a decision
+export const OPEN_REVIEW_STATUSES = ['pending', 'escalated'];
+
+const REVIEW_STATUS_BY_ACTION = {
+  clear: 'cleared',
+  warn: 'warned',
+  invalidate: 'invalidated',
+  escalate: 'escalated',
+};
+
+// Audit events shown on the review timeline; routine question and answer events are left out
+const TIMELINE_EVENT_TYPES = [
+  'start', 'restart', 'violation', 'heartbeat_violation', 'disconnect', 'device_switch', 'device_rebind',
+  'replay_rejection', 'section_advance', 'submit', 'auto_submit', 'post_attempt_verification',
+];
+const MAX_TIMELINE_EVENTS = 500;
+const MAX_CAPTURES = 200;
+
+const VIDEO_STREAMS = {
+  frontCameraVideoPath: 'front_camera',
+  backCameraVideoPath: 'back_camera',
+  screenVideoPath: 'screen',
+};
+
+function reviewError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const uploadUrl = (filePath) => `/api/uploads/${filePath}`;
+
+/**
+ * Queue a suspicious attempt for review and hold its result. Does nothing if
+ * the attempt was already queued, so rescoring never reopens a decided review;
+ * an attempt flagged while still running gets its result held once it exists.
+ * @param {Object} attempt - Attempt (document or plain)
+ * @returns {Promise<Boolean>} - true if the attempt was queued now
+ */
+export async function openReview(attempt) {
+  await connectMongoDB();
+
+  const result = await Result.findOne({ userId: attempt.userId, olympiadId: attempt.olympiadId })
+    .select('_id status visible')
+    .lean();
+
+  const queued = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, review: null },
+    {
+      $set: {
+        review: {
+          status: 'pending',
+          flaggedAt: new Date(),
+          resultStatusBefore: result ? result.status : null,
+          resultVisibleBefore: result ? result.visible : null,
+          decisions: [],
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!result) return Boolean(queued);
+
+  if (!queued) {
+    const late = await Attempt.updateOne(
+      { _id: attempt._id, 'review.status': { $in: OPEN_REVIEW_STATUSES }, 'review.resultStatusBefore': null },
+      { $set: { 'review.resultStatusBefore': result.status, 'review.resultVisibleBefore': result.visible } }
+    );
+    if (late.modifiedCount === 0) return false;
+  }
+
+  await Result.updateOne({ _id: result._id }, { $set: { status: 'under-review', visible: false } });
+  return Boolean(queued);
+}
+
+/**
+ * Olympiads a scope from getPermissionScope reaches, for filtering the queue
+ * @param {Object} scope - { global, olympiadIds, universityIds }
+ * @returns {Promise<Array|null>} - Olympiad IDs, null for all
+ */
+export async function getScopedOlympiadIds(scope) {
+  if (scope.global) return null;
+
+  const olympiadIds = new Set(scope.olympiadIds);
+  if (scope.universityIds.length > 0) {
+    await connectMongoDB();
+    const owned = await Olympiad.find({ ownerUniversityId: { $in: scope.universityIds } }).select('_id').lean();
+    owned.forEach((olympiad) => olympiadIds.add(olympiad._id.toString()));
+  }
+  return [...olympiadIds];
+}
+
+async function loadNames(attempts) {
+  const userIds = [...new Set(attempts.map((attempt) => attempt.userId))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const olympiadIds = [...new Set(attempts.map((attempt) => attempt.olympiadId))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const [users, olympiads] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email schoolId').lean(),
+    Olympiad.find({ _id: { $in: olympiadIds } }).select('title').lean(),
+  ]);
+  return {
+    users: new Map(users.map((user) => [user._id.toString(), user])),
+    olympiads: new Map(olympiads.map((olympiad) => [olympiad._id.toString(), olympiad])),
+  };
+}
+
+function queueEntry(attempt, { users, olympiads }) {
+  const student = users.get(attempt.userId);
+  const olympiad = olympiads.get(attempt.olympiadId);
+  return {
+    attemptId: attempt._id.toString(),
+    olympiadId: attempt.olympiadId,
+    olympiadTitle: olympiad ? olympiad.title : null,
+    userId: attempt.userId,
+    student: {
+      name: student ? student.name : 'Unknown',
+      email: student ? student.email : 'Unknown',
+      schoolId: student?.schoolId || null,
+    },
+    attemptStatus: attempt.status,
+    startedAt: attempt.startedAt,
+    submittedAt: attempt.submittedAt || null,
+    trustScore: attempt.trustScore,
+    trustClassification: attempt.trustClassification,
+    trustPolicy: attempt.trustPolicy || null,
+    scoringBreakdown: attempt.scoringBreakdown || null,
+    violationCount: (attempt.violations || []).length,
+    warningCount: (attempt.warnings || []).length,
+    review: attempt.review,
+  };
+}
+
+/**
+ * Flagged attempts, oldest flag first
+ * @param {Object} filters - { olympiadIds (null: all), olympiadId (already checked against the scope), status: review status or 'open' (default) or 'all' }
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Object>} - { items, total }
+ */
+export async function listReviewQueue({ olympiadIds = null, olympiadId = null, status = 'open' } = {}, { skip = 0, limit = 20 } = {}) {
+  await connectMongoDB();
+
+  const filter = {};
+  if (status === 'all') {
+    filter.review = { $ne: null };
+  } else {
+    filter['review.status'] = status === 'open' ? { $in: OPEN_REVIEW_STATUSES } : status;
+  }
+  if (olympiadId) {
+    filter.olympiadId = String(olympiadId);
+  } else if (olympiadIds) {
+    filter.olympiadId = { $in: olympiadIds };
+  }
+
+  const [attempts, total] = await Promise.all([
+    Attempt.find(filter)
+      .select('userId olympiadId status startedAt submittedAt trustScore trustClassification trustPolicy scoringBreakdown violations.type warnings review')
+      .sort({ 'review.flaggedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Attempt.countDocuments(filter),
+  ]);
+
+  const names = await loadNames(attempts);
+  return { items: attempts.map((attempt) => queueEntry(attempt, names)), total };
+}
+
+/**
+ * Find a queued attempt
+ * @param {String} attemptId - Attempt ID
+ * @returns {Promise<Object|null>} - Attempt (plain), null if missing or never flagged
+ */
+export async function findReviewAttempt(attemptId) {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) return null;
+  await connectMongoDB();
+  return Attempt.findOne({ _id: attemptId, review: { $ne: null } }).lean();
+}
+
+/**
+ * Everything a reviewer looks at: the trust breakdown, the violation timeline
+ * from the audit log, camera and screen captures and the recorded videos
+ * @param {Object} attempt - Attempt from findReviewAttempt
+ * @returns {Promise<Object>} - Queue entry plus { violations, warnings, timeline, captures, screenshots, videos, result }
+ */
+export async function getReviewDetails(attempt) {
+  await connectMongoDB();
+
+  const [names, timeline, captures, session, result] = await Promise.all([
+    loadNames([attempt]),
+    AuditLog.find({
+      attemptId: attempt._id,
+      $or: [
+        { eventType: { $in: TIMELINE_EVENT_TYPES } },
+        { eventType: /^(admin|review)_/ },
+      ],
+    })
+      .select('eventType timestamp metadata ipAddress deviceFingerprint')
+      .sort({ timestamp: 1 })
+      .limit(MAX_TIMELINE_EVENTS)
+      .lean(),
+    CameraCapture.find({ userId: attempt.userId, olympiadId: attempt.olympiadId })
+      .select('imagePath captureType timestamp')
+      .sort({ timestamp: 1 })
+      .limit(MAX_CAPTURES)
+      .lean(),
+    ProctoringSession.findOne({ attemptId: attempt._id }).lean(),
+    Result.findOne({ userId: attempt.userId, olympiadId: attempt.olympiadId })
+      .select('totalScore maxScore percentage status visible')
+      .lean(),
+  ]);
+
+  const videos = [];
+  if (session) {
+    for (const [field, stream] of Object.entries(VIDEO_STREAMS)) {
+      if (session[field]) {
+        videos.push({ stream, path: session[field], url: uploadUrl(session[field]) });
+      }
+    }
+  }
+
+  return {
+    ...queueEntry(attempt, names),
+    violations: attempt.violations || [],
+    warnings: attempt.warnings || [],
+    timeline: timeline.map((event) => ({ ...event, _id: event._id.toString() })),
+    captures: captures.map((capture) => ({
+      _id: capture._id.toString(),
+      captureType: capture.captureType,
+      imagePath: capture.imagePath,
+      imageUrl: uploadUrl(capture.imagePath),
+      timestamp: capture.timestamp,
+    })),
+    screenshots: (session?.screenshots || []).map((screenshot) => ({
+      imagePath: screenshot.imagePath,
+      imageUrl: uploadUrl(screenshot.imagePath),
+      questionIndex: screenshot.questionIndex ?? null,
+      timestamp: screenshot.timestamp,
+    })),
+    videos,
+    proctoringSessionStatus: session ? session.status : null,
+    result: result ? { ...result, _id: result._id.toString() } : null,
+  };
+}
+
+// Result.status once a decision is made; null leaves the result alone
+function resultStatusAfter(action, review, currentStatus) {
+  if (action === 'invalidate') return 'blocked';
+  if (action === 'escalate') return 'under-review';
+  // Cleared or warned: back to where the result was before it was held
+  if (currentStatus !== 'under-review') return null;
+  return review.resultStatusBefore && review.resultStatusBefore !== 'under-review'
+    ? review.resultStatusBefore
+    : 'checked';
+}
+
+/**
+ * Decide on a queued attempt
+ * @param {String} attemptId - Attempt ID
+ * @param {Object} decision - { action: clear | warn | invalidate | escalate, reason, reviewer: user from protect }
+ * @returns {Promise<Object>} - { review, resultStatus, attemptStatus }
+ * @throws {Error} - code INVALID_REVIEW for bad input, REVIEW_NOT_FOUND, REVIEW_CLOSED if already decided
+ */
+export async function decideReview(attemptId, { action, reason, reviewer }) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw reviewError(`action must be one of: ${REVIEW_ACTIONS.join(', ')}`, 'INVALID_REVIEW');
+  }
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason) {
+    throw reviewError('A reason is required for every review decision', 'INVALID_REVIEW');
+  }
+
+  const attempt = await findReviewAttempt(attemptId);
+  if (!attempt) {
+    throw reviewError('Attempt is not in the review queue', 'REVIEW_NOT_FOUND');
+  }
+  if (!OPEN_REVIEW_STATUSES.includes(attempt.review.status)) {
+    throw reviewError(`The review is already closed (${attempt.review.status})`, 'REVIEW_CLOSED');
+  }
+  if (action === 'escalate' && attempt.review.status === 'escalated') {
+    throw reviewError('The attempt is already escalated', 'REVIEW_CLOSED');
+  }
+
+  const reviewerId = reviewer._id.toString();
+  const decidedAt = new Date();
+  const result = await Result.findOne({ userId: attempt.userId, olympiadId: attempt.olympiadId })
+    .select('_id status')
+    .lean();
+  const resultStatus = result ? resultStatusAfter(action, attempt.review, result.status) : null;
+
+  // Record the decision first so two reviewers cannot both act on the same attempt
+  const decided = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, 'review.status': attempt.review.status },
+    {
+      $set: {
+        'review.status': REVIEW_STATUS_BY_ACTION[action],
+        'review.decidedAt': decidedAt,
+        'review.decidedBy': reviewerId,
+      },
+      $push: {
+        'review.decisions': {
+          action,
+          reason: trimmedReason,
+          reviewerId,
+          reviewerRole: reviewer.role || null,
+          resultStatus: resultStatus || result?.status || null,
+          decidedAt,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!decided) {
+    throw reviewError('Another reviewer decided on this attempt first', 'REVIEW_CLOSED');
+  }
+
+  let attemptStatus = decided.status;
+  if (action === 'invalidate') {
+    attemptStatus = (await invalidateAttempt(attempt._id, trimmedReason, reviewerId)).attemptStatus;
+  } else if (action === 'warn') {
+    await warnAttempt(attempt._id, trimmedReason, reviewerId);
+  }
+
+  if (result && resultStatus) {
+    const update = { status: resultStatus };
+    if (action === 'invalidate' || action === 'escalate') {
+      update.visible = false;
+    } else if (typeof attempt.review.resultVisibleBefore === 'boolean') {
+      // Cleared or warned: shown again if it was shown before the hold
+      update.visible = attempt.review.resultVisibleBefore;
+    }
+    await Result.updateOne({ _id: result._id }, { $set: update });
+  }
+
+  await createAuditLog({
+    attemptId: attempt._id,
+    userId: attempt.userId,
+    olympiadId: attempt.olympiadId,
+    eventType: `review_${action}`,
+    metadata: {
+      reason: trimmedReason,
+      reviewerId,
+      previousReviewStatus: attempt.review.status,
+      resultStatus,
+    },
+  });
+
+  return {
+    review: decided.review,
+    resultStatus: resultStatus || result?.status || null,
+    attemptStatus,
+  };
+}
+
+export default {
+  REVIEW_ACTIONS,
+  OPEN_REVIEW_STATUSES,
+  openReview,
+  getScopedOlympiadIds,
+  listReviewQueue,
+  findReviewAttempt,
+  getReviewDetails,
+  decideReview,
+};
@@ -6,14 +6,26 @@
  * - Screen share must be active with displaySurface === "monitor"
  * - Back camera optional but logged if available
  * - Permission revocation detection
+ *
+ * These are the defaults; an olympiad's anti-cheat policy can ask for more or
+ * fewer streams (see lib/anti-cheat-policy.js).
  */
 
+// Streams an attempt must have running
+export const DEFAULT_PROCTORING_REQUIREMENTS = {
+  frontCamera: true,
+  backCamera: false,
+  screenShare: true,
+  fullScreen: true, // Screen share of the whole monitor, not a window or tab
+};
+
 /**
  * Validate proctoring status
  * @param {Object} proctoringStatus - Proctoring status object
+ * @param {Object} requirements - Required streams (DEFAULT_PROCTORING_REQUIREMENTS shape)
  * @returns {Object} - Validation result { valid, errors }
  */
-export function validateProctoringStatus(proctoringStatus) {
+export function validateProctoringStatus(proctoringStatus, requirements = DEFAULT_PROCTORING_REQUIREMENTS) {
   const errors = [];
   
   if (!proctoringStatus) {
@@ -23,18 +35,20 @@ export function validateProctoringStatus(proctoringStatus) {
     };
   }
   
-  // Front camera is mandatory
-  if (!proctoringStatus.frontCameraActive) {
+  if (requirements.frontCamera && !proctoringStatus.frontCameraActive) {
     errors.push('Front camera is not active');
   }
+
+  if (requirements.backCamera && !proctoringStatus.backCameraActive) {
+    errors.push('Back camera is not active');
+  }
   
-  // Screen share is mandatory
-  if (!proctoringStatus.screenShareActive) {
+  if (requirements.screenShare && !proctoringStatus.screenShareActive) {
     errors.push('Screen share is not active');
   }
   
   // Display surface must be monitor (not browser or window)
-  if (proctoringStatus.displaySurface !== 'monitor') {
+  if (requirements.screenShare && requirements.fullScreen && proctoringStatus.displaySurface !== 'monitor') {
     errors.push('Screen share must be full screen (monitor), not browser or window');
   }
   
@@ -47,10 +61,11 @@ export function validateProctoringStatus(proctoringStatus) {
 /**
  * Check if proctoring is ready to start attempt
  * @param {Object} proctoringStatus - Proctoring status object
+ * @param {Object} requirements - Required streams
  * @returns {Boolean} - True if ready
  */
-export function isProctoringReady(proctoringStatus) {
-  const validation = validateProctoringStatus(proctoringStatus);
+export function isProctoringReady(proctoringStatus, requirements = DEFAULT_PROCTORING_REQUIREMENTS) {
+  const validation = validateProctoringStatus(proctoringStatus, requirements);
   return validation.valid;
 }
 
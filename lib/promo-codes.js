@@ -0,0 +1,416 @@
+/**
+ * Promo Codes
+ *
+ * A promo code adds bonus coins to a package purchase; the price never changes,
+ * so a bonus that cannot be granted any more (limit reached while the user was
+ * paying) only costs the user the bonus, never money. Codes are checked when
+ * the order is created and redeemed when the payment settles: the global limit
+ * is an atomic conditional $inc, the per-user limit a unique slot per use.
+ */
+
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import CoinPurchase from '../models/CoinPurchase.js';
+import { creditCoins } from './coin-ledger.js';
+
+export const PROMO_TYPES = ['percentage', 'fixed'];
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function promoError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PROMO';
+  return error;
+}
+
+function parseDate(value, field) {
+  if (!hasValue(value)) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Validate a promo code payload; on update only the given fields are checked
+ * @param {Object} data - { code, type, value, description, active, startsAt, expiresAt,
+ * maxRedemptions, perUserLimit, packageIds }
+ * @param {Object|null} current - Existing code when updating
+ * @returns {Object} - Fields to write
+ * @throws {Error} - On the first invalid field
+ */
+function normalizePromo(data = {}, current = null) {
+  const fields = {};
+
+  if (!current || data.code !== undefined) {
+    const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      throw new Error('code must be 3-32 letters, digits, "-" or "_"');
+    }
+    fields.code = code;
+  }
+
+  if (!current || data.type !== undefined) {
+    if (!PROMO_TYPES.includes(data.type)) {
+      throw new Error(`type must be one of: ${PROMO_TYPES.join(', ')}`);
+    }
+    fields.type = data.type;
+  }
+
+  if (!current || data.value !== undefined || data.type !== undefined) {
+    const type = fields.type || current.type;
+    const value = Number(data.value ?? current?.value);
+    const max = type === 'percentage' ? 100 : 100000;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new Error(`value must be a whole number between 1 and ${max} for ${type} codes`);
+    }
+    fields.value = value;
+  }
+
+  if (data.description !== undefined) {
+    fields.description = hasValue(data.description) ? String(data.description).trim() : null;
+  }
+
+  if (data.active !== undefined) {
+    fields.active = Boolean(data.active);
+  }
+
+  if (data.startsAt !== undefined) fields.startsAt = parseDate(data.startsAt, 'startsAt');
+  if (data.expiresAt !== undefined) fields.expiresAt = parseDate(data.expiresAt, 'expiresAt');
+  const startsAt = fields.startsAt !== undefined ? fields.startsAt : current?.startsAt;
+  const expiresAt = fields.expiresAt !== undefined ? fields.expiresAt : current?.expiresAt;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    throw new Error('expiresAt must be after startsAt');
+  }
+
+  if (data.maxRedemptions !== undefined) {
+    const maxRedemptions = hasValue(data.maxRedemptions) ? Number(data.maxRedemptions) : null;
+    if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+      throw new Error('maxRedemptions must be a positive whole number or null (unlimited)');
+    }
+    fields.maxRedemptions = maxRedemptions;
+  }
+
+  if (data.perUserLimit !== undefined) {
+    const perUserLimit = hasValue(data.perUserLimit) ? Number(data.perUserLimit) : 1;
+    if (!Number.isInteger(perUserLimit) || perUserLimit < 1) {
+      throw new Error('perUserLimit must be a positive whole number');
+    }
+    fields.perUserLimit = perUserLimit;
+  }
+
+  if (data.packageIds !== undefined) {
+    const packageIds = Array.isArray(data.packageIds) ? data.packageIds : [];
+    if (packageIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('packageIds must be coin package IDs');
+    }
+    fields.packageIds = [...new Set(packageIds.map(String))];
+  }
+
+  return fields;
+}
+
+/**
+ * Bonus coins a code gives on a package
+ */
+export function computePromoBonus(promo, coinPackage) {
+  if (promo.type === 'percentage') {
+    return Math.floor((coinPackage.coins * promo.value) / 100);
+  }
+  return promo.value;
+}
+
+async function countUserRedemptions(promoCodeId, userId) {
+  return PromoRedemption.countDocuments({ promoCodeId: promoCodeId.toString(), userId: userId.toString() });
+}
+
+/**
+ * Check a code for a purchase before the order is created
+ * @param {String} code - Code as typed by the user
+ * @param {Object} coinPackage - Package being bought
+ * @param {String} userId - Buyer
+ * @returns {Promise<Object>} - { promoCodeId, code, bonusCoins }
+ * @throws {Error} - code INVALID_PROMO with a message for the user
+ */
+export async function checkPromoCode(code, coinPackage, userId) {
+  await connectMongoDB();
+
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  const promo = normalized ? await PromoCode.findOne({ code: normalized }).lean() : null;
+  if (!promo || !promo.active) {
+    throw promoError('Promo code not found');
+  }
+
+  const now = new Date();
+  if (promo.startsAt && now < new Date(promo.startsAt)) {
+    throw promoError('Promo code is not active yet');
+  }
+  if (promo.expiresAt && now > new Date(promo.expiresAt)) {
+    throw promoError('Promo code has expired');
+  }
+  if (promo.packageIds.length > 0 && !promo.packageIds.includes(coinPackage._id.toString())) {
+    throw promoError('Promo code is not valid for this package');
+  }
+  if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+    throw promoError('Promo code has been fully redeemed');
+  }
+  if (await countUserRedemptions(promo._id, userId) >= promo.perUserLimit) {
+    throw promoError('You have already used this promo code');
+  }
+
+  const bonusCoins = computePromoBonus(promo, coinPackage);
+  if (bonusCoins < 1) {
+    throw promoError('Promo code gives no bonus on this package');
+  }
+
+  return { promoCodeId: promo._id.toString(), code: promo.code, bonusCoins };
+}
+
+/**
+ * Grant the promo bonus of a paid purchase (at most once per purchase). If a
+ * limit was reached while the user was paying, the bonus is dropped and the
+ * purchase's promoBonusCoins set to 0.
+ * @param {Object} purchase - Paid CoinPurchase
+ * @returns {Promise<Object|null>} - The redemption, or null if no bonus was granted
+ */
+export async function redeemPromoBonus(purchase) {
+  if (!purchase.promoCodeId || !(purchase.promoBonusCoins > 0)) return null;
+  await connectMongoDB();
+
+  const purchaseId = purchase._id.toString();
+  const userId = purchase.userId.toString();
+
+  let redemption = await PromoRedemption.findOne({ purchaseId }).lean();
+  if (!redemption) {
+    const promo = await PromoCode.findOneAndUpdate(
+      {
+        _id: purchase.promoCodeId,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+        ],
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    ).lean();
+
+    const dropBonus = async () => {
+      if (promo) await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+      await CoinPurchase.updateOne({ _id: purchase._id }, { $set: { promoBonusCoins: 0 } });
+      return null;
+    };
+
+    if (!promo) return dropBonus();
+
+    const used = await countUserRedemptions(promo._id, userId);
+    if (used >= promo.perUserLimit) return dropBonus();
+
+    try {
+      redemption = (await PromoRedemption.create({
+        promoCodeId: promo._id.toString(),
+        code: promo.code,
+        userId,
+        purchaseId,
+        packageId: purchase.packageId || null,
+        bonusCoins: purchase.promoBonusCoins,
+        slot: used + 1,
+      })).toObject();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Either this purchase was redeemed in parallel, or the user's slot was taken
+      redemption = await PromoRedemption.findOne({ purchaseId }).lean();
+      if (!redemption) return dropBonus();
+      await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+    }
+  }
+
+  await creditCoins(userId, redemption.bonusCoins, {
+    type: 'promo_bonus',
+    reason: `Promo code ${redemption.code}`,
+    referenceType: 'coin_purchase',
+    referenceId: purchaseId,
+    idempotencyKey: `promo_bonus:${purchaseId}`,
+  });
+  return toPlain(redemption);
+}
+
+/**
+ * Mark the redemption of a refunded purchase; the use still counts toward the limits
+ */
+export async function reversePromoRedemption(purchaseId) {
+  await connectMongoDB();
+  await PromoRedemption.updateOne(
+    { purchaseId: purchaseId.toString(), status: 'redeemed' },
+    { $set: { status: 'reversed' } }
+  );
+}
+
+export async function listPromoCodes() {
+  await connectMongoDB();
+
+  const [promos, totals] = await Promise.all([
+    PromoCode.find({}).sort({ createdAt: -1 }).lean(),
+    PromoRedemption.aggregate([
+      { $match: { status: 'redeemed' } },
+      { $group: { _id: '$promoCodeId', bonusCoins: { $sum: '$bonusCoins' }, users: { $addToSet: '$userId' } } },
+    ]),
+  ]);
+  const totalsById = new Map(totals.map((row) => [row._id, row]));
+
+  return promos.map((promo) => {
+    const row = totalsById.get(promo._id.toString());
+    return {
+      ...toPlain(promo),
+      bonusCoinsGranted: row?.bonusCoins || 0,
+      uniqueUsers: row?.users.length || 0,
+    };
+  });
+}
+
+export async function findPromoCodeById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const promo = await PromoCode.findById(id).lean();
+  if (!promo) return null;
+  return toPlain(promo);
+}
+
+/**
+ * @throws {Error} - If a field is invalid or the code already exists
+ */
+export async function createPromoCode(data, createdBy) {
+  const fields = normalizePromo(data);
+  await connectMongoDB();
+
+  if (await PromoCode.exists({ code: fields.code })) {
+    throw new Error(`Promo code ${fields.code} already exists`);
+  }
+
+  const promo = await PromoCode.create({
+    ...fields,
+    createdBy: createdBy ? createdBy.toString() : null,
+  });
+  return toPlain(promo.toObject());
+}
+
+/**
+ * The code itself and its usage count cannot change once created
+ * @returns {Promise<Object|null>} - Updated code, null if not found
+ * @throws {Error} - If a field is invalid
+ */
+export async function updatePromoCode(id, data) {
+  const current = await findPromoCodeById(id);
+  if (!current) return null;
+
+  const { code, ...updates } = data;
+  if (code !== undefined && String(code).trim().toUpperCase() !== current.code) {
+    throw new Error('The code of a promo code cannot be changed');
+  }
+
+  const fields = normalizePromo(updates, current);
+  const promo = await PromoCode.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+  return toPlain(promo);
+}
+
+/**
+ * Redemptions of one code, newest first
+ * @param {String} promoCodeId - Promo code ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { redemptions, pagination }
+ */
+export async function getPromoRedemptions(promoCodeId, options = {}) {
+  await connectMongoDB();
+
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit, 10) || 20));
+  const query = { promoCodeId: promoCodeId.toString() };
+
+  const [redemptions, total] = await Promise.all([
+    PromoRedemption.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PromoRedemption.countDocuments(query),
+  ]);
+
+  return {
+    redemptions: redemptions.map(toPlain),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Redemption totals for the owner dashboard
+ * @param {Object} options - { startDate, endDate, top }
+ * @returns {Promise<Object>} - { redemptions, reversed, bonusCoins, uniqueUsers, byCode }
+ */
+export async function getPromoRedemptionSummary({ startDate = null, endDate = null, top = 10 } = {}) {
+  await connectMongoDB();
+
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  const [totals, byCode] = await Promise.all([
+    PromoRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          bonusCoins: { $sum: '$bonusCoins' },
+          users: { $addToSet: '$userId' },
+        },
+      },
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { ...match, status: 'redeemed' } },
+      { $group: { _id: '$code', redemptions: { $sum: 1 }, bonusCoins: { $sum: '$bonusCoins' } } },
+      { $sort: { redemptions: -1 } },
+      { $limit: top },
+    ]),
+  ]);
+
+  const redeemed = totals.find((row) => row._id === 'redeemed');
+  const reversed = totals.find((row) => row._id === 'reversed');
+
+  return {
+    redemptions: redeemed?.count || 0,
+    reversed: reversed?.count || 0,
+    bonusCoins: redeemed?.bonusCoins || 0,
+    uniqueUsers: redeemed?.users.length || 0,
+    byCode: byCode.map((row) => ({ code: row._id, redemptions: row.redemptions, bonusCoins: row.bonusCoins })),
+  };
+}
+
+export default {
+  PROMO_TYPES,
+  computePromoBonus,
+  checkPromoCode,
+  redeemPromoBonus,
+  reversePromoRedemption,
+  listPromoCodes,
+  findPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  getPromoRedemptions,
+  getPromoRedemptionSummary,
+};
@@ -0,0 +1,225 @@
+import connectMongoDB from './mongodb.js';
+import BankQuestion from '../models/BankQuestion.js';
+import Question from '../models/Question.js';
+import { createQuestion, normalizeQuestionContent } from './question-helper.js';
+import { findOlympiadById } from './olympiad-helper.js';
+import { ANSWER_KEY_FIELDS, isAutoGradedType } from './question-types.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Fields whose change produces a new bank version (classification edits do not)
+const VERSIONED_FIELDS = ['question', 'type', ...ANSWER_KEY_FIELDS, 'points'];
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(
+    tags
+      .map((tag) => String(tag).trim().toLowerCase())
+      .filter((tag) => tag !== '')
+  )];
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+export async function listBankQuestions(options = {}) {
+  await connectMongoDB();
+
+  const {
+    subject = null,
+    topic = null,
+    difficulty = null,
+    tag = null,
+    search = null,
+    page = 1,
+    limit = 20,
+  } = options;
+
+  const query = {};
+  if (subject) query.subject = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+  if (topic) query.topic = new RegExp(`^${escapeRegex(topic)}$`, 'i');
+  if (difficulty) query.difficulty = difficulty;
+  if (tag) query.tags = String(tag).trim().toLowerCase();
+  if (search) query.question = new RegExp(escapeRegex(search), 'i');
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const [total, questions] = await Promise.all([
+    BankQuestion.countDocuments(query),
+    BankQuestion.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .lean(),
+  ]);
+
+  return {
+    questions: questions.map(toPlain),
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / Number(limit)),
+    },
+  };
+}
+
+export async function findBankQuestionById(id) {
+  await connectMongoDB();
+  const question = await BankQuestion.findById(id).lean();
+  if (!question) return null;
+  return toPlain(question);
+}
+
+export async function createBankQuestion(questionData, userId) {
+  await connectMongoDB();
+
+  if (questionData.difficulty && !DIFFICULTIES.includes(questionData.difficulty)) {
+    throw new Error(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const content = normalizeQuestionContent(questionData);
+
+  const question = await BankQuestion.create({
+    subject: String(questionData.subject).trim(),
+    topic: typeof questionData.topic === 'string' ? questionData.topic.trim() : '',
+    difficulty: questionData.difficulty || 'medium',
+    tags: normalizeTags(questionData.tags),
+    question: questionData.question.trim(),
+    type: questionData.type,
+    ...content,
+    points: Number(questionData.points) || 1,
+    version: 1,
+    createdBy: userId?.toString?.() || userId,
+  });
+
+  return toPlain(question.toObject());
+}
+
+/**
+ * Update a bank entry. Content changes bump `version`; olympiad snapshots
+ * made from earlier versions are left untouched.
+ */
+export async function updateBankQuestion(id, updates, userId) {
+  await connectMongoDB();
+
+  const existing = await BankQuestion.findById(id);
+  if (!existing) throw new Error('Question not found');
+
+  if (updates.difficulty !== undefined && !DIFFICULTIES.includes(updates.difficulty)) {
+    throw new Error(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const current = existing.toObject();
+  const merged = {
+    question: typeof updates.question === 'string' ? updates.question.trim() : existing.question,
+    type: updates.type || existing.type,
+    points: updates.points !== undefined && !Number.isNaN(Number(updates.points))
+      ? Number(updates.points)
+      : existing.points,
+  };
+  for (const field of ANSWER_KEY_FIELDS) {
+    merged[field] = updates[field] !== undefined ? updates[field] : current[field];
+  }
+
+  const content = normalizeQuestionContent(merged);
+  const next = { ...merged, ...content };
+
+  const contentChanged = VERSIONED_FIELDS.some((field) =>
+    JSON.stringify(next[field] ?? null) !== JSON.stringify(current[field] ?? null)
+  );
+
+  Object.assign(existing, next);
+  if (typeof updates.subject === 'string' && updates.subject.trim() !== '') {
+    existing.subject = updates.subject.trim();
+  }
+  if (typeof updates.topic === 'string') existing.topic = updates.topic.trim();
+  if (updates.difficulty !== undefined) existing.difficulty = updates.difficulty;
+  if (updates.tags !== undefined) existing.tags = normalizeTags(updates.tags);
+  if (contentChanged) existing.version = (existing.version || 1) + 1;
+  existing.updatedBy = userId?.toString?.() || userId || null;
+
+  await existing.save();
+  return toPlain(existing.toObject());
+}
+
+export async function deleteBankQuestion(id) {
+  await connectMongoDB();
+  const result = await BankQuestion.findByIdAndDelete(id);
+  if (!result) throw new Error('Question not found');
+  return true;
+}
+
+/**
+ * Copy bank entries into an olympiad as snapshot questions.
+ * @param {String} olympiadId - Target olympiad ID
+ * @param {Array} items - [{ bankQuestionId, points?, order? }]
+ * @param {Number} startOrder - Order assigned to the first item without an explicit order
+ * @returns {Promise<Object>} - { created, errors }
+ */
+export async function addBankQuestionsToOlympiad(olympiadId, items, startOrder = 0) {
+  await connectMongoDB();
+
+  const olympiad = await findOlympiadById(olympiadId);
+  if (!olympiad) throw new Error('Olympiad not found');
+
+  const created = [];
+  const errors = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = typeof items[i] === 'string' ? { bankQuestionId: items[i] } : (items[i] || {});
+    try {
+      const bankQuestion = item.bankQuestionId ? await findBankQuestionById(item.bankQuestionId) : null;
+      if (!bankQuestion) {
+        errors.push({ index: i, error: 'Bank question not found' });
+        continue;
+      }
+
+      if (olympiad.type === 'test' && !isAutoGradedType(bankQuestion.type)) {
+        errors.push({ index: i, error: 'Test olympiads only accept auto-graded questions' });
+        continue;
+      }
+      if (olympiad.type === 'essay' && bankQuestion.type !== 'essay') {
+        errors.push({ index: i, error: 'Essay olympiads only accept essay questions' });
+        continue;
+      }
+
+      const alreadyAdded = await Question.exists({ olympiadId, bankQuestionId: bankQuestion._id });
+      if (alreadyAdded) {
+        errors.push({ index: i, error: 'Bank question already added to this olympiad' });
+        continue;
+      }
+
+      const questionDoc = await createQuestion({
+        olympiadId,
+        question: bankQuestion.question,
+        type: bankQuestion.type,
+        ...Object.fromEntries(ANSWER_KEY_FIELDS.map((field) => [field, bankQuestion[field]])),
+        points: item.points !== undefined ? Number(item.points) : bankQuestion.points,
+        order: item.order !== undefined ? item.order : startOrder + i,
+        bankQuestionId: bankQuestion._id,
+        bankVersion: bankQuestion.version,
+      });
+
+      created.push(questionDoc);
+    } catch (error) {
+      errors.push({ index: i, error: error.message });
+    }
+  }
+
+  return { created, errors };
+}
+
+export default {
+  listBankQuestions,
+  findBankQuestionById,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  addBankQuestionsToOlympiad,
+};
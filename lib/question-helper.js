@@ -1,6 +1,7 @@
 import connectMongoDB from './mongodb.js';
 import Question from '../models/Question.js';
 import { findOlympiadById, addQuestionToOlympiad } from './olympiad-helper.js';
+import { normalizeAnswerKey } from './question-types.js';
 
 export async function getAllQuestions() {
   await connectMongoDB();
@@ -21,76 +22,34 @@ export async function findQuestionsByOlympiadId(olympiadId) {
   return questions.map((q) => ({ ...q, _id: q._id.toString() }));
 }
 
+/**
+ * Normalize and validate the answer-related fields of a question payload.
+ * Shared by olympiad questions and question bank entries so both paths
+ * accept exactly the same shapes.
+ * @param {Object} questionData - Raw question fields
+ * @returns {Object} - Answer-key fields for the question type (see question-types.js)
+ * @throws {Error} - If the type is unknown or its answer key is missing/invalid
+ */
+export function normalizeQuestionContent(questionData) {
+  return normalizeAnswerKey(questionData);
+}
+
 export async function createQuestion(questionData) {
   await connectMongoDB();
   const olympiad = await findOlympiadById(questionData.olympiadId);
   if (!olympiad) throw new Error('Olympiad not found');
 
-  const normalizedOptions = Array.isArray(questionData.options)
-    ? questionData.options
-        .map((opt) => String(opt))
-        .filter((opt) => opt.trim() !== '')
-    : [];
-
-  const normalizedCorrectAnswers = Array.isArray(questionData.correctAnswers)
-    ? questionData.correctAnswers
-        .map((answer) => String(answer))
-        .filter((answer) => answer.trim() !== '')
-    : [];
-
-  const fallbackCorrectAnswer =
-    typeof questionData.correctAnswer === 'string' && questionData.correctAnswer.trim() !== ''
-      ? questionData.correctAnswer
-      : null;
-
-  const allowMultipleCorrect = Boolean(questionData.allowMultipleCorrect);
-
-  if (questionData.type === 'multiple-choice') {
-    if (!normalizedOptions || normalizedOptions.length < 2) {
-      throw new Error('Multiple choice questions require options');
-    }
-
-    const effectiveCorrectAnswers = normalizedCorrectAnswers.length > 0
-      ? normalizedCorrectAnswers
-      : fallbackCorrectAnswer
-        ? [fallbackCorrectAnswer]
-        : [];
-
-    const validCorrectAnswers = effectiveCorrectAnswers.filter((answer) =>
-      normalizedOptions.includes(answer)
-    );
-
-    if (validCorrectAnswers.length === 0) {
-      throw new Error('Multiple choice questions require correctAnswer');
-    }
-
-    if (!allowMultipleCorrect && validCorrectAnswers.length > 1) {
-      throw new Error('Single-answer mode allows only one correct option');
-    }
-
-    questionData.options = normalizedOptions;
-    questionData.correctAnswers = allowMultipleCorrect
-      ? [...new Set(validCorrectAnswers)]
-      : [validCorrectAnswers[0]];
-    questionData.correctAnswer = questionData.correctAnswers[0] || null;
-    questionData.allowMultipleCorrect = allowMultipleCorrect;
-  } else {
-    questionData.options = [];
-    questionData.correctAnswers = [];
-    questionData.correctAnswer = null;
-    questionData.allowMultipleCorrect = false;
-  }
+  const content = normalizeQuestionContent(questionData);
 
   const question = await Question.create({
     olympiadId: questionData.olympiadId,
     question: questionData.question.trim(),
     type: questionData.type,
-    options: questionData.options || [],
-    correctAnswer: questionData.correctAnswer || null,
-    correctAnswers: questionData.correctAnswers || [],
-    allowMultipleCorrect: Boolean(questionData.allowMultipleCorrect),
+    ...content,
     points: questionData.points || 1,
     order: questionData.order || 0,
+    bankQuestionId: questionData.bankQuestionId || null,
+    bankVersion: questionData.bankVersion ?? null,
   });
 
   await addQuestionToOlympiad(questionData.olympiadId, question._id);
@@ -127,6 +86,7 @@ export async function getQuestionsWithOlympiad(olympiadId = null) {
 }
 
 export default {
+  normalizeQuestionContent,
   getAllQuestions,
   findQuestionById,
   findQuestionsByOlympiadId,
@@ -0,0 +1,576 @@
+/**
+ * Question Types
+ *
+ * Single place that knows every question type: how its answer key is
+ * validated, how a student answer is auto-graded, and which fields a student
+ * may see while the olympiad is running.
+ *
+ * Types:
+ * - multiple-choice: options + correctAnswers, scored by scoringPolicy
+ * - numeric: numericAnswer { value, tolerance, toleranceType, unit, unitRequired }
+ * - short-text: acceptedAnswers + caseSensitive (whitespace always normalized)
+ * - matching: matchingPairs [{ left, right }]
+ * - ordering: orderingItems in the correct order
+ * - essay: graded by text analysis or manually, never auto-graded here
+ */
+
+export const QUESTION_TYPES = ['multiple-choice', 'essay', 'numeric', 'short-text', 'matching', 'ordering'];
+
+// Fields that make up a question's answer key across all types
+export const ANSWER_KEY_FIELDS = [
+  'options',
+  'correctAnswer',
+  'correctAnswers',
+  'allowMultipleCorrect',
+  'scoringPolicy',
+  'wrongSelectionPenalty',
+  'numericAnswer',
+  'acceptedAnswers',
+  'caseSensitive',
+  'matchingPairs',
+  'orderingItems',
+];
+
+/**
+ * Multiple-choice scoring policies:
+ * - all-or-nothing: full points only for the exact set of correct options
+ * - proportional: points split evenly across the correct options; any wrong
+ *   selection voids the credit so selecting everything never pays
+ * - penalty: proportional credit minus wrongSelectionPenalty per wrong
+ *   selection (default: the value of one correct option), floored at zero
+ */
+export const SCORING_POLICIES = ['all-or-nothing', 'proportional', 'penalty'];
+
+export const DEFAULT_SCORING_POLICY = 'all-or-nothing';
+
+export const AUTO_GRADED_TYPES = ['multiple-choice', 'numeric', 'short-text', 'matching', 'ordering'];
+
+/**
+ * @param {String} type - Question type
+ * @returns {Boolean} - True if answers of this type are graded automatically
+ */
+export function isAutoGradedType(type) {
+  return AUTO_GRADED_TYPES.includes(type);
+}
+
+function normalizeStringList(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((item) => String(item))
+    .filter((item) => item.trim() !== '');
+}
+
+export function normalizeAnswerList(value) {
+  if (Array.isArray(value)) {
+    return [...new Set(value.map((item) => String(item)).filter((item) => item.trim() !== ''))];
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed ? [trimmed] : [];
+  }
+  return [];
+}
+
+export function getCorrectAnswers(question) {
+  const fromArray = normalizeAnswerList(question?.correctAnswers);
+  if (fromArray.length > 0) {
+    return fromArray;
+  }
+
+  if (typeof question?.correctAnswer === 'string' && question.correctAnswer.trim() !== '') {
+    return [question.correctAnswer.trim()];
+  }
+
+  return [];
+}
+
+/**
+ * Parse a JSON-encoded answer (submissions store structured answers as strings)
+ */
+function parseStructuredAnswer(value) {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function normalizeText(value, caseSensitive = false) {
+  const collapsed = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+function normalizeUnit(value) {
+  return String(value ?? '').replace(/\s+/g, '');
+}
+
+/**
+ * Parse a numeric answer: a number, "9.81", "9,81 m/s", or { value, unit }
+ * @returns {Object|null} - { value, unit } or null if not numeric
+ */
+export function parseNumericAnswer(answer) {
+  const parsed = parseStructuredAnswer(answer);
+
+  if (typeof parsed === 'number') {
+    return Number.isFinite(parsed) ? { value: parsed, unit: '' } : null;
+  }
+
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    const value = Number(parsed.value);
+    return Number.isFinite(value) ? { value, unit: normalizeUnit(parsed.unit) } : null;
+  }
+
+  if (typeof parsed !== 'string') return null;
+
+  const match = parsed.trim().match(/^([-+]?(?:\d+(?:[.,]\d*)?|[.,]\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+
+  const value = Number(match[1].replace(',', '.'));
+  if (!Number.isFinite(value)) return null;
+
+  return { value, unit: normalizeUnit(match[2]) };
+}
+
+/**
+ * Parse a matching answer into a { left: right } map.
+ * Accepts { left: right } or [{ left, right }].
+ */
+function parseMatchingAnswer(answer) {
+  const parsed = parseStructuredAnswer(answer);
+  const map = {};
+
+  if (Array.isArray(parsed)) {
+    for (const pair of parsed) {
+      if (pair && typeof pair === 'object' && pair.left !== undefined) {
+        map[String(pair.left)] = String(pair.right ?? '');
+      }
+    }
+    return map;
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    for (const [left, right] of Object.entries(parsed)) {
+      map[String(left)] = String(right ?? '');
+    }
+  }
+
+  return map;
+}
+
+function parseOrderingAnswer(answer) {
+  const parsed = parseStructuredAnswer(answer);
+  return Array.isArray(parsed) ? parsed.map((item) => String(item)) : [];
+}
+
+export function isMultipleChoiceAnswerCorrect(question, submittedAnswer) {
+  const submitted = normalizeAnswerList(parseStructuredAnswer(submittedAnswer));
+  const expected = getCorrectAnswers(question);
+
+  if (submitted.length === 0 || expected.length === 0) {
+    return false;
+  }
+
+  const submittedSet = new Set(submitted);
+  const expectedSet = new Set(expected);
+
+  if (submittedSet.size !== expectedSet.size) {
+    return false;
+  }
+
+  for (const expectedAnswer of expectedSet) {
+    if (!submittedSet.has(expectedAnswer)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Score a multiple-choice answer under the question's scoring policy
+ * @returns {Object} - { score, isCorrect, scoringPolicy }
+ */
+export function scoreMultipleChoiceAnswer(question, submittedAnswer) {
+  const scoringPolicy = SCORING_POLICIES.includes(question?.scoringPolicy)
+    ? question.scoringPolicy
+    : DEFAULT_SCORING_POLICY;
+  const points = question?.points || 0;
+  const isCorrect = isMultipleChoiceAnswerCorrect(question, submittedAnswer);
+
+  if (isCorrect || scoringPolicy === 'all-or-nothing') {
+    return { score: isCorrect ? points : 0, isCorrect, scoringPolicy };
+  }
+
+  const expected = new Set(getCorrectAnswers(question));
+  const submitted = normalizeAnswerList(parseStructuredAnswer(submittedAnswer));
+  const hits = submitted.filter((answer) => expected.has(answer)).length;
+  const wrong = submitted.length - hits;
+  const perOption = expected.size > 0 ? points / expected.size : 0;
+
+  let score = 0;
+  if (scoringPolicy === 'proportional') {
+    score = wrong > 0 ? 0 : hits * perOption;
+  } else {
+    const penalty = question.wrongSelectionPenalty ?? perOption;
+    score = Math.max(0, hits * perOption - wrong * penalty);
+  }
+
+  return { score: Math.round(score * 100) / 100, isCorrect, scoringPolicy };
+}
+
+export function isNumericAnswerCorrect(question, submittedAnswer) {
+  const key = question?.numericAnswer;
+  const parsed = parseNumericAnswer(submittedAnswer);
+  if (!key || !Number.isFinite(Number(key.value)) || !parsed) {
+    return false;
+  }
+
+  const expectedUnit = normalizeUnit(key.unit);
+  if (expectedUnit) {
+    if (parsed.unit && parsed.unit !== expectedUnit) return false;
+    if (!parsed.unit && key.unitRequired) return false;
+  }
+
+  const expected = Number(key.value);
+  const tolerance = Math.abs(Number(key.tolerance) || 0);
+  const allowed = key.toleranceType === 'percent'
+    ? Math.abs(expected) * (tolerance / 100)
+    : tolerance;
+
+  // Small epsilon so 0.1 + 0.2 style float error never fails an exact answer
+  return Math.abs(parsed.value - expected) <= allowed + 1e-9;
+}
+
+export function isShortTextAnswerCorrect(question, submittedAnswer) {
+  if (typeof submittedAnswer !== 'string' || submittedAnswer.trim() === '') {
+    return false;
+  }
+
+  const caseSensitive = Boolean(question?.caseSensitive);
+  const submitted = normalizeText(submittedAnswer, caseSensitive);
+  return (question?.acceptedAnswers || []).some(
+    (accepted) => normalizeText(accepted, caseSensitive) === submitted
+  );
+}
+
+/**
+ * Count correctly matched pairs
+ * @returns {Object} - { correct, total }
+ */
+export function countMatchingPairs(question, submittedAnswer) {
+  const pairs = question?.matchingPairs || [];
+  const submitted = parseMatchingAnswer(submittedAnswer);
+  const correct = pairs.filter((pair) => submitted[pair.left] === pair.right).length;
+  return { correct, total: pairs.length };
+}
+
+export function isMatchingAnswerCorrect(question, submittedAnswer) {
+  const { correct, total } = countMatchingPairs(question, submittedAnswer);
+  return total > 0 && correct === total;
+}
+
+export function isOrderingAnswerCorrect(question, submittedAnswer) {
+  const expected = question?.orderingItems || [];
+  const submitted = parseOrderingAnswer(submittedAnswer);
+  return expected.length > 0 &&
+    submitted.length === expected.length &&
+    expected.every((item, index) => submitted[index] === item);
+}
+
+const CORRECTNESS_CHECKS = {
+  'multiple-choice': isMultipleChoiceAnswerCorrect,
+  numeric: isNumericAnswerCorrect,
+  'short-text': isShortTextAnswerCorrect,
+  matching: isMatchingAnswerCorrect,
+  ordering: isOrderingAnswerCorrect,
+};
+
+/**
+ * Auto-grade an answer
+ * @param {Object} question - Question document
+ * @param {*} submittedAnswer - Answer as submitted (raw or JSON-encoded)
+ * @returns {Object|null} - { score, isCorrect, scoringPolicy }, or null for types that are not auto-graded
+ */
+export function gradeAnswer(question, submittedAnswer) {
+  if (question?.type === 'multiple-choice') {
+    return scoreMultipleChoiceAnswer(question, submittedAnswer);
+  }
+
+  const check = CORRECTNESS_CHECKS[question?.type];
+  if (!check) {
+    return null;
+  }
+
+  const isCorrect = check(question, submittedAnswer);
+  return {
+    score: isCorrect ? (question.points || 0) : 0,
+    isCorrect,
+    scoringPolicy: DEFAULT_SCORING_POLICY,
+  };
+}
+
+/**
+ * Normalize and validate the answer-key fields for a question payload
+ * @param {Object} questionData - Raw question fields
+ * @returns {Object} - Answer-key fields for every type (unused ones reset)
+ * @throws {Error} - If the answer key is missing or invalid for the type
+ */
+export function normalizeAnswerKey(questionData) {
+  const content = {
+    options: [],
+    correctAnswer: null,
+    correctAnswers: [],
+    allowMultipleCorrect: false,
+    scoringPolicy: DEFAULT_SCORING_POLICY,
+    wrongSelectionPenalty: null,
+    numericAnswer: null,
+    acceptedAnswers: [],
+    caseSensitive: false,
+    matchingPairs: [],
+    orderingItems: [],
+  };
+
+  switch (questionData.type) {
+    case 'multiple-choice': {
+      const normalizedOptions = normalizeStringList(questionData.options);
+      const normalizedCorrectAnswers = normalizeStringList(questionData.correctAnswers);
+      const fallbackCorrectAnswer =
+        typeof questionData.correctAnswer === 'string' && questionData.correctAnswer.trim() !== ''
+          ? questionData.correctAnswer
+          : null;
+      const allowMultipleCorrect = Boolean(questionData.allowMultipleCorrect);
+
+      if (normalizedOptions.length < 2) {
+        throw new Error('Multiple choice questions require options');
+      }
+
+      const effectiveCorrectAnswers = normalizedCorrectAnswers.length > 0
+        ? normalizedCorrectAnswers
+        : fallbackCorrectAnswer
+          ? [fallbackCorrectAnswer]
+          : [];
+
+      const validCorrectAnswers = effectiveCorrectAnswers.filter((answer) =>
+        normalizedOptions.includes(answer)
+      );
+
+      if (validCorrectAnswers.length === 0) {
+        throw new Error('Multiple choice questions require correctAnswer');
+      }
+
+      if (!allowMultipleCorrect && validCorrectAnswers.length > 1) {
+        throw new Error('Single-answer mode allows only one correct option');
+      }
+
+      content.options = normalizedOptions;
+      content.correctAnswers = allowMultipleCorrect
+        ? [...new Set(validCorrectAnswers)]
+        : [validCorrectAnswers[0]];
+      content.correctAnswer = content.correctAnswers[0] || null;
+      content.allowMultipleCorrect = allowMultipleCorrect;
+
+      const scoringPolicy = questionData.scoringPolicy || DEFAULT_SCORING_POLICY;
+      if (!SCORING_POLICIES.includes(scoringPolicy)) {
+        throw new Error(`scoringPolicy must be one of: ${SCORING_POLICIES.join(', ')}`);
+      }
+      content.scoringPolicy = scoringPolicy;
+
+      if (scoringPolicy === 'penalty' &&
+        questionData.wrongSelectionPenalty !== undefined &&
+        questionData.wrongSelectionPenalty !== null &&
+        questionData.wrongSelectionPenalty !== '') {
+        const penalty = Number(questionData.wrongSelectionPenalty);
+        if (!Number.isFinite(penalty) || penalty < 0) {
+          throw new Error('wrongSelectionPenalty must be a non-negative number');
+        }
+        content.wrongSelectionPenalty = penalty;
+      }
+      return content;
+    }
+
+    case 'numeric': {
+      const key = questionData.numericAnswer || {};
+      const value = Number(key.value);
+      if (key.value === undefined || key.value === null || key.value === '' || !Number.isFinite(value)) {
+        throw new Error('Numeric questions require numericAnswer.value');
+      }
+
+      const tolerance = key.tolerance === undefined || key.tolerance === null || key.tolerance === ''
+        ? 0
+        : Number(key.tolerance);
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        throw new Error('numericAnswer.tolerance must be a non-negative number');
+      }
+
+      const toleranceType = key.toleranceType || 'absolute';
+      if (!['absolute', 'percent'].includes(toleranceType)) {
+        throw new Error('numericAnswer.toleranceType must be absolute or percent');
+      }
+
+      const unit = typeof key.unit === 'string' ? key.unit.trim() : '';
+      content.numericAnswer = {
+        value,
+        tolerance,
+        toleranceType,
+        unit,
+        unitRequired: Boolean(unit) && Boolean(key.unitRequired),
+      };
+      return content;
+    }
+
+    case 'short-text': {
+      const acceptedAnswers = [...new Set(
+        normalizeStringList(questionData.acceptedAnswers).map((answer) => answer.trim())
+      )];
+      if (acceptedAnswers.length === 0) {
+        throw new Error('Short text questions require acceptedAnswers');
+      }
+      content.acceptedAnswers = acceptedAnswers;
+      content.caseSensitive = Boolean(questionData.caseSensitive);
+      return content;
+    }
+
+    case 'matching': {
+      const pairs = Array.isArray(questionData.matchingPairs)
+        ? questionData.matchingPairs
+            .filter((pair) => pair && typeof pair === 'object')
+            .map((pair) => ({ left: String(pair.left ?? '').trim(), right: String(pair.right ?? '').trim() }))
+            .filter((pair) => pair.left !== '' && pair.right !== '')
+        : [];
+      if (pairs.length < 2) {
+        throw new Error('Matching questions require at least 2 matchingPairs');
+      }
+      if (new Set(pairs.map((pair) => pair.left)).size !== pairs.length) {
+        throw new Error('Matching question left items must be unique');
+      }
+      content.matchingPairs = pairs;
+      return content;
+    }
+
+    case 'ordering': {
+      const items = normalizeStringList(questionData.orderingItems).map((item) => item.trim());
+      if (items.length < 2) {
+        throw new Error('Ordering questions require at least 2 orderingItems');
+      }
+      if (new Set(items).size !== items.length) {
+        throw new Error('Ordering question items must be unique');
+      }
+      content.orderingItems = items;
+      return content;
+    }
+
+    case 'essay':
+      return content;
+
+    default:
+      throw new Error(`Invalid question type. Allowed: ${QUESTION_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * The list a student arranges or picks from, in stored order.
+ * Matching and ordering lists are always shuffled before serving because the
+ * stored order is the answer key.
+ */
+export function getChoiceList(question) {
+  switch (question?.type) {
+    case 'multiple-choice':
+      return question.options || [];
+    case 'matching':
+      return (question.matchingPairs || []).map((pair) => pair.right);
+    case 'ordering':
+      return question.orderingItems || [];
+    default:
+      return [];
+  }
+}
+
+export const ALWAYS_SHUFFLED_TYPES = ['matching', 'ordering'];
+
+/**
+ * Type-specific fields a student may see. Never includes answer-key data.
+ * @param {Object} question - Question document
+ * @param {Array} choices - Choice list in the order served to this attempt
+ * @returns {Object} - Fields to merge into the served question
+ */
+export function getStudentQuestionFields(question, choices) {
+  switch (question.type) {
+    case 'multiple-choice':
+      return {
+        options: choices,
+        allowMultipleCorrect: Boolean(question.allowMultipleCorrect),
+        // Students need to know whether wrong selections cost points
+        scoringPolicy: question.scoringPolicy || DEFAULT_SCORING_POLICY,
+      };
+    case 'numeric':
+      return {
+        unit: question.numericAnswer?.unit || null,
+        unitRequired: Boolean(question.numericAnswer?.unitRequired),
+      };
+    case 'matching':
+      return {
+        matchingLeft: (question.matchingPairs || []).map((pair) => pair.left),
+        matchingRight: choices,
+      };
+    case 'ordering':
+      return {
+        orderingItems: choices,
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Answer key in a display form for post-olympiad review
+ * @returns {*} - Correct answer, or null for essays
+ */
+export function getAnswerKeyForReview(question) {
+  switch (question.type) {
+    case 'multiple-choice': {
+      const answers = getCorrectAnswers(question);
+      return question.allowMultipleCorrect ? answers : (answers[0] || null);
+    }
+    case 'numeric':
+      return question.numericAnswer || null;
+    case 'short-text':
+      return question.acceptedAnswers || [];
+    case 'matching':
+      return question.matchingPairs || [];
+    case 'ordering':
+      return question.orderingItems || [];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick the answer-key fields present in a request payload
+ * @param {Object} source - Request body or question-like object
+ * @returns {Object} - Only the answer-key fields that are defined
+ */
+export function pickAnswerKey(source = {}) {
+  const picked = {};
+  for (const field of ANSWER_KEY_FIELDS) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+}
+
+/**
+ * Answer-key fields beyond options/correctAnswers, for staff responses
+ * @param {Object} question - Question document
+ * @returns {Object} - Scoring policy and the answer keys of the other types
+ */
+export function getTypedAnswerKey(question) {
+  return {
+    scoringPolicy: question.scoringPolicy || DEFAULT_SCORING_POLICY,
+    wrongSelectionPenalty: question.wrongSelectionPenalty ?? null,
+    numericAnswer: question.numericAnswer || null,
+    acceptedAnswers: question.acceptedAnswers || [],
+    caseSensitive: Boolean(question.caseSensitive),
+    matchingPairs: question.matchingPairs || [],
+    orderingItems: question.orderingItems || [],
+  };
+}
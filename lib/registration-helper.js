@@ -0,0 +1,538 @@
+/**
+ * Registration Helper
+ *
+ * Olympiad sign-up: eligibility rules (role, grade, birth year, school,
+ * invite list), seat caps with a first-come waitlist, and admin approval.
+ * Seats are counted on the Olympiad (registration.seatsTaken) and taken with
+ * a conditional atomic update, so concurrent sign-ups never overfill an
+ * olympiad. pending and approved registrations hold a seat.
+ */
+
+import connectMongoDB from './mongodb.js';
+import Registration from '../models/Registration.js';
+import Olympiad from '../models/Olympiad.js';
+import User from '../models/User.js';
+import { normalizeSchoolName } from './school-helper.js';
+
+export const REGISTRATION_STATUSES = ['pending', 'approved', 'waitlisted', 'rejected', 'cancelled'];
+export const SEAT_HOLDING_STATUSES = ['pending', 'approved'];
+
+const USER_ROLES = ['student', 'admin', 'owner', 'resolter', 'school-admin', 'school-teacher', 'university', 'checker'];
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function normalizeText(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : String(value).split(',');
+}
+
+function optionalDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+function optionalInteger(value, field, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate registration settings from an admin payload
+ * @param {Object} data - Registration settings (partial updates are merged into current)
+ * @param {Object} current - Current settings of the olympiad
+ * @returns {Object} - Settings to store (seatsTaken is preserved, never taken from input)
+ * @throws {Error} - If a setting is invalid
+ */
+export function normalizeRegistrationSettings(data, current = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('registration must be an object');
+  }
+
+  const merged = { ...current, ...data };
+  const eligibilityInput = { ...(current.eligibility || {}), ...(data.eligibility || {}) };
+
+  const roles = [...new Set(toList(eligibilityInput.roles).map((role) => String(role).trim()).filter(Boolean))];
+  const unknownRole = roles.find((role) => !USER_ROLES.includes(role));
+  if (unknownRole) {
+    throw new Error(`Unknown role in eligibility: ${unknownRole}`);
+  }
+
+  const grades = [...new Set(toList(eligibilityInput.grades).map((grade) => optionalInteger(grade, 'grades', 1, 12)))]
+    .filter((grade) => grade !== null)
+    .sort((a, b) => a - b);
+
+  const currentYear = new Date().getFullYear();
+  const birthYearMin = optionalInteger(eligibilityInput.birthYearMin, 'birthYearMin', 1900, currentYear);
+  const birthYearMax = optionalInteger(eligibilityInput.birthYearMax, 'birthYearMax', 1900, currentYear);
+  if (birthYearMin !== null && birthYearMax !== null && birthYearMin > birthYearMax) {
+    throw new Error('birthYearMin cannot be after birthYearMax');
+  }
+
+  const capacity = optionalInteger(merged.capacity, 'capacity', 1, 1000000);
+  const opensAt = optionalDate(merged.opensAt, 'opensAt');
+  const closesAt = optionalDate(merged.closesAt, 'closesAt');
+  if (opensAt && closesAt && opensAt >= closesAt) {
+    throw new Error('opensAt must be before closesAt');
+  }
+
+  return {
+    required: Boolean(merged.required),
+    opensAt,
+    closesAt,
+    requiresApproval: Boolean(merged.requiresApproval),
+    capacity,
+    waitlistEnabled: merged.waitlistEnabled === undefined ? true : Boolean(merged.waitlistEnabled),
+    seatsTaken: current.seatsTaken || 0,
+    eligibility: {
+      roles,
+      grades,
+      birthYearMin,
+      birthYearMax,
+      schoolIds: [...new Set(toList(eligibilityInput.schoolIds).map((id) => String(id).trim()).filter(Boolean))],
+      schoolNames: [...new Set(toList(eligibilityInput.schoolNames).map((name) => String(name).trim()).filter(Boolean))],
+      inviteOnly: Boolean(eligibilityInput.inviteOnly),
+      invitedUserIds: [...new Set(toList(eligibilityInput.invitedUserIds).map((id) => String(id).trim()).filter(Boolean))],
+      invitedEmails: [...new Set(toList(eligibilityInput.invitedEmails).map(normalizeText).filter(Boolean))],
+    },
+  };
+}
+
+/**
+ * Check a user against an olympiad's eligibility rules
+ * @param {Object} olympiad - Olympiad
+ * @param {Object} user - User
+ * @returns {Object} - { eligible, reasons }
+ */
+export function checkEligibility(olympiad, user) {
+  const rules = olympiad.registration?.eligibility || {};
+  const reasons = [];
+
+  if (rules.roles?.length > 0 && !rules.roles.includes(user.role)) {
+    reasons.push(`Open to: ${rules.roles.join(', ')}`);
+  }
+
+  if (rules.grades?.length > 0) {
+    if (user.grade === undefined || user.grade === null) {
+      reasons.push('Add your grade to your profile to register');
+    } else if (!rules.grades.includes(Number(user.grade))) {
+      reasons.push(`Open to grades ${rules.grades.join(', ')}`);
+    }
+  }
+
+  const hasBirthYearRule = rules.birthYearMin != null || rules.birthYearMax != null;
+  if (hasBirthYearRule) {
+    const birthYear = user.dateBorn ? new Date(user.dateBorn).getUTCFullYear() : null;
+    if (!birthYear || Number.isNaN(birthYear)) {
+      reasons.push('Add your date of birth to your profile to register');
+    } else if (
+      (rules.birthYearMin != null && birthYear < rules.birthYearMin) ||
+      (rules.birthYearMax != null && birthYear > rules.birthYearMax)
+    ) {
+      const range = rules.birthYearMin == null
+        ? `in ${rules.birthYearMax} or earlier`
+        : rules.birthYearMax == null
+          ? `in ${rules.birthYearMin} or later`
+          : `${rules.birthYearMin}-${rules.birthYearMax}`;
+      reasons.push(`Open to students born ${range}`);
+    }
+  }
+
+  const hasSchoolRule = rules.schoolIds?.length > 0 || rules.schoolNames?.length > 0;
+  if (hasSchoolRule) {
+    const matchesId = user.schoolId && (rules.schoolIds || []).includes(String(user.schoolId).trim());
+    const matchesName = user.schoolName &&
+      (rules.schoolNames || []).some((name) => normalizeSchoolName(name) === normalizeSchoolName(user.schoolName));
+    if (!matchesId && !matchesName) {
+      reasons.push('Not open to your school');
+    }
+  }
+
+  if (rules.inviteOnly) {
+    const invited = (rules.invitedUserIds || []).includes(user._id.toString()) ||
+      (rules.invitedEmails || []).includes(normalizeText(user.email));
+    if (!invited) {
+      reasons.push('This olympiad is invite-only');
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+/**
+ * Whether sign-up is open right now
+ * @returns {Object} - { open, reason }
+ */
+export function getRegistrationWindow(olympiad, now = new Date()) {
+  const settings = olympiad.registration || {};
+  const opensAt = settings.opensAt ? new Date(settings.opensAt) : null;
+  const closesAt = new Date(settings.closesAt || olympiad.endTime);
+
+  if (opensAt && now < opensAt) {
+    return { open: false, reason: `Registration opens at ${opensAt.toISOString()}` };
+  }
+  if (now > closesAt) {
+    return { open: false, reason: 'Registration is closed' };
+  }
+  return { open: true, reason: null };
+}
+
+/**
+ * Take a seat if the olympiad has one free
+ * @param {String} olympiadId - Olympiad ID
+ * @param {Boolean} force - Ignore the cap (admin approval of a waitlisted student)
+ * @returns {Promise<Boolean>} - True if a seat was taken
+ */
+async function takeSeat(olympiadId, force = false) {
+  const filter = { _id: olympiadId };
+  if (!force) {
+    filter.$or = [
+      { 'registration.capacity': null },
+      { $expr: { $lt: [{ $ifNull: ['$registration.seatsTaken', 0] }, '$registration.capacity'] } },
+    ];
+  }
+  const updated = await Olympiad.findOneAndUpdate(filter, { $inc: { 'registration.seatsTaken': 1 } });
+  return Boolean(updated);
+}
+
+async function releaseSeat(olympiadId) {
+  await Olympiad.updateOne(
+    { _id: olympiadId, 'registration.seatsTaken': { $gt: 0 } },
+    { $inc: { 'registration.seatsTaken': -1 } }
+  );
+}
+
+/**
+ * Move waitlisted students into seats freed by cancellations and rejections
+ * @param {Object} olympiad - Olympiad
+ * @returns {Promise<Number>} - Registrations promoted
+ */
+export async function promoteWaitlist(olympiad) {
+  await connectMongoDB();
+  const olympiadId = olympiad._id.toString();
+  const nextStatus = olympiad.registration?.requiresApproval ? 'pending' : 'approved';
+
+  let promoted = 0;
+  for (;;) {
+    const next = await Registration.findOne({ olympiadId, status: 'waitlisted' }).sort({ registeredAt: 1 });
+    if (!next) break;
+    if (!(await takeSeat(olympiadId))) break;
+
+    const claimed = await Registration.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { $set: { status: nextStatus, decidedAt: nextStatus === 'approved' ? new Date() : null, decidedBy: null } }
+    );
+    if (!claimed) {
+      // Someone else moved this registration; give the seat back and retry
+      await releaseSeat(olympiadId);
+      continue;
+    }
+    promoted++;
+  }
+  return promoted;
+}
+
+/**
+ * Position in the waitlist (1-based), or null if not waitlisted
+ */
+async function getWaitlistPosition(registration) {
+  if (registration.status !== 'waitlisted') return null;
+  const ahead = await Registration.countDocuments({
+    olympiadId: registration.olympiadId,
+    status: 'waitlisted',
+    registeredAt: { $lt: registration.registeredAt },
+  });
+  return ahead + 1;
+}
+
+export async function findRegistration(olympiadId, userId) {
+  await connectMongoDB();
+  const registration = await Registration.findOne({
+    olympiadId: olympiadId.toString(),
+    userId: userId.toString(),
+  }).lean();
+  if (!registration) return null;
+  return { ...toPlain(registration), waitlistPosition: await getWaitlistPosition(registration) };
+}
+
+/**
+ * Register a student for an olympiad
+ * @param {Object} olympiad - Olympiad
+ * @param {Object} user - User registering
+ * @returns {Promise<Object>} - Registration (status approved, pending or waitlisted)
+ * @throws {Error} - If registration is closed, the user is ineligible, already registered or the olympiad is full
+ */
+export async function registerForOlympiad(olympiad, user) {
+  await connectMongoDB();
+
+  const olympiadId = olympiad._id.toString();
+  const userId = user._id.toString();
+
+  const window = getRegistrationWindow(olympiad);
+  if (!window.open) {
+    throw new Error(window.reason);
+  }
+
+  const { eligible, reasons } = checkEligibility(olympiad, user);
+  if (!eligible) {
+    const error = new Error(`Not eligible: ${reasons.join('; ')}`);
+    error.reasons = reasons;
+    throw error;
+  }
+
+  const existing = await Registration.findOne({ olympiadId, userId });
+  if (existing && existing.status !== 'cancelled') {
+    throw new Error(`Already registered (status: ${existing.status})`);
+  }
+
+  let status;
+  if (await takeSeat(olympiadId)) {
+    status = olympiad.registration?.requiresApproval ? 'pending' : 'approved';
+  } else if (olympiad.registration?.waitlistEnabled !== false) {
+    status = 'waitlisted';
+  } else {
+    throw new Error('Olympiad is full');
+  }
+
+  const fields = {
+    status,
+    registeredAt: new Date(),
+    decidedAt: status === 'approved' ? new Date() : null,
+    decidedBy: null,
+    reason: null,
+  };
+
+  let registration;
+  try {
+    registration = existing
+      ? await Registration.findOneAndUpdate(
+          { _id: existing._id, status: 'cancelled' },
+          { $set: fields },
+          { new: true }
+        ).lean()
+      : (await Registration.create({ olympiadId, userId, ...fields })).toObject();
+  } catch (error) {
+    registration = null;
+    if (error.code !== 11000) {
+      if (SEAT_HOLDING_STATUSES.includes(status)) await releaseSeat(olympiadId);
+      throw error;
+    }
+  }
+
+  if (!registration) {
+    // Lost a race against a parallel sign-up of the same student
+    if (SEAT_HOLDING_STATUSES.includes(status)) await releaseSeat(olympiadId);
+    throw new Error('Already registered');
+  }
+
+  return { ...toPlain(registration), waitlistPosition: await getWaitlistPosition(registration) };
+}
+
+/**
+ * Register several students at once (school admins), in the given order so
+ * seats still go first come, first served. A student who cannot be registered
+ * does not stop the others.
+ * @param {Object} olympiad - Olympiad
+ * @param {Array} users - Students, with the fields eligibility needs
+ * @returns {Promise<Object>} - { registered: [registration], failed: [{ userId, name, message, reasons? }] }
+ */
+export async function registerStudents(olympiad, users) {
+  const registered = [];
+  const failed = [];
+  for (const user of users) {
+    try {
+      registered.push(await registerForOlympiad(olympiad, user));
+    } catch (error) {
+      failed.push({
+        userId: user._id.toString(),
+        name: user.name,
+        message: error.message,
+        ...(error.reasons && { reasons: error.reasons }),
+      });
+    }
+  }
+  return { registered, failed };
+}
+
+/**
+ * Cancel a student's own registration and hand the seat to the waitlist
+ * @throws {Error} - If there is nothing to cancel
+ */
+export async function cancelRegistration(olympiad, userId) {
+  await connectMongoDB();
+  const olympiadId = olympiad._id.toString();
+
+  const registration = await Registration.findOneAndUpdate(
+    { olympiadId, userId: userId.toString(), status: { $in: ['pending', 'approved', 'waitlisted'] } },
+    { $set: { status: 'cancelled', decidedAt: new Date(), decidedBy: userId.toString() } }
+  ).lean();
+  if (!registration) {
+    throw new Error('Registration not found');
+  }
+
+  if (SEAT_HOLDING_STATUSES.includes(registration.status)) {
+    await releaseSeat(olympiadId);
+    await promoteWaitlist(olympiad);
+  }
+  return { ...toPlain(registration), status: 'cancelled' };
+}
+
+/**
+ * List registrations with the registered users
+ * @param {String} olympiadId - Olympiad ID
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} - Registrations in sign-up order, each with user and waitlistPosition
+ */
+export async function findRegistrationsByOlympiadId(olympiadId, filters = {}) {
+  await connectMongoDB();
+
+  const query = { olympiadId: olympiadId.toString() };
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  const registrations = await Registration.find(query).sort({ registeredAt: 1 }).lean();
+  const users = await User.find({ _id: { $in: registrations.map((r) => r.userId) } })
+    .select('name email role grade dateBorn schoolName schoolId')
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  // Filtering is by status only, so a listing either holds the whole waitlist or none of it
+  let waitlistPosition = 0;
+  const result = [];
+  for (const registration of registrations) {
+    const user = usersById.get(registration.userId);
+    result.push({
+      ...toPlain(registration),
+      waitlistPosition: registration.status === 'waitlisted' ? ++waitlistPosition : null,
+      user: user
+        ? {
+            _id: user._id.toString(),
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            grade: user.grade ?? null,
+            dateBorn: user.dateBorn || null,
+            schoolName: user.schoolName || null,
+            schoolId: user.schoolId || null,
+          }
+        : null,
+    });
+  }
+  return result;
+}
+
+/**
+ * Approve or reject registrations (admin). Approving a waitlisted student
+ * takes a seat even if the olympiad is full; rejecting frees the seat for
+ * the waitlist.
+ * @param {Object} olympiad - Olympiad
+ * @param {Array} registrationIds - Registration IDs
+ * @param {String} action - 'approve' | 'reject'
+ * @param {String} adminId - Admin user ID
+ * @param {String} reason - Optional reason (shown to the student)
+ * @returns {Promise<Object>} - { updated, skipped, promoted }
+ */
+export async function decideRegistrations(olympiad, registrationIds, action, adminId, reason = null) {
+  await connectMongoDB();
+
+  if (!['approve', 'reject'].includes(action)) {
+    throw new Error("action must be 'approve' or 'reject'");
+  }
+  if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+    throw new Error('registrationIds must be a non-empty array');
+  }
+
+  const olympiadId = olympiad._id.toString();
+  const fromStatuses = action === 'approve' ? ['pending', 'waitlisted'] : ['pending', 'approved', 'waitlisted'];
+  const toStatus = action === 'approve' ? 'approved' : 'rejected';
+
+  const updated = [];
+  const skipped = [];
+  let freedSeats = 0;
+
+  for (const registrationId of registrationIds) {
+    const previous = await Registration.findOneAndUpdate(
+      { _id: registrationId, olympiadId, status: { $in: fromStatuses } },
+      {
+        $set: {
+          status: toStatus,
+          decidedAt: new Date(),
+          decidedBy: adminId.toString(),
+          reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+        },
+      }
+    ).lean();
+
+    if (!previous) {
+      skipped.push(registrationId.toString());
+      continue;
+    }
+
+    if (action === 'approve' && previous.status === 'waitlisted') {
+      await takeSeat(olympiadId, true);
+    }
+    if (action === 'reject' && SEAT_HOLDING_STATUSES.includes(previous.status)) {
+      await releaseSeat(olympiadId);
+      freedSeats++;
+    }
+    updated.push({ _id: previous._id.toString(), userId: previous.userId, from: previous.status, to: toStatus });
+  }
+
+  const promoted = freedSeats > 0 ? await promoteWaitlist(olympiad) : 0;
+  return { updated, skipped, promoted };
+}
+
+/**
+ * Whether a user may start an olympiad as far as registration goes
+ * @param {Object} olympiad - Olympiad
+ * @param {Object} user - User starting the attempt
+ * @returns {Promise<Object>} - { allowed, code, message, registration }
+ */
+export async function checkRegistrationForStart(olympiad, user) {
+  // Opt-in: olympiads created before registration existed have no settings and stay open
+  if (user.role !== 'student' || olympiad.registration?.required !== true) {
+    return { allowed: true, code: null, message: null, registration: null };
+  }
+
+  const registration = await findRegistration(olympiad._id, user._id);
+  if (registration?.status === 'approved') {
+    return { allowed: true, code: null, message: null, registration };
+  }
+
+  const denials = {
+    pending: ['REGISTRATION_PENDING', 'Your registration is awaiting approval'],
+    waitlisted: ['REGISTRATION_WAITLISTED', `You are on the waitlist (position ${registration?.waitlistPosition})`],
+    rejected: ['REGISTRATION_REJECTED', 'Your registration was not approved'],
+  };
+  const [code, message] = denials[registration?.status] || ['NOT_REGISTERED', 'You are not registered for this olympiad'];
+  return { allowed: false, code, message, registration };
+}
+
+export default {
+  REGISTRATION_STATUSES,
+  normalizeRegistrationSettings,
+  checkEligibility,
+  getRegistrationWindow,
+  promoteWaitlist,
+  findRegistration,
+  registerForOlympiad,
+  registerStudents,
+  cancelRegistration,
+  findRegistrationsByOlympiadId,
+  decideRegistrations,
+  checkRegistrationForStart,
+};
@@ -0,0 +1,216 @@
+/**
+ * Regrade Service
+ *
+ * Re-runs auto-grading for stored submissions after an answer key correction
+ * and recomputes the affected Results. Submissions are streamed and written in
+ * batches so olympiads with thousands of participants never load every
+ * submission into memory at once.
+ */
+
+import connectMongoDB from './mongodb.js';
+import Submission from '../models/Submission.js';
+import Result from '../models/Result.js';
+import { findOlympiadById } from './olympiad-helper.js';
+import { findQuestionsByOlympiadId } from './question-helper.js';
+import { gradeAnswer, isAutoGradedType } from './question-types.js';
+
+const BATCH_SIZE = 500;
+
+// Olympiads with a regrade in progress (one run per olympiad at a time)
+const runningRegrades = new Set();
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rank results the same way the leaderboard does: score desc, then earliest completion
+ * @param {Array} results - [{ userId, totalScore, completedAt }]
+ * @returns {Map} - userId -> rank (1-based)
+ */
+function rankResults(results) {
+  const sorted = [...results].sort((a, b) => {
+    if (b.totalScore !== a.totalScore) {
+      return b.totalScore - a.totalScore;
+    }
+    return new Date(a.completedAt) - new Date(b.completedAt);
+  });
+  return new Map(sorted.map((result, index) => [result.userId, index + 1]));
+}
+
+async function flushBulk(Model, operations, dryRun) {
+  if (!dryRun && operations.length > 0) {
+    await Model.bulkWrite(operations, { ordered: false });
+  }
+  operations.length = 0;
+}
+
+/**
+ * Regrade auto-graded submissions of an olympiad
+ * @param {String} olympiadId - Olympiad ID
+ * @param {Object} options - { questionId = null (whole olympiad), dryRun = false }
+ * @returns {Promise<Object>} - { summary, changes }
+ * @throws {Error} - If the olympiad/question is missing, not auto-graded, or a regrade is already running
+ */
+export async function regradeOlympiad(olympiadId, options = {}) {
+  const { questionId = null, dryRun = false } = options;
+
+  await connectMongoDB();
+
+  const olympiad = await findOlympiadById(olympiadId);
+  if (!olympiad) {
+    throw new Error('Olympiad not found');
+  }
+
+  const questions = await findQuestionsByOlympiadId(olympiadId);
+  let targetQuestions = questions.filter((q) => isAutoGradedType(q.type));
+  if (questionId) {
+    const question = questions.find((q) => q._id === questionId.toString());
+    if (!question) {
+      throw new Error('Question not found in this olympiad');
+    }
+    if (!isAutoGradedType(question.type)) {
+      throw new Error('Only auto-graded questions can be regraded');
+    }
+    targetQuestions = [question];
+  }
+
+  if (runningRegrades.has(olympiadId)) {
+    throw new Error('A regrade is already running for this olympiad');
+  }
+  runningRegrades.add(olympiadId);
+
+  try {
+    const questionsById = new Map(targetQuestions.map((q) => [q._id, q]));
+
+    // Ranks before the regrade
+    const resultsBefore = await Result.find({ olympiadId })
+      .select('_id userId totalScore percentage completedAt')
+      .lean();
+    const ranksBefore = rankResults(resultsBefore);
+
+    // A user may hold several submissions for a question (per-answer saves
+    // plus the final submit); only the latest one counts towards the Result
+    const latestByUserQuestion = new Map();
+    const submissionOps = [];
+    let submissionsScanned = 0;
+    let submissionsChanged = 0;
+
+    const cursor = Submission.find({
+      olympiadId,
+      questionId: { $in: [...questionsById.keys()] },
+    })
+      .select('_id userId questionId answer score isCorrect scoringPolicy createdAt')
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    for await (const submission of cursor) {
+      submissionsScanned++;
+      const question = questionsById.get(submission.questionId);
+      const grade = gradeAnswer(question, submission.answer);
+      const delta = grade.score - (submission.score || 0);
+
+      if (
+        delta !== 0 ||
+        grade.isCorrect !== Boolean(submission.isCorrect) ||
+        grade.scoringPolicy !== submission.scoringPolicy
+      ) {
+        submissionsChanged++;
+        submissionOps.push({
+          updateOne: {
+            filter: { _id: submission._id },
+            update: {
+              $set: {
+                score: grade.score,
+                isCorrect: grade.isCorrect,
+                scoringPolicy: grade.scoringPolicy,
+              },
+            },
+          },
+        });
+        if (submissionOps.length >= BATCH_SIZE) {
+          await flushBulk(Submission, submissionOps, dryRun);
+        }
+      }
+
+      const key = `${submission.userId}:${submission.questionId}`;
+      const latest = latestByUserQuestion.get(key);
+      if (!latest || new Date(submission.createdAt) > latest.createdAt) {
+        latestByUserQuestion.set(key, {
+          userId: submission.userId,
+          createdAt: new Date(submission.createdAt),
+          delta,
+        });
+      }
+    }
+    await flushBulk(Submission, submissionOps, dryRun);
+
+    const deltaByUser = new Map();
+    for (const { userId, delta } of latestByUserQuestion.values()) {
+      if (delta !== 0) {
+        deltaByUser.set(userId, (deltaByUser.get(userId) || 0) + delta);
+      }
+    }
+
+    // Recompute affected Results
+    const maxScore = olympiad.totalPoints || 0;
+    const resultOps = [];
+    const resultsAfter = resultsBefore.map((result) => {
+      const delta = deltaByUser.get(result.userId);
+      if (!delta) {
+        return result;
+      }
+
+      const totalScore = Math.max(0, roundScore(result.totalScore + delta));
+      const percentage = maxScore > 0 ? roundScore((totalScore / maxScore) * 100) : 0;
+      resultOps.push({
+        updateOne: {
+          filter: { _id: result._id },
+          update: { $set: { totalScore, percentage } },
+        },
+      });
+      return { ...result, totalScore, percentage };
+    });
+
+    for (let i = 0; i < resultOps.length; i += BATCH_SIZE) {
+      await flushBulk(Result, resultOps.slice(i, i + BATCH_SIZE), dryRun);
+    }
+
+    const ranksAfter = rankResults(resultsAfter);
+    const changes = [];
+    resultsAfter.forEach((after, index) => {
+      const before = resultsBefore[index];
+      const rankBefore = ranksBefore.get(before.userId);
+      const rankAfter = ranksAfter.get(after.userId);
+      if (before.totalScore === after.totalScore && rankBefore === rankAfter) {
+        return;
+      }
+      changes.push({
+        userId: after.userId,
+        resultId: after._id.toString(),
+        before: { score: before.totalScore, percentage: before.percentage, rank: rankBefore },
+        after: { score: after.totalScore, percentage: after.percentage, rank: rankAfter },
+      });
+    });
+    changes.sort((a, b) => a.after.rank - b.after.rank);
+
+    return {
+      summary: {
+        olympiadId,
+        questionIds: [...questionsById.keys()],
+        dryRun: Boolean(dryRun),
+        submissionsScanned,
+        submissionsChanged,
+        resultsChanged: resultOps.length,
+        ranksChanged: changes.filter((change) => change.before.rank !== change.after.rank).length,
+      },
+      changes,
+    };
+  } finally {
+    runningRegrades.delete(olympiadId);
+  }
+}
+
+export default {
+  regradeOlympiad,
+};
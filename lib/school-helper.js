@@ -0,0 +1,480 @@
+/**
+ * Schools
+ *
+ * A school is a School document; membership is User.schoolId pointing at it,
+ * with User.schoolName kept as a copy of the school's name. Students, teachers
+ * and school admins are the only members. Users get in by an invite code (one
+ * for students, one for teachers), by a roster CSV, or by an admin adding them.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import { parseCsv } from './csv-helpers.js';
+import School from '../models/School.js';
+import User from '../models/User.js';
+
+export const SCHOOL_MEMBER_ROLES = ['student', 'school-teacher', 'school-admin'];
+
+// No 0/O or 1/I, codes get read out loud in classrooms
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const MEMBER_FIELDS = 'name firstName secondName email role grade dateBorn schoolName schoolId userBan createdAt';
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function invalidSchool(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHOOL';
+  return error;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Key two spellings of the same school share: "School №5", "school no. 5" and
+ * "SCHOOL 5" all become "school 5"
+ */
+export function normalizeSchoolName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/№|\bno\.?(?=\s*\d)|#/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+export function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function normalizeInviteCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function optionalText(value) {
+  if (value === undefined) return undefined;
+  return value ? String(value).trim() || null : null;
+}
+
+/**
+ * Validate a school payload; on update only the given fields are checked
+ * @throws {Error} - code INVALID_SCHOOL
+ */
+function normalizeSchool(data = {}, partial = false) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name || !normalizeSchoolName(name)) {
+      throw invalidSchool('name is required');
+    }
+    fields.name = name;
+    fields.normalizedName = normalizeSchoolName(name);
+  }
+
+  const region = optionalText(data.region);
+  if (region !== undefined) fields.region = region;
+  const city = optionalText(data.city);
+  if (city !== undefined) fields.city = city;
+
+  return fields;
+}
+
+/**
+ * School whose name or merged alias normalizes to the same key
+ */
+export async function findSchoolByName(name) {
+  const key = normalizeSchoolName(name);
+  if (!key) return null;
+  await connectMongoDB();
+  const school = await School.findOne({ $or: [{ normalizedName: key }, { aliases: key }] }).lean();
+  return school ? toPlain(school) : null;
+}
+
+export async function findSchoolById(id) {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const school = await School.findById(id).lean();
+  return school ? toPlain(school) : null;
+}
+
+/**
+ * Look an invite code up
+ * @returns {Promise<Object|null>} - { school, memberRole } (memberRole: 'student' or 'school-teacher')
+ */
+export async function findSchoolByInviteCode(code) {
+  const normalized = normalizeInviteCode(code);
+  if (!normalized) return null;
+  await connectMongoDB();
+  const school = await School.findOne({
+    $or: [{ studentInviteCode: normalized }, { teacherInviteCode: normalized }],
+  }).lean();
+  if (!school) return null;
+  return {
+    school: toPlain(school),
+    memberRole: school.studentInviteCode === normalized ? 'student' : 'school-teacher',
+  };
+}
+
+/**
+ * @param {Object} filters - { search, region, city }
+ * @param {Object} pagination - { skip, limit }
+ * @returns {Promise<Object>} - { schools (with studentCount, teacherCount, adminCount), total }
+ */
+export async function listSchools({ search, region, city } = {}, { skip = 0, limit = 20 } = {}) {
+  await connectMongoDB();
+  const query = {};
+  if (search) {
+    const key = normalizeSchoolName(search);
+    query.$or = [
+      { name: { $regex: escapeRegex(String(search).trim()), $options: 'i' } },
+      ...(key ? [{ normalizedName: { $regex: escapeRegex(key) } }] : []),
+    ];
+  }
+  if (region) query.region = region;
+  if (city) query.city = city;
+
+  const [schools, total] = await Promise.all([
+    School.find(query).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+    School.countDocuments(query),
+  ]);
+
+  const counts = await User.aggregate([
+    { $match: { schoolId: { $in: schools.map((school) => school._id.toString()) } } },
+    { $group: { _id: { schoolId: '$schoolId', role: '$role' }, count: { $sum: 1 } } },
+  ]);
+  const countOf = (schoolId, role) =>
+    counts.find((entry) => entry._id.schoolId === schoolId && entry._id.role === role)?.count || 0;
+
+  return {
+    schools: schools.map((school) => {
+      const id = school._id.toString();
+      return {
+        ...toPlain(school),
+        studentCount: countOf(id, 'student'),
+        teacherCount: countOf(id, 'school-teacher'),
+        adminCount: countOf(id, 'school-admin'),
+      };
+    }),
+    total,
+  };
+}
+
+async function issueUniqueInviteCode() {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const code = generateInviteCode();
+    const taken = await School.exists({ $or: [{ studentInviteCode: code }, { teacherInviteCode: code }] });
+    if (!taken) return code;
+  }
+  throw new Error('Could not generate a unique invite code');
+}
+
+/**
+ * @param {Object} data - { name, region, city }
+ * @param {String} createdBy - User ID
+ * @throws {Error} - code INVALID_SCHOOL, also when a school with the same normalized name exists
+ */
+export async function createSchool(data, createdBy = null) {
+  const fields = normalizeSchool(data);
+  await connectMongoDB();
+
+  const existing = await findSchoolByName(fields.name);
+  if (existing) {
+    throw invalidSchool(`School already exists: ${existing.name}`);
+  }
+
+  const school = await School.create({
+    ...fields,
+    studentInviteCode: await issueUniqueInviteCode(),
+    teacherInviteCode: await issueUniqueInviteCode(),
+    createdBy: createdBy ? createdBy.toString() : null,
+  });
+  return toPlain(school.toObject());
+}
+
+/**
+ * Update name, region or city; a rename is copied to the members' schoolName
+ * @returns {Promise<Object|null>} - Updated school, null if not found
+ * @throws {Error} - code INVALID_SCHOOL
+ */
+export async function updateSchool(id, data) {
+  const fields = normalizeSchool(data, true);
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+
+  if (fields.normalizedName) {
+    const clash = await School.exists({
+      _id: { $ne: id },
+      $or: [{ normalizedName: fields.normalizedName }, { aliases: fields.normalizedName }],
+    });
+    if (clash) {
+      throw invalidSchool('Another school already has this name');
+    }
+  }
+
+  const school = await School.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+  if (!school) return null;
+  if (fields.name) {
+    await User.updateMany({ schoolId: id }, { $set: { schoolName: school.name } });
+  }
+  return toPlain(school);
+}
+
+/**
+ * Delete a school; its members keep the name but leave the school
+ * @returns {Promise<Number|null>} - Members unlinked, null if not found
+ */
+export async function deleteSchool(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const school = await School.findByIdAndDelete(id);
+  if (!school) return null;
+  const result = await User.updateMany({ schoolId: id }, { $set: { schoolId: null } });
+  return result.modifiedCount;
+}
+
+/**
+ * Replace an invite code, e.g. after it leaked
+ * @param {String} id - School ID
+ * @param {String} kind - 'student' or 'teacher'
+ * @returns {Promise<Object|null>} - Updated school, null if not found
+ */
+export async function regenerateInviteCode(id, kind) {
+  if (kind !== 'student' && kind !== 'teacher') {
+    throw invalidSchool("kind must be 'student' or 'teacher'");
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await connectMongoDB();
+  const field = kind === 'student' ? 'studentInviteCode' : 'teacherInviteCode';
+  const school = await School.findByIdAndUpdate(
+    id,
+    { $set: { [field]: await issueUniqueInviteCode() } },
+    { new: true }
+  ).lean();
+  return school ? toPlain(school) : null;
+}
+
+/**
+ * Members of a school
+ * @param {String} schoolId - School ID
+ * @param {Object} options - { role, search, skip, limit } (limit 0: everyone)
+ * @returns {Promise<Object>} - { members, total }
+ */
+export async function getSchoolMembers(schoolId, { role, search, skip = 0, limit = 50 } = {}) {
+  await connectMongoDB();
+  const query = { schoolId: schoolId.toString() };
+  if (role) query.role = role;
+  if (search) {
+    const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+    query.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  const [members, total] = await Promise.all([
+    User.find(query).select(MEMBER_FIELDS).sort({ role: 1, name: 1 }).skip(skip).limit(limit).lean(),
+    User.countDocuments(query),
+  ]);
+  return { members: members.map(toPlain), total };
+}
+
+/**
+ * @returns {Promise<Object>} - { students, teachers, admins }
+ */
+export async function countSchoolMembers(schoolId) {
+  await connectMongoDB();
+  const counts = await User.aggregate([
+    { $match: { schoolId: schoolId.toString() } },
+    { $group: { _id: '$role', count: { $sum: 1 } } },
+  ]);
+  const countOf = (role) => counts.find((entry) => entry._id === role)?.count || 0;
+  return { students: countOf('student'), teachers: countOf('school-teacher'), admins: countOf('school-admin') };
+}
+
+/**
+ * IDs of the members of some schools, e.g. to scope results to a teacher's school
+ * @param {Array<String>} schoolIds - School IDs
+ * @param {String} role - Member role, 'student' by default
+ * @returns {Promise<Array<String>>}
+ */
+export async function getSchoolMemberIds(schoolIds, role = 'student') {
+  const ids = (Array.isArray(schoolIds) ? schoolIds : [schoolIds]).filter(Boolean).map(String);
+  if (ids.length === 0) return [];
+  await connectMongoDB();
+  const users = await User.find({ schoolId: { $in: ids }, role }).select('_id').lean();
+  return users.map((user) => user._id.toString());
+}
+
+/**
+ * The school a user belongs to, null if none (or if schoolId is stale free text)
+ */
+export async function getUserSchool(user) {
+  return user?.schoolId ? findSchoolById(user.schoolId) : null;
+}
+
+/**
+ * Put a user in a school, taking them out of any other
+ * @param {String} schoolId - School ID
+ * @param {Object|String} userOrId - User (or ID)
+ * @param {Object} options - { expectedRole, allowedRoles, allowTransfer }: the invite code's role,
+ * which the user must have; the roles this caller may add; whether a member of another school may be moved
+ * @returns {Promise<Object>} - { school, user } (user: _id, name, email, role)
+ * @throws {Error} - code INVALID_SCHOOL
+ */
+export async function addSchoolMember(
+  schoolId,
+  userOrId,
+  { expectedRole = null, allowedRoles = SCHOOL_MEMBER_ROLES, allowTransfer = true } = {}
+) {
+  const school = await findSchoolById(schoolId);
+  if (!school) {
+    throw invalidSchool('School not found');
+  }
+
+  const userId = typeof userOrId === 'object' ? userOrId._id : userOrId;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw invalidSchool('User not found');
+  }
+  await connectMongoDB();
+  const user = await User.findById(userId).select('name email role schoolId').lean();
+  if (!user) {
+    throw invalidSchool('User not found');
+  }
+  if (!allowedRoles.includes(user.role)) {
+    throw invalidSchool(`Only ${allowedRoles.join(', ')} accounts can be added here`);
+  }
+  if (expectedRole && user.role !== expectedRole) {
+    throw invalidSchool(
+      expectedRole === 'student'
+        ? 'This invite code is for students'
+        : 'This invite code is for teachers'
+    );
+  }
+
+  // Legacy free-text schoolId values are not a school membership
+  if (
+    !allowTransfer
+    && user.schoolId
+    && user.schoolId !== school._id
+    && mongoose.Types.ObjectId.isValid(user.schoolId)
+    && await School.exists({ _id: user.schoolId })
+  ) {
+    throw invalidSchool('Already belongs to another school');
+  }
+
+  await User.updateOne({ _id: userId }, { $set: { schoolId: school._id, schoolName: school.name } });
+  return {
+    school,
+    user: { _id: user._id.toString(), name: user.name, email: user.email, role: user.role },
+  };
+}
+
+/**
+ * @param {Array<String>} roles - Only remove members with one of these roles
+ * @returns {Promise<Boolean>} - false if the user is not such a member of this school
+ */
+export async function removeSchoolMember(schoolId, userId, roles = SCHOOL_MEMBER_ROLES) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return false;
+  await connectMongoDB();
+  const result = await User.updateOne(
+    { _id: userId, schoolId: schoolId.toString(), role: { $in: roles } },
+    { $set: { schoolId: null } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Join a school with an invite code
+ * @returns {Promise<Object>} - { school, user }
+ * @throws {Error} - code INVALID_SCHOOL for an unknown code or the wrong role
+ */
+export async function joinSchoolByInviteCode(userId, inviteCode) {
+  const invite = await findSchoolByInviteCode(inviteCode);
+  if (!invite) {
+    throw invalidSchool('Invalid invite code');
+  }
+  return addSchoolMember(invite.school._id, userId, { expectedRole: invite.memberRole });
+}
+
+/**
+ * Add existing accounts to a school from a roster CSV with an "email" column.
+ * Rows that cannot be linked are reported, the others are linked anyway.
+ * @param {String} schoolId - School ID
+ * @param {String} csvText - CSV with a header row
+ * @param {Array<String>} allowedRoles - Roles the caller may add
+ * @returns {Promise<Object>} - { linked, errors: [{ row, email, message }] }
+ * @throws {Error} - code INVALID_SCHOOL if the CSV has no email column
+ */
+export async function importSchoolRoster(schoolId, csvText, allowedRoles = SCHOOL_MEMBER_ROLES) {
+  const school = await findSchoolById(schoolId);
+  if (!school) {
+    throw invalidSchool('School not found');
+  }
+
+  const [header = [], ...rows] = parseCsv(csvText);
+  const emailColumn = header.findIndex((column) => column.trim().toLowerCase() === 'email');
+  if (emailColumn === -1) {
+    throw invalidSchool('CSV must have an "email" column');
+  }
+
+  await connectMongoDB();
+  const emails = rows.map((row) => String(row[emailColumn] || '').trim().toLowerCase());
+  const users = await User.find({ email: { $in: emails.filter(Boolean) } }).select('_id email role schoolId').lean();
+  const usersByEmail = new Map(users.map((user) => [user.email, user]));
+
+  const toLink = [];
+  const errors = [];
+  emails.forEach((email, index) => {
+    // Row numbers as in the file: the header is row 1
+    const row = index + 2;
+    const user = usersByEmail.get(email);
+    if (!email) {
+      errors.push({ row, email, message: 'Email is missing' });
+    } else if (!user) {
+      errors.push({ row, email, message: 'No account with this email' });
+    } else if (!allowedRoles.includes(user.role)) {
+      errors.push({ row, email, message: `A ${user.role} account cannot be added here` });
+    } else if (user.schoolId && user.schoolId !== school._id && mongoose.Types.ObjectId.isValid(user.schoolId)) {
+      errors.push({ row, email, message: 'Already belongs to another school' });
+    } else {
+      toLink.push(user._id);
+    }
+  });
+
+  const result = toLink.length > 0
+    ? await User.updateMany({ _id: { $in: toLink } }, { $set: { schoolId: school._id, schoolName: school.name } })
+    : { modifiedCount: 0 };
+
+  return { linked: result.modifiedCount, errors };
+}
+
+export default {
+  SCHOOL_MEMBER_ROLES,
+  normalizeSchoolName,
+  generateInviteCode,
+  findSchoolByName,
+  findSchoolById,
+  findSchoolByInviteCode,
+  listSchools,
+  createSchool,
+  updateSchool,
+  deleteSchool,
+  regenerateInviteCode,
+  getSchoolMembers,
+  countSchoolMembers,
+  getSchoolMemberIds,
+  getUserSchool,
+  addSchoolMember,
+  removeSchoolMember,
+  joinSchoolByInviteCode,
+  importSchoolRoster,
+};
@@ -0,0 +1,210 @@
+/**
+ * School reports
+ *
+ * What a school sees of one olympiad: its students' results with school and
+ * overall ranks, summary statistics, and the attempts anti-cheat flagged.
+ * Everything is limited to the school's students (User.schoolId).
+ */
+
+import connectMongoDB from './mongodb.js';
+import User from '../models/User.js';
+import Result from '../models/Result.js';
+import Attempt from '../models/Attempt.js';
+import Registration from '../models/Registration.js';
+import CameraCapture from '../models/CameraCapture.js';
+import { SEAT_HOLDING_STATUSES } from './registration-helper.js';
+
+// Attempt statuses that end in a flag even with a decent trust score
+const FLAGGED_ATTEMPT_STATUSES = [
+  'violation_terminated',
+  'auto_disqualified',
+  'device_switch_detected',
+  'verification_failed',
+  'admin_invalidated',
+];
+
+const DISTRIBUTION_BUCKETS = [0, 20, 40, 60, 80];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+async function getSchoolStudents(schoolId) {
+  const students = await User.find({ schoolId: schoolId.toString(), role: 'student' })
+    .select('name email grade')
+    .sort({ name: 1 })
+    .lean();
+  return students.map((student) => ({ ...student, _id: student._id.toString() }));
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * A school's results in one olympiad
+ * @param {Object} school - School
+ * @param {Object} olympiad - Olympiad
+ * @returns {Promise<Object>} - { studentCount, registeredCount, participants, stats, distribution, students }
+ * (students: every student of the school, participants first by score, with rank and overallRank)
+ */
+export async function getSchoolOlympiadResults(school, olympiad) {
+  await connectMongoDB();
+
+  const olympiadId = olympiad._id.toString();
+  const students = await getSchoolStudents(school._id);
+  const studentIds = students.map((student) => student._id);
+
+  const [allResults, registeredCount] = await Promise.all([
+    Result.find({ olympiadId })
+      .select('userId totalScore maxScore percentage completedAt timeSpent status')
+      .sort({ totalScore: -1, completedAt: 1 })
+      .lean(),
+    Registration.countDocuments({ olympiadId, userId: { $in: studentIds }, status: { $in: SEAT_HOLDING_STATUSES } }),
+  ]);
+
+  const studentsById = new Map(students.map((student) => [student._id, student]));
+  const rows = [];
+  allResults.forEach((result, index) => {
+    const student = studentsById.get(result.userId);
+    if (!student) return;
+    rows.push({
+      rank: rows.length + 1,
+      overallRank: index + 1,
+      userId: student._id,
+      name: student.name,
+      email: student.email,
+      grade: student.grade ?? null,
+      score: result.totalScore,
+      maxScore: result.maxScore,
+      percentage: round(result.percentage),
+      timeSpent: result.timeSpent,
+      completedAt: result.completedAt,
+      resultStatus: result.status,
+    });
+  });
+
+  const participated = new Set(rows.map((row) => row.userId));
+  const absent = students
+    .filter((student) => !participated.has(student._id))
+    .map((student) => ({
+      rank: null,
+      overallRank: null,
+      userId: student._id,
+      name: student.name,
+      email: student.email,
+      grade: student.grade ?? null,
+      score: null,
+      maxScore: null,
+      percentage: null,
+      timeSpent: null,
+      completedAt: null,
+      resultStatus: null,
+    }));
+
+  const percentages = rows.map((row) => row.percentage).sort((a, b) => a - b);
+  const distribution = DISTRIBUTION_BUCKETS.map((from, index) => {
+    const to = DISTRIBUTION_BUCKETS[index + 1] ?? 100;
+    const last = index === DISTRIBUTION_BUCKETS.length - 1;
+    return {
+      range: `${from}-${to}%`,
+      count: percentages.filter((value) => value >= from && (last ? value <= to : value < to)).length,
+    };
+  });
+
+  return {
+    studentCount: students.length,
+    registeredCount,
+    participants: rows.length,
+    totalParticipantsInOlympiad: allResults.length,
+    stats: {
+      averageScore: rows.length ? round(rows.reduce((sum, row) => sum + row.score, 0) / rows.length) : null,
+      averagePercentage: percentages.length ? round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length) : null,
+      medianPercentage: percentages.length ? round(median(percentages)) : null,
+      highestPercentage: percentages.length ? percentages[percentages.length - 1] : null,
+      lowestPercentage: percentages.length ? percentages[0] : null,
+      bestOverallRank: rows.length ? rows[0].overallRank : null,
+    },
+    distribution,
+    students: [...rows, ...absent],
+  };
+}
+
+/**
+ * Attempts of a school's students that anti-cheat flagged: a suspicious or
+ * invalid trust score, a flagging status, violations or a device switch
+ * @param {Object} school - School
+ * @param {Object} olympiad - Olympiad
+ * @returns {Promise<Object>} - { totalAttempts, flaggedCount, byClassification, flagged } (flagged: lowest trust first)
+ */
+export async function getSchoolProctoringFlags(school, olympiad) {
+  await connectMongoDB();
+
+  const olympiadId = olympiad._id.toString();
+  const students = await getSchoolStudents(school._id);
+  const studentIds = students.map((student) => student._id);
+  const studentsById = new Map(students.map((student) => [student._id, student]));
+
+  const [attempts, captureCounts] = await Promise.all([
+    Attempt.find({ olympiadId, userId: { $in: studentIds } })
+      .select('userId status trustScore trustClassification violations deviceSwitchDetected missedHeartbeats startedAt submittedAt')
+      .lean(),
+    CameraCapture.aggregate([
+      { $match: { olympiadId, userId: { $in: studentIds } } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const capturesByUser = new Map(captureCounts.map((entry) => [entry._id, entry.count]));
+
+  const byClassification = { clean: 0, suspicious: 0, invalid: 0, unscored: 0 };
+  const flagged = [];
+  for (const attempt of attempts) {
+    byClassification[attempt.trustClassification || 'unscored'] += 1;
+
+    const violations = attempt.violations || [];
+    const isFlagged =
+      attempt.trustClassification === 'suspicious' ||
+      attempt.trustClassification === 'invalid' ||
+      FLAGGED_ATTEMPT_STATUSES.includes(attempt.status) ||
+      violations.length > 0 ||
+      attempt.deviceSwitchDetected;
+    if (!isFlagged) continue;
+
+    const violationsByType = {};
+    violations.forEach((violation) => {
+      violationsByType[violation.type] = (violationsByType[violation.type] || 0) + 1;
+    });
+
+    const student = studentsById.get(attempt.userId);
+    flagged.push({
+      attemptId: attempt._id.toString(),
+      userId: attempt.userId,
+      name: student?.name || 'Unknown',
+      email: student?.email || null,
+      attemptStatus: attempt.status,
+      trustScore: attempt.trustScore,
+      trustClassification: attempt.trustClassification,
+      violationCount: violations.length,
+      violationsByType,
+      deviceSwitchDetected: Boolean(attempt.deviceSwitchDetected),
+      missedHeartbeats: attempt.missedHeartbeats || 0,
+      captureCount: capturesByUser.get(attempt.userId) || 0,
+      startedAt: attempt.startedAt,
+      submittedAt: attempt.submittedAt || null,
+    });
+  }
+
+  flagged.sort((a, b) => (a.trustScore ?? 100) - (b.trustScore ?? 100) || b.violationCount - a.violationCount);
+
+  return {
+    totalAttempts: attempts.length,
+    flaggedCount: flagged.length,
+    byClassification,
+    flagged,
+  };
+}
+
+export default {
+  getSchoolOlympiadResults,
+  getSchoolProctoringFlags,
+};
@@ -0,0 +1,242 @@
+/**
+ * Auth sessions
+ *
+ * A sign-in creates an AuthSession and returns two tokens: a short-lived JWT
+ * access token carrying the session id (sid) and an opaque refresh token
+ * "<sessionId>.<secret>". Only the sha256 of the secret is stored. Every refresh
+ * rotates the secret with a conditional update, so one refresh token buys
+ * exactly one new pair; presenting the token it replaced again means it was
+ * copied, and the session is revoked.
+ *
+ * Revoking a session kills its access tokens on the next request (protect
+ * checks the session). invalidateUserSessions also moves User.tokensValidAfter,
+ * which cuts off the long-lived tokens issued before sessions existed.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import { generateToken } from './auth.js';
+import { getClientIP } from './device-fingerprint.js';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+
+function getRefreshTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Short label for the session list, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return null;
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge'
+      : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+        : /YaBrowser/.test(userAgent) ? 'Yandex Browser'
+          : /Chrome\//.test(userAgent) ? 'Chrome'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+              : /Safari\//.test(userAgent) ? 'Safari'
+                : null;
+  const os =
+    /Windows/.test(userAgent) ? 'Windows'
+      : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+          : /Mac OS X/.test(userAgent) ? 'macOS'
+            : /Linux/.test(userAgent) ? 'Linux'
+              : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+function toSessionInfo(session, currentSessionId) {
+  const id = session._id.toString();
+  return {
+    _id: id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: id === currentSessionId,
+  };
+}
+
+/**
+ * Start a session for a user who just proved who they are
+ * @param {String} userId - User ID
+ * @param {Object} req - Request (user agent and IP are recorded)
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, expiresAt }
+ */
+export async function createSession(userId, req) {
+  await connectMongoDB();
+
+  const secret = newSecret();
+  const userAgent = req?.headers?.['user-agent'] || null;
+  const session = await AuthSession.create({
+    userId: userId.toString(),
+    refreshTokenHash: hashSecret(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req ? getClientIP(req) : null,
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+  });
+
+  const sessionId = session._id.toString();
+  return {
+    token: generateToken(userId.toString(), sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    sessionId,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Trade a refresh token for a new access/refresh pair
+ * @param {String} refreshToken - "<sessionId>.<secret>"
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, expiresAt } or { error, status }
+ */
+export async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+
+  await connectMongoDB();
+
+  const now = new Date();
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: now,
+        ip: req ? getClientIP(req) : null,
+        expiresAt: new Date(now.getTime() + getRefreshTtlMs()),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already rotated away is being replayed: whoever holds it
+    // is not necessarily the user, so end the session for everyone
+    const reused = await AuthSession.findOneAndUpdate(
+      { _id: parsed.sessionId, previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    if (reused) {
+      console.warn(`[auth] Refresh token reuse on session ${parsed.sessionId}, session revoked`);
+    }
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+
+  const user = await User.findById(session.userId).select('userBan').lean();
+  if (!user || user.userBan) {
+    await revokeSession(session.userId, session._id, 'user_banned');
+    return { error: user ? 'Your account has been banned' : 'User not found', status: user ? 403 : 401 };
+  }
+
+  const sessionId = session._id.toString();
+  return {
+    token: generateToken(session.userId, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    sessionId,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Session of the caller, flagged as current
+ */
+export async function listSessions(userId, currentSessionId = null) {
+  await connectMongoDB();
+  const sessions = await AuthSession.find({
+    userId: userId.toString(),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return sessions.map((session) => toSessionInfo(session, currentSessionId));
+}
+
+/**
+ * @returns {Promise<Boolean>} - false if the user has no such active session
+ */
+export async function revokeSession(userId, sessionId, reason = 'revoked_by_user') {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  await connectMongoDB();
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, userId: userId.toString(), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Sign a user out everywhere, optionally keeping the caller's session
+ * @param {String} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {Promise<Number>} - Sessions revoked
+ */
+export async function revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  await connectMongoDB();
+  const query = { userId: userId.toString(), revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await AuthSession.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+/**
+ * Cut off every token a user holds, sessions and legacy tokens alike.
+ * Used when the password changes or the account is banned.
+ * @param {String} userId - User ID
+ * @param {String} reason - Recorded as the sessions' revokedReason
+ * @returns {Promise<Number>} - Sessions revoked
+ */
+export async function invalidateUserSessions(userId, reason) {
+  await connectMongoDB();
+  // JWT iat has second precision; round down so a token issued in this same
+  // second by a later sign-in is not caught
+  const validAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: validAfter } });
+  return revokeAllSessions(userId, { reason });
+}
+
+export default {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  invalidateUserSessions,
+};
@@ -0,0 +1,572 @@
+/**
+ * Student import service
+ *
+ * Bulk roster import for a school from CSV or XLSX. The file is parsed and
+ * validated up front (per-row errors are reported, never processed), then a
+ * StudentImportJob works through the valid rows in the background: new emails
+ * get a student account linked to the school and a password-setup link by
+ * email, existing student accounts are linked when the job allows it (platform
+ * admins; a school admin's students join with the invite code instead). Progress is saved row by row,
+ * so a job whose process died is picked up again by resumeImportJobs. A dry
+ * run goes through the same checks without writing anything.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import connectMongoDB from './mongodb.js';
+import StudentImportJob from '../models/StudentImportJob.js';
+import User from '../models/User.js';
+import { parseCsv } from './csv-helpers.js';
+import { readXlsxRows, excelSerialToDate } from './xlsx-reader.js';
+import { findSchoolById } from './school-helper.js';
+import { createUser } from './user-helper.js';
+import { sendPasswordSetupEmail } from './email.js';
+
+export const MAX_IMPORT_ROWS = parseInt(process.env.STUDENT_IMPORT_MAX_ROWS || '5000', 10);
+const SETUP_LINK_TTL_MS = parseInt(process.env.STUDENT_IMPORT_SETUP_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+// A worker renews its lease on every row; one that stops renewing is presumed dead
+const LEASE_MS = 2 * 60 * 1000;
+const RESUME_BATCH_SIZE = 5;
+
+const EMAIL_REGEX = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+
+// Accepted spellings of each column, compared lowercased without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+  email: ['email', 'emailaddress', 'mail'],
+  name: ['name', 'fullname', 'studentname'],
+  firstName: ['firstname', 'givenname'],
+  secondName: ['secondname', 'lastname', 'surname', 'familyname'],
+  grade: ['grade', 'class', 'form'],
+  dateBorn: ['dateborn', 'birthdate', 'dateofbirth', 'dob', 'birthday'],
+  gender: ['gender', 'sex'],
+  tel: ['tel', 'phone', 'phonenumber', 'mobile'],
+};
+
+const GENDERS = {
+  male: 'male', m: 'male', boy: 'male',
+  female: 'female', f: 'female', girl: 'female',
+  other: 'other',
+};
+
+let resumeInProgress = false;
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+function toPlain(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return { ...plain, _id: plain._id.toString() };
+}
+
+function normalizeHeader(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * 2008-01-31, 31.01.2008, 31/01/2008 or an Excel serial date (from XLSX)
+ * @returns {Date|null|undefined} - null if empty, undefined if unreadable
+ */
+function parseBirthDate(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return excelSerialToDate(value) || undefined;
+  }
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let date;
+  if (match) {
+    date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  } else if ((match = value.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/))) {
+    date = new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+  } else {
+    return undefined;
+  }
+  if (Number.isNaN(date.getTime()) || date > new Date() || date.getUTCFullYear() < 1900) {
+    return undefined;
+  }
+  return date;
+}
+
+/**
+ * Read a roster file into rows of strings
+ * @param {Buffer} buffer - File contents
+ * @param {String} fileName - Used to tell CSV from XLSX
+ * @returns {Object} - { format, rows }
+ * @throws {Error} - code INVALID_IMPORT (or INVALID_XLSX)
+ */
+export function readRosterFile(buffer, fileName = '') {
+  const isXlsx = /\.xlsx$/i.test(fileName) || buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  if (isXlsx) {
+    return { format: 'xlsx', rows: readXlsxRows(buffer) };
+  }
+  if (/\.xls$/i.test(fileName)) {
+    throw invalidImport('Old .xls workbooks are not supported; save the file as .xlsx or .csv');
+  }
+  return { format: 'csv', rows: parseCsv(buffer.toString('utf8')) };
+}
+
+/**
+ * Map the header row and validate every data row
+ * @param {Array<Array<String>>} table - Rows of the file, the first being the header
+ * @returns {Object} - { rows, rowErrors: [{ row, email, message }] }; row numbers are as in the file
+ * @throws {Error} - code INVALID_IMPORT for a file that cannot be imported at all
+ */
+export function validateRoster(table) {
+  const [header = [], ...dataRows] = table;
+  const columns = {};
+  header.forEach((title, index) => {
+    const key = normalizeHeader(title);
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(key) && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    }
+  });
+
+  if (columns.email === undefined) {
+    throw invalidImport('The file must have an "email" column');
+  }
+  if (columns.name === undefined && columns.firstName === undefined) {
+    throw invalidImport('The file must have a "name" column, or "firstName" and "lastName" columns');
+  }
+  if (dataRows.length === 0) {
+    throw invalidImport('The file has no rows to import');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw invalidImport(`The file has ${dataRows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  const rows = [];
+  const rowErrors = [];
+  const firstRowByEmail = new Map();
+
+  dataRows.forEach((cells, index) => {
+    // The header is row 1
+    const row = index + 2;
+    const cell = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+
+    const email = cell('email').toLowerCase();
+    const firstName = cell('firstName');
+    const secondName = cell('secondName');
+    const name = cell('name') || [firstName, secondName].filter(Boolean).join(' ');
+    const problems = [];
+
+    if (!email) {
+      problems.push('Email is missing');
+    } else if (!EMAIL_REGEX.test(email)) {
+      problems.push('Email is not valid');
+    } else if (firstRowByEmail.has(email)) {
+      problems.push(`Same email as row ${firstRowByEmail.get(email)}`);
+    }
+    if (!name) {
+      problems.push('Name is missing');
+    }
+
+    let grade = null;
+    if (cell('grade')) {
+      grade = Number(cell('grade').replace(/\D+$/, ''));
+      if (!Number.isInteger(grade) || grade < 1 || grade > 12) {
+        problems.push('Grade must be a whole number from 1 to 12');
+      }
+    }
+
+    const dateBorn = parseBirthDate(cell('dateBorn'));
+    if (dateBorn === undefined) {
+      problems.push('Birth date is not a valid date (use YYYY-MM-DD)');
+    }
+
+    let gender = null;
+    if (cell('gender')) {
+      gender = GENDERS[cell('gender').toLowerCase()] || null;
+      if (!gender) {
+        problems.push('Gender must be male, female or other');
+      }
+    }
+
+    if (email && !firstRowByEmail.has(email)) {
+      firstRowByEmail.set(email, row);
+    }
+    if (problems.length > 0) {
+      rowErrors.push({ row, email: email || null, message: problems.join('; ') });
+      return;
+    }
+
+    rows.push({
+      row,
+      email,
+      name,
+      firstName: firstName || null,
+      secondName: secondName || null,
+      grade,
+      dateBorn: dateBorn ? dateBorn.toISOString() : null,
+      gender,
+      tel: cell('tel') || null,
+    });
+  });
+
+  return { rows, rowErrors };
+}
+
+/**
+ * Give an account without a password a link to set one, and email it
+ * @returns {Promise<Object>} - { emailSent, message }
+ */
+async function sendSetupLink(userId, { email, name }, frontendUrl) {
+  const rawToken = crypto.randomBytes(24).toString('hex');
+  const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
+  await User.updateOne(
+    { _id: userId },
+    { $set: { passwordResetTokenHash: tokenHash, passwordResetExpires: new Date(Date.now() + SETUP_LINK_TTL_MS) } }
+  );
+
+  const link = `${frontendUrl}/set-password?email=${encodeURIComponent(email)}&token=${rawToken}`;
+  try {
+    await sendPasswordSetupEmail({ to: email, name, link });
+    return { emailSent: true, message: null };
+  } catch (error) {
+    // The account stays; an admin can issue a new link from the user's page
+    console.error(`[StudentImport] Failed to send setup email to ${email}:`, error.message);
+    return { emailSent: false, message: 'Password-setup email could not be sent' };
+  }
+}
+
+/**
+ * Create or link the account of one roster row
+ * @returns {Promise<Object>} - Result entry: { row, email, action, userId, message, emailSent }
+ */
+async function processRow(job, school, row) {
+  const result = { row: row.row, email: row.email, userId: null, message: null, emailSent: null };
+  const existing = await User.findOne({ email: row.email }).select('_id role schoolId passwordHash').lean();
+
+  if (existing) {
+    result.userId = existing._id.toString();
+    if (existing.role !== 'student') {
+      return { ...result, action: 'failed', message: `A ${existing.role} account already uses this email` };
+    }
+    if (existing.schoolId === school._id) {
+      // Covers an account this job created right before its process died, ahead of the
+      // setup email: on resume it is already a member but still has no password
+      if (!existing.passwordHash && !job.dryRun) {
+        const setup = await sendSetupLink(existing._id, row, job.frontendUrl);
+        return { ...result, action: 'already_member', ...setup };
+      }
+      return { ...result, action: 'already_member' };
+    }
+    if (!job.linkExisting) {
+      return { ...result, action: 'failed', message: 'Already has an account; they can join with the school invite code' };
+    }
+    const inOtherSchool = existing.schoolId
+      && mongoose.Types.ObjectId.isValid(existing.schoolId)
+      && await findSchoolById(existing.schoolId);
+    if (inOtherSchool && !job.allowTransfer) {
+      return { ...result, action: 'failed', message: 'Already belongs to another school' };
+    }
+    if (job.dryRun) {
+      return { ...result, action: 'would_link', message: inOtherSchool ? 'Moves from another school' : null };
+    }
+
+    await User.updateOne({ _id: existing._id }, { $set: { schoolId: school._id, schoolName: school.name } });
+    if (!existing.passwordHash) {
+      // A student who never set a password cannot sign in without the link
+      const setup = await sendSetupLink(existing._id, row, job.frontendUrl);
+      return { ...result, action: 'linked', ...setup };
+    }
+    return { ...result, action: 'linked' };
+  }
+
+  if (job.dryRun) {
+    return { ...result, action: 'would_create' };
+  }
+
+  let user;
+  try {
+    user = await createUser({
+      name: row.name,
+      firstName: row.firstName,
+      secondName: row.secondName,
+      email: row.email,
+      tel: row.tel,
+      grade: row.grade,
+      dateBorn: row.dateBorn,
+      gender: row.gender,
+      role: 'student',
+      schoolId: school._id,
+      schoolName: school.name,
+    }, { requirePassword: false });
+  } catch (error) {
+    return { ...result, action: 'failed', message: error.message };
+  }
+
+  const setup = await sendSetupLink(user._id, row, job.frontendUrl);
+  return { ...result, userId: user._id, action: 'created', ...setup };
+}
+
+const COUNT_BY_ACTION = {
+  created: 'created',
+  would_create: 'created',
+  linked: 'linked',
+  would_link: 'linked',
+  already_member: 'skipped',
+  failed: 'failed',
+};
+
+/**
+ * Work through a job's remaining rows. Does nothing if another worker holds it.
+ * @param {String} jobId - StudentImportJob ID
+ * @returns {Promise<Object|null>} - The job when this call stops working on it, or null if not claimed
+ */
+export async function runImportJob(jobId) {
+  await connectMongoDB();
+  const now = new Date();
+  let job = await StudentImportJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: { $in: ['queued', 'running'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { status: 'running', lockedUntil: new Date(now.getTime() + LEASE_MS), error: null } },
+    { new: true, projection: { results: 0 } }
+  ).lean();
+  if (!job) return null;
+
+  if (!job.startedAt) {
+    await StudentImportJob.updateOne({ _id: job._id }, { $set: { startedAt: now } });
+  }
+
+  try {
+    const school = await findSchoolById(job.schoolId);
+    if (!school) {
+      throw new Error('School no longer exists');
+    }
+
+    while (job.cursor < job.rows.length) {
+      const row = job.rows[job.cursor];
+      const outcome = await processRow(job, school, row);
+
+      const inc = { [`counts.${COUNT_BY_ACTION[outcome.action]}`]: 1 };
+      if (outcome.emailSent) inc['counts.emailsSent'] = 1;
+
+      // Only while still running: a cancel in between stops the job here
+      job = await StudentImportJob.findOneAndUpdate(
+        { _id: job._id, status: 'running', cursor: job.cursor },
+        {
+          $set: { cursor: job.cursor + 1, lockedUntil: new Date(Date.now() + LEASE_MS) },
+          $push: { results: outcome },
+          $inc: inc,
+        },
+        { new: true, projection: { results: 0 } }
+      ).lean();
+      if (!job) {
+        return toPlain(await StudentImportJob.findById(jobId).select('-rows -results').lean());
+      }
+    }
+
+    job = await StudentImportJob.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { $set: { status: 'completed', finishedAt: new Date(), lockedUntil: null } },
+      { new: true, projection: { rows: 0, results: 0 } }
+    ).lean();
+  } catch (error) {
+    console.error(`[StudentImport] Job ${jobId} failed:`, error);
+    job = await StudentImportJob.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date(), lockedUntil: null } },
+      { new: true, projection: { rows: 0, results: 0 } }
+    ).lean();
+  }
+  return toPlain(job);
+}
+
+function startInBackground(jobId) {
+  setImmediate(() => {
+    runImportJob(jobId).catch((error) => console.error(`[StudentImport] Job ${jobId} crashed:`, error));
+  });
+}
+
+/**
+ * Validate a roster and queue its import
+ * @param {Object} data - { schoolId, buffer, fileName, dryRun, linkExisting, allowTransfer, frontendUrl, createdBy, createdByRole }
+ * @returns {Promise<Object>} - The job (without rows and results)
+ * @throws {Error} - code INVALID_IMPORT (or INVALID_XLSX) for a file that cannot be imported
+ */
+export async function createImportJob({
+  schoolId,
+  buffer,
+  fileName = null,
+  dryRun = false,
+  linkExisting = false,
+  allowTransfer = false,
+  frontendUrl,
+  createdBy,
+  createdByRole = null,
+}) {
+  const school = await findSchoolById(schoolId);
+  if (!school) {
+    throw invalidImport('School not found');
+  }
+
+  const { format, rows: table } = readRosterFile(buffer, fileName || '');
+  const { rows, rowErrors } = validateRoster(table);
+
+  await connectMongoDB();
+  const job = await StudentImportJob.create({
+    schoolId: school._id,
+    createdBy: String(createdBy),
+    createdByRole,
+    fileName,
+    format,
+    dryRun: Boolean(dryRun),
+    linkExisting: Boolean(linkExisting),
+    allowTransfer: Boolean(allowTransfer),
+    frontendUrl,
+    rows,
+    rowErrors,
+    // Nothing valid to process: done already
+    status: rows.length > 0 ? 'queued' : 'completed',
+    finishedAt: rows.length > 0 ? null : new Date(),
+  });
+
+  if (rows.length > 0) {
+    startInBackground(job._id.toString());
+  }
+  return summarizeJob(job.toObject(), { includeResults: false });
+}
+
+/**
+ * Progress view of a job
+ * @param {Object} job - Job document (plain)
+ * @param {Object} options - { includeResults }
+ */
+export function summarizeJob(job, { includeResults = true } = {}) {
+  const totalRows = Array.isArray(job.rows) ? job.rows.length : job.totalRows ?? 0;
+  const { rows, results, ...rest } = job;
+  return {
+    ...rest,
+    _id: job._id.toString(),
+    totalRows,
+    processedRows: job.cursor,
+    percent: totalRows > 0 ? Math.round((job.cursor / totalRows) * 100) : 100,
+    ...(includeResults ? { results: results || [] } : {}),
+  };
+}
+
+/**
+ * @returns {Promise<Object|null>} - The job with its results, or null
+ */
+export async function findImportJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  await connectMongoDB();
+  const job = await StudentImportJob.findById(jobId).lean();
+  return job ? summarizeJob(job) : null;
+}
+
+/**
+ * Jobs of the given schools, newest first, without per-row results
+ * @param {Object} filters - { schoolIds } (omit for every school), status
+ * @returns {Promise<Object>} - { jobs, total }
+ */
+export async function listImportJobs({ schoolIds, status } = {}, { skip = 0, limit = 20 } = {}) {
+  await connectMongoDB();
+  const query = {};
+  if (schoolIds) query.schoolId = { $in: schoolIds.map(String) };
+  if (status) query.status = status;
+
+  const [jobs, total] = await Promise.all([
+    StudentImportJob.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $addFields: { totalRows: { $size: '$rows' } } },
+      { $project: { rows: 0, results: 0 } },
+    ]),
+    StudentImportJob.countDocuments(query),
+  ]);
+  return { jobs: jobs.map((job) => summarizeJob(job, { includeResults: false })), total };
+}
+
+/**
+ * Stop a queued or running job after the row in progress
+ * @returns {Promise<Object|null>} - The job, or null if it was not queued or running
+ */
+export async function cancelImportJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  await connectMongoDB();
+  const job = await StudentImportJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'cancelled', finishedAt: new Date(), lockedUntil: null } },
+    { new: true }
+  ).lean();
+  return job ? summarizeJob(job, { includeResults: false }) : null;
+}
+
+/**
+ * Continue a failed or cancelled job from the row it stopped at
+ * @returns {Promise<Object|null>} - The job, or null if it was not failed or cancelled
+ */
+export async function restartImportJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  await connectMongoDB();
+  const job = await StudentImportJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    { $set: { status: 'queued', finishedAt: null, lockedUntil: null, error: null } },
+    { new: true }
+  ).lean();
+  if (!job) return null;
+
+  startInBackground(job._id.toString());
+  return summarizeJob(job, { includeResults: false });
+}
+
+/**
+ * Pick up queued jobs and jobs whose worker stopped renewing its lease
+ * (server restart or crash mid-import)
+ * @returns {Promise<Number>} - Number of jobs worked on
+ */
+export async function resumeImportJobs() {
+  if (resumeInProgress) return 0;
+  resumeInProgress = true;
+
+  let resumed = 0;
+  try {
+    await connectMongoDB();
+    const stalled = await StudentImportJob.find({
+      status: { $in: ['queued', 'running'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }],
+    })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(RESUME_BATCH_SIZE)
+      .lean();
+
+    for (const { _id } of stalled) {
+      try {
+        if (await runImportJob(_id.toString())) {
+          resumed++;
+        }
+      } catch (error) {
+        console.error(`[StudentImport] Failed to resume job ${_id}:`, error);
+      }
+    }
+  } finally {
+    resumeInProgress = false;
+  }
+  return resumed;
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  readRosterFile,
+  validateRoster,
+  createImportJob,
+  runImportJob,
+  summarizeJob,
+  findImportJob,
+  listImportJobs,
+  cancelImportJob,
+  restartImportJob,
+  resumeImportJobs,
+};
@@ -41,6 +41,7 @@ export async function createSubmission(submissionData) {
     answer: submissionData.answer,
     score: submissionData.score || 0,
     isCorrect: submissionData.isCorrect || false,
+    scoringPolicy: submissionData.scoringPolicy || null,
     gradedBy: submissionData.gradedBy || null,
     gradedAt: submissionData.gradedAt || null,
     comment: submissionData.comment || null,
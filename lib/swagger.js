@@ -134,7 +134,7 @@ const getSwaggerOptions = () => ({
             },
             type: {
               type: 'string',
-              enum: ['multiple-choice', 'essay'],
+              enum: ['multiple-choice', 'essay', 'numeric', 'short-text', 'matching', 'ordering'],
             },
             options: {
               type: 'array',
@@ -145,6 +145,48 @@ const getSwaggerOptions = () => ({
             correctAnswer: {
               type: 'string',
             },
+            scoringPolicy: {
+              type: 'string',
+              enum: ['all-or-nothing', 'proportional', 'penalty'],
+            },
+            wrongSelectionPenalty: {
+              type: 'number',
+            },
+            numericAnswer: {
+              type: 'object',
+              properties: {
+                value: { type: 'number' },
+                tolerance: { type: 'number' },
+                toleranceType: { type: 'string', enum: ['absolute', 'percent'] },
+                unit: { type: 'string' },
+                unitRequired: { type: 'boolean' },
+              },
+            },
+            acceptedAnswers: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+            },
+            caseSensitive: {
+              type: 'boolean',
+            },
+            matchingPairs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  left: { type: 'string' },
+                  right: { type: 'string' },
+                },
+              },
+            },
+            orderingItems: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+            },
             points: {
               type: 'number',
             },
@@ -12,6 +12,7 @@ export const DEFAULT_SYSTEM_CONTROLS = {
   emailVerificationEnabled: true,
   requireProfileCompletion: true,
   apiEnabled: true,
+  twoFactorRequiredForStaff: false,
   updatedAt: null,
   updatedBy: null,
 };
@@ -44,6 +45,10 @@ function normalizeControls(raw = {}) {
       typeof raw.apiEnabled === 'boolean'
         ? raw.apiEnabled
         : DEFAULT_SYSTEM_CONTROLS.apiEnabled,
+    twoFactorRequiredForStaff:
+      typeof raw.twoFactorRequiredForStaff === 'boolean'
+        ? raw.twoFactorRequiredForStaff
+        : DEFAULT_SYSTEM_CONTROLS.twoFactorRequiredForStaff,
     updatedAt: raw.updatedAt || null,
     updatedBy: raw.updatedBy || null,
   };
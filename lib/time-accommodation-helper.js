@@ -0,0 +1,197 @@
+import connectMongoDB from './mongodb.js';
+import TimeAccommodation from '../models/TimeAccommodation.js';
+import Attempt from '../models/Attempt.js';
+import { calculateAccommodatedDuration, calculateEndTime } from './timer-service.js';
+import { isSectionedAttempt, extendAttemptSections } from './attempt-sections.js';
+
+const MAX_MULTIPLIER = 4;
+const MAX_EXTRA_MINUTES = 24 * 60;
+
+function toPlain(doc) {
+  return { ...doc, _id: doc._id.toString() };
+}
+
+function normalizeUserIds(userIds) {
+  const list = Array.isArray(userIds) ? userIds : [userIds];
+  return [...new Set(
+    list
+      .filter((id) => id !== undefined && id !== null)
+      .map((id) => String(id).trim())
+      .filter((id) => id !== '')
+  )];
+}
+
+/**
+ * Validate a grant payload
+ * @returns {Object} - { userIds, label, multiplier, extraMinutes, reason }
+ * @throws {Error} - If users are missing or the grant adds no time
+ */
+function normalizeGrant(data) {
+  const userIds = normalizeUserIds(data.userIds ?? data.userId);
+  if (userIds.length === 0) {
+    throw new Error('Provide userId or userIds');
+  }
+
+  const multiplier = data.multiplier === undefined || data.multiplier === null || data.multiplier === ''
+    ? 1
+    : Number(data.multiplier);
+  if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > MAX_MULTIPLIER) {
+    throw new Error(`multiplier must be between 1 and ${MAX_MULTIPLIER}`);
+  }
+
+  const extraMinutes = data.extraMinutes === undefined || data.extraMinutes === null || data.extraMinutes === ''
+    ? 0
+    : Number(data.extraMinutes);
+  if (!Number.isFinite(extraMinutes) || extraMinutes < 0 || extraMinutes > MAX_EXTRA_MINUTES) {
+    throw new Error(`extraMinutes must be between 0 and ${MAX_EXTRA_MINUTES}`);
+  }
+
+  if (multiplier === 1 && extraMinutes === 0) {
+    throw new Error('Accommodation must grant extra time (multiplier > 1 or extraMinutes > 0)');
+  }
+
+  return {
+    userIds,
+    label: typeof data.label === 'string' && data.label.trim() !== '' ? data.label.trim() : null,
+    multiplier,
+    extraMinutes,
+    reason: typeof data.reason === 'string' && data.reason.trim() !== '' ? data.reason.trim() : null,
+  };
+}
+
+export async function findAccommodationsByOlympiadId(olympiadId) {
+  await connectMongoDB();
+  const grants = await TimeAccommodation.find({ olympiadId }).sort({ createdAt: -1 }).lean();
+  return grants.map(toPlain);
+}
+
+export async function findAccommodationById(id) {
+  await connectMongoDB();
+  const grant = await TimeAccommodation.findById(id).lean();
+  if (!grant) return null;
+  return toPlain(grant);
+}
+
+/**
+ * Resolve the accommodation that applies to a student. When several grants
+ * cover the same student, the one giving the longest duration wins.
+ * @param {Object} olympiad - Olympiad (reads _id and duration)
+ * @param {String} userId - Student ID
+ * @returns {Promise<Object>} - { durationSeconds, accommodation }
+ */
+export async function getEffectiveDuration(olympiad, userId) {
+  await connectMongoDB();
+
+  const baseDurationSeconds = olympiad.duration || 3600; // Default 1 hour
+  const grants = await TimeAccommodation.find({
+    olympiadId: olympiad._id.toString(),
+    userIds: userId.toString(),
+  }).lean();
+
+  let best = null;
+  let durationSeconds = baseDurationSeconds;
+  for (const grant of grants) {
+    const candidate = calculateAccommodatedDuration(baseDurationSeconds, grant);
+    if (candidate > durationSeconds) {
+      durationSeconds = candidate;
+      best = grant;
+    }
+  }
+
+  return {
+    durationSeconds,
+    accommodation: best
+      ? {
+          grantId: best._id.toString(),
+          label: best.label || null,
+          multiplier: best.multiplier,
+          extraMinutes: best.extraMinutes,
+        }
+      : null,
+  };
+}
+
+/**
+ * Extend attempts already in progress so a grant made mid-olympiad takes
+ * effect immediately. Attempts are never shortened.
+ * @returns {Promise<Number>} - Number of attempts extended
+ */
+async function extendActiveAttempts(olympiad, userIds) {
+  const attempts = await Attempt.find({
+    olympiadId: olympiad._id.toString(),
+    userId: { $in: userIds },
+    status: 'started',
+  });
+
+  let extended = 0;
+  for (const attempt of attempts) {
+    const { durationSeconds, accommodation } = await getEffectiveDuration(olympiad, attempt.userId);
+
+    // Sectioned attempts may have forfeited time, so extend by the difference
+    if (isSectionedAttempt(attempt)) {
+      const extraSeconds = durationSeconds - (attempt.durationSeconds || olympiad.duration);
+      if (extraSeconds > 0) {
+        extendAttemptSections(attempt, extraSeconds);
+        attempt.endsAt = calculateEndTime(attempt.endsAt, extraSeconds);
+        attempt.durationSeconds = durationSeconds;
+        attempt.accommodation = accommodation;
+        await attempt.save();
+        extended++;
+      }
+      continue;
+    }
+
+    const endsAt = calculateEndTime(attempt.startedAt, durationSeconds);
+    if (endsAt > attempt.endsAt) {
+      attempt.endsAt = endsAt;
+      attempt.durationSeconds = durationSeconds;
+      attempt.accommodation = accommodation;
+      await attempt.save();
+      extended++;
+    }
+  }
+  return extended;
+}
+
+/**
+ * Grant extra time on an olympiad
+ * @param {Object} olympiad - Olympiad
+ * @param {Object} data - { userId | userIds, multiplier?, extraMinutes?, label?, reason? }
+ * @param {String} grantedBy - Admin user ID
+ * @returns {Promise<Object>} - { accommodation, extendedAttempts }
+ */
+export async function createAccommodation(olympiad, data, grantedBy) {
+  await connectMongoDB();
+
+  const grant = normalizeGrant(data);
+  const accommodation = await TimeAccommodation.create({
+    olympiadId: olympiad._id.toString(),
+    ...grant,
+    grantedBy: grantedBy.toString(),
+  });
+
+  const extendedAttempts = await extendActiveAttempts(olympiad, grant.userIds);
+
+  return {
+    accommodation: toPlain(accommodation.toObject()),
+    extendedAttempts,
+  };
+}
+
+/**
+ * Revoke a grant. Attempts already running keep the time they were given.
+ */
+export async function deleteAccommodation(id) {
+  await connectMongoDB();
+  const result = await TimeAccommodation.findByIdAndDelete(id);
+  if (!result) throw new Error('Accommodation not found');
+  return true;
+}
+
+export default {
+  findAccommodationsByOlympiadId,
+  findAccommodationById,
+  getEffectiveDuration,
+  createAccommodation,
+  deleteAccommodation,
+};
@@ -23,6 +23,87 @@ export function calculateEndTime(startedAt, durationSeconds) {
   return endsAt;
 }
 
+/**
+ * Apply a time accommodation to a base duration
+ * @param {Number} baseDurationSeconds - Olympiad duration in seconds
+ * @param {Object|null} accommodation - { multiplier, extraMinutes } (null = none)
+ * @returns {Number} - Accommodated duration in seconds (never shorter than the base)
+ */
+export function calculateAccommodatedDuration(baseDurationSeconds, accommodation = null) {
+  if (!accommodation) {
+    return baseDurationSeconds;
+  }
+
+  const multiplier = Number(accommodation.multiplier) > 0 ? Number(accommodation.multiplier) : 1;
+  const extraSeconds = Math.max(0, Number(accommodation.extraMinutes) || 0) * 60;
+
+  return Math.max(baseDurationSeconds, Math.round(baseDurationSeconds * multiplier + extraSeconds));
+}
+
+/**
+ * Duration granted to an attempt (accommodated if a grant applied at start)
+ * @param {Object} attempt - Attempt document
+ * @param {Number} fallbackDurationSeconds - Olympiad duration, for attempts that predate accommodations
+ * @returns {Number} - Duration in seconds
+ */
+export function getAttemptDurationSeconds(attempt, fallbackDurationSeconds) {
+  return attempt?.durationSeconds || fallbackDurationSeconds;
+}
+
+/**
+ * Intervals an attempt spent paused by an admin, clipped to [from, until]
+ * @param {Object} attempt - Attempt document (pauses; one still open runs until `until`)
+ * @param {Date} [from] - Defaults to the attempt's start
+ * @param {Date} [until] - Defaults to now
+ * @returns {Array} - [{ start, end }] as Dates, oldest first
+ */
+export function getPauseIntervals(attempt, from = attempt?.startedAt, until = new Date()) {
+  const pauses = [...(attempt?.pauses || [])];
+  // Paused before pauses were recorded
+  if (attempt?.status === 'paused' && attempt.pausedAt && !pauses.some((pause) => !pause.resumedAt)) {
+    pauses.push({ pausedAt: attempt.pausedAt, resumedAt: null });
+  }
+
+  const lower = from ? new Date(from).getTime() : -Infinity;
+  const upper = new Date(until).getTime();
+  return pauses
+    .map((pause) => ({
+      start: Math.max(new Date(pause.pausedAt).getTime(), lower),
+      end: Math.min(pause.resumedAt ? new Date(pause.resumedAt).getTime() : upper, upper),
+    }))
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start)
+    .map((interval) => ({ start: new Date(interval.start), end: new Date(interval.end) }));
+}
+
+/**
+ * Time an attempt spent paused between two moments
+ * @param {Object} attempt - Attempt document
+ * @param {Date} [from] - Defaults to the attempt's start
+ * @param {Date} [until] - Defaults to now
+ * @returns {Number} - Paused milliseconds
+ */
+export function getPausedMs(attempt, from = attempt?.startedAt, until = new Date()) {
+  return getPauseIntervals(attempt, from, until)
+    .reduce((total, interval) => total + (interval.end - interval.start), 0);
+}
+
+/**
+ * Latest moment a submission is accepted for this attempt. The olympiad
+ * window is extended by however much extra time the attempt was granted,
+ * and by the time it spent paused.
+ * @param {Date} windowEndTime - Olympiad endTime
+ * @param {Object|null} attempt - Attempt document
+ * @param {Number} baseDurationSeconds - Olympiad duration in seconds
+ * @returns {Date} - Submission deadline
+ */
+export function getSubmissionDeadline(windowEndTime, attempt, baseDurationSeconds) {
+  const end = new Date(windowEndTime);
+  const extraSeconds = Math.max(0, getAttemptDurationSeconds(attempt, baseDurationSeconds) - baseDurationSeconds);
+  const pausedMs = attempt ? getPausedMs(attempt) : 0;
+  return new Date(end.getTime() + extraSeconds * 1000 + pausedMs);
+}
+
 /**
  * Get remaining time in seconds
  * @param {Date} endsAt - End timestamp
@@ -88,20 +169,66 @@ export function formatRemainingTime(seconds) {
   return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
 }
 
+/**
+ * Timer of the section the attempt is currently in
+ * @param {Object} attempt - Attempt document
+ * @returns {Object|null} - Section timer, or null if the olympiad has no sections
+ */
+export function getSectionTimerStatus(attempt) {
+  const index = attempt?.currentSectionIndex || 0;
+  const section = attempt?.sections?.[index];
+  if (!section || !section.endsAt) {
+    return null;
+  }
+
+  const remaining = getRemainingTime(section.endsAt);
+  return {
+    index,
+    totalSections: attempt.sections.length,
+    sectionId: section.sectionId,
+    title: section.title,
+    navigation: section.navigation,
+    startIndex: section.startIndex,
+    endIndex: section.endIndex,
+    endsAt: new Date(section.endsAt).toISOString(),
+    remainingSeconds: remaining,
+    formatted: formatRemainingTime(remaining),
+    isLastSection: index === attempt.sections.length - 1
+  };
+}
+
 /**
  * Get timer status object for client
  * @param {Date} endsAt - End timestamp
+ * @param {Object} attempt - Attempt document (optional, adds duration, accommodation and section timer)
  * @returns {Object} - Timer status with remaining time and formatted string
  */
-export function getTimerStatus(endsAt) {
-  const remaining = getRemainingTime(endsAt);
-  const expired = isTimeExpired(endsAt);
+export function getTimerStatus(endsAt, attempt = null) {
+  // A paused attempt's clock stands still until it is resumed (endsAt moves then)
+  const pausedAt = attempt?.status === 'paused' && attempt.pausedAt ? new Date(attempt.pausedAt) : null;
+  const remaining = pausedAt
+    ? Math.max(0, Math.floor((new Date(endsAt) - pausedAt) / 1000))
+    : getRemainingTime(endsAt);
+  const expired = pausedAt ? remaining === 0 : isTimeExpired(endsAt);
   
   return {
     endsAt: endsAt.toISOString(),
     remainingSeconds: remaining,
     formatted: formatRemainingTime(remaining),
     expired,
-    serverTime: new Date().toISOString()
+    serverTime: new Date().toISOString(),
+    ...(attempt && {
+      durationSeconds: attempt.durationSeconds || null,
+      accommodation: attempt.accommodation
+        ? {
+            label: attempt.accommodation.label || null,
+            multiplier: attempt.accommodation.multiplier,
+            extraMinutes: attempt.accommodation.extraMinutes
+          }
+        : null,
+      section: getSectionTimerStatus(attempt),
+      paused: Boolean(pausedAt),
+      pausedAt: pausedAt ? pausedAt.toISOString() : null
+    })
   };
 }
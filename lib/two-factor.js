@@ -0,0 +1,397 @@
+/**
+ * Two-factor authentication (TOTP, RFC 6238)
+ *
+ * Staff accounts can invalidate attempts, change grades and export user data,
+ * so a password alone is not enough for them once the owner turns on
+ * twoFactorRequiredForStaff in system controls. Any user may enroll.
+ *
+ * Enrollment: beginEnrollment stores a pending secret and returns the
+ * otpauth:// URI for the authenticator app's QR code; confirmEnrollment checks
+ * the first code, switches 2FA on and hands out one-time recovery codes.
+ * Secrets are encrypted at rest, recovery codes are stored as hashes, and each
+ * TOTP time step is accepted once. Five wrong codes lock the second step for
+ * fifteen minutes.
+ */
+
+import crypto from 'crypto';
+import connectMongoDB from './mongodb.js';
+import User from '../models/User.js';
+import { getSystemControlsSync } from './system-controls.js';
+
+// Roles that must use 2FA when the owner enforces it
+export const STAFF_ROLES = ['owner', 'admin', 'resolter', 'university'];
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Global Olympiad';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept the previous and next step too, for clock drift
+const STEP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function twoFactorError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function getEncryptionKey() {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET) must be set to use two-factor authentication');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+// AES-256-GCM, stored as "iv:tag:ciphertext" in hex
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Time step the code belongs to, or null if it matches none in the window
+ */
+function matchTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - STEP_WINDOW; step <= current + STEP_WINDOW; step += 1) {
+    const expected = Buffer.from(totpAt(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Mark a TOTP step used; false if it (or a later one) was already accepted
+ */
+async function claimTotpStep(userId, step) {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+    },
+    { $set: { twoFactorLastUsedStep: step, twoFactorFailedAttempts: 0, twoFactorLockedUntil: null } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function recordFailedAttempt(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true }
+  ).select('twoFactorFailedAttempts');
+
+  if (user && user.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) } }
+    );
+  }
+}
+
+async function loadUser(userId) {
+  await connectMongoDB();
+  const user = await User.findById(userId);
+  if (!user) {
+    throw twoFactorError('User not found', 'USER_NOT_FOUND');
+  }
+  return user;
+}
+
+function assertNotLocked(user) {
+  if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+    throw twoFactorError('Too many invalid codes. Try again later.', 'TWO_FACTOR_LOCKED');
+  }
+}
+
+/**
+ * Check a TOTP code against the user's active secret, counting failures
+ * @throws {Error} - code INVALID_TWO_FACTOR_CODE or TWO_FACTOR_LOCKED
+ */
+async function checkTotp(user, code) {
+  assertNotLocked(user);
+  const step = matchTotpStep(decryptSecret(user.twoFactorSecret), code);
+  if (step === null || !(await claimTotpStep(user._id, step))) {
+    await recordFailedAttempt(user._id);
+    throw twoFactorError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+  }
+}
+
+/**
+ * HTTP status for an error thrown here, or null for unexpected errors
+ */
+export function getTwoFactorErrorStatus(error) {
+  if (error.code === 'TWO_FACTOR_LOCKED') return 429;
+  if (error.code === 'USER_NOT_FOUND') return 404;
+  if (error.code === 'TWO_FACTOR_REQUIRED') return 403;
+  if (typeof error.code === 'string' && (error.code.startsWith('TWO_FACTOR_') || error.code === 'INVALID_TWO_FACTOR_CODE')) return 400;
+  return null;
+}
+
+/**
+ * Whether the owner requires this user to have 2FA
+ * @param {Object} user - User with role
+ */
+export function isTwoFactorRequired(user) {
+  if (!user || !STAFF_ROLES.includes(user.role)) return false;
+  return getSystemControlsSync().twoFactorRequiredForStaff === true;
+}
+
+/**
+ * @param {Object} user - User (plain or document)
+ */
+export function getTwoFactorStatus(user) {
+  return {
+    enabled: Boolean(user.twoFactorEnabled),
+    required: isTwoFactorRequired(user),
+    enabledAt: user.twoFactorEnabledAt || null,
+    recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodeHashes || []).length : 0,
+  };
+}
+
+/**
+ * Start enrollment with a fresh secret (replaces any unfinished one)
+ * @returns {Promise<Object>} - { secret, otpauthUri } for the authenticator app
+ * @throws {Error} - code TWO_FACTOR_ALREADY_ENABLED
+ */
+export async function beginEnrollment(userId) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return { secret, otpauthUri: buildOtpauthUri(user.email, secret) };
+}
+
+/**
+ * Finish enrollment with the first code from the app
+ * @returns {Promise<Object>} - { recoveryCodes } (shown once)
+ * @throws {Error} - code TWO_FACTOR_NOT_STARTED, INVALID_TWO_FACTOR_CODE or TWO_FACTOR_LOCKED
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED');
+  }
+  assertNotLocked(user);
+
+  const step = matchTotpStep(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    await recordFailedAttempt(user._id);
+    throw twoFactorError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorRecoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorLockedUntil = null;
+  await user.save();
+
+  return { recoveryCodes };
+}
+
+/**
+ * Second sign-in step: a TOTP code, or a recovery code (used up)
+ * @param {String} userId - User ID
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - { method: 'totp' | 'recovery_code', recoveryCodesRemaining }
+ * @throws {Error} - code TWO_FACTOR_NOT_ENABLED, INVALID_TWO_FACTOR_CODE or TWO_FACTOR_LOCKED
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (recoveryCode) {
+    assertNotLocked(user);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorRecoveryCodeHashes: hashRecoveryCode(String(recoveryCode)) },
+      {
+        $pull: { twoFactorRecoveryCodeHashes: hashRecoveryCode(String(recoveryCode)) },
+        $set: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: null },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      await recordFailedAttempt(user._id);
+      throw twoFactorError('Invalid recovery code', 'INVALID_TWO_FACTOR_CODE');
+    }
+    return { method: 'recovery_code', recoveryCodesRemaining: updated.twoFactorRecoveryCodeHashes.length };
+  }
+
+  await checkTotp(user, code);
+  return { method: 'totp', recoveryCodesRemaining: user.twoFactorRecoveryCodeHashes.length };
+}
+
+/**
+ * Replace the recovery codes; needs a current TOTP code
+ * @returns {Promise<Object>} - { recoveryCodes }
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+  await checkTotp(user, code);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorRecoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return { recoveryCodes };
+}
+
+/**
+ * Turn 2FA off, with a current code; not allowed while it is required for the user
+ * @throws {Error} - code TWO_FACTOR_REQUIRED, TWO_FACTOR_NOT_ENABLED, INVALID_TWO_FACTOR_CODE or TWO_FACTOR_LOCKED
+ */
+export async function disableTwoFactor(userId, code) {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+  if (isTwoFactorRequired(user)) {
+    throw twoFactorError('Two-factor authentication is required for your role', 'TWO_FACTOR_REQUIRED');
+  }
+  await checkTotp(user, code);
+  await resetTwoFactor(user._id);
+}
+
+/**
+ * Remove a user's 2FA entirely (lost device); they enroll again on next sign-in if required
+ * @returns {Promise<Boolean>} - false if the user does not exist
+ */
+export async function resetTwoFactor(userId) {
+  await connectMongoDB();
+  const result = await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorRecoveryCodeHashes: [],
+        twoFactorLastUsedStep: null,
+        twoFactorFailedAttempts: 0,
+        twoFactorLockedUntil: null,
+      },
+    }
+  );
+  return result.matchedCount > 0;
+}
+
+export default {
+  STAFF_ROLES,
+  getTwoFactorErrorStatus,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+};
@@ -1,6 +1,8 @@
 import connectMongoDB from "./mongodb.js";
 import bcrypt from "bcryptjs";
 import User from "../models/User.js";
+import { recordSignupBonus } from "./coin-ledger.js";
+import { SCHOOL_MEMBER_ROLES } from "./school-helper.js";
 
 export async function getAllUsers() {
   await connectMongoDB();
@@ -22,27 +24,29 @@ export async function findUserByEmail(email) {
   return { ...user, _id: user._id.toString() };
 }
 
-export async function createUser(userData) {
+/**
+ * @param {Object} userData - Account fields and password
+ * @param {Object} options - { requirePassword }: false for accounts that get a password-setup link instead
+ */
+export async function createUser(userData, { requirePassword = true } = {}) {
   await connectMongoDB();
   const existingUser = await User.findOne({ email: userData.email.toLowerCase() });
   if (existingUser) {
     throw new Error("User already exists with this email");
   }
 
-  if (!userData.password || typeof userData.password !== "string") {
+  const hasPassword = typeof userData.password === "string" && userData.password.length > 0;
+  if (requirePassword && !hasPassword) {
     throw new Error("Password is required");
   }
 
-  const passwordHash = await bcrypt.hash(userData.password, 10);
+  const passwordHash = hasPassword ? await bcrypt.hash(userData.password, 10) : null;
 
   const userRole = userData.role || "student";
-  if (
-    userRole !== "student" &&
-    userRole !== "school-teacher" &&
-    (userData.schoolName || userData.schoolId)
-  ) {
+  const inSchool = SCHOOL_MEMBER_ROLES.includes(userRole);
+  if (!inSchool && (userData.schoolName || userData.schoolId)) {
     throw new Error(
-      "School information (schoolName, schoolId) can only be provided for students or school-teacher"
+      "School information (schoolName, schoolId) can only be provided for students, school-teacher or school-admin"
     );
   }
 
@@ -53,15 +57,10 @@ export async function createUser(userData) {
     email: userData.email.toLowerCase().trim(),
     tel: userData.tel?.trim() || null,
     address: userData.address?.trim() || null,
-    schoolName:
-      userRole === "student" || userRole === "school-teacher"
-        ? userData.schoolName?.trim() || null
-        : null,
-    schoolId:
-      userRole === "student" || userRole === "school-teacher"
-        ? userData.schoolId?.trim() || null
-        : null,
+    schoolName: inSchool ? userData.schoolName?.trim() || null : null,
+    schoolId: inSchool ? userData.schoolId?.trim() || null : null,
     dateBorn: userData.dateBorn ? new Date(userData.dateBorn) : null,
+    grade: inSchool ? userData.grade ?? null : null,
     gender: userData.gender || null,
     userBan: userData.userBan || false,
     role: userRole,
@@ -70,6 +69,13 @@ export async function createUser(userData) {
     passwordHash,
   });
 
+  try {
+    await recordSignupBonus(user);
+  } catch (error) {
+    // The balance is carried over as an opening_balance entry on its first movement
+    console.error("Failed to record signup bonus:", error);
+  }
+
   const doc = user.toObject();
   return { ...doc, _id: doc._id.toString() };
 }
@@ -82,21 +88,18 @@ export async function updateUser(id, updates) {
   }
 
   const finalRole = updates.role !== undefined ? updates.role : currentUser.role;
-  if (finalRole !== "student" && finalRole !== "school-teacher") {
+  if (!SCHOOL_MEMBER_ROLES.includes(finalRole)) {
     if (updates.schoolName !== undefined && updates.schoolName !== null) {
       throw new Error(
-        "School information can only be provided for students or school-teacher"
+        "School information can only be provided for students, school-teacher or school-admin"
       );
     }
     if (updates.schoolId !== undefined && updates.schoolId !== null) {
       throw new Error(
-        "School information can only be provided for students or school-teacher"
+        "School information can only be provided for students, school-teacher or school-admin"
       );
     }
-    if (
-      updates.role &&
-      (currentUser.role === "student" || currentUser.role === "school-teacher")
-    ) {
+    if (updates.role && SCHOOL_MEMBER_ROLES.includes(currentUser.role)) {
       updates.schoolName = null;
       updates.schoolId = null;
     }
@@ -133,7 +136,13 @@ export async function setUserPasswordById(id, password) {
 export async function findUserByIdWithoutPassword(id) {
   const user = await findUserById(id);
   if (!user) return null;
-  const { passwordHash, ...safeUser } = user;
+  const {
+    passwordHash,
+    twoFactorSecret,
+    twoFactorPendingSecret,
+    twoFactorRecoveryCodeHashes,
+    ...safeUser
+  } = user;
   return safeUser;
 }
 
@@ -0,0 +1,205 @@
+/**
+ * XLSX reader
+ *
+ * Reads the cell values of the first worksheet of an .xlsx workbook into rows
+ * of strings, the same shape parseCsv returns. Enough for roster uploads:
+ * shared, inline and plain strings, numbers and booleans. Formatting, formulas
+ * (the cached value is used) and other sheets are ignored. Dates come through
+ * as Excel serial numbers; see excelSerialToDate.
+ */
+
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Roster sheets are far smaller; anything that inflates past this is a zip bomb
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+function invalidWorkbook(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_XLSX';
+  return error;
+}
+
+/**
+ * Entries of a zip archive by name, read lazily
+ * @param {Buffer} buffer - Zip file
+ * @returns {Map<String, Function>} - name => () => Buffer
+ */
+function readZipEntries(buffer) {
+  // Offsets come from the file itself; a truncated or crafted one must not read past the end
+  const ensureInside = (start, length) => {
+    if (start < 0 || start + length > buffer.length) {
+      throw invalidWorkbook('Corrupt XLSX file');
+    }
+  };
+
+  // The end of central directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw invalidWorkbook('Not an XLSX file');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i += 1) {
+    ensureInside(offset, 46);
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw invalidWorkbook('Corrupt XLSX file');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    ensureInside(offset + 46, nameLength);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      ensureInside(localOffset, 30);
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+        throw invalidWorkbook('Corrupt XLSX file');
+      }
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      ensureInside(start, compressedSize);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) {
+        if (data.length > MAX_ENTRY_BYTES) throw invalidWorkbook(`${name} is too large`);
+        return data;
+      }
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+        } catch (error) {
+          throw invalidWorkbook(error.code === 'ERR_BUFFER_TOO_LARGE' ? `${name} is too large` : 'Corrupt XLSX file');
+        }
+      }
+      throw invalidWorkbook(`Unsupported compression in ${name}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of all <t> runs inside an element (rich text splits a string into runs)
+function textOf(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+function readText(entries, name) {
+  const read = entries.get(name);
+  return read ? read().toString('utf8') : null;
+}
+
+function firstSheetPath(entries) {
+  const workbook = readText(entries, 'xl/workbook.xml');
+  const rels = readText(entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook?.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  if (sheet && rels) {
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+      .map((match) => match[0])
+      .find((tag) => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel?.match(/Target="([^"]+)"/)?.[1];
+    if (target) {
+      return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// "AB12" => 27 (zero-based column)
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Rows of the first worksheet, as strings. Empty rows are skipped.
+ * @param {Buffer} buffer - .xlsx file
+ * @returns {Array<Array<String>>}
+ * @throws {Error} - code INVALID_XLSX
+ */
+export function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+
+  const sharedXml = readText(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedXml
+    ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => textOf(match[1]))
+    : [];
+
+  const sheetXml = readText(entries, firstSheetPath(entries));
+  if (!sheetXml) {
+    throw invalidWorkbook('The workbook has no worksheet');
+  }
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attributes.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attributes.match(/\bt="([^"]+)"/)?.[1] || 'n';
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      const index = reference ? columnIndex(reference) : row.length;
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Excel stores dates as days since 1899-12-30
+ * @param {Number|String} serial - e.g. 39448
+ * @returns {Date|null}
+ */
+export function excelSerialToDate(serial) {
+  const days = Number(serial);
+  if (!Number.isFinite(days) || days <= 0) return null;
+  return new Date(Math.round((days - 25569) * 86400 * 1000));
+}
+
+export default {
+  readXlsxRows,
+  excelSerialToDate,
+};
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+// The settings that make up a policy version; also the shape of a history entry
+const policySettings = {
+  // Points deducted from the trust score per violation type
+  weights: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Deducted for violation types not listed in weights
+  defaultWeight: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  // Most points one violation type can cost
+  caps: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Cap of types not listed in caps; null = uncapped
+  defaultCap: {
+    type: Number,
+    default: 20,
+    min: 0
+  },
+  // A repeat within windowSeconds of the previous violation of its type costs factor times as much
+  decay: {
+    windowSeconds: { type: Number, default: 120, min: 0 },
+    factor: { type: Number, default: 0.5, min: 0, max: 1 }
+  },
+  // Trust score at or below which an attempt is invalid / suspicious
+  thresholds: {
+    invalid: { type: Number, default: 30, min: 0, max: 100 },
+    suspicious: { type: Number, default: 60, min: 0, max: 100 }
+  },
+  // End an attempt whose trust score turns invalid; when off, it goes to proctor review
+  autoDisqualify: {
+    type: Boolean,
+    default: true
+  },
+  // Violations after which an attempt is terminated; null = no limit
+  maxViolations: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Violation types that terminate the attempt on the first occurrence
+  terminateOnTypes: {
+    type: [String],
+    default: []
+  },
+  requiredStreams: {
+    frontCamera: { type: Boolean, default: true },
+    backCamera: { type: Boolean, default: false },
+    screenShare: { type: Boolean, default: true },
+    fullScreen: { type: Boolean, default: true }
+  }
+};
+
+// Named anti-cheat policy, attached to olympiads through Olympiad.antiCheatPolicyId.
+// Every change bumps version and keeps the replaced settings in history, so the
+// policy behind an attempt's trustScore (Attempt.trustPolicy) can be looked up.
+const antiCheatPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  ...policySettings,
+  history: {
+    type: [new mongoose.Schema({
+      version: { type: Number, required: true },
+      ...policySettings,
+      replacedAt: { type: Date, default: Date.now },
+      replacedBy: { type: String, default: null }
+    }, { _id: false })],
+    default: []
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const AntiCheatPolicy = mongoose.models.AntiCheatPolicy || mongoose.model('AntiCheatPolicy', antiCheatPolicySchema);
+
+export default AntiCheatPolicy;
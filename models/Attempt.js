@@ -26,6 +26,21 @@ const attemptSchema = new mongoose.Schema({
     required: true,
     index: true // Index for efficient timer queries
   },
+  // Duration granted to this attempt (olympiad duration plus any accommodation)
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  // Time accommodation applied to this attempt, snapshotted from the grant
+  accommodation: {
+    type: new mongoose.Schema({
+      grantId: { type: String, required: true },
+      label: { type: String, default: null },
+      multiplier: { type: Number, default: 1 },
+      extraMinutes: { type: Number, default: 0 }
+    }, { _id: false }),
+    default: null
+  },
   currentQuestionIndex: {
     type: Number,
     default: 0,
@@ -37,6 +52,35 @@ const attemptSchema = new mongoose.Schema({
   skippedQuestions: [{
     type: String
   }],
+  // Canonical question IDs in the order served to this attempt
+  questionOrder: [{
+    type: String
+  }],
+  // Choice index permutations keyed by question ID (options, matching and ordering lists)
+  optionOrders: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Section schedule of sectioned olympiads; index ranges refer to questionOrder
+  sections: {
+    type: [new mongoose.Schema({
+      sectionId: { type: String, required: true },
+      title: { type: String, default: null },
+      navigation: { type: String, enum: ['forward-only', 'free'], default: 'forward-only' },
+      startIndex: { type: Number, required: true },
+      endIndex: { type: Number, required: true }, // Exclusive
+      durationSeconds: { type: Number, required: true },
+      startedAt: { type: Date, default: null },
+      endsAt: { type: Date, default: null },
+      endedAt: { type: Date, default: null }
+    }, { _id: false })],
+    default: []
+  },
+  currentSectionIndex: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   deviceFingerprint: {
     type: String,
     required: true
@@ -93,6 +137,16 @@ const attemptSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Finalized by the expiry sweeper instead of a student submit
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  // Expiry sweeper claim; submittedAt is only set once the Result exists
+  finalizingUntil: {
+    type: Date,
+    default: null
+  },
   // Device locking
   lockedDeviceFingerprint: {
     type: String,
@@ -128,6 +182,15 @@ const attemptSchema = new mongoose.Schema({
   scoringBreakdown: {
     type: mongoose.Schema.Types.Mixed
   },
+  // Anti-cheat policy version that produced trustScore (policyId null: the built-in default)
+  trustPolicy: {
+    type: new mongoose.Schema({
+      policyId: { type: String, default: null },
+      name: { type: String, required: true },
+      version: { type: Number, required: true }
+    }, { _id: false }),
+    default: null
+  },
   // Post-attempt verification
   verificationStatus: {
     type: String,
@@ -152,6 +215,17 @@ const attemptSchema = new mongoose.Schema({
   pauseReason: {
     type: String
   },
+  // Every pause and resume; endsAt was moved by each closed interval
+  pauses: {
+    type: [new mongoose.Schema({
+      pausedAt: { type: Date, required: true },
+      pausedBy: { type: String, default: null },
+      reason: { type: String, default: null },
+      resumedAt: { type: Date, default: null },
+      resumedBy: { type: String, default: null }
+    }, { _id: false })],
+    default: []
+  },
   adminSubmitted: {
     type: Boolean,
     default: false
@@ -164,6 +238,43 @@ const attemptSchema = new mongoose.Schema({
   },
   invalidationReason: {
     type: String
+  },
+  // Warnings issued by proctors; the attempt stays valid
+  warnings: {
+    type: [new mongoose.Schema({
+      message: { type: String, required: true },
+      issuedBy: { type: String, required: true },
+      issuedAt: { type: Date, default: Date.now }
+    }, { _id: false })],
+    default: []
+  },
+  // Proctor review of a suspicious attempt (lib/proctor-review.js)
+  review: {
+    type: new mongoose.Schema({
+      status: {
+        type: String,
+        enum: ['pending', 'escalated', 'cleared', 'warned', 'invalidated'],
+        default: 'pending'
+      },
+      flaggedAt: { type: Date, default: Date.now },
+      // Result.status and visible before the result was held (and hidden) for review, restored on clear or warn
+      resultStatusBefore: { type: String, default: null },
+      resultVisibleBefore: { type: Boolean, default: null },
+      decidedAt: { type: Date, default: null },
+      decidedBy: { type: String, default: null },
+      decisions: {
+        type: [new mongoose.Schema({
+          action: { type: String, enum: ['clear', 'warn', 'invalidate', 'escalate'], required: true },
+          reason: { type: String, required: true },
+          reviewerId: { type: String, required: true },
+          reviewerRole: { type: String, default: null },
+          resultStatus: { type: String, default: null },
+          decidedAt: { type: Date, default: Date.now }
+        }, { _id: false })],
+        default: []
+      }
+    }, { _id: false }),
+    default: null
   }
 }, {
   timestamps: true
@@ -181,6 +292,9 @@ attemptSchema.index({ status: 1, endsAt: 1 });
 // Index for admin queries (list attempts by recency)
 attemptSchema.index({ createdAt: -1 });
 
+// Index for the proctor review queue
+attemptSchema.index({ 'review.status': 1, 'review.flaggedAt': 1 });
+
 // Force recompilation in dev
 if (process.env.NODE_ENV === 'development') {
   delete mongoose.models.Attempt;
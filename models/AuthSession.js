@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. The refresh token is rotated on every use; only hashes are stored
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced; presenting it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // e.g. "Chrome on Windows"
+  device: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Moves forward on every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'logout_all', 'revoked_by_user', 'refresh_token_reuse', 'password_reset', 'user_banned', 'two_factor_reset'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed a week after they run out
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const AuthSession = mongoose.models.AuthSession || mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { QUESTION_TYPES, SCORING_POLICIES } from '../lib/question-types.js';
+
+const bankQuestionSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: [true, 'Please add a subject'],
+    trim: true
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  question: {
+    type: String,
+    required: [true, 'Please add a question']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Please specify question type']
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  correctAnswer: {
+    type: String,
+    default: null
+  },
+  correctAnswers: {
+    type: [String],
+    default: []
+  },
+  allowMultipleCorrect: {
+    type: Boolean,
+    default: false
+  },
+  scoringPolicy: {
+    type: String,
+    enum: SCORING_POLICIES,
+    default: 'all-or-nothing'
+  },
+  // Points deducted per wrong selection under the 'penalty' policy (null = one option's value)
+  wrongSelectionPenalty: {
+    type: Number,
+    default: null
+  },
+  numericAnswer: {
+    type: new mongoose.Schema({
+      value: { type: Number, required: true },
+      tolerance: { type: Number, default: 0 },
+      toleranceType: { type: String, enum: ['absolute', 'percent'], default: 'absolute' },
+      unit: { type: String, default: '' },
+      unitRequired: { type: Boolean, default: false }
+    }, { _id: false }),
+    default: null
+  },
+  acceptedAnswers: {
+    type: [String],
+    default: []
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Stored in the correct pairing; right-hand items are shuffled when served
+  matchingPairs: {
+    type: [{
+      _id: false,
+      left: { type: String, required: true },
+      right: { type: String, required: true }
+    }],
+    default: []
+  },
+  // Stored in the correct order; shuffled when served
+  orderingItems: {
+    type: [String],
+    default: []
+  },
+  points: {
+    type: Number,
+    required: [true, 'Please add points'],
+    default: 1
+  },
+  // Incremented on every content change; olympiad snapshots record the version they copied
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for bank browsing by classification
+bankQuestionSchema.index({ subject: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ tags: 1 });
+
+const BankQuestion = mongoose.models.BankQuestion || mongoose.model('BankQuestion', bankQuestionSchema);
+
+export default BankQuestion;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A coin bundle on the price list; the only thing students can buy
+const coinPackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  coins: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  priceUzs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Inactive packages stay for purchase history but cannot be bought
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+coinPackageSchema.index({ active: 1, sortOrder: 1 });
+
+const CoinPackage = mongoose.models.CoinPackage || mongoose.model('CoinPackage', coinPackageSchema);
+
+export default CoinPackage;
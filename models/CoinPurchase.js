@@ -25,18 +25,74 @@ const coinPurchaseSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'cancelled'],
     default: 'pending'
   },
+  // Package the purchase was priced from (null for purchases before the price list)
+  packageId: {
+    type: String,
+    default: null
+  },
+  promoCodeId: {
+    type: String,
+    default: null
+  },
+  promoCode: {
+    type: String,
+    default: null
+  },
+  // Bonus on top of coins; set to 0 if the code ran out before the payment settled
+  promoBonusCoins: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   paymeTransactionId: {
     type: String,
     trim: true
   },
+  // Payme merchant API transaction: 1 created, 2 performed, -1 cancelled before
+  // perform, -2 cancelled after perform. Times are Unix milliseconds.
+  paymeState: {
+    type: Number,
+    enum: [1, 2, -1, -2, null],
+    default: null
+  },
+  // params.time of CreateTransaction (when Payme created it on their side)
+  paymeTime: {
+    type: Number,
+    default: null
+  },
+  paymeCreateTime: {
+    type: Number,
+    default: null
+  },
+  paymePerformTime: {
+    type: Number,
+    default: 0
+  },
+  paymeCancelTime: {
+    type: Number,
+    default: 0
+  },
+  paymeCancelReason: {
+    type: Number,
+    default: null
+  },
   paymentProvider: {
     type: String,
-    enum: ['payme', 'click'],
+    enum: ['payme', 'click', 'fake'],
     trim: true
   },
   clickPrepareId: {
     type: Number
   },
+  clickTransId: {
+    type: String,
+    trim: true
+  },
+  // Click payment id, needed to reverse the payment on refund
+  clickPaydocId: {
+    type: String,
+    trim: true
+  },
   orderId: {
     type: String,
     unique: true,
@@ -48,6 +104,7 @@ const coinPurchaseSchema = new mongoose.Schema({
 
 coinPurchaseSchema.index({ userId: 1, status: 1 });
 coinPurchaseSchema.index({ orderId: 1 });
-coinPurchaseSchema.index({ paymeTransactionId: 1 });
+coinPurchaseSchema.index({ paymeTransactionId: 1 }, { unique: true, sparse: true });
+coinPurchaseSchema.index({ paymentProvider: 1, paymeTime: 1 });
 
 export default mongoose.models.CoinPurchase || mongoose.model('CoinPurchase', coinPurchaseSchema);
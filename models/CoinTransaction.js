@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// One coin movement. amount is signed: credits are positive, debits negative.
+// The ledger is append-only: entries are never edited or removed, mistakes are
+// corrected with a new admin_adjustment entry.
+const coinTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    // opening_balance carries over a balance that predates the ledger
+    enum: ['purchase', 'purchase_reversal', 'promo_bonus', 'entry_fee', 'refund', 'admin_adjustment', 'signup_bonus', 'opening_balance'],
+    required: true
+  },
+  // User.coins right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // What caused the movement, e.g. 'coin_purchase' / 'olympiad' / 'coin_transaction'
+  referenceType: {
+    type: String,
+    default: null
+  },
+  referenceId: {
+    type: String,
+    default: null
+  },
+  // Makes retried credits/debits no-ops (e.g. 'purchase:<id>', 'refund:<transactionId>', 'signup_bonus:<userId>')
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+coinTransactionSchema.index({ userId: 1, createdAt: -1 });
+coinTransactionSchema.index({ referenceType: 1, referenceId: 1, type: 1 });
+coinTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+function rejectMutation() {
+  throw new Error('Coin transactions are append-only');
+}
+
+coinTransactionSchema.pre('save', function () {
+  if (!this.isNew) rejectMutation();
+});
+coinTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectMutation
+);
+
+const CoinTransaction = mongoose.models.CoinTransaction || mongoose.model('CoinTransaction', coinTransactionSchema);
+
+export default CoinTransaction;
@@ -40,10 +40,16 @@ const olympiadSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Coins debited when a student starts; refunded if the olympiad is cancelled
+  entryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
     // Keep backward compatibility with existing status values used across API/front-end
-    enum: ['draft', 'unvisible', 'visible', 'published', 'upcoming', 'active', 'completed'],
+    enum: ['draft', 'unvisible', 'visible', 'published', 'upcoming', 'active', 'completed', 'cancelled'],
     default: 'draft'
   },
   createdBy: {
@@ -60,6 +66,68 @@ const olympiadSchema = new mongoose.Schema({
   olympiadLogo: {
     type: String,
     trim: true
+  },
+  // Per-attempt randomization (permutation is stored on the Attempt)
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // AntiCheatPolicy; null runs under the built-in default (lib/anti-cheat-policy.js)
+  antiCheatPolicyId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Ordered sections, each with its own timer; empty runs the olympiad on a single timer
+  sections: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    duration: {
+      type: Number, // Duration in seconds
+      required: true,
+      min: 1
+    },
+    navigation: {
+      type: String,
+      enum: ['forward-only', 'free'],
+      default: 'forward-only'
+    },
+    questions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }]
+  }],
+  // Sign-up rules; with required set, students need an approved registration to start
+  registration: {
+    type: new mongoose.Schema({
+      required: { type: Boolean, default: false },
+      opensAt: { type: Date, default: null },
+      closesAt: { type: Date, default: null }, // null = until the olympiad ends
+      requiresApproval: { type: Boolean, default: false },
+      capacity: { type: Number, default: null, min: 1 }, // null = unlimited
+      waitlistEnabled: { type: Boolean, default: true },
+      // Seats held by pending/approved registrations, maintained atomically
+      seatsTaken: { type: Number, default: 0, min: 0 },
+      eligibility: {
+        roles: [{ type: String }],
+        grades: [{ type: Number }],
+        birthYearMin: { type: Number, default: null },
+        birthYearMax: { type: Number, default: null },
+        schoolIds: [{ type: String, trim: true }],
+        schoolNames: [{ type: String, trim: true }],
+        inviteOnly: { type: Boolean, default: false },
+        invitedUserIds: [{ type: String }],
+        invitedEmails: [{ type: String, lowercase: true, trim: true }]
+      }
+    }, { _id: false }),
+    default: () => ({})
   }
 }, {
   timestamps: true
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Bonus coins on top of a package: percentage of the package's coins or a fixed amount
+const promoCodeSchema = new mongoose.Schema({
+  // Stored upper-case; codes are matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent (1-100) or coins, depending on type
+  value: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null = unlimited
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Empty = valid for every package
+  packageIds: {
+    type: [String],
+    default: []
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const PromoCode = mongoose.models.PromoCode || mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
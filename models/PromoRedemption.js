@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A promo code used on a paid purchase
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  purchaseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  packageId: {
+    type: String,
+    default: null
+  },
+  bonusCoins: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Nth use of the code by this user; unique, so parallel payments cannot exceed perUserLimit
+  slot: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // reversed: the purchase was refunded and the bonus taken back
+  status: {
+    type: String,
+    enum: ['redeemed', 'reversed'],
+    default: 'redeemed'
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, slot: 1 }, { unique: true });
+promoRedemptionSchema.index({ promoCodeId: 1, createdAt: -1 });
+
+const PromoRedemption = mongoose.models.PromoRedemption || mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+export default PromoRedemption;
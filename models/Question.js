@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES, SCORING_POLICIES } from '../lib/question-types.js';
 
 const questionSchema = new mongoose.Schema({
   olympiadId: {
@@ -11,7 +12,7 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['multiple-choice', 'essay'],
+    enum: QUESTION_TYPES,
     required: [true, 'Please specify question type']
   },
   options: {
@@ -32,6 +33,48 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  scoringPolicy: {
+    type: String,
+    enum: SCORING_POLICIES,
+    default: 'all-or-nothing'
+  },
+  // Points deducted per wrong selection under the 'penalty' policy (null = one option's value)
+  wrongSelectionPenalty: {
+    type: Number,
+    default: null
+  },
+  numericAnswer: {
+    type: new mongoose.Schema({
+      value: { type: Number, required: true },
+      tolerance: { type: Number, default: 0 },
+      toleranceType: { type: String, enum: ['absolute', 'percent'], default: 'absolute' },
+      unit: { type: String, default: '' },
+      unitRequired: { type: Boolean, default: false }
+    }, { _id: false }),
+    default: null
+  },
+  acceptedAnswers: {
+    type: [String],
+    default: []
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Stored in the correct pairing; right-hand items are shuffled when served
+  matchingPairs: {
+    type: [{
+      _id: false,
+      left: { type: String, required: true },
+      right: { type: String, required: true }
+    }],
+    default: []
+  },
+  // Stored in the correct order; shuffled when served
+  orderingItems: {
+    type: [String],
+    default: []
+  },
   points: {
     type: Number,
     required: [true, 'Please add points'],
@@ -40,6 +83,16 @@ const questionSchema = new mongoose.Schema({
   order: {
     type: Number,
     default: 0
+  },
+  // Snapshot provenance when the question was pulled from the question bank
+  bankQuestionId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  bankVersion: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A student's sign-up for an olympiad. pending and approved registrations hold a seat
+const registrationSchema = new mongoose.Schema({
+  olympiadId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'waitlisted', 'rejected', 'cancelled'],
+    default: 'pending',
+    required: true
+  },
+  // Waitlist order; reset when a cancelled registration signs up again
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decidedBy: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One registration per student per olympiad
+registrationSchema.index({ olympiadId: 1, userId: 1 }, { unique: true });
+// Listing and waitlist promotion
+registrationSchema.index({ olympiadId: 1, status: 1, registeredAt: 1 });
+
+const Registration = mongoose.models.Registration || mongoose.model('Registration', registrationSchema);
+
+export default Registration;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Owner-defined role: a named set of capabilities (lib/permissions.js), granted to users through RoleAssignment
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  capabilities: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.models.Role || mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A custom role held by a user, limited to one olympiad, school or university (or platform-wide)
+const roleAssignmentSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roleId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  scopeType: {
+    type: String,
+    enum: ['global', 'olympiad', 'school', 'university'],
+    required: true
+  },
+  // null for global
+  scopeId: {
+    type: String,
+    default: null
+  },
+  grantedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+roleAssignmentSchema.index({ userId: 1, roleId: 1, scopeType: 1, scopeId: 1 }, { unique: true });
+
+const RoleAssignment = mongoose.models.RoleAssignment || mongoose.model('RoleAssignment', roleAssignmentSchema);
+
+export default RoleAssignment;
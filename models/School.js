@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A school; its members are the users whose User.schoolId is this school's _id
+const schoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Dedupe key, see normalizeSchoolName in lib/school-helper.js
+  normalizedName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Other spellings merged into this school by the migration, normalized
+  aliases: {
+    type: [String],
+    default: []
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Students join with one code, teachers with the other
+  studentInviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  teacherInviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+schoolSchema.index({ aliases: 1 });
+schoolSchema.index({ region: 1, city: 1 });
+
+const School = mongoose.models.School || mongoose.model('School', schoolSchema);
+
+export default School;
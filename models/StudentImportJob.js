@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+
+// Outcome of one roster row once processed
+const importResultSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  email: {
+    type: String,
+    default: null
+  },
+  // would_* in a dry run
+  action: {
+    type: String,
+    enum: ['created', 'linked', 'already_member', 'failed', 'would_create', 'would_link'],
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  // Whether a password-setup link went out (null: none was needed)
+  emailSent: {
+    type: Boolean,
+    default: null
+  }
+}, { _id: false });
+
+// A roster upload that creates or links student accounts in the background.
+// Rows are processed in order from cursor, so an interrupted job resumes where it stopped.
+const studentImportJobSchema = new mongoose.Schema({
+  schoolId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdByRole: {
+    type: String,
+    default: null
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // Check every row against the database without creating or linking anyone
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Whether existing accounts may be linked at all (school admins only create new ones)
+  linkExisting: {
+    type: Boolean,
+    default: false
+  },
+  // Whether members of another school may be moved into this one
+  allowTransfer: {
+    type: Boolean,
+    default: false
+  },
+  // Base of the password-setup links, taken from the uploading request
+  frontendUrl: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Rows that passed validation: { row, email, name, firstName, secondName, grade, dateBorn, gender, tel }
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Rows rejected by validation, never processed
+  rowErrors: {
+    type: [{
+      _id: false,
+      row: Number,
+      email: String,
+      message: String
+    }],
+    default: []
+  },
+  // Index into rows of the next row to process
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  results: {
+    type: [importResultSchema],
+    default: []
+  },
+  counts: {
+    created: { type: Number, default: 0 },
+    linked: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    emailsSent: { type: Number, default: 0 }
+  },
+  // Lease of the process working on the job; an expired lease means it died
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The resume sweep looks for unfinished jobs whose lease ran out
+studentImportJobSchema.index({ status: 1, lockedUntil: 1 });
+
+const StudentImportJob = mongoose.models.StudentImportJob || mongoose.model('StudentImportJob', studentImportJobSchema);
+
+export default StudentImportJob;
@@ -25,6 +25,11 @@ const submissionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Scoring policy applied by the auto-grader (null for manually graded answers)
+  scoringPolicy: {
+    type: String,
+    default: null
+  },
   gradedBy: {
     type: String
   },
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Extra time granted on an olympiad; a group grant lists several users under one label
+const timeAccommodationSchema = new mongoose.Schema({
+  olympiadId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userIds: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'At least one user is required'
+    }
+  },
+  // e.g. "Extended time (documented)" for a group grant
+  label: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  extraMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  grantedBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Lookup of the grants that apply to a student on an olympiad
+timeAccommodationSchema.index({ olympiadId: 1, userIds: 1 });
+
+const TimeAccommodation = mongoose.models.TimeAccommodation || mongoose.model('TimeAccommodation', timeAccommodationSchema);
+
+export default TimeAccommodation;
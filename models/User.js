@@ -33,10 +33,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Mirrors School.name once the user belongs to a school
   schoolName: {
     type: String,
     trim: true
   },
+  // School._id of the user's school (students, teachers and school admins); set by joining, not typed in
   schoolId: {
     type: String,
     trim: true
@@ -44,6 +46,13 @@ const userSchema = new mongoose.Schema({
   dateBorn: {
     type: Date
   },
+  // School grade (1-12), used by olympiad eligibility rules
+  grade: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: null
+  },
   gender: {
     type: String,
     enum: ['male', 'female', 'other'],
@@ -52,6 +61,11 @@ const userSchema = new mongoose.Schema({
   userBan: {
     type: Boolean,
     default: false
+  },
+  // Access tokens issued before this (without a session) are rejected; set on ban and password reset
+  tokensValidAfter: {
+    type: Date,
+    default: null
   },
     role: {
       type: String,
@@ -115,12 +129,51 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  // TOTP second factor; secrets are stored encrypted (lib/two-factor.js)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  // Secret shown during enrollment, promoted once the first code checks out
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // sha256 of the unused recovery codes
+  twoFactorRecoveryCodeHashes: {
+    type: [String],
+    default: []
+  },
+  // Last accepted TOTP time step, so a code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
 
+userSchema.index({ schoolId: 1, role: 1 });
+
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,82 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { listPolicies, createPolicy, DEFAULT_POLICY } from '../../../lib/anti-cheat-policy.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Anti-cheat policies (admin/owner)
+ * GET  /api/admin/anti-cheat-policies - Policies with how many olympiads use each, and the built-in default
+ * POST /api/admin/anti-cheat-policies - Create a policy { name, description?, weights?, defaultWeight?,
+ *      thresholds? { invalid, suspicious }, autoDisqualify?, maxViolations?, terminateOnTypes?,
+ *      requiredStreams? { frontCamera, backCamera, screenShare, fullScreen } }; omitted settings
+ *      start from the default. Attach it to an olympiad with antiCheatPolicyId.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'anticheat.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        policies: await listPolicies(),
+        defaultPolicy: DEFAULT_POLICY,
+      });
+    }
+
+    let policy;
+    try {
+      policy = await createPolicy(req.body || {}, authResult.user._id);
+    } catch (error) {
+      if (error.code === 'INVALID_POLICY') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'anticheat_policy_create',
+      targetType: 'anticheat_policy',
+      targetId: policy._id,
+      message: `Created anti-cheat policy ${policy.name}`,
+      metadata: { name: policy.name, version: policy.version },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Anti-cheat policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing anti-cheat policies',
+    });
+  }
+}
@@ -0,0 +1,120 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import { findPolicyById, updatePolicy, deletePolicy } from '../../../../lib/anti-cheat-policy.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Single anti-cheat policy (admin/owner)
+ * GET    /api/admin/anti-cheat-policies/:id - Policy with the settings of its earlier versions (history)
+ * PUT    /api/admin/anti-cheat-policies/:id - Update; a change to the settings starts a new version,
+ *        which scores every attempt from then on
+ * DELETE /api/admin/anti-cheat-policies/:id - Delete a policy no olympiad uses
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'anticheat.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const previous = await findPolicyById(id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anti-cheat policy not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({ success: true, policy: previous });
+    }
+
+    if (req.method === 'DELETE') {
+      try {
+        await deletePolicy(id);
+      } catch (error) {
+        if (error.code === 'POLICY_IN_USE') {
+          return res.status(409).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        throw error;
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'anticheat_policy_delete',
+        targetType: 'anticheat_policy',
+        targetId: id,
+        message: `Deleted anti-cheat policy ${previous.name}`,
+        metadata: { name: previous.name, version: previous.version },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Anti-cheat policy deleted',
+      });
+    }
+
+    let policy;
+    try {
+      policy = await updatePolicy(id, req.body || {}, authResult.user._id);
+    } catch (error) {
+      if (error.code === 'INVALID_POLICY') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'anticheat_policy_update',
+      targetType: 'anticheat_policy',
+      targetId: id,
+      message: `Updated anti-cheat policy ${policy.name}`,
+      metadata: {
+        previousVersion: previous.version,
+        version: policy.version,
+        updates: req.body || {},
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Anti-cheat policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing anti-cheat policy',
+    });
+  }
+}
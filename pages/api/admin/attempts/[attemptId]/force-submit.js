@@ -1,5 +1,8 @@
+import mongoose from 'mongoose';
 import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
 import connectMongoDB from '../../../../../lib/mongodb.js';
+import Attempt from '../../../../../models/Attempt.js';
 import { forceSubmitAttempt } from '../../../../../lib/emergency-controls.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
@@ -8,7 +11,7 @@ import { handleCORS } from '../../../../../lib/api-helpers.js';
  * Admin endpoint to force submit an attempt
  * POST /api/admin/attempts/[attemptId]/force-submit
  * 
- * Requires admin role.
+ * Requires proctoring.control for the attempt's olympiad.
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -25,17 +28,26 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check admin role
-    if (authResult.user.role !== 'admin') {
-      return res.status(403).json({ 
+    await connectMongoDB();
+
+    const { attemptId } = req.query;
+    const attempt = mongoose.Types.ObjectId.isValid(attemptId)
+      ? await Attempt.findById(attemptId).select('olympiadId').lean()
+      : null;
+    if (!attempt) {
+      return res.status(404).json({
         success: false,
-        message: 'Admin access required' 
+        message: 'Attempt not found'
       });
     }
 
-    await connectMongoDB();
-
-    const { attemptId } = req.query;
+    const permissionError = await checkPermission(authResult.user, 'proctoring.control', (await olympiadResource(attempt.olympiadId)) || {});
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
 
     const result = await forceSubmitAttempt(attemptId, authResult.user._id);
 
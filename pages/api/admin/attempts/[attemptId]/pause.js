@@ -1,6 +1,10 @@
+import mongoose from 'mongoose';
 import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
 import connectMongoDB from '../../../../../lib/mongodb.js';
+import Attempt from '../../../../../models/Attempt.js';
 import { pauseAttempt } from '../../../../../lib/emergency-controls.js';
+import { notifyStudent } from '../../../../../lib/proctor-live.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -8,7 +12,7 @@ import { handleCORS } from '../../../../../lib/api-helpers.js';
  * Admin endpoint to pause an attempt
  * POST /api/admin/attempts/[attemptId]/pause
  * 
- * Requires admin role.
+ * Requires proctoring.control for the attempt's olympiad.
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -25,17 +29,26 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check admin role
-    if (authResult.user.role !== 'admin') {
-      return res.status(403).json({ 
+    await connectMongoDB();
+
+    const { attemptId } = req.query;
+    const attempt = mongoose.Types.ObjectId.isValid(attemptId)
+      ? await Attempt.findById(attemptId).select('olympiadId').lean()
+      : null;
+    if (!attempt) {
+      return res.status(404).json({
         success: false,
-        message: 'Admin access required' 
+        message: 'Attempt not found'
       });
     }
 
-    await connectMongoDB();
-
-    const { attemptId } = req.query;
+    const permissionError = await checkPermission(authResult.user, 'proctoring.control', (await olympiadResource(attempt.olympiadId)) || {});
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
     const { reason } = req.body;
 
     if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
@@ -47,6 +60,10 @@ export default async function handler(req, res) {
 
     const result = await pauseAttempt(attemptId, reason.trim(), authResult.user._id);
 
+    if (result.success) {
+      notifyStudent(result.userId, 'attempt-paused', { attemptId, reason: reason.trim(), pausedAt: result.pausedAt });
+    }
+
     res.json({
       success: result.success,
       message: result.success ? 'Attempt paused successfully' : result.reason,
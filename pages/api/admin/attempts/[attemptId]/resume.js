@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
+import connectMongoDB from '../../../../../lib/mongodb.js';
+import Attempt from '../../../../../models/Attempt.js';
+import { resumeAttempt } from '../../../../../lib/emergency-controls.js';
+import { notifyStudent } from '../../../../../lib/proctor-live.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Admin endpoint to resume a paused attempt
+ * POST /api/admin/attempts/[attemptId]/resume
+ * 
+ * The deadline moves by the time spent paused, and the student's
+ * client gets the new timer over Socket.io (attempt-resumed).
+ * Requires proctoring.control for the attempt's olympiad.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ 
+        success: false,
+        message: authResult.error 
+      });
+    }
+
+    await connectMongoDB();
+
+    const { attemptId } = req.query;
+    const attempt = mongoose.Types.ObjectId.isValid(attemptId)
+      ? await Attempt.findById(attemptId).select('olympiadId').lean()
+      : null;
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'proctoring.control', (await olympiadResource(attempt.olympiadId)) || {});
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    const result = await resumeAttempt(attemptId, authResult.user._id);
+
+    if (result.success) {
+      notifyStudent(result.userId, 'attempt-resumed', { attemptId, timer: result.timer });
+    }
+
+    res.json({
+      success: result.success,
+      message: result.success ? 'Attempt resumed successfully' : result.reason,
+      ...result
+    });
+  } catch (error) {
+    console.error('Resume attempt error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message || 'Failed to resume attempt'
+    });
+  }
+}
@@ -1,7 +1,8 @@
 import connectMongoDB from '../../../../lib/mongodb.js';
 import CameraCapture from '../../../../models/CameraCapture.js';
 import { protect } from '../../../../lib/auth.js';
-import { authorize } from '../../../../lib/auth.js';
+import { checkPermissionInAnyScope, getPermissionScope, scopeCovers, olympiadResource } from '../../../../lib/permissions.js';
+import { getSchoolMemberIds } from '../../../../lib/school-helper.js';
 import { findUserById } from '../../../../lib/user-helper.js';
 import path from 'path';
 
@@ -27,12 +28,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Allow admin, owner, school-teacher, and resolter
-    const roleError = authorize('admin', 'owner', 'school-teacher', 'resolter')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    // Staff with proctoring.view on the olympiad see everyone; school staff see their school's students
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'proctoring.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -52,7 +53,17 @@ export default async function handler(req, res) {
     const skip = (page - 1) * limit;
 
     const filter = { olympiadId };
-    if (userId) {
+    const scope = await getPermissionScope(authResult.user, 'proctoring.view');
+    if (!scopeCovers(scope, (await olympiadResource(olympiadId)) || {})) {
+      if (scope.schoolIds.length === 0) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'You do not have permission to do this (proctoring.view)' 
+        });
+      }
+      const studentIds = await getSchoolMemberIds(scope.schoolIds);
+      filter.userId = userId ? { $in: studentIds.filter((id) => id === userId) } : { $in: studentIds };
+    } else if (userId) {
       filter.userId = userId;
     }
     if (captureType) {
@@ -91,26 +102,6 @@ export default async function handler(req, res) {
       captures = captures.filter((capture) => capture.fileType === fileType);
     }
 
-    // If school-teacher, filter by school
-    if (authResult.user.role === 'school-teacher') {
-      const teacher = authResult.user;
-      const teacherSchoolName = teacher.schoolName;
-      const teacherSchoolId = teacher.schoolId;
-
-      if (teacherSchoolName || teacherSchoolId) {
-        const filtered = [];
-        for (const capture of captures) {
-          const user = await findUserById(capture.userId);
-          if (!user) continue;
-
-          const matchSchool = (teacherSchoolId && user.schoolId && user.schoolId === teacherSchoolId) ||
-            (teacherSchoolName && user.schoolName && user.schoolName.toLowerCase() === teacherSchoolName.toLowerCase());
-          if (matchSchool) filtered.push(capture);
-        }
-        captures = filtered;
-      }
-    }
-
     res.json({
       success: true,
       olympiadId,
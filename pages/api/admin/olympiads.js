@@ -1,7 +1,9 @@
 import { connectDB } from '../../../lib/json-db.js';
 import * as olympiadHelperModule from '../../../lib/olympiad-helper.js';
+import { normalizeRegistrationSettings } from '../../../lib/registration-helper.js';
+import { findPolicyById } from '../../../lib/anti-cheat-policy.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, getPermissionScope, scopeCovers } from '../../../lib/permissions.js';
 import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
@@ -65,6 +67,21 @@ import { handleCORS } from '../../../lib/api-helpers.js';
  *               duration:
  *                 type: number
  *                 description: Duration in seconds
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 description: Shuffle question order per attempt
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 description: Shuffle multiple-choice option order per attempt
+ *               entryFee:
+ *                 type: integer
+ *                 description: Coins debited when a student starts (0 = free)
+ *               registration:
+ *                 type: object
+ *                 description: Sign-up rules (required, opensAt, closesAt, requiresApproval, capacity, waitlistEnabled, eligibility)
+ *               antiCheatPolicyId:
+ *                 type: string
+ *                 description: Anti-cheat policy (omit for the built-in default)
  *     responses:
  *       201:
  *         description: Olympiad created successfully
@@ -94,11 +111,14 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    // Creating needs a platform-wide grant; the list shows the olympiads the user may view
+    const permissionError = req.method === 'POST'
+      ? await checkPermission(authResult.user, 'olympiad.create')
+      : await checkPermissionInAnyScope(authResult.user, 'olympiad.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -113,7 +133,7 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'POST') {
-      const { title, description, type, subject, startTime, endTime, duration } = req.body;
+      const { title, description, type, subject, startTime, endTime, duration, shuffleQuestions, shuffleOptions, registration, entryFee, antiCheatPolicyId } = req.body;
 
       if (!title || !description || !type || !subject || !startTime || !endTime || !duration) {
         return res.status(400).json({ 
@@ -122,6 +142,31 @@ export default async function handler(req, res) {
         });
       }
 
+      const fee = entryFee === undefined || entryFee === null || entryFee === '' ? 0 : Number(entryFee);
+      if (!Number.isInteger(fee) || fee < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'entryFee must be a whole number of coins (0 or more)'
+        });
+      }
+
+      if (antiCheatPolicyId && !(await findPolicyById(antiCheatPolicyId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Anti-cheat policy not found'
+        });
+      }
+
+      let registrationSettings;
+      try {
+        registrationSettings = normalizeRegistrationSettings(registration || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       const olympiad = await olympiadHelper.createOlympiad({
         title,
         description,
@@ -130,6 +175,11 @@ export default async function handler(req, res) {
         startTime,
         endTime,
         duration,
+        shuffleQuestions,
+        shuffleOptions,
+        registration: registrationSettings,
+        entryFee: fee,
+        antiCheatPolicyId: antiCheatPolicyId || null,
         status: 'unvisible', // New olympiads start as unvisible
         createdBy: authResult.user._id,
       });
@@ -160,6 +210,11 @@ export default async function handler(req, res) {
         startTime: olympiad.startTime,
         endTime: olympiad.endTime,
         duration: olympiad.duration,
+        shuffleQuestions: olympiad.shuffleQuestions,
+        shuffleOptions: olympiad.shuffleOptions,
+        registration: olympiad.registration,
+        entryFee: olympiad.entryFee,
+        antiCheatPolicyId: olympiad.antiCheatPolicyId,
         createdAt: olympiad.createdAt,
       });
     }
@@ -179,8 +234,11 @@ export default async function handler(req, res) {
         ? rawOlympiads
         : (Array.isArray(rawOlympiads?.data) ? rawOlympiads.data : []);
 
+      const viewScope = await getPermissionScope(authResult.user, 'olympiad.view');
+
       const allOlympiads = [...olympiadList]
         .filter(olympiad => {
+          if (!scopeCovers(viewScope, { olympiadId: olympiad._id, universityId: olympiad.ownerUniversityId })) return false;
           if (statusFilter && olympiad.status !== statusFilter) return false;
           if (subjectFilter && (olympiad.subject || '').toLowerCase() !== subjectFilter) return false;
           if (search) {
@@ -6,12 +6,20 @@ import {
   getOlympiadWithCreator,
 } from '../../../../lib/olympiad-helper.js';
 import { getAllQuestions } from '../../../../lib/question-helper.js';
+import { normalizeRegistrationSettings, promoteWaitlist } from '../../../../lib/registration-helper.js';
+import { findPolicyById } from '../../../../lib/anti-cheat-policy.js';
 import { protect } from '../../../../lib/auth.js';
-import { authorize } from '../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../lib/permissions.js';
 import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
+const OLYMPIAD_CAPABILITY_BY_METHOD = {
+  GET: 'olympiad.view',
+  PUT: 'olympiad.edit',
+  DELETE: 'olympiad.delete',
+};
+
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
   if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
@@ -27,11 +35,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, OLYMPIAD_CAPABILITY_BY_METHOD[req.method], await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -68,7 +76,7 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'PUT') {
-      const { title, description, type, subject, startTime, endTime, duration, status } = req.body;
+      const { title, description, type, subject, startTime, endTime, duration, status, shuffleQuestions, shuffleOptions, registration, entryFee, antiCheatPolicyId } = req.body;
 
       const updateData = {};
       if (title) updateData.title = title;
@@ -79,6 +87,56 @@ export default async function handler(req, res) {
       if (endTime) updateData.endTime = endTime;
       if (duration) updateData.duration = duration;
       if (status) updateData.status = status;
+      if (typeof shuffleQuestions === 'boolean') updateData.shuffleQuestions = shuffleQuestions;
+      if (typeof shuffleOptions === 'boolean') updateData.shuffleOptions = shuffleOptions;
+      if (entryFee !== undefined) {
+        const fee = entryFee === null || entryFee === '' ? 0 : Number(entryFee);
+        if (!Number.isInteger(fee) || fee < 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'entryFee must be a whole number of coins (0 or more)'
+          });
+        }
+        updateData.entryFee = fee;
+      }
+      if (antiCheatPolicyId !== undefined) {
+        // null goes back to the built-in default policy
+        if (antiCheatPolicyId !== null && !(await findPolicyById(antiCheatPolicyId))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Anti-cheat policy not found'
+          });
+        }
+        updateData.antiCheatPolicyId = antiCheatPolicyId;
+      }
+
+      const existing = (updateData.duration || registration !== undefined) ? await findOlympiadById(id) : null;
+
+      if (registration !== undefined) {
+        try {
+          // Field by field so concurrent sign-ups keep their seat count
+          const { seatsTaken, ...settings } = normalizeRegistrationSettings(registration, existing?.registration || {});
+          for (const [key, value] of Object.entries(settings)) {
+            updateData[`registration.${key}`] = value;
+          }
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+
+      // Sectioned olympiads derive their duration from the sections
+      if (updateData.duration) {
+        const sectionTotal = (existing?.sections || []).reduce((sum, section) => sum + section.duration, 0);
+        if (sectionTotal > 0 && Number(updateData.duration) !== sectionTotal) {
+          return res.status(400).json({
+            success: false,
+            message: `Duration is the sum of the section durations (${sectionTotal}s). Update the sections instead.`
+          });
+        }
+      }
 
       const olympiad = await updateOlympiad(id, updateData);
 
@@ -89,6 +147,11 @@ export default async function handler(req, res) {
         });
       }
 
+      // A larger capacity frees seats for the waitlist
+      if (registration !== undefined) {
+        await promoteWaitlist(olympiad);
+      }
+
       if (authResult.user?.role === 'owner') {
         await createOwnerAuditLog({
           actorId: authResult.user._id,
@@ -115,6 +178,11 @@ export default async function handler(req, res) {
         endTime: olympiad.endTime,
         duration: olympiad.duration,
         status: olympiad.status,
+        shuffleQuestions: olympiad.shuffleQuestions,
+        shuffleOptions: olympiad.shuffleOptions,
+        registration: olympiad.registration,
+        entryFee: olympiad.entryFee,
+        antiCheatPolicyId: olympiad.antiCheatPolicyId ?? null,
         createdAt: olympiad.createdAt,
       });
     }
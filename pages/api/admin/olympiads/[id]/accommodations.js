@@ -0,0 +1,109 @@
+import { connectDB } from '../../../../../lib/json-db.js';
+import { findOlympiadById } from '../../../../../lib/olympiad-helper.js';
+import {
+  findAccommodationsByOlympiadId,
+  createAccommodation,
+} from '../../../../../lib/time-accommodation-helper.js';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Per-student time accommodations (admin/owner only)
+ * GET  /api/admin/olympiads/:id/accommodations - List grants
+ * POST /api/admin/olympiads/:id/accommodations - Grant extra time
+ *
+ * POST body: { userId | userIds, multiplier?, extraMinutes?, label?, reason? }
+ * - multiplier: scales the olympiad duration (e.g. 1.5 for time-and-a-half)
+ * - extraMinutes: added after the multiplier
+ * Attempts already in progress for the listed students are extended immediately.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'accommodation.manage', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const accommodations = await findAccommodationsByOlympiadId(olympiadId);
+      return res.json({
+        success: true,
+        olympiadDurationSeconds: olympiad.duration,
+        accommodations,
+      });
+    }
+
+    let created;
+    try {
+      created = await createAccommodation(olympiad, req.body || {}, authResult.user._id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { accommodation, extendedAttempts } = created;
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'time_accommodation_grant',
+      targetType: 'olympiad',
+      targetId: olympiadId,
+      message: `Granted extra time to ${accommodation.userIds.length} student(s) on ${olympiad.title}`,
+      metadata: {
+        accommodationId: accommodation._id,
+        userIds: accommodation.userIds,
+        label: accommodation.label,
+        multiplier: accommodation.multiplier,
+        extraMinutes: accommodation.extraMinutes,
+        reason: accommodation.reason,
+        extendedAttempts,
+      },
+      req,
+    });
+
+    return res.status(201).json({
+      success: true,
+      accommodation,
+      extendedAttempts,
+    });
+  } catch (error) {
+    console.error('Time accommodations error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,81 @@
+import { connectDB } from '../../../../../../lib/json-db.js';
+import {
+  findAccommodationById,
+  deleteAccommodation,
+} from '../../../../../../lib/time-accommodation-helper.js';
+import { protect } from '../../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../../lib/permissions.js';
+import { createOwnerAuditLog } from '../../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../../lib/api-helpers.js';
+
+/**
+ * Revoke a time accommodation (admin/owner only)
+ * DELETE /api/admin/olympiads/:id/accommodations/:accommodationId
+ *
+ * Attempts already in progress keep the time they were given.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'accommodation.manage', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId, accommodationId } = req.query;
+    const accommodation = await findAccommodationById(accommodationId);
+    if (!accommodation || accommodation.olympiadId !== olympiadId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accommodation not found'
+      });
+    }
+
+    await deleteAccommodation(accommodationId);
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'time_accommodation_revoke',
+      targetType: 'olympiad',
+      targetId: olympiadId,
+      message: `Revoked extra time for ${accommodation.userIds.length} student(s)`,
+      metadata: {
+        accommodationId,
+        userIds: accommodation.userIds,
+        multiplier: accommodation.multiplier,
+        extraMinutes: accommodation.extraMinutes,
+      },
+      req,
+    });
+
+    return res.json({
+      success: true,
+      message: 'Accommodation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke time accommodation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
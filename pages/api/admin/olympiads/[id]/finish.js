@@ -1,7 +1,7 @@
 import { connectDB } from '../../../../../lib/json-db.js';
 import { findOlympiadById, updateOlympiad } from '../../../../../lib/olympiad-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
 import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
@@ -26,11 +26,11 @@ export default async function handler(req, res) {
     }
 
     // Only admin and owner can finish olympiads
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'olympiad.manage_status', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -1,8 +1,10 @@
 import { connectDB } from '../../../../../lib/json-db.js';
-import { createQuestion, findQuestionsByOlympiadId } from '../../../../../lib/question-helper.js';
+import { createQuestion, findQuestionsByOlympiadId, normalizeQuestionContent } from '../../../../../lib/question-helper.js';
 import { findOlympiadById, updateOlympiad } from '../../../../../lib/olympiad-helper.js';
+import { addBankQuestionsToOlympiad } from '../../../../../lib/question-bank-helper.js';
+import { isAutoGradedType, pickAnswerKey, getTypedAnswerKey } from '../../../../../lib/question-types.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -11,8 +13,11 @@ import { handleCORS } from '../../../../../lib/api-helpers.js';
  * POST /api/admin/olympiads/:id/questions
  * 
  * Request body can be:
- * - Single question: { question, type, options?, correctAnswer?, points, order? }
+ * - Single question: { question, type, points, order?, ...answer key for the type }
+ *   (options/correctAnswers, numericAnswer, acceptedAnswers, matchingPairs or orderingItems)
  * - Multiple questions: { questions: [{ question, type, ... }, ...] }
+ * - From the question bank: { bankQuestionIds: [id | { bankQuestionId, points?, order? }, ...] }
+ *   Each bank entry is copied as a snapshot of its current version.
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -29,11 +34,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'question.manage', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -50,7 +55,36 @@ export default async function handler(req, res) {
     }
 
     // Check if olympiad type matches question type
-    const { questions, question, type, options, correctAnswer, points, order } = req.body;
+    const { questions, question, type, points, order, bankQuestionIds } = req.body;
+
+    // Handle questions pulled from the question bank
+    if (bankQuestionIds !== undefined) {
+      if (!Array.isArray(bankQuestionIds) || bankQuestionIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'bankQuestionIds must be a non-empty array'
+        });
+      }
+
+      const existingQuestions = await findQuestionsByOlympiadId(olympiadId);
+      const { created, errors } = await addBankQuestionsToOlympiad(
+        olympiadId,
+        bankQuestionIds,
+        existingQuestions.length
+      );
+
+      const allQuestions = await findQuestionsByOlympiadId(olympiadId);
+      const totalPoints = allQuestions.reduce((sum, q) => sum + (q.points || 0), 0);
+      await updateOlympiad(olympiadId, { totalPoints });
+
+      return res.status(created.length > 0 ? 201 : 400).json({
+        success: created.length > 0,
+        created: created.length,
+        questions: created,
+        errors: errors.length > 0 ? errors : undefined,
+        totalPoints,
+      });
+    }
 
     // Handle multiple questions at once
     if (questions && Array.isArray(questions)) {
@@ -61,8 +95,8 @@ export default async function handler(req, res) {
         const q = questions[i];
         try {
           // Validate question type matches olympiad type
-          if (olympiad.type === 'test' && q.type !== 'multiple-choice') {
-            errors.push({ index: i, error: 'Test olympiads only accept multiple-choice questions' });
+          if (olympiad.type === 'test' && !isAutoGradedType(q.type)) {
+            errors.push({ index: i, error: 'Test olympiads only accept auto-graded questions' });
             continue;
           }
           if (olympiad.type === 'essay' && q.type !== 'essay') {
@@ -74,8 +108,7 @@ export default async function handler(req, res) {
             olympiadId,
             question: q.question,
             type: q.type,
-            options: q.options,
-            correctAnswer: q.correctAnswer,
+            ...pickAnswerKey(q),
             points: q.points || 1,
             order: q.order !== undefined ? q.order : i,
           });
@@ -108,10 +141,10 @@ export default async function handler(req, res) {
     }
 
     // Validate question type matches olympiad type
-    if (olympiad.type === 'test' && type !== 'multiple-choice') {
+    if (olympiad.type === 'test' && !isAutoGradedType(type)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Test olympiads only accept multiple-choice questions' 
+        message: 'Test olympiads only accept auto-graded questions' 
       });
     }
     if (olympiad.type === 'essay' && type !== 'essay') {
@@ -121,10 +154,12 @@ export default async function handler(req, res) {
       });
     }
 
-    if (type === 'multiple-choice' && (!options || !correctAnswer)) {
+    try {
+      normalizeQuestionContent(req.body);
+    } catch (error) {
       return res.status(400).json({ 
         success: false,
-        message: 'Multiple choice questions require options and correctAnswer' 
+        message: error.message 
       });
     }
 
@@ -136,8 +171,7 @@ export default async function handler(req, res) {
       olympiadId,
       question,
       type,
-      options,
-      correctAnswer,
+      ...pickAnswerKey(req.body),
       points,
       order: questionOrder,
     });
@@ -156,6 +190,9 @@ export default async function handler(req, res) {
         type: questionDoc.type,
         options: questionDoc.options || [],
         correctAnswer: questionDoc.correctAnswer || null,
+        correctAnswers: questionDoc.correctAnswers || [],
+        allowMultipleCorrect: Boolean(questionDoc.allowMultipleCorrect),
+        ...getTypedAnswerKey(questionDoc),
         points: questionDoc.points,
         order: questionDoc.order,
         createdAt: questionDoc.createdAt,
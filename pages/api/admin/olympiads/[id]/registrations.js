@@ -0,0 +1,120 @@
+import { connectDB } from '../../../../../lib/json-db.js';
+import { findOlympiadById } from '../../../../../lib/olympiad-helper.js';
+import {
+  REGISTRATION_STATUSES,
+  findRegistrationsByOlympiadId,
+  decideRegistrations,
+} from '../../../../../lib/registration-helper.js';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Olympiad registrations (admin/owner only)
+ * GET  /api/admin/olympiads/:id/registrations?status= - List registrations in sign-up order
+ * POST /api/admin/olympiads/:id/registrations - Approve or reject registrations
+ *
+ * POST body: { registrationIds: [id], action: 'approve' | 'reject', reason? }
+ * Approving a waitlisted student takes a seat even when the olympiad is full.
+ * Rejecting frees the seat for the next waitlisted student.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'registration.manage', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const status = (req.query.status || '').trim();
+      if (status && !REGISTRATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${REGISTRATION_STATUSES.join(', ')}`
+        });
+      }
+
+      const registrations = await findRegistrationsByOlympiadId(olympiadId, { status });
+      const counts = Object.fromEntries(REGISTRATION_STATUSES.map((value) => [value, 0]));
+      if (!status) {
+        registrations.forEach((registration) => { counts[registration.status]++; });
+      }
+
+      return res.json({
+        success: true,
+        capacity: olympiad.registration?.capacity ?? null,
+        seatsTaken: olympiad.registration?.seatsTaken || 0,
+        ...(!status && { counts }),
+        registrations,
+      });
+    }
+
+    const { registrationIds, action, reason = null } = req.body || {};
+
+    let decision;
+    try {
+      decision = await decideRegistrations(olympiad, registrationIds, action, authResult.user._id, reason);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: action === 'approve' ? 'registration_approve' : 'registration_reject',
+      targetType: 'olympiad',
+      targetId: olympiadId,
+      message: `${action === 'approve' ? 'Approved' : 'Rejected'} ${decision.updated.length} registration(s) on ${olympiad.title}`,
+      metadata: {
+        updated: decision.updated,
+        skipped: decision.skipped,
+        promotedFromWaitlist: decision.promoted,
+        reason,
+      },
+      req,
+    });
+
+    return res.json({
+      success: true,
+      ...decision,
+    });
+  } catch (error) {
+    console.error('Olympiad registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import { connectDB } from '../../../../../../lib/json-db.js';
+import { findOlympiadById } from '../../../../../../lib/olympiad-helper.js';
+import {
+  REGISTRATION_STATUSES,
+  findRegistrationsByOlympiadId,
+} from '../../../../../../lib/registration-helper.js';
+import { protect } from '../../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../../lib/permissions.js';
+import { sendCsv } from '../../../../../../lib/csv-helpers.js';
+
+import { handleCORS } from '../../../../../../lib/api-helpers.js';
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toISOString();
+};
+
+/**
+ * Export olympiad registrations as CSV (admin/owner only)
+ * GET /api/admin/olympiads/:id/registrations/export?status=
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'registration.manage', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found',
+      });
+    }
+
+    const status = (req.query.status || '').trim();
+    if (status && !REGISTRATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${REGISTRATION_STATUSES.join(', ')}`,
+      });
+    }
+
+    const registrations = await findRegistrationsByOlympiadId(olympiadId, { status });
+
+    const headers = [
+      'RegistrationId', 'UserId', 'Name', 'Email', 'Grade', 'DateBorn', 'SchoolName', 'SchoolId',
+      'Status', 'WaitlistPosition', 'RegisteredAt', 'DecidedAt', 'Reason',
+    ];
+    const rows = registrations.map((registration) => ([
+      registration._id,
+      registration.userId,
+      registration.user?.name || '',
+      registration.user?.email || '',
+      registration.user?.grade ?? '',
+      formatDate(registration.user?.dateBorn),
+      registration.user?.schoolName || '',
+      registration.user?.schoolId || '',
+      registration.status,
+      registration.waitlistPosition ?? '',
+      formatDate(registration.registeredAt),
+      formatDate(registration.decidedAt),
+      registration.reason || '',
+    ]));
+
+    const filename = `registrations-${olympiadId}-${new Date().toISOString().slice(0, 10)}.csv`;
+    return sendCsv(res, filename, headers, rows);
+  } catch (error) {
+    console.error('Registrations export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting registrations',
+    });
+  }
+}
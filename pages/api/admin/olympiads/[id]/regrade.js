@@ -0,0 +1,96 @@
+import { connectDB } from '../../../../../lib/json-db.js';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
+import { regradeOlympiad } from '../../../../../lib/regrade-service.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Re-run auto-grading after an answer key correction (admin/owner only)
+ * POST /api/admin/olympiads/:id/regrade
+ *
+ * Body: { questionId?, dryRun? }
+ * - questionId: regrade a single question; omit to regrade every auto-graded question
+ * - dryRun: compute the diff without writing anything
+ *
+ * Returns a summary and the before/after score and rank of every changed result.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'results.edit', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const { questionId = null, dryRun = false } = req.body || {};
+
+    let regrade;
+    try {
+      regrade = await regradeOlympiad(olympiadId, {
+        questionId,
+        dryRun: Boolean(dryRun),
+      });
+    } catch (error) {
+      const status = error.message.includes('not found')
+        ? 404
+        : error.message.includes('already running')
+          ? 409
+          : 400;
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (!regrade.summary.dryRun) {
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'olympiad_regrade',
+        targetType: 'olympiad',
+        targetId: olympiadId,
+        message: questionId
+          ? `Regraded question ${questionId}: ${regrade.summary.resultsChanged} results changed`
+          : `Regraded olympiad: ${regrade.summary.resultsChanged} results changed`,
+        metadata: {
+          ...regrade.summary,
+          changes: regrade.changes.slice(0, 100),
+          changesTruncated: regrade.changes.length > 100,
+        },
+        req,
+      });
+    }
+
+    return res.json({
+      success: true,
+      summary: regrade.summary,
+      changes: regrade.changes,
+    });
+  } catch (error) {
+    console.error('Regrade olympiad error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
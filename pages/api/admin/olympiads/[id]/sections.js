@@ -0,0 +1,115 @@
+import { connectDB } from '../../../../../lib/json-db.js';
+import { findOlympiadById, updateOlympiad } from '../../../../../lib/olympiad-helper.js';
+import { normalizeSections } from '../../../../../lib/attempt-sections.js';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Olympiad sections (admin/owner only)
+ * GET /api/admin/olympiads/:id/sections - List sections
+ * PUT /api/admin/olympiads/:id/sections - Replace sections
+ *
+ * PUT body: { sections: [{ title, duration, navigation?, questions: [questionId] }] }
+ * - duration: seconds; the olympiad duration becomes the sum of section durations
+ * - navigation: 'forward-only' (default) or 'free' (any question within the section)
+ * - questions: served in this order unless the olympiad shuffles questions
+ * An empty array removes the sections. Attempts already started keep their schedule.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, req.method === 'GET' ? 'olympiad.view' : 'olympiad.edit', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        duration: olympiad.duration,
+        sections: olympiad.sections || [],
+      });
+    }
+
+    let normalized;
+    try {
+      normalized = normalizeSections(req.body?.sections, olympiad.questions);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const updateData = { sections: normalized.sections };
+    if (normalized.sections.length > 0) {
+      updateData.duration = normalized.duration;
+    }
+
+    const updated = await updateOlympiad(olympiadId, updateData);
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'olympiad_sections_update',
+      targetType: 'olympiad',
+      targetId: olympiadId,
+      message: normalized.sections.length > 0
+        ? `Set ${normalized.sections.length} section(s) on ${olympiad.title}`
+        : `Removed sections from ${olympiad.title}`,
+      metadata: {
+        previousSectionCount: (olympiad.sections || []).length,
+        previousDuration: olympiad.duration,
+        duration: updated.duration,
+        sections: normalized.sections.map((section) => ({
+          title: section.title,
+          duration: section.duration,
+          navigation: section.navigation,
+          questionCount: section.questions.length,
+        })),
+      },
+      req,
+    });
+
+    return res.json({
+      success: true,
+      duration: updated.duration,
+      sections: updated.sections || [],
+    });
+  } catch (error) {
+    console.error('Olympiad sections error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
@@ -1,8 +1,9 @@
 import { connectDB } from '../../../../../lib/json-db.js';
 import { findOlympiadById, updateOlympiad } from '../../../../../lib/olympiad-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../../lib/permissions.js';
 import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+import { refundOlympiadEntryFees } from '../../../../../lib/coin-ledger.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -10,6 +11,8 @@ import { handleCORS } from '../../../../../lib/api-helpers.js';
  * Update olympiad status (visible/unvisible)
  * Only admin and owner can control status
  * PUT /api/admin/olympiads/:id/status
+ *
+ * Setting status to 'cancelled' refunds every entry fee paid for the olympiad.
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -27,11 +30,11 @@ export default async function handler(req, res) {
     }
 
     // Only admin and owner can change status
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'olympiad.manage_status', await olympiadResource(req.query.id));
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -41,7 +44,7 @@ export default async function handler(req, res) {
     const { status } = req.body;
 
     // Validate status
-    const validStatuses = ['visible', 'unvisible', 'draft', 'published', 'upcoming', 'active', 'completed'];
+    const validStatuses = ['visible', 'unvisible', 'draft', 'published', 'upcoming', 'active', 'completed', 'cancelled'];
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({ 
         success: false,
@@ -60,6 +63,26 @@ export default async function handler(req, res) {
     // Update status
     const updatedOlympiad = await updateOlympiad(olympiadId, { status });
 
+    const refunds = status === 'cancelled'
+      ? await refundOlympiadEntryFees(olympiadId, {
+          reason: `Olympiad cancelled: ${olympiad.title}`,
+          createdBy: authResult.user._id
+        })
+      : null;
+
+    if (refunds && refunds.usersRefunded > 0) {
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'olympiad_entry_fee_refund',
+        targetType: 'olympiad',
+        targetId: olympiadId,
+        message: `Refunded ${refunds.coinsRefunded} coins to ${refunds.usersRefunded} student(s) for cancelled olympiad ${olympiad.title}`,
+        metadata: refunds,
+        req,
+      });
+    }
+
     if (authResult.user?.role === 'owner') {
       await createOwnerAuditLog({
         actorId: authResult.user._id,
@@ -87,6 +110,7 @@ export default async function handler(req, res) {
         olympiadLogo: updatedOlympiad.olympiadLogo || null,
         updatedAt: updatedOlympiad.updatedAt,
       },
+      ...(refunds && { refunds }),
     });
   } catch (error) {
     console.error('Update olympiad status error:', error);
@@ -4,7 +4,7 @@ import {
   updateOlympiad,
 } from "../../../../lib/olympiad-helper.js";
 import { protect } from "../../../../lib/auth.js";
-import { authorize } from "../../../../lib/auth.js";
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from "../../../../lib/permissions.js";
 import { handleCORS } from "../../../../lib/middleware/cors.js";
 import { parseForm } from "../../../../lib/upload.js";
 import { getUploadBaseDir } from "../../../../lib/upload-path.js";
@@ -59,12 +59,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is admin or owner
-    const roleError = authorize("admin", "owner")(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    // Checked again for the olympiad once the form is parsed
+    const permissionError = await checkPermissionInAnyScope(authResult.user, "olympiad.edit");
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -125,6 +125,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const scopeError = await checkPermission(authResult.user, "olympiad.edit", await olympiadResource(olympiad));
+    if (scopeError) {
+      return res.status(scopeError.status).json({
+        success: false,
+        message: scopeError.error,
+      });
+    }
+
     // Get the logo file - handle various ways files might be structured
     let logoFile = null;
 
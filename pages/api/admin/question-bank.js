@@ -0,0 +1,99 @@
+import { connectDB } from '../../../lib/json-db.js';
+import { listBankQuestions, createBankQuestion } from '../../../lib/question-bank-helper.js';
+import { QUESTION_TYPES } from '../../../lib/question-types.js';
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Question bank
+ * GET /api/admin/question-bank?subject=&topic=&difficulty=&tag=&search=&page=&limit=
+ * POST /api/admin/question-bank
+ *
+ * Bank entries are reusable across olympiads. Add them to an olympiad through
+ * POST /api/admin/olympiads/:id/questions with { bankQuestionIds }.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'question_bank.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    await connectDB();
+
+    if (req.method === 'POST') {
+      const { subject, question, type, points } = req.body || {};
+
+      if (!subject || !question || !type || !points) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide subject, question, type, and points',
+        });
+      }
+
+      if (!QUESTION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid question type',
+        });
+      }
+
+      try {
+        const questionDoc = await createBankQuestion(req.body, authResult.user._id);
+        return res.status(201).json({
+          success: true,
+          question: questionDoc,
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    if (req.method === 'GET') {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { questions, pagination } = await listBankQuestions({
+        subject: req.query.subject || null,
+        topic: req.query.topic || null,
+        difficulty: req.query.difficulty || null,
+        tag: req.query.tag || null,
+        search: req.query.search || null,
+        page,
+        limit,
+      });
+
+      return res.json({
+        success: true,
+        data: questions,
+        pagination,
+      });
+    }
+  } catch (error) {
+    console.error('Question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing request',
+    });
+  }
+}
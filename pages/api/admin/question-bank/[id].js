@@ -0,0 +1,96 @@
+import { connectDB } from '../../../../lib/json-db.js';
+import {
+  findBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from '../../../../lib/question-bank-helper.js';
+import { QUESTION_TYPES } from '../../../../lib/question-types.js';
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Single question bank entry
+ * GET/PUT/DELETE /api/admin/question-bank/:id
+ *
+ * Content edits bump the entry version. Olympiads keep the snapshot they
+ * copied, so already graded results never change.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'question_bank.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    await connectDB();
+
+    const { id } = req.query;
+    const existing = await findBankQuestionById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        question: existing,
+      });
+    }
+
+    if (req.method === 'PUT') {
+      if (req.body?.type && !QUESTION_TYPES.includes(req.body.type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid question type',
+        });
+      }
+
+      try {
+        const updated = await updateBankQuestion(id, req.body || {}, authResult.user._id);
+        return res.json({
+          success: true,
+          question: updated,
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteBankQuestion(id);
+      return res.json({
+        success: true,
+        message: 'Question deleted successfully',
+      });
+    }
+  } catch (error) {
+    console.error('Question bank entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing request',
+    });
+  }
+}
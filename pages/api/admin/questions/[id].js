@@ -3,13 +3,16 @@ import {
   updateQuestion,
   deleteQuestion,
   findQuestionById,
+  normalizeQuestionContent,
 } from '../../../../lib/question-helper.js';
+import { QUESTION_TYPES, pickAnswerKey } from '../../../../lib/question-types.js';
 import {
   findOlympiadById,
   updateOlympiad,
   recalculateOlympiadPoints,
 } from '../../../../lib/olympiad-helper.js';
-import { protect, authorize } from '../../../../lib/auth.js';
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from '../../../../lib/permissions.js';
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
 export default async function handler(req, res) {
@@ -27,11 +30,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'question.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -48,7 +51,22 @@ export default async function handler(req, res) {
         });
       }
 
-      const { question, type, options, correctAnswer, correctAnswers, allowMultipleCorrect, points, order } = req.body;
+      const scopeError = await checkPermission(authResult.user, 'question.manage', await olympiadResource(existing.olympiadId));
+      if (scopeError) {
+        return res.status(scopeError.status).json({
+          success: false,
+          message: scopeError.error,
+        });
+      }
+
+      const { question, type, points, order } = req.body;
+
+      if (type && !QUESTION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid question type',
+        });
+      }
 
       const updates = {};
       if (typeof question === 'string') updates.question = question.trim();
@@ -59,77 +77,25 @@ export default async function handler(req, res) {
       if (order !== undefined && !Number.isNaN(Number(order))) {
         updates.order = Number(order);
       }
-      if (options !== undefined) {
-        updates.options = Array.isArray(options)
-          ? options
-              .map((opt) => String(opt))
-              .filter((opt) => opt.trim() !== '')
-          : [];
-      }
-      if (correctAnswer !== undefined) updates.correctAnswer = correctAnswer;
-      if (correctAnswers !== undefined) {
-        updates.correctAnswers = Array.isArray(correctAnswers)
-          ? correctAnswers
-              .map((answer) => String(answer))
-              .filter((answer) => answer.trim() !== '')
-          : [];
-      }
-      if (allowMultipleCorrect !== undefined) {
-        updates.allowMultipleCorrect = Boolean(allowMultipleCorrect);
-      }
 
-      const nextType = updates.type || existing.type;
-      if (nextType === 'multiple-choice') {
-        const nextOptions = updates.options || existing.options || [];
-        const nextAllowMultipleCorrect =
-          updates.allowMultipleCorrect !== undefined
-            ? Boolean(updates.allowMultipleCorrect)
-            : Boolean(existing.allowMultipleCorrect);
-        const nextCorrectAnswer =
-          updates.correctAnswer !== undefined
-            ? updates.correctAnswer
-            : existing.correctAnswer;
-        const nextCorrectAnswers =
-          updates.correctAnswers !== undefined
-            ? updates.correctAnswers
-            : Array.isArray(existing.correctAnswers)
-              ? existing.correctAnswers
-              : nextCorrectAnswer
-                ? [nextCorrectAnswer]
-                : [];
-
-        const validCorrectAnswers = nextCorrectAnswers.filter((answer) => nextOptions.includes(answer));
-        const effectiveCorrectAnswers = validCorrectAnswers.length > 0
-          ? [...new Set(validCorrectAnswers)]
-          : typeof nextCorrectAnswer === 'string' && nextOptions.includes(nextCorrectAnswer)
-            ? [nextCorrectAnswer]
-            : [];
-
-        if (!Array.isArray(nextOptions) || nextOptions.length < 2 || effectiveCorrectAnswers.length === 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Multiple choice questions require options and correctAnswer',
-          });
-        }
-
-        if (!nextAllowMultipleCorrect && effectiveCorrectAnswers.length > 1) {
-          return res.status(400).json({
-            success: false,
-            message: 'Single-answer mode allows only one correct option',
-          });
-        }
+      // Validate the answer key as it will be after the update; fields of
+      // other types are reset so a type change never leaves a stale key behind
+      const answerKeyUpdates = pickAnswerKey(req.body);
+      const nextAnswerKey = { ...pickAnswerKey(existing), ...answerKeyUpdates };
+      if (answerKeyUpdates.correctAnswer !== undefined && answerKeyUpdates.correctAnswers === undefined) {
+        nextAnswerKey.correctAnswers = [];
+      }
 
-        updates.options = nextOptions;
-        updates.allowMultipleCorrect = nextAllowMultipleCorrect;
-        updates.correctAnswers = nextAllowMultipleCorrect
-          ? effectiveCorrectAnswers
-          : [effectiveCorrectAnswers[0]];
-        updates.correctAnswer = updates.correctAnswers[0] || null;
-      } else {
-        updates.options = [];
-        updates.correctAnswer = null;
-        updates.correctAnswers = [];
-        updates.allowMultipleCorrect = false;
+      try {
+        Object.assign(updates, normalizeQuestionContent({
+          ...nextAnswerKey,
+          type: updates.type || existing.type,
+        }));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
       }
 
       const updated = await updateQuestion(id, updates);
@@ -147,6 +113,14 @@ export default async function handler(req, res) {
         });
       }
 
+      const scopeError = await checkPermission(authResult.user, 'question.manage', await olympiadResource(existing.olympiadId));
+      if (scopeError) {
+        return res.status(scopeError.status).json({
+          success: false,
+          message: scopeError.error,
+        });
+      }
+
       await deleteQuestion(id);
 
       const olympiad = await findOlympiadById(existing.olympiadId);
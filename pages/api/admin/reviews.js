@@ -0,0 +1,88 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, getPermissionScope, olympiadResource } from '../../../lib/permissions.js';
+import { listReviewQueue, getScopedOlympiadIds } from '../../../lib/proctor-review.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+const REVIEW_STATUS_FILTERS = ['open', 'all', 'pending', 'escalated', 'cleared', 'warned', 'invalidated'];
+
+/**
+ * Proctor review queue (proctoring.review)
+ * GET /api/admin/reviews?status=&olympiadId=&page=&limit=
+ *
+ * Attempts trust scoring classified suspicious, oldest flag first, with the
+ * trust breakdown and review state. status: open (default: pending and
+ * escalated), all, or one review status. Timeline, captures and videos of an
+ * attempt are at /api/admin/reviews/:attemptId.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+    const { user } = authResult;
+
+    const permissionError = await checkPermissionInAnyScope(user, 'proctoring.review');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const status = req.query.status || 'open';
+    if (!REVIEW_STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${REVIEW_STATUS_FILTERS.join(', ')}`,
+      });
+    }
+
+    const { olympiadId } = req.query;
+    if (olympiadId) {
+      const scopeError = await checkPermission(user, 'proctoring.review', (await olympiadResource(olympiadId)) || {});
+      if (scopeError) {
+        return res.status(scopeError.status).json({
+          success: false,
+          message: scopeError.error,
+        });
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const olympiadIds = await getScopedOlympiadIds(await getPermissionScope(user, 'proctoring.review'));
+    const { items, total } = await listReviewQueue(
+      { olympiadIds, olympiadId, status },
+      { skip: (page - 1) * limit, limit }
+    );
+
+    res.json({
+      success: true,
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving the review queue',
+    });
+  }
+}
@@ -0,0 +1,102 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission, olympiadResource } from '../../../../lib/permissions.js';
+import { findReviewAttempt, getReviewDetails, decideReview } from '../../../../lib/proctor-review.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+const DECISION_ERROR_STATUS = {
+  INVALID_REVIEW: 400,
+  REVIEW_NOT_FOUND: 404,
+  REVIEW_CLOSED: 409,
+};
+
+/**
+ * One attempt in the proctor review queue (proctoring.review)
+ * GET  /api/admin/reviews/:attemptId - Trust breakdown, violation timeline from the
+ *      audit log, camera/screen captures, proctoring videos, result and past decisions
+ * POST /api/admin/reviews/:attemptId - Decide: { action: clear | warn | invalidate | escalate, reason }
+ *      clear/warn restore the held (hidden) result, invalidate blocks it, escalate keeps it under review
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+    const { user } = authResult;
+
+    const attempt = await findReviewAttempt(req.query.attemptId);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt is not in the review queue',
+      });
+    }
+
+    const permissionError = await checkPermission(user, 'proctoring.review', (await olympiadResource(attempt.olympiadId)) || {});
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({ success: true, attempt: await getReviewDetails(attempt) });
+    }
+
+    const { action, reason } = req.body || {};
+    let decision;
+    try {
+      decision = await decideReview(attempt._id, { action, reason, reviewer: user });
+    } catch (error) {
+      if (DECISION_ERROR_STATUS[error.code]) {
+        return res.status(DECISION_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: `proctor_review_${action}`,
+      targetType: 'attempt',
+      targetId: attempt._id.toString(),
+      message: `Review of a suspicious attempt (trust score ${attempt.trustScore}): ${action}`,
+      metadata: {
+        olympiadId: attempt.olympiadId,
+        userId: attempt.userId,
+        reason: reason.trim(),
+        reviewStatus: decision.review.status,
+        resultStatus: decision.resultStatus,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      message: `Review recorded: ${decision.review.status}`,
+      ...decision,
+    });
+  } catch (error) {
+    console.error('Review decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing review',
+    });
+  }
+}
@@ -0,0 +1,91 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { listSchools, createSchool } from '../../../lib/school-helper.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Schools (admin/owner)
+ * GET  /api/admin/schools?search=&region=&city=&page=&limit= - Schools with member counts
+ * POST /api/admin/schools - Create a school { name, region?, city? }; invite codes are generated
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'schools.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const { schools, total } = await listSchools(
+        { search: req.query.search, region: req.query.region, city: req.query.city },
+        { skip: (page - 1) * limit, limit }
+      );
+
+      return res.json({
+        success: true,
+        schools,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    }
+
+    let school;
+    try {
+      school = await createSchool(req.body || {}, authResult.user._id);
+    } catch (error) {
+      if (error.code === 'INVALID_SCHOOL') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_create',
+      targetType: 'school',
+      targetId: school._id,
+      message: `Created school ${school.name}`,
+      metadata: { region: school.region, city: school.city },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      school,
+    });
+  } catch (error) {
+    console.error('Admin schools error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing schools request',
+    });
+  }
+}
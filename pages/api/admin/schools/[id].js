@@ -0,0 +1,128 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import {
+  findSchoolById,
+  updateSchool,
+  deleteSchool,
+  regenerateInviteCode,
+} from '../../../../lib/school-helper.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * One school (admin/owner, or a custom role scoped to the school)
+ * GET    /api/admin/schools/:id
+ * PUT    /api/admin/schools/:id - { name?, region?, city?, regenerateInviteCode?: 'student' | 'teacher' }
+ * DELETE /api/admin/schools/:id - Members stay, without a school
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const { id } = req.query;
+    const permissionError = await checkPermission(authResult.user, 'schools.manage', { schoolId: id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const existing = await findSchoolById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'School not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        school: existing,
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const unlinked = await deleteSchool(id);
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'school_delete',
+        targetType: 'school',
+        targetId: id,
+        message: `Deleted school ${existing.name}`,
+        metadata: { membersUnlinked: unlinked },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        message: 'School deleted',
+        membersUnlinked: unlinked,
+      });
+    }
+
+    const { regenerateInviteCode: codeKind, ...changes } = req.body || {};
+    if (codeKind && codeKind !== 'student' && codeKind !== 'teacher') {
+      return res.status(400).json({
+        success: false,
+        message: "regenerateInviteCode must be 'student' or 'teacher'",
+      });
+    }
+
+    let school;
+    try {
+      school = await updateSchool(id, changes);
+      if (codeKind) {
+        school = await regenerateInviteCode(id, codeKind);
+      }
+    } catch (error) {
+      if (error.code === 'INVALID_SCHOOL') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_update',
+      targetType: 'school',
+      targetId: id,
+      message: `Updated school ${school.name}`,
+      metadata: {
+        changes: Object.keys(changes),
+        regeneratedInviteCode: codeKind || null,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      school,
+    });
+  } catch (error) {
+    console.error('Admin school error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing school request',
+    });
+  }
+}
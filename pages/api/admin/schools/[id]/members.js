@@ -0,0 +1,189 @@
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
+import {
+  findSchoolById,
+  getSchoolMembers,
+  addSchoolMember,
+  removeSchoolMember,
+  importSchoolRoster,
+  SCHOOL_MEMBER_ROLES,
+} from '../../../../../lib/school-helper.js';
+import { findUserByEmail } from '../../../../../lib/user-helper.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * School roster (admin/owner, or a custom role scoped to the school)
+ * GET    /api/admin/schools/:id/members?role=&search=&page=&limit=
+ * POST   /api/admin/schools/:id/members - Add one account { userId | email },
+ *        or link a roster { csv } (CSV with an "email" column; rows that fail are reported)
+ * DELETE /api/admin/schools/:id/members?userId=:userId
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const { id } = req.query;
+    const permissionError = await checkPermission(authResult.user, 'schools.manage', { schoolId: id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const school = await findSchoolById(id);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: 'School not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const { role, search } = req.query;
+      if (role && !SCHOOL_MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${SCHOOL_MEMBER_ROLES.join(', ')}`,
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const { members, total } = await getSchoolMembers(id, { role, search, skip: (page - 1) * limit, limit });
+
+      return res.json({
+        success: true,
+        school,
+        members,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const { userId } = req.query;
+      const removed = userId ? await removeSchoolMember(id, userId) : false;
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found',
+        });
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'school_member_remove',
+        targetType: 'school',
+        targetId: id,
+        message: `Removed a member from ${school.name}`,
+        metadata: { userId },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Member removed',
+      });
+    }
+
+    const { userId, email, csv } = req.body || {};
+
+    if (csv !== undefined) {
+      let result;
+      try {
+        result = await importSchoolRoster(id, csv);
+      } catch (error) {
+        if (error.code === 'INVALID_SCHOOL') {
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        throw error;
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'school_roster_import',
+        targetType: 'school',
+        targetId: id,
+        message: `Linked ${result.linked} account(s) to ${school.name} from a roster`,
+        metadata: { linked: result.linked, failedRows: result.errors.length },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        linked: result.linked,
+        errors: result.errors,
+      });
+    }
+
+    let memberId = userId;
+    if (!memberId && email) {
+      const user = await findUserByEmail(String(email).trim());
+      memberId = user?._id;
+    }
+    if (!memberId) {
+      return res.status(userId || email ? 404 : 400).json({
+        success: false,
+        message: userId || email ? 'User not found' : 'Provide userId, email or csv',
+      });
+    }
+
+    let added;
+    try {
+      added = await addSchoolMember(id, memberId);
+    } catch (error) {
+      if (error.code === 'INVALID_SCHOOL') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_member_add',
+      targetType: 'school',
+      targetId: id,
+      message: `Added ${added.user.email} (${added.user.role}) to ${school.name}`,
+      metadata: { userId: added.user._id, role: added.user.role },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      member: added.user,
+    });
+  } catch (error) {
+    console.error('School members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing school members request',
+    });
+  }
+}
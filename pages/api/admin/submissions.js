@@ -4,7 +4,7 @@ import { findOlympiadById } from '../../../lib/olympiad-helper.js';
 import { findQuestionsByOlympiadId } from '../../../lib/question-helper.js';
 import { findUserById } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermissionInAnyScope, filterByOlympiadPermission } from '../../../lib/permissions.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -28,11 +28,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner', 'resolter')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'submission.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -49,6 +49,9 @@ export default async function handler(req, res) {
     if (olympiadId) {
       submissions = submissions.filter(sub => sub.olympiadId === olympiadId);
     }
+
+    // Only the olympiads the user may see
+    submissions = await filterByOlympiadPermission(authResult.user, 'submission.view', submissions);
     
     if (userId) {
       submissions = submissions.filter(sub => sub.userId === userId);
@@ -1,7 +1,7 @@
 import { connectDB } from '../../../lib/json-db.js';
 import { getAllUsers } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -20,11 +20,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'users.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
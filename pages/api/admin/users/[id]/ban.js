@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import connectMongoDB from "../../../../../lib/mongodb.js";
+import { protect } from "../../../../../lib/auth.js";
+import { checkPermission } from "../../../../../lib/permissions.js";
+import { handleCORS } from "../../../../../lib/api-helpers.js";
+import { invalidateUserSessions } from "../../../../../lib/session-service.js";
+import { createOwnerAuditLog } from "../../../../../lib/owner-audit-logger.js";
+import User from "../../../../../models/User.js";
+
+/**
+ * POST /api/admin/users/:id/ban
+ * Body: { banned, reason? }
+ * Banning signs the user out of every session at once. Admins can only ban
+ * users below them; only the owner can ban admins.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, "users.ban");
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const { banned, reason } = req.body || {};
+
+    if (typeof banned !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "banned must be true or false",
+      });
+    }
+
+    if (id === authResult.user._id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own ban status",
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await connectMongoDB();
+    const user = await User.findById(id).select("email name role userBan").lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (authResult.user.role !== "owner" && ["admin", "owner"].includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can ban admins",
+      });
+    }
+
+    await User.updateOne({ _id: id }, { $set: { userBan: banned } });
+
+    let revokedSessions = 0;
+    if (banned) {
+      revokedSessions = await invalidateUserSessions(id, "user_banned");
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: banned ? "user_ban" : "user_unban",
+      targetType: "user",
+      targetId: id,
+      message: `${authResult.user.role} ${banned ? "banned" : "unbanned"} ${user.email}`,
+      metadata: {
+        reason: reason || null,
+        previousBan: Boolean(user.userBan),
+        revokedSessions,
+        targetEmail: user.email,
+        targetName: user.name,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      message: banned ? "User banned" : "User unbanned",
+      user: {
+        _id: id,
+        email: user.email,
+        name: user.name,
+        userBan: banned,
+      },
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("Admin ban user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update ban status",
+    });
+  }
+}
@@ -1,6 +1,7 @@
 import crypto from "crypto";
 import connectMongoDB from "../../../../../lib/mongodb.js";
-import { protect, authorize } from "../../../../../lib/auth.js";
+import { protect } from "../../../../../lib/auth.js";
+import { checkPermission } from "../../../../../lib/permissions.js";
 import { handleCORS } from "../../../../../lib/api-helpers.js";
 import User from "../../../../../models/User.js";
 
@@ -20,11 +21,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize("admin", "owner")(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermission(authResult.user, "users.reset_password");
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
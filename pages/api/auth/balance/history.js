@@ -0,0 +1,54 @@
+import { protect } from '../../../../lib/auth.js';
+import { TRANSACTION_TYPES, getTransactionHistory } from '../../../../lib/coin-ledger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * GET /api/auth/balance/history?page=&limit=&type=
+ * Current user's coin movements, newest first.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const type = (req.query.type || '').trim();
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Allowed: ${TRANSACTION_TYPES.join(', ')}`,
+      });
+    }
+
+    const { transactions, pagination } = await getTransactionHistory(authResult.user._id, {
+      page: req.query.page,
+      limit: req.query.limit,
+      type,
+    });
+
+    res.json({
+      success: true,
+      transactions: transactions.map((transaction) => ({
+        _id: transaction._id,
+        amount: transaction.amount,
+        type: transaction.type,
+        balanceAfter: transaction.balanceAfter,
+        reason: transaction.reason,
+        referenceType: transaction.referenceType,
+        referenceId: transaction.referenceId,
+        createdAt: transaction.createdAt,
+      })),
+      pagination,
+    });
+  } catch (error) {
+    console.error('Balance history error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch balance history' });
+  }
+}
@@ -1,7 +1,9 @@
 import connectMongoDB from '../../../lib/mongodb.js';
 import { findUserByEmail } from '../../../lib/user-helper.js';
 import bcrypt from 'bcryptjs';
-import { generateToken } from '../../../lib/auth.js';
+import { createSession } from '../../../lib/session-service.js';
+import { generateChallengeToken } from '../../../lib/auth.js';
+import { isTwoFactorRequired } from '../../../lib/two-factor.js';
 import { handleCORS } from '../../../lib/middleware/cors.js';
 import { checkRateLimitByIP } from '../../../lib/rate-limiting.js';
 import crypto from 'crypto';
@@ -36,7 +38,7 @@ import {
  *                 example: user@example.com
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or the second step is needed (twoFactorRequired / twoFactorSetupRequired with a challengeToken)
  *         content:
  *           application/json:
  *             schema:
@@ -44,6 +46,8 @@ import {
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
@@ -183,6 +187,13 @@ export default async function handler(req, res) {
       });
     }
 
+    if (user.userBan) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been banned'
+      });
+    }
+
     if (user.emailVerified === false) {
       if (requireEmailVerification && !smtpConfigured) {
         return res.status(503).json({
@@ -252,7 +263,27 @@ export default async function handler(req, res) {
       }
     }
 
-    const token = generateToken(user._id.toString());
+    // Staff with 2FA finish signing in at /api/auth/two-factor/verify; staff who
+    // must have it and do not yet enroll at /api/auth/two-factor/setup first
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id.toString(), 'two_factor_login'),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id.toString(), 'two_factor_setup', '15m'),
+        message: 'Two-factor authentication is required for your role. Set it up to continue.',
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Check if user has agreed to cookies
     // If cookies is true, don't show/set cookies (cookies already agreed/active)
@@ -269,6 +300,7 @@ export default async function handler(req, res) {
 
     res.json({
       token,
+      refreshToken,
       user: {
         _id: user._id,
         email: user.email,
@@ -0,0 +1,30 @@
+import { protect } from '../../../lib/auth.js';
+import { revokeSession } from '../../../lib/session-service.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/logout
+ * Ends the session of the access token used for the call.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    if (authResult.sessionId) {
+      await revokeSession(authResult.user._id, authResult.sessionId, 'logout');
+    }
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to log out' });
+  }
+}
@@ -0,0 +1,37 @@
+import { protect } from '../../../lib/auth.js';
+import { getUserGrants } from '../../../lib/permissions.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * GET /api/auth/permissions
+ * What the current user may do and where, so the frontend can show the right tools.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const grants = await getUserGrants(authResult.user);
+    res.json({
+      success: true,
+      role: authResult.user.role,
+      capabilities: [...new Set(grants.map((grant) => grant.capability))],
+      grants: grants.map(({ capability, scopeType, scopeId, roleName }) => ({
+        capability,
+        scopeType,
+        scopeId,
+        source: roleName || authResult.user.role,
+      })),
+    });
+  } catch (error) {
+    console.error('Permissions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch permissions' });
+  }
+}
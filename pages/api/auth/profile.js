@@ -1,6 +1,7 @@
 import { connectDB } from '../../../lib/json-db.js';
 import { findUserById, updateUser, findUserByEmail } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
+import { getUserSchool, SCHOOL_MEMBER_ROLES } from '../../../lib/school-helper.js';
 import { handleCORS } from '../../../lib/middleware/cors.js';
 
 /**
@@ -46,6 +47,7 @@ export default async function handler(req, res) {
       schoolName,
       schoolId,
       dateBorn,
+      grade,
       gender,
       userLogo,
     } = req.body;
@@ -82,6 +84,16 @@ export default async function handler(req, res) {
     if (dateBorn !== undefined) {
       updates.dateBorn = dateBorn ? new Date(dateBorn).toISOString() : null;
     }
+    if (grade !== undefined) {
+      const gradeValue = grade === null || grade === '' ? null : Number(grade);
+      if (gradeValue !== null && (!Number.isInteger(gradeValue) || gradeValue < 1 || gradeValue > 12)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Grade must be a whole number between 1 and 12' 
+        });
+      }
+      updates.grade = gradeValue;
+    }
     if (gender !== undefined) {
       if (gender && !['male', 'female', 'other'].includes(gender)) {
         return res.status(400).json({ 
@@ -95,14 +107,33 @@ export default async function handler(req, res) {
     // Handle cookies separately
     if (req.body.cookies !== undefined) updates.cookies = req.body.cookies;
 
-    // School information - only for students and school-teacher
-    if (currentUser.role === 'student' || currentUser.role === 'school-teacher') {
-      if (schoolName !== undefined) updates.schoolName = schoolName?.trim() || null;
-      if (schoolId !== undefined) updates.schoolId = schoolId?.trim() || null;
+    // School information - only for school members. A school is joined with its
+    // invite code (POST /api/schools/join); here it can only be left (schoolId: null),
+    // and the name is free text only while the user is in no school
+    if (SCHOOL_MEMBER_ROLES.includes(currentUser.role)) {
+      if (schoolId !== undefined && (schoolId || null) !== (currentUser.schoolId || null)) {
+        if (schoolId) {
+          return res.status(400).json({ 
+            success: false,
+            message: 'Join a school with its invite code (POST /api/schools/join)' 
+          });
+        }
+        updates.schoolId = null;
+      }
+      if (schoolName !== undefined && (schoolName?.trim() || null) !== (currentUser.schoolName || null)) {
+        const school = updates.schoolId === null ? null : await getUserSchool(currentUser);
+        if (school) {
+          return res.status(400).json({ 
+            success: false,
+            message: 'Your school name is set by your school' 
+          });
+        }
+        updates.schoolName = schoolName?.trim() || null;
+      }
     } else if (schoolName !== undefined || schoolId !== undefined) {
       return res.status(400).json({ 
         success: false,
-        message: 'School information can only be updated for students or school-teacher' 
+        message: 'School information can only be updated for students, school-teacher or school-admin' 
       });
     }
 
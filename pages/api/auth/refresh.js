@@ -0,0 +1,36 @@
+import { refreshSession } from '../../../lib/session-service.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Returns a new access token and a new refresh token; the one sent is used up.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh session' });
+  }
+}
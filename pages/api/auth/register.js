@@ -7,7 +7,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import User from '../../../models/User.js';
-import { generateToken } from '../../../lib/auth.js';
+import { createSession } from '../../../lib/session-service.js';
+import { findSchoolByInviteCode, SCHOOL_MEMBER_ROLES } from '../../../lib/school-helper.js';
 import { sendEmailVerification } from '../../../lib/email.js';
 import { getSystemControlsSync } from '../../../lib/system-controls.js';
 import {
@@ -66,6 +67,9 @@ if (!process.env.JWT_SECRET) {
  *                 type: string
  *                 enum: [student, admin, owner, resolter, school-admin, school-teacher]
  *                 default: student
+ *               schoolInviteCode:
+ *                 type: string
+ *                 description: Joins the school; a student code for students, a teacher code for school-teacher
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -76,6 +80,8 @@ if (!process.env.JWT_SECRET) {
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
@@ -140,6 +146,7 @@ export default async function handler(req, res) {
       address, 
       schoolName, 
       schoolId, 
+      schoolInviteCode, 
       dateBorn, 
       gender, 
       userLogo 
@@ -184,14 +191,35 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate: Only students and school-teacher can have school information
-    if (finalRole !== 'student' && finalRole !== 'school-teacher' && (schoolName || schoolId)) {
+    // Validate: Only school members can have school information
+    const inSchool = SCHOOL_MEMBER_ROLES.includes(finalRole);
+    if (!inSchool && (schoolName || schoolId || schoolInviteCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'School information (schoolName, schoolInviteCode) can only be provided for students, school-teacher or school-admin',
+      });
+    }
+
+    // A school is joined with its invite code, never by typing its ID
+    if (schoolId) {
       return res.status(400).json({
         success: false,
-        message: 'School information (schoolName, schoolId) can only be provided for students or school-teacher',
+        message: 'Provide schoolInviteCode to join a school',
       });
     }
 
+    let school = null;
+    if (schoolInviteCode) {
+      const invite = await findSchoolByInviteCode(schoolInviteCode);
+      if (!invite || invite.memberRole !== finalRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid school invite code',
+        });
+      }
+      school = invite.school;
+    }
+
     // Create user
     const user = await createUser({
       name,
@@ -202,8 +230,8 @@ export default async function handler(req, res) {
       secondName,
       tel,
       address,
-      schoolName: (finalRole === 'student' || finalRole === 'school-teacher') ? schoolName : null,
-      schoolId: (finalRole === 'student' || finalRole === 'school-teacher') ? schoolId : null,
+      schoolName: school ? school.name : (inSchool ? schoolName : null),
+      schoolId: school ? school._id : null,
       dateBorn,
       gender,
       userLogo,
@@ -223,13 +251,14 @@ export default async function handler(req, res) {
       userDoc.emailVerificationExpires = undefined;
       await userDoc.save();
 
-      const token = generateToken(user._id.toString());
+      const { token, refreshToken } = await createSession(user._id, req);
 
       return res.status(201).json({
         success: true,
         emailVerificationRequired: false,
         message: 'Registration successful.',
         token,
+        refreshToken,
         user: {
           _id: user._id,
           email: user.email,
@@ -289,13 +318,14 @@ export default async function handler(req, res) {
       userDoc.emailVerificationExpires = undefined;
       await userDoc.save();
 
-      const token = generateToken(user._id.toString());
+      const { token, refreshToken } = await createSession(user._id, req);
 
       return res.status(201).json({
         success: true,
         emailVerificationRequired: false,
         message: 'Registration successful. Email service is unavailable, verification skipped.',
         token,
+        refreshToken,
         user: {
           _id: user._id,
           email: user.email,
@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import connectMongoDB from '../../../lib/mongodb.js';
 import { handleCORS } from '../../../lib/middleware/cors.js';
 import User from '../../../models/User.js';
+import { invalidateUserSessions } from '../../../lib/session-service.js';
 import { MAX_CODE_VERIFY_ATTEMPTS } from '../../../lib/email-constants.js';
 
 export default async function handler(req, res) {
@@ -87,6 +88,9 @@ export default async function handler(req, res) {
     user.passwordResetFailedAttempts = 0;
     await user.save();
 
+    // Whoever had the old password is signed out
+    await invalidateUserSessions(user._id, 'password_reset');
+
     return res.json({
       success: true,
       message: 'Password updated successfully',
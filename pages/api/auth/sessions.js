@@ -0,0 +1,42 @@
+import { protect } from '../../../lib/auth.js';
+import { listSessions, revokeAllSessions } from '../../../lib/session-service.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * GET /api/auth/sessions
+ * Devices the current user is signed in on; the caller's own is flagged current.
+ *
+ * DELETE /api/auth/sessions?keepCurrent=true
+ * Log out everywhere (optionally except this device).
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const userId = authResult.user._id;
+
+    if (req.method === 'GET') {
+      const sessions = await listSessions(userId, authResult.sessionId);
+      return res.json({ success: true, sessions });
+    }
+
+    const keepCurrent = req.query.keepCurrent === 'true' || req.body?.keepCurrent === true;
+    const revoked = await revokeAllSessions(userId, {
+      exceptSessionId: keepCurrent ? authResult.sessionId : null,
+      reason: 'logout_all',
+    });
+
+    res.json({ success: true, message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to process sessions request' });
+  }
+}
@@ -0,0 +1,33 @@
+import { protect } from '../../../../lib/auth.js';
+import { revokeSession } from '../../../../lib/session-service.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign one of the current user's devices out.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const { id } = req.query;
+    const reason = id === authResult.sessionId ? 'logout' : 'revoked_by_user';
+    const revoked = await revokeSession(authResult.user._id, id, reason);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke session' });
+  }
+}
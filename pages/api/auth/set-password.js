@@ -3,6 +3,7 @@ import bcrypt from "bcryptjs";
 import connectMongoDB from "../../../lib/mongodb.js";
 import { handleCORS } from "../../../lib/middleware/cors.js";
 import User from "../../../models/User.js";
+import { invalidateUserSessions } from "../../../lib/session-service.js";
 
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -69,6 +70,8 @@ export default async function handler(req, res) {
     user.passwordResetExpires = null;
     await user.save();
 
+    await invalidateUserSessions(user._id, "password_reset");
+
     res.json({
       success: true,
       message: "Account confirmed and password has been set successfully",
@@ -0,0 +1,50 @@
+import { protect } from '../../../../lib/auth.js';
+import { disableTwoFactor, getTwoFactorErrorStatus } from '../../../../lib/two-factor.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/two-factor/disable
+ * Body: { code }
+ * Turns 2FA off; refused while the owner requires it for the user's role.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const user = authResult.user;
+    await disableTwoFactor(user._id, code);
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: 'two_factor_disable',
+      targetType: 'user',
+      targetId: user._id,
+      message: `${user.email} disabled two-factor authentication`,
+      req,
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    const status = getTwoFactorErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable two-factor authentication' });
+  }
+}
@@ -0,0 +1,73 @@
+import { protect, authenticateChallenge } from '../../../../lib/auth.js';
+import { confirmEnrollment, getTwoFactorErrorStatus } from '../../../../lib/two-factor.js';
+import { createSession } from '../../../../lib/session-service.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/two-factor/enable
+ * Body: { code, challengeToken? }
+ * Confirms setup with the first code and returns the recovery codes (shown once).
+ * When enrolling from the login challenge, the response also signs the user in.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const { code, challengeToken } = req.body || {};
+    const authResult = challengeToken
+      ? await authenticateChallenge(challengeToken, 'two_factor_setup')
+      : await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const user = authResult.user;
+    const { recoveryCodes } = await confirmEnrollment(user._id, code);
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: 'two_factor_enroll',
+      targetType: 'user',
+      targetId: user._id,
+      message: `${user.email} enabled two-factor authentication`,
+      metadata: { duringLogin: Boolean(challengeToken) },
+      req,
+    });
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+    };
+
+    if (challengeToken) {
+      const { token, refreshToken } = await createSession(user._id, req);
+      response.token = token;
+      response.refreshToken = refreshToken;
+      response.user = {
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    const status = getTwoFactorErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enable two-factor authentication' });
+  }
+}
@@ -0,0 +1,50 @@
+import { protect } from '../../../../lib/auth.js';
+import { regenerateRecoveryCodes, getTwoFactorErrorStatus } from '../../../../lib/two-factor.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/two-factor/recovery-codes
+ * Body: { code }
+ * Replaces all recovery codes; the old ones stop working.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const user = authResult.user;
+    const { recoveryCodes } = await regenerateRecoveryCodes(user._id, code);
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: 'two_factor_recovery_codes_regenerate',
+      targetType: 'user',
+      targetId: user._id,
+      message: `${user.email} generated new recovery codes`,
+      req,
+    });
+
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    const status = getTwoFactorErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    console.error('Two-factor recovery codes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate recovery codes' });
+  }
+}
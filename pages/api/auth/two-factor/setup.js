@@ -0,0 +1,41 @@
+import { protect, authenticateChallenge } from '../../../../lib/auth.js';
+import { beginEnrollment, getTwoFactorErrorStatus } from '../../../../lib/two-factor.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/two-factor/setup
+ * Body: { challengeToken? } - signed-in users send their Bearer token; staff who
+ * must enroll before they can sign in send the challengeToken from login instead.
+ * Returns the secret and the otpauth:// URI to show as a QR code.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const challengeToken = req.body?.challengeToken;
+    const authResult = challengeToken
+      ? await authenticateChallenge(challengeToken, 'two_factor_setup')
+      : await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(authResult.user._id);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUri },
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    });
+  } catch (error) {
+    const status = getTwoFactorErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start two-factor setup' });
+  }
+}
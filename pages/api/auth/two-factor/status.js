@@ -0,0 +1,26 @@
+import { protect } from '../../../../lib/auth.js';
+import { getTwoFactorStatus } from '../../../../lib/two-factor.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * GET /api/auth/two-factor/status
+ * Whether the current user has 2FA, whether their role requires it, and how many recovery codes are left.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    res.json({ success: true, data: getTwoFactorStatus(authResult.user) });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch two-factor status' });
+  }
+}
@@ -0,0 +1,68 @@
+import { authenticateChallenge } from '../../../../lib/auth.js';
+import { verifySecondFactor, getTwoFactorErrorStatus } from '../../../../lib/two-factor.js';
+import { createSession } from '../../../../lib/session-service.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/auth/two-factor/verify
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Second login step for accounts with 2FA; returns the same tokens as login.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const authResult = await authenticateChallenge(challengeToken, 'two_factor_login');
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'code or recoveryCode is required' });
+    }
+
+    const user = authResult.user;
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+
+    if (result.method === 'recovery_code') {
+      await createOwnerAuditLog({
+        actorId: user._id,
+        actorRole: user.role,
+        action: 'two_factor_recovery_code_used',
+        targetType: 'user',
+        targetId: user._id,
+        message: `${user.email} signed in with a recovery code`,
+        metadata: { recoveryCodesRemaining: result.recoveryCodesRemaining },
+        req,
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user._id, req);
+    const cookiesAgreed = user.cookies === true || user.cookies === 'all' || user.cookies === 'accepted';
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      },
+      cookiesAgreed,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  } catch (error) {
+    const status = getTwoFactorErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ success: false, message: 'Login failed. Please try again.' });
+  }
+}
@@ -2,7 +2,8 @@ import crypto from "crypto";
 import connectMongoDB from "../../../lib/mongodb.js";
 import { handleCORS } from "../../../lib/middleware/cors.js";
 import User from "../../../models/User.js";
-import { generateToken } from "../../../lib/auth.js";
+import { createSession } from "../../../lib/session-service.js";
+import { isTwoFactorRequired } from "../../../lib/two-factor.js";
 import { findUserByIdWithoutPassword } from "../../../lib/user-helper.js";
 import { MAX_CODE_VERIFY_ATTEMPTS } from "../../../lib/email-constants.js";
 
@@ -42,13 +43,22 @@ export default async function handler(req, res) {
       });
     }
 
+    // Accounts behind a second factor only get a session through login
+    if (user.emailVerified && (user.twoFactorEnabled || isTwoFactorRequired(user))) {
+      return res.json({
+        success: true,
+        message: "Email is already verified. Please log in.",
+      });
+    }
+
     if (user.emailVerified) {
-      const authToken = generateToken(user._id.toString());
+      const { token: authToken, refreshToken } = await createSession(user._id, req);
       const safeUser = await findUserByIdWithoutPassword(user._id.toString());
       return res.json({
         success: true,
         message: "Email is already verified",
         token: authToken,
+        refreshToken,
         user: safeUser,
       });
     }
@@ -103,13 +113,21 @@ export default async function handler(req, res) {
     user.emailVerificationFailedAttempts = 0;
     await user.save();
 
-    const authToken = generateToken(user._id.toString());
+    if (user.twoFactorEnabled || isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: "Email has been verified successfully. Please log in.",
+      });
+    }
+
+    const { token: authToken, refreshToken } = await createSession(user._id, req);
     const safeUser = await findUserByIdWithoutPassword(user._id.toString());
 
     res.json({
       success: true,
       message: "Email has been verified successfully",
       token: authToken,
+      refreshToken,
       user: safeUser,
     });
   } catch (error) {
@@ -2,6 +2,8 @@ import { connectDB } from '../../../lib/json-db.js';
 import { getOlympiadWithCreator } from '../../../lib/olympiad-helper.js';
 import { getAllQuestions, findQuestionsByOlympiadId } from '../../../lib/question-helper.js';
 import { protect } from '../../../lib/auth.js';
+import { getAttemptOptions } from '../../../lib/attempt-question-order.js';
+import { getStudentQuestionFields } from '../../../lib/question-types.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -100,8 +102,10 @@ export default async function handler(req, res) {
             _id: q._id,
             question: q.question,
             type: q.type,
-            options: q.options || [],
-            allowMultipleCorrect: Boolean(q.allowMultipleCorrect),
+            options: [],
+            allowMultipleCorrect: false,
+            // No attempt here: matching/ordering lists get a throwaway shuffle
+            ...getStudentQuestionFields(q, getAttemptOptions(null, q)),
             points: q.points,
             order: q.order || 0,
           }));
@@ -116,6 +120,7 @@ export default async function handler(req, res) {
         startTime: olympiad.startTime,
         endTime: olympiad.endTime,
         duration: olympiad.duration,
+        entryFee: olympiad.entryFee || 0,
         status: olympiad.status,
         olympiadLogo: olympiad.olympiadLogo || null,
         questions,
@@ -12,57 +12,12 @@ import { createAuditLog } from '../../../../lib/audit-logger.js';
 import { createSubmission, updateSubmission } from '../../../../lib/submission-helper.js';
 import { checkRateLimit } from '../../../../lib/rate-limiting.js';
 import { getClientIP } from '../../../../lib/device-fingerprint.js';
+import { getAttemptQuestions } from '../../../../lib/attempt-question-order.js';
+import { gradeAnswer } from '../../../../lib/question-types.js';
+import { syncAttemptSections, getSectionEndIndex } from '../../../../lib/attempt-sections.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
-function normalizeAnswerList(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map((item) => String(item)).filter((item) => item.trim() !== ''))];
-  }
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    return trimmed ? [trimmed] : [];
-  }
-  return [];
-}
-
-function getCorrectAnswers(question) {
-  const fromArray = normalizeAnswerList(question?.correctAnswers);
-  if (fromArray.length > 0) {
-    return fromArray;
-  }
-
-  if (typeof question?.correctAnswer === 'string' && question.correctAnswer.trim() !== '') {
-    return [question.correctAnswer.trim()];
-  }
-
-  return [];
-}
-
-function isMultipleChoiceAnswerCorrect(question, submittedAnswer) {
-  const submitted = normalizeAnswerList(submittedAnswer);
-  const expected = getCorrectAnswers(question);
-
-  if (submitted.length === 0 || expected.length === 0) {
-    return false;
-  }
-
-  const submittedSet = new Set(submitted);
-  const expectedSet = new Set(expected);
-
-  if (submittedSet.size !== expectedSet.size) {
-    return false;
-  }
-
-  for (const expectedAnswer of expectedSet) {
-    if (!submittedSet.has(expectedAnswer)) {
-      return false;
-    }
-  }
-
-  return true;
-}
-
 /**
  * Submit answer for current question
  * POST /api/olympiads/[id]/answer
@@ -158,7 +113,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate answer submission (allows previous questions, blocks skipping ahead)
+    // Close sections whose timer has run out before checking the index
+    if (syncAttemptSections(attempt)) {
+      await attempt.save();
+    }
+
+    // Validate answer submission (allows previous questions in the current section, blocks skipping ahead)
     const validation = validateAnswerSubmission(attempt, questionIdx);
     if (!validation.valid) {
       return res.status(403).json({ 
@@ -166,12 +126,13 @@ export default async function handler(req, res) {
         message: validation.error,
         code: validation.code,
         currentQuestionIndex: validation.currentQuestionIndex,
-        questionIndex: validation.questionIndex
+        questionIndex: validation.questionIndex,
+        ...(validation.currentSectionIndex !== undefined && { currentSectionIndex: validation.currentSectionIndex })
       });
     }
 
-    // Get questions
-    const allQuestions = await findQuestionsByOlympiadId(olympiadId);
+    // Get questions in the order assigned to this attempt (index -> canonical question ID)
+    const allQuestions = getAttemptQuestions(attempt, await findQuestionsByOlympiadId(olympiadId));
     if (!allQuestions || allQuestions.length === 0) {
       return res.status(400).json({ 
         success: false,
@@ -272,10 +233,11 @@ export default async function handler(req, res) {
     // Calculate score (only for test questions, essay scoring handled separately)
     let score = 0;
     let isCorrect = false;
+    let scoringPolicy = null;
 
-    if (question.type === 'multiple-choice') {
-      isCorrect = isMultipleChoiceAnswerCorrect(question, answer);
-      score = isCorrect ? (question.points || 0) : 0;
+    const grade = gradeAnswer(question, answer);
+    if (grade) {
+      ({ score, isCorrect, scoringPolicy } = grade);
     } else if (question.type === 'essay') {
       // Essay questions will be scored separately, default to 0 for now
       score = 0;
@@ -294,7 +256,8 @@ export default async function handler(req, res) {
       ? await updateSubmission(existingSubmission._id, {
           answer: submissionAnswer,
           score,
-          isCorrect
+          isCorrect,
+          scoringPolicy
         })
       : await createSubmission({
           userId,
@@ -302,7 +265,8 @@ export default async function handler(req, res) {
           questionId: question._id,
           answer: submissionAnswer,
           score,
-          isCorrect
+          isCorrect,
+          scoringPolicy
         });
 
     // Update attempt
@@ -310,8 +274,9 @@ export default async function handler(req, res) {
       attempt.answeredQuestions.push(question._id);
     }
     
-    // Auto-advance only when answering the current question
-    if (questionIdx === attempt.currentQuestionIndex && questionIdx < allQuestions.length - 1) {
+    // Auto-advance only when answering the current question, never past the current section
+    const sectionEndIndex = getSectionEndIndex(attempt, allQuestions.length);
+    if (questionIdx === attempt.currentQuestionIndex && questionIdx < sectionEndIndex - 1) {
       attempt.currentQuestionIndex = questionIdx + 1;
     }
     
@@ -328,7 +293,8 @@ export default async function handler(req, res) {
         questionId: question._id,
         answerLength: typeof answer === 'string' ? answer.length : JSON.stringify(answer).length,
         score,
-        isCorrect
+        isCorrect,
+        scoringPolicy
       },
       req
     });
@@ -342,7 +308,8 @@ export default async function handler(req, res) {
         isCorrect
       },
       nextQuestionIndex: attempt.currentQuestionIndex,
-      isLastQuestion: questionIdx >= allQuestions.length - 1
+      isLastQuestion: questionIdx >= allQuestions.length - 1,
+      isLastInSection: questionIdx >= sectionEndIndex - 1
     });
   } catch (error) {
     console.error('Submit answer error:', error);
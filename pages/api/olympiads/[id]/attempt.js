@@ -4,6 +4,7 @@ import connectMongoDB from '../../../../lib/mongodb.js';
 import Attempt from '../../../../models/Attempt.js';
 import { validateAttemptActive } from '../../../../lib/anti-cheat-validator.js';
 import { getTimerStatus, isTimeExpired } from '../../../../lib/timer-service.js';
+import { syncAttemptSections } from '../../../../lib/attempt-sections.js';
 import { checkHeartbeatCompliance } from '../../../../lib/heartbeat-enforcement.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
@@ -54,6 +55,11 @@ export default async function handler(req, res) {
       await attempt.save();
     }
 
+    // Move on to the next section if the current one ran out
+    if (attempt.status === 'started' && syncAttemptSections(attempt)) {
+      await attempt.save();
+    }
+
     // Check heartbeat compliance
     const heartbeatCompliance = await checkHeartbeatCompliance(attempt._id);
     if (!heartbeatCompliance.compliant && attempt.status === 'started') {
@@ -64,7 +70,7 @@ export default async function handler(req, res) {
     }
 
     // Get timer status
-    const timerStatus = getTimerStatus(attempt.endsAt);
+    const timerStatus = getTimerStatus(attempt.endsAt, attempt);
 
     // Validate attempt is active (but still return data even if not active)
     const validation = validateAttemptActive(attempt);
@@ -77,6 +83,8 @@ export default async function handler(req, res) {
         startedAt: attempt.startedAt.toISOString(),
         endsAt: attempt.endsAt.toISOString(),
         currentQuestionIndex: attempt.currentQuestionIndex,
+        currentSectionIndex: attempt.currentSectionIndex || 0,
+        sections: attempt.sections || [],
         answeredQuestions: attempt.answeredQuestions,
         skippedQuestions: attempt.skippedQuestions,
         violations: attempt.violations.length,
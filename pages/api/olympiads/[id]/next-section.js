@@ -0,0 +1,98 @@
+import { protect } from '../../../../lib/auth.js';
+import connectMongoDB from '../../../../lib/mongodb.js';
+import Attempt from '../../../../models/Attempt.js';
+import { validateAttemptActive } from '../../../../lib/anti-cheat-validator.js';
+import { advanceSection, getCurrentSection } from '../../../../lib/attempt-sections.js';
+import { getTimerStatus } from '../../../../lib/timer-service.js';
+import { createAuditLog } from '../../../../lib/audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Finish the current section early (sectioned olympiads)
+ * POST /api/olympiads/[id]/next-section
+ *
+ * Locks the current section, counts its unanswered questions as skipped and
+ * opens the next section. Time left in the finished section is forfeited.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    await connectMongoDB();
+
+    const { id: olympiadId } = req.query;
+    const userId = authResult.user._id;
+
+    const attempt = await Attempt.findOne({
+      userId,
+      olympiadId
+    });
+
+    const activeValidation = validateAttemptActive(attempt);
+    if (!activeValidation.valid) {
+      return res.status(activeValidation.code === 'ATTEMPT_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: activeValidation.error,
+        code: activeValidation.code
+      });
+    }
+
+    const previousSection = getCurrentSection(attempt);
+    const previousSectionIndex = attempt.currentSectionIndex || 0;
+
+    let section;
+    try {
+      section = advanceSection(attempt);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: 'SECTION_ADVANCE_NOT_ALLOWED'
+      });
+    }
+
+    await attempt.save();
+
+    await createAuditLog({
+      attemptId: attempt._id,
+      userId,
+      olympiadId,
+      eventType: 'section_advance',
+      metadata: {
+        fromSectionIndex: previousSectionIndex,
+        fromSectionId: previousSection?.sectionId || null,
+        toSectionIndex: attempt.currentSectionIndex,
+        toSectionId: section.sectionId,
+        currentQuestionIndex: attempt.currentQuestionIndex,
+        endsAt: attempt.endsAt
+      },
+      req
+    });
+
+    res.json({
+      success: true,
+      currentSectionIndex: attempt.currentSectionIndex,
+      currentQuestionIndex: attempt.currentQuestionIndex,
+      skippedQuestions: attempt.skippedQuestions.length,
+      timer: getTimerStatus(attempt.endsAt, attempt)
+    });
+  } catch (error) {
+    console.error('Advance section error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to advance section'
+    });
+  }
+}
@@ -8,6 +8,10 @@ import { validateQuestionAccess } from '../../../../../lib/anti-cheat-validator.
 import { validateDeviceFingerprint } from '../../../../../lib/device-locking.js';
 import { issueQuestionNonce } from '../../../../../lib/replay-protection.js';
 import { createAuditLog } from '../../../../../lib/audit-logger.js';
+import { getAttemptQuestions, getAttemptOptions } from '../../../../../lib/attempt-question-order.js';
+import { getStudentQuestionFields } from '../../../../../lib/question-types.js';
+import { syncAttemptSections } from '../../../../../lib/attempt-sections.js';
+import { getSectionTimerStatus } from '../../../../../lib/timer-service.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -15,7 +19,8 @@ import { handleCORS } from '../../../../../lib/api-helpers.js';
  * Get question for attempt (forward-only navigation)
  * GET /api/olympiads/[id]/question/[questionIndex]
  * 
- * Returns question if accessible. Enforces forward-only navigation.
+ * Returns question if accessible. Enforces forward-only navigation, or the
+ * current section's navigation mode and boundaries for sectioned olympiads.
  * Updates currentQuestionIndex if advancing to next question.
  */
 export default async function handler(req, res) {
@@ -73,7 +78,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate question access (forward-only)
+    // Close sections whose timer has run out before checking access
+    if (syncAttemptSections(attempt)) {
+      await attempt.save();
+    }
+
+    // Validate question access (forward-only, within the current section)
     const validation = validateQuestionAccess(attempt, requestedIndex);
     if (!validation.valid) {
       return res.status(403).json({ 
@@ -81,7 +91,8 @@ export default async function handler(req, res) {
         message: validation.error,
         code: validation.code,
         currentQuestionIndex: validation.currentQuestionIndex,
-        requestedQuestionIndex: validation.requestedQuestionIndex
+        requestedQuestionIndex: validation.requestedQuestionIndex,
+        ...(validation.currentSectionIndex !== undefined && { currentSectionIndex: validation.currentSectionIndex })
       });
     }
 
@@ -94,8 +105,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get questions
-    const allQuestions = await findQuestionsByOlympiadId(olympiadId);
+    // Get questions in the order assigned to this attempt
+    const allQuestions = getAttemptQuestions(attempt, await findQuestionsByOlympiadId(olympiadId));
     if (!allQuestions || allQuestions.length === 0) {
       return res.status(400).json({ 
         success: false,
@@ -141,12 +152,14 @@ export default async function handler(req, res) {
       _id: question._id,
       question: question.question,
       type: question.type,
-      options: question.options || [],
-      allowMultipleCorrect: Boolean(question.allowMultipleCorrect),
+      options: [],
+      allowMultipleCorrect: false,
+      // Type-specific fields only (options, unit, matching/ordering lists in attempt order)
+      ...getStudentQuestionFields(question, getAttemptOptions(attempt, question)),
       points: question.points,
-      order: question.order || requestedIndex,
+      order: requestedIndex,
       nonce: nonceData.nonce // Include nonce for client
-      // Intentionally exclude correctAnswer
+      // Intentionally exclude every answer-key field
     };
 
     res.json({
@@ -154,7 +167,8 @@ export default async function handler(req, res) {
       question: questionData,
       questionIndex: requestedIndex,
       totalQuestions: allQuestions.length,
-      currentQuestionIndex: attempt.currentQuestionIndex
+      currentQuestionIndex: attempt.currentQuestionIndex,
+      section: getSectionTimerStatus(attempt)
     });
   } catch (error) {
     console.error('Get question error:', error);
@@ -0,0 +1,101 @@
+import { protect } from '../../../../lib/auth.js';
+import { connectDB } from '../../../../lib/json-db.js';
+import { findOlympiadById } from '../../../../lib/olympiad-helper.js';
+import {
+  findRegistration,
+  registerForOlympiad,
+  cancelRegistration,
+  checkEligibility,
+  getRegistrationWindow,
+} from '../../../../lib/registration-helper.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Olympiad registration for the current user
+ * GET    /api/olympiads/[id]/register - Registration status, eligibility and seats
+ * POST   /api/olympiads/[id]/register - Register (approved, pending approval or waitlisted)
+ * DELETE /api/olympiads/[id]/register - Cancel; the seat goes to the next waitlisted student
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error
+      });
+    }
+
+    await connectDB();
+
+    const { id: olympiadId } = req.query;
+    const user = authResult.user;
+
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const settings = olympiad.registration || {};
+      return res.json({
+        success: true,
+        registration: await findRegistration(olympiadId, user._id),
+        registrationRequired: settings.required !== false,
+        window: getRegistrationWindow(olympiad),
+        eligibility: checkEligibility(olympiad, user),
+        requiresApproval: Boolean(settings.requiresApproval),
+        capacity: settings.capacity ?? null,
+        seatsLeft: settings.capacity ? Math.max(0, settings.capacity - (settings.seatsTaken || 0)) : null,
+      });
+    }
+
+    if (req.method === 'POST') {
+      let registration;
+      try {
+        registration = await registerForOlympiad(olympiad, user);
+      } catch (error) {
+        return res.status(error.message.startsWith('Already registered') ? 409 : 400).json({
+          success: false,
+          message: error.message,
+          ...(error.reasons && { reasons: error.reasons })
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        registration,
+      });
+    }
+
+    let registration;
+    try {
+      registration = await cancelRegistration(olympiad, user._id);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      registration,
+    });
+  } catch (error) {
+    console.error('Olympiad registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to process registration'
+    });
+  }
+}
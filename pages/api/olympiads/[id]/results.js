@@ -7,7 +7,9 @@ import { findSubmissionsByUserAndOlympiad, findSubmissionsByOlympiadId } from '.
 import { findUserById } from '../../../../lib/user-helper.js';
 import { protect, authorize } from '../../../../lib/auth.js';
 import { analyzeText } from '../../../../lib/text-analysis.js';
+import { getAnswerKeyForReview } from '../../../../lib/question-types.js';
 import Olympiad from '../../../../models/Olympiad.js';
+import Attempt from '../../../../models/Attempt.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
@@ -170,6 +172,13 @@ export default async function handler(req, res) {
     
     // Get questions
     const questions = await findQuestionsByOlympiadId(olympiadId);
+
+    // Order the student saw the questions in (answers stay keyed by canonical question ID)
+    await connectMongoDB();
+    const attempt = await Attempt.findOne({ userId, olympiadId }).select('questionOrder').lean();
+    const questionOrder = attempt?.questionOrder?.length
+      ? attempt.questionOrder
+      : questions.map((q) => q._id);
     
     // Build answers object
     const answers = {};
@@ -183,12 +192,14 @@ export default async function handler(req, res) {
         answer: sub.answer,
         score: sub.score,
         isCorrect: sub.isCorrect,
+        scoringPolicy: sub.scoringPolicy || null,
       };
     });
 
     questions.forEach(q => {
-      if (q.type === 'multiple-choice' && q.correctAnswer) {
-        correctAnswers[q._id] = q.correctAnswer;
+      const answerKey = getAnswerKeyForReview(q);
+      if (answerKey !== null) {
+        correctAnswers[q._id] = answerKey;
       }
     });
 
@@ -246,6 +257,7 @@ export default async function handler(req, res) {
         answers,
         correctAnswers,
         submissionDetails,
+        questionOrder,
         ...(essayAnalysis && { essayAnalysis }),
         ...(Object.keys(essayAnalyses).length > 0 && { essayAnalyses }),
       },
@@ -8,6 +8,8 @@ import { getClientIP } from '../../../../lib/device-fingerprint.js';
 import { findQuestionsByOlympiadId } from '../../../../lib/question-helper.js';
 import { connectDB } from '../../../../lib/json-db.js';
 import { createAuditLog } from '../../../../lib/audit-logger.js';
+import { getAttemptQuestions } from '../../../../lib/attempt-question-order.js';
+import { syncAttemptSections, getSectionEndIndex } from '../../../../lib/attempt-sections.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
@@ -102,8 +104,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get questions to determine total count
-    const allQuestions = await findQuestionsByOlympiadId(olympiadId);
+    // Get questions in the order assigned to this attempt
+    const allQuestions = getAttemptQuestions(attempt, await findQuestionsByOlympiadId(olympiadId));
     if (!allQuestions || allQuestions.length === 0) {
       return res.status(400).json({ 
         success: false,
@@ -111,7 +113,13 @@ export default async function handler(req, res) {
       });
     }
 
+    // A section that ran out already moved the attempt forward
+    if (syncAttemptSections(attempt)) {
+      await attempt.save();
+    }
+
     const currentIdx = attempt.currentQuestionIndex;
+    const sectionEndIndex = getSectionEndIndex(attempt, allQuestions.length);
 
     // Get current question ID
     if (currentIdx >= 0 && currentIdx < allQuestions.length) {
@@ -125,8 +133,8 @@ export default async function handler(req, res) {
         // Add to skipped questions
         attempt.skippedQuestions.push(currentQuestion._id);
         
-        // Advance to next question if not last
-        if (currentIdx < allQuestions.length - 1) {
+        // Advance to next question if not last in the current section
+        if (currentIdx < sectionEndIndex - 1) {
           attempt.currentQuestionIndex = currentIdx + 1;
         }
         
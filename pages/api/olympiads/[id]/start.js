@@ -1,10 +1,17 @@
 import connectMongoDB from '../../../../lib/mongodb.js';
 import { findOlympiadById } from '../../../../lib/olympiad-helper.js';
+import { findQuestionsByOlympiadId } from '../../../../lib/question-helper.js';
 import { protect } from '../../../../lib/auth.js';
 import Attempt from '../../../../models/Attempt.js';
 import ProctoringSession from '../../../../models/ProctoringSession.js';
 import { validateCanStart } from '../../../../lib/anti-cheat-validator.js';
+import { getOlympiadPolicy } from '../../../../lib/anti-cheat-policy.js';
 import { calculateEndTime } from '../../../../lib/timer-service.js';
+import { getEffectiveDuration } from '../../../../lib/time-accommodation-helper.js';
+import { checkRegistrationForStart } from '../../../../lib/registration-helper.js';
+import { chargeEntryFee, refundTransaction } from '../../../../lib/coin-ledger.js';
+import { buildAttemptQuestionOrder } from '../../../../lib/attempt-question-order.js';
+import { buildSectionSchedule, syncAttemptSections } from '../../../../lib/attempt-sections.js';
 import { generateFingerprintHash, getClientIP, detectVM } from '../../../../lib/device-fingerprint.js';
 import { bindDeviceToAttempt, validateDeviceFingerprint } from '../../../../lib/device-locking.js';
 import { createAuditLog } from '../../../../lib/audit-logger.js';
@@ -18,6 +25,7 @@ import { handleCORS } from '../../../../lib/api-helpers.js';
  * POST /api/olympiads/[id]/start
  * 
  * Creates a new attempt record with server-authoritative timer.
+ * Students must hold an approved registration unless the olympiad has open entry.
  * Requires proctoring to be set up (camera + screen share with displaySurface === "monitor").
  */
 export default async function handler(req, res) {
@@ -115,6 +123,17 @@ export default async function handler(req, res) {
       });
     }
 
+    // Students need an approved registration
+    const registrationCheck = await checkRegistrationForStart(olympiad, authResult.user);
+    if (!registrationCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: registrationCheck.message,
+        code: registrationCheck.code,
+        registration: registrationCheck.registration
+      });
+    }
+
     // Validate device fingerprint
     if (!deviceFingerprint || typeof deviceFingerprint !== 'object') {
       return res.status(400).json({ 
@@ -139,7 +158,8 @@ export default async function handler(req, res) {
     }
 
     // Validate can start (checks one-attempt rule and proctoring)
-    const validation = await validateCanStart(userId, olympiadId, proctoringStatus);
+    const policy = await getOlympiadPolicy(olympiad);
+    const validation = await validateCanStart(userId, olympiadId, proctoringStatus, policy.requiredStreams);
     if (!validation.valid) {
       return res.status(400).json({ 
         success: false,
@@ -161,19 +181,46 @@ export default async function handler(req, res) {
         });
       }
 
+      // A refunded fee (invalidated attempt) is charged again; a paid one is not
+      let entryFeeCharge;
+      try {
+        entryFeeCharge = await chargeEntryFee(olympiad, userId);
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_COINS') {
+          return res.status(402).json({
+            success: false,
+            message: `Not enough coins. Entry fee: ${olympiad.entryFee}`,
+            code: 'INSUFFICIENT_COINS',
+            entryFee: olympiad.entryFee
+          });
+        }
+        throw error;
+      }
+
       const fingerprintHash = generateFingerprintHash(deviceFingerprint);
       const ipAddress = getClientIP(req);
       const sessionToken = crypto.randomBytes(32).toString('hex');
       const startedAt = new Date();
-      const durationSeconds = olympiad.duration || 3600; // Default 1 hour
+      const { durationSeconds, accommodation } = await getEffectiveDuration(olympiad, userId);
       const endsAt = calculateEndTime(startedAt, durationSeconds);
+      const { questionOrder, optionOrders, sectionGroups } = buildAttemptQuestionOrder(
+        await findQuestionsByOlympiadId(olympiadId),
+        olympiad
+      );
+      const sections = buildSectionSchedule(sectionGroups, startedAt, durationSeconds);
 
       existingAttempt.status = 'started';
       existingAttempt.startedAt = startedAt;
       existingAttempt.endsAt = endsAt;
+      existingAttempt.durationSeconds = durationSeconds;
+      existingAttempt.accommodation = accommodation;
       existingAttempt.currentQuestionIndex = 0;
+      existingAttempt.sections = sections;
+      existingAttempt.currentSectionIndex = 0;
       existingAttempt.answeredQuestions = [];
       existingAttempt.skippedQuestions = [];
+      existingAttempt.questionOrder = questionOrder;
+      existingAttempt.optionOrders = optionOrders;
       existingAttempt.deviceFingerprint = fingerprintHash;
       existingAttempt.ipAddress = ipAddress;
       existingAttempt.sessionToken = sessionToken;
@@ -185,6 +232,7 @@ export default async function handler(req, res) {
       existingAttempt.trustScore = null;
       existingAttempt.trustClassification = null;
       existingAttempt.scoringBreakdown = null;
+      existingAttempt.trustPolicy = null;
       existingAttempt.verificationStatus = 'pending';
       existingAttempt.verificationResults = null;
       existingAttempt.submittedAt = null;
@@ -194,6 +242,15 @@ export default async function handler(req, res) {
       existingAttempt.invalidatedBy = null;
       existingAttempt.invalidationReason = null;
       existingAttempt.adminSubmitted = false;
+      existingAttempt.autoSubmitted = false;
+      existingAttempt.finalizingUntil = null;
+      // Pauses would move the new deadline; warnings and the review belong to the old run
+      existingAttempt.pausedAt = null;
+      existingAttempt.pausedBy = null;
+      existingAttempt.pauseReason = null;
+      existingAttempt.pauses = [];
+      existingAttempt.warnings = [];
+      existingAttempt.review = null;
       existingAttempt.proctoringStatus = {
         frontCameraActive: proctoringStatus.frontCameraActive || false,
         backCameraActive: proctoringStatus.backCameraActive || false,
@@ -245,8 +302,13 @@ export default async function handler(req, res) {
           endsAt: existingAttempt.endsAt.toISOString(),
           currentQuestionIndex: existingAttempt.currentQuestionIndex,
           sessionToken: existingAttempt.sessionToken,
-          durationSeconds
-        }
+          durationSeconds,
+          accommodation,
+          sections: existingAttempt.sections,
+          currentSectionIndex: existingAttempt.currentSectionIndex
+        },
+        entryFeeCharged: entryFeeCharge ? olympiad.entryFee : 0,
+        ...(entryFeeCharge && { coins: entryFeeCharge.balance })
       });
     }
 
@@ -293,6 +355,11 @@ export default async function handler(req, res) {
         }
       }
 
+      // Open whichever section the clock has reached while the student was away
+      if (syncAttemptSections(existingAttempt)) {
+        await existingAttempt.save();
+      }
+
       const startedAt = new Date(existingAttempt.startedAt);
       const endsAt = new Date(existingAttempt.endsAt);
       const durationSeconds = Math.max(0, Math.floor((endsAt - startedAt) / 1000));
@@ -307,11 +374,29 @@ export default async function handler(req, res) {
           endsAt: endsAt.toISOString(),
           currentQuestionIndex: existingAttempt.currentQuestionIndex || 0,
           sessionToken: existingAttempt.sessionToken,
-          durationSeconds
+          durationSeconds,
+          sections: existingAttempt.sections,
+          currentSectionIndex: existingAttempt.currentSectionIndex || 0
         }
       });
     }
 
+    // Debit the entry fee before creating the attempt (refunded below if creation fails)
+    let entryFeeCharge;
+    try {
+      entryFeeCharge = await chargeEntryFee(olympiad, userId);
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_COINS') {
+        return res.status(402).json({
+          success: false,
+          message: `Not enough coins. Entry fee: ${olympiad.entryFee}`,
+          code: 'INSUFFICIENT_COINS',
+          entryFee: olympiad.entryFee
+        });
+      }
+      throw error;
+    }
+
     // Generate device fingerprint hash
     const fingerprintHash = generateFingerprintHash(deviceFingerprint);
 
@@ -321,11 +406,18 @@ export default async function handler(req, res) {
     // Generate session token
     const sessionToken = crypto.randomBytes(32).toString('hex');
 
-    // Calculate end time (server-authoritative)
+    // Calculate end time (server-authoritative), including any time accommodation
     const startedAt = new Date();
-    const durationSeconds = olympiad.duration || 3600; // Default 1 hour
+    const { durationSeconds, accommodation } = await getEffectiveDuration(olympiad, userId);
     const endsAt = calculateEndTime(startedAt, durationSeconds);
 
+    // Fix the question/option order for this attempt (shuffled if the olympiad enables it)
+    const { questionOrder, optionOrders, sectionGroups } = buildAttemptQuestionOrder(
+      await findQuestionsByOlympiadId(olympiadId),
+      olympiad
+    );
+    const sections = buildSectionSchedule(sectionGroups, startedAt, durationSeconds);
+
     // Create attempt
     const attempt = new Attempt({
       userId,
@@ -333,9 +425,15 @@ export default async function handler(req, res) {
       status: 'started',
       startedAt,
       endsAt,
+      durationSeconds,
+      accommodation,
       currentQuestionIndex: 0,
       answeredQuestions: [],
       skippedQuestions: [],
+      questionOrder,
+      optionOrders,
+      sections,
+      currentSectionIndex: 0,
       deviceFingerprint: fingerprintHash,
       ipAddress,
       sessionToken,
@@ -353,7 +451,14 @@ export default async function handler(req, res) {
     // Bind device to attempt (device locking)
     bindDeviceToAttempt(attempt, deviceFingerprint);
 
-    await attempt.save();
+    try {
+      await attempt.save();
+    } catch (error) {
+      if (entryFeeCharge) {
+        await refundTransaction(entryFeeCharge.transaction, { reason: 'Attempt could not be started' });
+      }
+      throw error;
+    }
 
     // Create proctoring session
     const proctoringSession = new ProctoringSession({
@@ -390,8 +495,13 @@ export default async function handler(req, res) {
         endsAt: attempt.endsAt.toISOString(),
         currentQuestionIndex: attempt.currentQuestionIndex,
         sessionToken: attempt.sessionToken,
-        durationSeconds
-      }
+        durationSeconds,
+        accommodation,
+        sections: attempt.sections,
+        currentSectionIndex: attempt.currentSectionIndex
+      },
+      entryFeeCharged: entryFeeCharge ? olympiad.entryFee : 0,
+      ...(entryFeeCharge && { coins: entryFeeCharge.balance })
     });
   } catch (error) {
     console.error('Start attempt error:', error);
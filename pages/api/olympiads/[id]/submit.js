@@ -11,61 +11,13 @@ import connectDB from '../../../../lib/mongodb.js';
 import Attempt from '../../../../models/Attempt.js';
 import ProctoringSession from '../../../../models/ProctoringSession.js';
 import { validateAttemptActive } from '../../../../lib/anti-cheat-validator.js';
-import { validateTimeNotExpired, isTimeExpired } from '../../../../lib/timer-service.js';
-import { runPostAttemptVerification } from '../../../../lib/post-attempt-verification.js';
-import { calculateAndStoreTrustScore } from '../../../../lib/anti-cheat-scoring.js';
+import { validateTimeNotExpired, isTimeExpired, getSubmissionDeadline } from '../../../../lib/timer-service.js';
+import { completeAttemptChecks, claimAttempt, releaseAttemptClaim } from '../../../../lib/attempt-finalizer.js';
 import { createAuditLog } from '../../../../lib/audit-logger.js';
+import { gradeAnswer } from '../../../../lib/question-types.js';
 
 import { handleCORS } from '../../../../lib/api-helpers.js';
 
-function normalizeAnswerList(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map((item) => String(item)).filter((item) => item.trim() !== ''))];
-  }
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    return trimmed ? [trimmed] : [];
-  }
-  return [];
-}
-
-function getCorrectAnswers(question) {
-  const fromArray = normalizeAnswerList(question?.correctAnswers);
-  if (fromArray.length > 0) {
-    return fromArray;
-  }
-
-  if (typeof question?.correctAnswer === 'string' && question.correctAnswer.trim() !== '') {
-    return [question.correctAnswer.trim()];
-  }
-
-  return [];
-}
-
-function isMultipleChoiceAnswerCorrect(question, submittedAnswer) {
-  const submitted = normalizeAnswerList(submittedAnswer);
-  const expected = getCorrectAnswers(question);
-
-  if (submitted.length === 0 || expected.length === 0) {
-    return false;
-  }
-
-  const submittedSet = new Set(submitted);
-  const expectedSet = new Set(expected);
-
-  if (submittedSet.size !== expectedSet.size) {
-    return false;
-  }
-
-  for (const expectedAnswer of expectedSet) {
-    if (!submittedSet.has(expectedAnswer)) {
-      return false;
-    }
-  }
-
-  return true;
-}
-
 /**
  * @swagger
  * /olympiads/{id}/submit:
@@ -124,6 +76,13 @@ export default async function handler(req, res) {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
+  // Grading holds the attempt's finalization lease, so the expiry sweeper or a
+  // second submit cannot grade it at the same time
+  let claimedAttempt = null;
+  const releaseClaim = async () => {
+    if (claimedAttempt) await releaseAttemptClaim(claimedAttempt._id);
+  };
+
   try {
     const authResult = await protect(req);
     if (authResult.error) {
@@ -153,7 +112,7 @@ export default async function handler(req, res) {
         await attempt.save();
         return res.status(400).json({ 
           success: false,
-          message: 'Time has expired. Submission not allowed.',
+          message: 'Time has expired. Submission not allowed. Your saved answers will be graded automatically.',
           code: 'TIME_EXPIRED'
         });
       }
@@ -226,11 +185,13 @@ export default async function handler(req, res) {
       });
     }
 
-    if (now > endTime) {
-      console.log(`[Submit] Olympiad ended. End: ${endTime}, Now: ${now}`);
+    // Students with a time accommodation may submit after the window closes
+    const submissionDeadline = getSubmissionDeadline(endTime, attempt, olympiad.duration);
+    if (now > submissionDeadline) {
+      console.log(`[Submit] Olympiad ended. End: ${submissionDeadline}, Now: ${now}`);
       return res.status(400).json({ 
         success: false,
-        message: `Cannot submit. Olympiad has ended. End time: ${endTime.toISOString()}` 
+        message: `Cannot submit. Olympiad has ended. End time: ${submissionDeadline.toISOString()}` 
       });
     }
 
@@ -393,6 +354,17 @@ export default async function handler(req, res) {
       });
     }
     
+    if (attempt) {
+      claimedAttempt = await claimAttempt({ _id: attempt._id, status: attempt.status });
+      if (!claimedAttempt) {
+        return res.status(409).json({
+          success: false,
+          message: 'This attempt is already being submitted',
+          code: 'SUBMIT_IN_PROGRESS'
+        });
+      }
+    }
+
     // Process submissions
     const submissions = [];
     let totalScore = 0;
@@ -407,10 +379,11 @@ export default async function handler(req, res) {
 
         let score = 0;
         let isCorrect = false;
+        let scoringPolicy = null;
 
-        if (question.type === 'multiple-choice') {
-          isCorrect = isMultipleChoiceAnswerCorrect(question, answer);
-          score = isCorrect ? question.points : 0;
+        const grade = gradeAnswer(question, answer);
+        if (grade) {
+          ({ score, isCorrect, scoringPolicy } = grade);
         }
 
         totalScore += score;
@@ -424,12 +397,14 @@ export default async function handler(req, res) {
           answer: submissionAnswer,
           score,
           isCorrect,
+          scoringPolicy,
         });
 
         submissions.push(submission);
       }
 
       if (submissions.length === 0) {
+        await releaseClaim();
         return res.status(400).json({ 
           success: false,
           message: 'No valid answers provided. Please check that your question IDs match the olympiad questions.' 
@@ -449,12 +424,13 @@ export default async function handler(req, res) {
 
         let score = 0;
         let isCorrect = false;
+        let scoringPolicy = null;
         let submissionAnswer = answerValue;
 
-        if (question.type === 'multiple-choice') {
-          // Test question - compare with correct answer
-          isCorrect = isMultipleChoiceAnswerCorrect(question, answerValue);
-          score = isCorrect ? question.points : 0;
+        const grade = gradeAnswer(question, answerValue);
+        if (grade) {
+          // Auto-graded question - compare with the answer key
+          ({ score, isCorrect, scoringPolicy } = grade);
           submissionAnswer =
             typeof answerValue === 'string'
               ? answerValue
@@ -490,12 +466,14 @@ export default async function handler(req, res) {
           answer: submissionAnswer,
           score,
           isCorrect,
+          scoringPolicy,
         });
 
         submissions.push(submission);
       }
 
       if (submissions.length === 0) {
+        await releaseClaim();
         return res.status(400).json({ 
           success: false,
           message: 'No valid answers provided. Please check that your question IDs match the olympiad questions.' 
@@ -529,6 +507,7 @@ export default async function handler(req, res) {
         totalScore = essayScoring.score; // Set total score for essay
 
       } else {
+        await releaseClaim();
         return res.status(400).json({ 
           success: false,
           message: 'No question found for essay submission' 
@@ -565,46 +544,13 @@ export default async function handler(req, res) {
     }
 
     // Update attempt status if exists
-    if (attempt) {
-      attempt.submittedAt = new Date();
-      attempt.completedAt = new Date();
+    if (claimedAttempt) {
+      claimedAttempt.submittedAt = new Date();
+      claimedAttempt.completedAt = new Date();
+      claimedAttempt.finalizingUntil = null;
 
-      // Run post-attempt verification
-      const verificationResult = await runPostAttemptVerification(attempt._id, olympiad.duration);
-      
-      // Calculate and store trust score
-      const trustScoreResult = await calculateAndStoreTrustScore(attempt._id);
-      
-      // Reload attempt to get updated trust score and verification results
-      const updatedAttempt = await Attempt.findById(attempt._id);
-      
-      // Set status based on verification and trust score
-      if (verificationResult.passed && updatedAttempt.trustClassification !== 'invalid') {
-        attempt.status = 'completed';
-      } else if (!verificationResult.passed) {
-        attempt.status = 'verification_failed';
-      } else if (updatedAttempt.trustClassification === 'invalid') {
-        attempt.status = 'auto_disqualified';
-      } else {
-        attempt.status = 'completed'; // Default to completed even if suspicious
-      }
-      
-      // Copy trust score and verification fields from updated attempt
-      attempt.trustScore = updatedAttempt.trustScore;
-      attempt.trustClassification = updatedAttempt.trustClassification;
-      attempt.scoringBreakdown = updatedAttempt.scoringBreakdown;
-      attempt.verificationStatus = updatedAttempt.verificationStatus;
-      attempt.verificationResults = updatedAttempt.verificationResults;
-
-      await attempt.save();
-
-      // Update proctoring session
-      const ProctoringSession = (await import('../../../../models/ProctoringSession.js')).default;
-      const proctoringSession = await ProctoringSession.findOne({ attemptId: attempt._id });
-      if (proctoringSession) {
-        proctoringSession.status = 'completed';
-        await proctoringSession.save();
-      }
+      // Run post-attempt verification and trust scoring, then settle the status
+      const { verificationResult, updatedAttempt } = await completeAttemptChecks(claimedAttempt, olympiad.duration);
 
       // Create audit log
       await createAuditLog({
@@ -635,6 +581,7 @@ export default async function handler(req, res) {
     });
   } catch (error) {
     console.error('Submit error:', error);
+    await releaseClaim().catch((releaseError) => console.error('Failed to release submit claim:', releaseError));
     res.status(500).json({ 
       success: false,
       message: "Failed to submit olympiad. Please try again."
@@ -3,6 +3,7 @@ import connectMongoDB from '../../../../lib/mongodb.js';
 import Attempt from '../../../../models/Attempt.js';
 import ProctoringSession from '../../../../models/ProctoringSession.js';
 import { shouldTerminateAttempt } from '../../../../lib/anti-cheat-validator.js';
+import { getOlympiadPolicy } from '../../../../lib/anti-cheat-policy.js';
 import { createAuditLog } from '../../../../lib/audit-logger.js';
 import { validateViolationInput } from '../../../../lib/olympiad-input-validation.js';
 
@@ -13,7 +14,8 @@ import { handleCORS } from '../../../../lib/api-helpers.js';
  * POST /api/olympiads/[id]/violation
  * 
  * Logs violation events (tab switch, devtools open, copy/paste, etc.)
- * May terminate attempt if violation threshold exceeded.
+ * May terminate attempt if violation threshold exceeded. The threshold and the
+ * violation types that terminate immediately come from the anti-cheat policy.
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -74,16 +76,11 @@ export default async function handler(req, res) {
       details: details || {}
     });
 
-    // Check if attempt should be terminated
-    const highSeverityTypes = [
-      'PROCTORING_VIOLATION',
-      'FRONT_CAMERA_REVOKED',
-      'SCREEN_SHARE_REVOKED',
-      'DISPLAY_SURFACE_INVALID',
-      'VM_DETECTED'
-    ];
+    // Check if attempt should be terminated, by the olympiad's anti-cheat policy
+    const policy = await getOlympiadPolicy(olympiadId);
+    const highSeverityTypes = policy.terminateOnTypes;
 
-    const terminationCheck = shouldTerminateAttempt(attempt, 5, highSeverityTypes);
+    const terminationCheck = shouldTerminateAttempt(attempt, policy.maxViolations, highSeverityTypes, policy.autoDisqualify);
     
     if (terminationCheck.shouldTerminate) {
       attempt.status = 'violation_terminated';
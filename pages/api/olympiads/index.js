@@ -72,6 +72,7 @@ export default async function handler(req, res) {
         startTime: olympiad.startTime,
         endTime: olympiad.endTime,
         duration: olympiad.duration,
+        entryFee: olympiad.entryFee || 0,
         status: olympiad.status,
         olympiadLogo: olympiad.olympiadLogo || null,
         createdAt: olympiad.createdAt,
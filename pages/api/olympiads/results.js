@@ -13,6 +13,7 @@ import {
 import { findUserById } from "../../../lib/user-helper.js";
 import { protect, authorize } from "../../../lib/auth.js";
 import { analyzeText } from "../../../lib/text-analysis.js";
+import { getAnswerKeyForReview } from "../../../lib/question-types.js";
 import Olympiad from "../../../models/Olympiad.js";
 
 import { handleCORS } from '../../../lib/api-helpers.js';
@@ -332,12 +333,14 @@ export default async function handler(req, res) {
         answer: sub.answer,
         score: sub.score,
         isCorrect: sub.isCorrect,
+        scoringPolicy: sub.scoringPolicy || null,
       };
     });
 
     questions.forEach((q) => {
-      if (q.type === "multiple-choice" && q.correctAnswer) {
-        correctAnswers[q._id] = q.correctAnswer;
+      const answerKey = getAnswerKeyForReview(q);
+      if (answerKey !== null) {
+        correctAnswers[q._id] = answerKey;
       }
     });
 
@@ -4,7 +4,7 @@ import { getAllOlympiads } from '../../../lib/olympiad-helper.js';
 import { getAllSubmissions } from '../../../lib/submission-helper.js';
 import { getAllResults } from '../../../lib/result-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -23,11 +23,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'analytics.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
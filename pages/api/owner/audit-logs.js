@@ -1,5 +1,5 @@
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 import { getOwnerAuditLogs } from '../../../lib/owner-audit-logger.js';
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -18,11 +18,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermission(authResult.user, 'audit.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -0,0 +1,79 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { listCoinPackages, createCoinPackage } from '../../../lib/coin-packages.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Coin package price list (owner only)
+ * GET  /api/owner/coin-packages - All packages, inactive included
+ * POST /api/owner/coin-packages - Create a package { name, coins, priceUzs, description?, active?, sortOrder? }
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'coins.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        packages: await listCoinPackages({ includeInactive: true }),
+      });
+    }
+
+    let coinPackage;
+    try {
+      coinPackage = await createCoinPackage(req.body || {}, authResult.user._id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'coin_package_create',
+      targetType: 'coin_package',
+      targetId: coinPackage._id,
+      message: `Owner created coin package ${coinPackage.name} (${coinPackage.coins} coins for ${coinPackage.priceUzs} UZS)`,
+      metadata: {
+        coins: coinPackage.coins,
+        priceUzs: coinPackage.priceUzs,
+        active: coinPackage.active,
+      },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      package: coinPackage,
+    });
+  } catch (error) {
+    console.error('Owner coin packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,94 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import { findCoinPackageById, updateCoinPackage } from '../../../../lib/coin-packages.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Single coin package (owner only)
+ * PUT    /api/owner/coin-packages/:id - Update price, coins, name, description, active, sortOrder
+ * DELETE /api/owner/coin-packages/:id - Take the package off sale (kept for purchase history)
+ *
+ * Changes apply to new orders only; pending orders keep the price they were created with.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'PUT' && req.method !== 'DELETE') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'coins.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const previous = await findCoinPackageById(id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coin package not found',
+      });
+    }
+
+    const updates = req.method === 'DELETE' ? { active: false } : (req.body || {});
+
+    let coinPackage;
+    try {
+      coinPackage = await updateCoinPackage(id, updates);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: req.method === 'DELETE' ? 'coin_package_deactivate' : 'coin_package_update',
+      targetType: 'coin_package',
+      targetId: id,
+      message: req.method === 'DELETE'
+        ? `Owner took coin package ${previous.name} off sale`
+        : `Owner updated coin package ${coinPackage.name}`,
+      metadata: {
+        previous: {
+          coins: previous.coins,
+          priceUzs: previous.priceUzs,
+          active: previous.active,
+        },
+        current: {
+          coins: coinPackage.coins,
+          priceUzs: coinPackage.priceUzs,
+          active: coinPackage.active,
+        },
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      package: coinPackage,
+    });
+  } catch (error) {
+    console.error('Owner coin package update error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
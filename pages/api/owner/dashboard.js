@@ -4,7 +4,8 @@ import Olympiad from '../../../models/Olympiad.js';
 import Submission from '../../../models/Submission.js';
 import Result from '../../../models/Result.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getPromoRedemptionSummary } from '../../../lib/promo-codes.js';
 import { handleCORS } from '../../../lib/api-helpers.js';
 
 const normalizeGroupCounts = (rows) => {
@@ -30,11 +31,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermission(authResult.user, 'analytics.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -53,6 +54,7 @@ export default async function handler(req, res) {
       totalSubmissions,
       uniqueParticipantsRaw,
       averageScoreRaw,
+      promoRedemptions,
     ] = await Promise.all([
       User.countDocuments(),
       User.aggregate([
@@ -70,6 +72,7 @@ export default async function handler(req, res) {
       Result.aggregate([
         { $group: { _id: null, avg: { $avg: '$percentage' } } },
       ]),
+      getPromoRedemptionSummary(),
     ]);
 
     const usersByRole = normalizeGroupCounts(usersByRoleRaw || []);
@@ -111,6 +114,7 @@ export default async function handler(req, res) {
         avgSubmissionsPerOlympiad,
         studentParticipationRate,
         averageScore: Math.round(averageScore * 100) / 100,
+        promoRedemptions,
       },
     });
   } catch (error) {
@@ -1,5 +1,5 @@
 import { protect } from '../../../../lib/auth.js';
-import { authorize } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
 import { getAllOlympiadsWithCreators } from '../../../../lib/olympiad-helper.js';
 import { handleCORS } from '../../../../lib/api-helpers.js';
 import { sendCsv } from '../../../../lib/csv-helpers.js';
@@ -26,11 +26,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermission(authResult.user, 'data.export');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -1,7 +1,7 @@
 import { getOwnerMetrics } from '../../../lib/owner-metrics.js';
 import { getCache, setCache } from '../../../lib/cache.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 import { handleCORS } from '../../../lib/api-helpers.js';
 
 export default async function handler(req, res) {
@@ -19,11 +19,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermission(authResult.user, 'analytics.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -0,0 +1,85 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { listPromoCodes, createPromoCode } from '../../../lib/promo-codes.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Promo codes (owner only)
+ * GET  /api/owner/promo-codes - All codes with usage (redemptionCount, bonusCoinsGranted, uniqueUsers)
+ * POST /api/owner/promo-codes - Create a code
+ *
+ * POST body: { code, type: 'percentage' | 'fixed', value, description?, active?, startsAt?, expiresAt?,
+ *              maxRedemptions? (null = unlimited), perUserLimit? (default 1), packageIds? (empty = all) }
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'coins.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        promoCodes: await listPromoCodes(),
+      });
+    }
+
+    let promo;
+    try {
+      promo = await createPromoCode(req.body || {}, authResult.user._id);
+    } catch (error) {
+      return res.status(error.message.endsWith('already exists') ? 409 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'promo_code_create',
+      targetType: 'promo_code',
+      targetId: promo._id,
+      message: `Owner created promo code ${promo.code}`,
+      metadata: {
+        type: promo.type,
+        value: promo.value,
+        expiresAt: promo.expiresAt,
+        maxRedemptions: promo.maxRedemptions,
+        perUserLimit: promo.perUserLimit,
+        packageIds: promo.packageIds,
+      },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      promoCode: promo,
+    });
+  } catch (error) {
+    console.error('Owner promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,103 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import {
+  findPromoCodeById,
+  updatePromoCode,
+  getPromoRedemptions,
+} from '../../../../lib/promo-codes.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Single promo code (owner only)
+ * GET    /api/owner/promo-codes/:id?page=&limit= - The code and its redemptions
+ * PUT    /api/owner/promo-codes/:id - Update anything but the code itself
+ * DELETE /api/owner/promo-codes/:id - Deactivate (redemptions are kept)
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'coins.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const previous = await findPromoCodeById(id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const { redemptions, pagination } = await getPromoRedemptions(id, {
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      return res.json({
+        success: true,
+        promoCode: previous,
+        redemptions,
+        pagination,
+      });
+    }
+
+    const updates = req.method === 'DELETE' ? { active: false } : (req.body || {});
+
+    let promo;
+    try {
+      promo = await updatePromoCode(id, updates);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: req.method === 'DELETE' ? 'promo_code_deactivate' : 'promo_code_update',
+      targetType: 'promo_code',
+      targetId: id,
+      message: req.method === 'DELETE'
+        ? `Owner deactivated promo code ${promo.code}`
+        : `Owner updated promo code ${promo.code}`,
+      metadata: {
+        changes: Object.keys(updates),
+        active: promo.active,
+        redemptionCount: promo.redemptionCount,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      promoCode: promo,
+    });
+  } catch (error) {
+    console.error('Owner promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,98 @@
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
+import { refundPurchase } from '../../../../../lib/payments/index.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * POST /api/owner/purchases/:id/refund
+ * Refund a paid coin purchase through its payment provider and take the coins back.
+ * Body: { reason }
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'payments.refund');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for refunds',
+      });
+    }
+
+    const { id } = req.query;
+
+    let purchase;
+    try {
+      purchase = await refundPurchase(id);
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_COINS') {
+        return res.status(409).json({
+          success: false,
+          message: 'The user has already spent these coins',
+        });
+      }
+      return res.status(error.message === 'Purchase not found' ? 404 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'coin_purchase_refund',
+      targetType: 'user',
+      targetId: purchase.userId.toString(),
+      message: `Owner refunded ${purchase.coins} coins (${purchase.amountUzs} UZS) paid via ${purchase.paymentProvider}`,
+      metadata: {
+        purchaseId: id,
+        orderId: purchase.orderId,
+        coins: purchase.coins,
+        amountUzs: purchase.amountUzs,
+        paymentProvider: purchase.paymentProvider,
+        reason,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      purchase: {
+        _id: purchase._id.toString(),
+        orderId: purchase.orderId,
+        status: purchase.status,
+        coins: purchase.coins,
+        amountUzs: purchase.amountUzs,
+        paymentProvider: purchase.paymentProvider,
+      },
+    });
+  } catch (error) {
+    console.error('Owner purchase refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -2,7 +2,7 @@ import connectDB from '../../../lib/mongodb.js';
 import Olympiad from '../../../models/Olympiad.js';
 import Result from '../../../models/Result.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -21,11 +21,11 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermission(authResult.user, 'analytics.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -0,0 +1,84 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission, CAPABILITIES, OWNER_ONLY_CAPABILITIES, BUILT_IN_ROLE_GRANTS } from '../../../lib/permissions.js';
+import { listRoles, createRole } from '../../../lib/custom-roles.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Custom roles (owner only)
+ * GET  /api/owner/roles - Custom roles, the capability catalogue and what each built-in role grants
+ * POST /api/owner/roles - Create a role { name, description?, capabilities }
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'roles.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        roles: await listRoles(),
+        capabilities: Object.entries(CAPABILITIES).map(([name, description]) => ({
+          name,
+          description,
+          delegable: !OWNER_ONLY_CAPABILITIES.includes(name),
+        })),
+        builtInRoles: BUILT_IN_ROLE_GRANTS,
+      });
+    }
+
+    let role;
+    try {
+      role = await createRole(req.body || {}, authResult.user._id);
+    } catch (error) {
+      if (error.code === 'INVALID_ROLE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'role_create',
+      targetType: 'role',
+      targetId: role._id,
+      message: `Owner created role ${role.name}`,
+      metadata: { capabilities: role.capabilities },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    console.error('Owner roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,109 @@
+import { protect } from '../../../../lib/auth.js';
+import { checkPermission } from '../../../../lib/permissions.js';
+import { findRoleById, updateRole, deleteRole } from '../../../../lib/custom-roles.js';
+import { createOwnerAuditLog } from '../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../lib/api-helpers.js';
+
+/**
+ * Single custom role (owner only)
+ * GET    /api/owner/roles/:id - Role
+ * PUT    /api/owner/roles/:id - Update name, description or capabilities; applies to every holder at once
+ * DELETE /api/owner/roles/:id - Delete the role and remove it from everyone holding it
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'roles.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const previous = await findRoleById(id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({ success: true, role: previous });
+    }
+
+    if (req.method === 'DELETE') {
+      const removedAssignments = await deleteRole(id);
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'role_delete',
+        targetType: 'role',
+        targetId: id,
+        message: `Owner deleted role ${previous.name}`,
+        metadata: { capabilities: previous.capabilities, removedAssignments },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Role deleted',
+        removedAssignments,
+      });
+    }
+
+    let role;
+    try {
+      role = await updateRole(id, req.body || {});
+    } catch (error) {
+      if (error.code === 'INVALID_ROLE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'role_update',
+      targetType: 'role',
+      targetId: id,
+      message: `Owner updated role ${role.name}`,
+      metadata: {
+        previous: { name: previous.name, capabilities: previous.capabilities },
+        current: { name: role.name, capabilities: role.capabilities },
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    console.error('Owner role update error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
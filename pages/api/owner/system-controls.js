@@ -1,4 +1,5 @@
-import { protect, authorize } from '../../../lib/auth.js';
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
 import { handleCORS } from '../../../lib/api-helpers.js';
 import {
   getSystemControlsSync,
@@ -17,11 +18,11 @@ export default async function handler(req, res) {
     });
   }
 
-  const roleError = authorize('owner')(authResult.user);
-  if (roleError) {
-    return res.status(roleError.status).json({
+  const permissionError = await checkPermission(authResult.user, 'system.manage');
+  if (permissionError) {
+    return res.status(permissionError.status).json({
       success: false,
-      message: roleError.error,
+      message: permissionError.error,
     });
   }
 
@@ -40,6 +41,7 @@ export default async function handler(req, res) {
     emailVerificationEnabled,
     requireProfileCompletion,
     apiEnabled,
+    twoFactorRequiredForStaff,
   } = req.body || {};
 
   const patch = {};
@@ -56,6 +58,17 @@ export default async function handler(req, res) {
     patch.apiEnabled = apiEnabled;
   }
 
+  if (typeof twoFactorRequiredForStaff === 'boolean') {
+    // The owner is staff too: enforcing without being enrolled would lock them out
+    if (twoFactorRequiredForStaff && !authResult.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it',
+      });
+    }
+    patch.twoFactorRequiredForStaff = twoFactorRequiredForStaff;
+  }
+
   if (Object.keys(patch).length === 0) {
     return res.status(400).json({
       success: false,
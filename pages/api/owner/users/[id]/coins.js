@@ -0,0 +1,190 @@
+import { connectDB } from '../../../../../lib/json-db.js';
+import { findUserById } from '../../../../../lib/user-helper.js';
+import {
+  TRANSACTION_TYPES,
+  getTransactionHistory,
+  reconcileUserBalance,
+  adjustCoins,
+  restoreBalanceFromLedger,
+} from '../../../../../lib/coin-ledger.js';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Coin balance audit and correction (owner only)
+ * GET  /api/owner/users/:id/coins?page=&limit=&type= - Stored vs ledger balance and the ledger entries
+ * POST /api/owner/users/:id/coins - Correct the balance
+ *
+ * POST body:
+ *   { action: 'adjust', amount, reason }          - Signed admin_adjustment entry
+ *   { action: 'restore', expectedBalance, reason } - Reset User.coins to the ledger sum;
+ *     expectedBalance is the storedBalance from GET, so a movement in between is not overwritten
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'coins.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    await connectDB();
+
+    const { id } = req.query;
+    const user = await findUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const type = (req.query.type || '').trim();
+      if (type && !TRANSACTION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid type. Allowed: ${TRANSACTION_TYPES.join(', ')}`,
+        });
+      }
+
+      const reconciliation = await reconcileUserBalance(id);
+      const { transactions, pagination } = await getTransactionHistory(id, {
+        page: req.query.page,
+        limit: req.query.limit,
+        type,
+      });
+
+      return res.json({
+        success: true,
+        reconciliation,
+        transactions,
+        pagination,
+      });
+    }
+
+    const { action, reason } = req.body || {};
+
+    if (action === 'adjust') {
+      const amount = Number(req.body.amount);
+
+      let adjustment;
+      try {
+        adjustment = await adjustCoins(id, amount, { reason, createdBy: authResult.user._id });
+      } catch (error) {
+        return res.status(error.code === 'INSUFFICIENT_COINS' ? 409 : 400).json({
+          success: false,
+          message: error.code === 'INSUFFICIENT_COINS'
+            ? 'Adjustment would make the balance negative'
+            : error.message,
+        });
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'coin_balance_adjust',
+        targetType: 'user',
+        targetId: id,
+        message: `Owner adjusted coin balance by ${amount > 0 ? '+' : ''}${amount}`,
+        metadata: {
+          amount,
+          reason: adjustment.transaction.reason,
+          transactionId: adjustment.transaction._id,
+          balanceAfter: adjustment.balance,
+          targetEmail: user.email,
+        },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        transaction: adjustment.transaction,
+        coins: adjustment.balance,
+      });
+    }
+
+    if (action === 'restore') {
+      if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required for balance corrections',
+        });
+      }
+
+      const expectedBalance = Number(req.body.expectedBalance);
+      if (!Number.isInteger(expectedBalance)) {
+        return res.status(400).json({
+          success: false,
+          message: 'expectedBalance must be the storedBalance returned by GET',
+        });
+      }
+
+      let reconciliation;
+      try {
+        reconciliation = await restoreBalanceFromLedger(id, expectedBalance);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (!reconciliation) {
+        return res.status(409).json({
+          success: false,
+          message: 'Balance changed since it was audited. Reload and try again.',
+        });
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'coin_balance_restore',
+        targetType: 'user',
+        targetId: id,
+        message: `Owner reset coin balance from ${expectedBalance} to ledger balance ${reconciliation.ledgerBalance}`,
+        metadata: {
+          previousBalance: expectedBalance,
+          ledgerBalance: reconciliation.ledgerBalance,
+          reason: reason.trim(),
+          targetEmail: user.email,
+        },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        reconciliation,
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: "action must be 'adjust' or 'restore'",
+    });
+  } catch (error) {
+    console.error('Owner coin balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
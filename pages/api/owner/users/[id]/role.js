@@ -1,7 +1,7 @@
 import { connectDB } from '../../../../../lib/json-db.js';
 import { findUserById, updateUser } from '../../../../../lib/user-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
 import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
@@ -20,10 +20,10 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
-        message: roleError.error 
+    const permissionError = await checkPermission(authResult.user, 'roles.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
+        message: permissionError.error 
       });
     }
 
@@ -0,0 +1,124 @@
+import { protect } from '../../../../../lib/auth.js';
+import { findUserById } from '../../../../../lib/user-helper.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
+import { listUserAssignments, assignRole, revokeAssignment } from '../../../../../lib/custom-roles.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * Custom roles held by a user (owner only)
+ * GET    /api/owner/users/:id/roles - Assignments
+ * POST   /api/owner/users/:id/roles - Assign { roleId, scopeType: 'global' | 'olympiad' | 'school' | 'university', scopeId? }
+ * DELETE /api/owner/users/:id/roles?assignmentId= - Take an assignment away
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'roles.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { id } = req.query;
+    const user = await findUserById(id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        role: user.role,
+        assignments: await listUserAssignments(id),
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const assignment = await revokeAssignment(id, req.query.assignmentId || req.body?.assignmentId);
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assignment not found',
+        });
+      }
+
+      await createOwnerAuditLog({
+        actorId: authResult.user._id,
+        actorRole: authResult.user.role,
+        action: 'role_revoke',
+        targetType: 'user',
+        targetId: id,
+        message: `Owner took a custom role away from ${user.email}`,
+        metadata: {
+          roleId: assignment.roleId,
+          scopeType: assignment.scopeType,
+          scopeId: assignment.scopeId,
+          targetEmail: user.email,
+        },
+        req,
+      });
+
+      return res.json({ success: true, message: 'Role removed' });
+    }
+
+    let assignment;
+    try {
+      assignment = await assignRole(id, req.body || {}, authResult.user._id);
+    } catch (error) {
+      if (error.code === 'INVALID_ROLE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'role_assign',
+      targetType: 'user',
+      targetId: id,
+      message: `Owner gave ${user.email} the role ${assignment.roleName}${assignment.scopeType === 'global' ? '' : ` for ${assignment.scopeType} ${assignment.scopeId}`}`,
+      metadata: {
+        roleId: assignment.roleId,
+        roleName: assignment.roleName,
+        scopeType: assignment.scopeType,
+        scopeId: assignment.scopeId,
+        targetEmail: user.email,
+      },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      assignment,
+    });
+  } catch (error) {
+    console.error('Owner user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { protect } from '../../../../../lib/auth.js';
+import { checkPermission } from '../../../../../lib/permissions.js';
+import { findUserById } from '../../../../../lib/user-helper.js';
+import { resetTwoFactor, isTwoFactorRequired } from '../../../../../lib/two-factor.js';
+import { invalidateUserSessions } from '../../../../../lib/session-service.js';
+import { createOwnerAuditLog } from '../../../../../lib/owner-audit-logger.js';
+import { handleCORS } from '../../../../../lib/api-helpers.js';
+
+/**
+ * DELETE /api/owner/users/:id/two-factor
+ * Body: { reason }
+ * Resets a user's 2FA (lost device): the secret and recovery codes are dropped
+ * and every session is signed out. If 2FA is required for the role, the user
+ * enrolls again on next login.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'users.reset_two_factor');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ success: false, message: permissionError.error });
+    }
+
+    const { id } = req.query;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    if (id === authResult.user._id) {
+      return res.status(400).json({ success: false, message: 'You cannot reset your own two-factor authentication' });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(id) ? await findUserById(id) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled && !user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'User has no two-factor authentication to reset' });
+    }
+
+    await resetTwoFactor(id);
+    const revokedSessions = await invalidateUserSessions(id, 'two_factor_reset');
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'two_factor_reset',
+      targetType: 'user',
+      targetId: id,
+      message: `Owner reset two-factor authentication of ${user.email}`,
+      metadata: {
+        reason,
+        revokedSessions,
+        targetEmail: user.email,
+        targetRole: user.role,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      message: isTwoFactorRequired(user)
+        ? 'Two-factor authentication reset. The user must set it up again on next login.'
+        : 'Two-factor authentication reset.',
+    });
+  } catch (error) {
+    console.error('Owner two-factor reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset two-factor authentication' });
+  }
+}
@@ -1,36 +1,11 @@
 import { handleCORS } from '../../../lib/api-helpers.js';
 import { protect } from '../../../lib/auth.js';
-import connectMongoDB from '../../../lib/mongodb.js';
-import CoinPurchase from '../../../models/CoinPurchase.js';
-import crypto from 'crypto';
-
-function getFrontendBaseUrl(req) {
-  const configured = process.env.FRONTEND_URL;
-  if (configured && configured.trim()) {
-    return configured.trim();
-  }
-
-  const forwardedHost = req.headers['x-forwarded-host'] || req.headers.host;
-  if (forwardedHost && typeof forwardedHost === 'string') {
-    const forwardedProto = req.headers['x-forwarded-proto'];
-    const protocol =
-      typeof forwardedProto === 'string' && forwardedProto.trim()
-        ? forwardedProto.split(',')[0].trim()
-        : process.env.NODE_ENV === 'production'
-          ? 'https'
-          : 'http';
-    return `${protocol}://${forwardedHost}`;
-  }
-
-  return process.env.NODE_ENV === 'development'
-    ? 'http://localhost:5173'
-    : 'http://localhost:3000';
-}
+import { getPaymentProvider, createPaymentOrder } from '../../../lib/payments/index.js';
 
 /**
  * POST /api/payment/create-click
  * Create a Click payment. Returns redirect URL for Click (Uzbek so'm).
- * Body: { coins, amountUzs, returnUrl }
+ * Body: { packageId, promoCode?, returnUrl? } - the price comes from the package list
  */
 export default async function handler(req, res) {
   if (handleCORS(req, res)) return;
@@ -39,10 +14,7 @@ export default async function handler(req, res) {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
-  const merchantId = process.env.CLICK_MERCHANT_ID;
-  const serviceId = process.env.CLICK_SERVICE_ID;
-
-  if (!merchantId || !serviceId) {
+  if (!getPaymentProvider('click').isConfigured()) {
     return res.status(503).json({
       success: false,
       message: 'Click is not configured. Contact support.',
@@ -55,51 +27,17 @@ export default async function handler(req, res) {
       return res.status(authResult.status).json({ success: false, message: authResult.error });
     }
 
-    const { coins, amountUzs, returnUrl } = req.body || {};
-    const c = parseInt(coins, 10);
-    const a = parseInt(amountUzs, 10);
-
-    if (!c || c < 1 || c > 9999) {
-      return res.status(400).json({ success: false, message: 'Invalid coins amount' });
+    let order;
+    try {
+      order = await createPaymentOrder('click', req, authResult.user._id);
+    } catch (error) {
+      if (error.code !== 'INVALID_PURCHASE' && error.code !== 'INVALID_PROMO') throw error;
+      return res.status(400).json({ success: false, message: error.message });
     }
-    if (!a || a < 1000) {
-      return res.status(400).json({ success: false, message: 'Invalid amount (UZS)' });
-    }
-
-    const frontendBase = getFrontendBaseUrl(req);
-    const url = returnUrl && typeof returnUrl === 'string' ? returnUrl : `${frontendBase}/buy-coins?success=1`;
-
-    await connectMongoDB();
-
-    const orderId = `coin_${authResult.user._id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-    const amountTiyin = a * 100;
-
-    const purchase = new CoinPurchase({
-      userId: authResult.user._id,
-      coins: c,
-      amountUzs: a,
-      amountTiyin,
-      status: 'pending',
-      orderId,
-      paymentProvider: 'click',
-    });
-    await purchase.save();
-
-    const params = new URLSearchParams({
-      merchant_id: merchantId,
-      service_id: serviceId,
-      amount: (a).toFixed(2), // Amount in so'm (e.g. 125000.00)
-      transaction_param: orderId,
-      return_url: url,
-    });
-    const paymentUrl = `https://my.click.uz/services/pay?${params.toString()}`;
 
     res.json({
       success: true,
-      paymentUrl,
-      orderId,
-      coins: c,
-      amountUzs: a,
+      ...order,
     });
   } catch (error) {
     console.error('[create-click]', error);
@@ -0,0 +1,49 @@
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { protect } from '../../../lib/auth.js';
+import { getPaymentProvider, createPaymentOrder } from '../../../lib/payments/index.js';
+
+/**
+ * POST /api/payment/create-fake
+ * Create a payment with the fake provider (local testing only).
+ * Body: { packageId, promoCode?, returnUrl? } - the price comes from the package list
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  if (!getPaymentProvider('fake').isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'The fake provider is not enabled (PAYMENTS_FAKE_ENABLED=true, not in production).',
+    });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    let order;
+    try {
+      order = await createPaymentOrder('fake', req, authResult.user._id);
+    } catch (error) {
+      if (error.code !== 'INVALID_PURCHASE' && error.code !== 'INVALID_PROMO') throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.json({
+      success: true,
+      ...order,
+    });
+  } catch (error) {
+    console.error('[create-fake]', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create payment',
+    });
+  }
+}
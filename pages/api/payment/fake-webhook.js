@@ -0,0 +1,29 @@
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { getPaymentProvider } from '../../../lib/payments/index.js';
+
+/**
+ * GET/POST /api/payment/fake-webhook
+ * Fake provider callback for local testing: pays or cancels an order.
+ * GET is the checkout link returned by create-fake and redirects to return_url.
+ * Params: { order_id, action: 'pay' | 'cancel', sign, return_url? }
+ * Requires: PAYMENTS_FAKE_ENABLED=true (never in production)
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  const provider = getPaymentProvider('fake');
+  if (!provider.isConfigured()) {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+
+  try {
+    return await provider.handleCallback(req, res);
+  } catch (error) {
+    console.error('[fake-webhook]', error);
+    return res.status(500).json({ success: false, message: 'Internal error' });
+  }
+}
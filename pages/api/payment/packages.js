@@ -0,0 +1,31 @@
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { listCoinPackages } from '../../../lib/coin-packages.js';
+
+/**
+ * GET /api/payment/packages
+ * Coin packages on sale, in display order.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const packages = await listCoinPackages();
+    res.json({
+      success: true,
+      packages: packages.map(({ _id, name, coins, priceUzs, description }) => ({
+        _id,
+        name,
+        coins,
+        priceUzs,
+        description,
+      })),
+    });
+  } catch (error) {
+    console.error('[payment-packages]', error);
+    res.status(500).json({ success: false, message: 'Failed to load coin packages' });
+  }
+}
@@ -0,0 +1,46 @@
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { protect } from '../../../lib/auth.js';
+import { resolvePurchaseRequest } from '../../../lib/payments/core.js';
+
+/**
+ * POST /api/payment/promo-check
+ * Preview the bonus a promo code gives on a package before paying.
+ * Body: { packageId, promoCode }
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ success: false, message: authResult.error });
+    }
+
+    if (!req.body?.promoCode) {
+      return res.status(400).json({ success: false, message: 'promoCode is required' });
+    }
+
+    let priced;
+    try {
+      priced = await resolvePurchaseRequest(req.body, authResult.user._id);
+    } catch (error) {
+      if (error.code !== 'INVALID_PURCHASE' && error.code !== 'INVALID_PROMO') throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.json({
+      success: true,
+      code: priced.promo.code,
+      coins: priced.coinPackage.coins,
+      bonusCoins: priced.promo.bonusCoins,
+      priceUzs: priced.coinPackage.priceUzs,
+    });
+  } catch (error) {
+    console.error('[promo-check]', error);
+    res.status(500).json({ success: false, message: 'Failed to check promo code' });
+  }
+}
@@ -0,0 +1,17 @@
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { listAvailableProviders } from '../../../lib/payments/index.js';
+
+/**
+ * GET /api/payment/providers
+ * Payment providers configured on this server: [{ name, label }].
+ * Each has a POST /api/payment/create-<name> endpoint.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  res.json({ success: true, providers: listAvailableProviders() });
+}
@@ -4,7 +4,7 @@ import { getAllResults } from '../../../lib/result-helper.js';
 import { getAllSubmissions } from '../../../lib/submission-helper.js';
 import { findUserById } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermissionInAnyScope, filterByOlympiadPermission } from '../../../lib/permissions.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -35,12 +35,11 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is resolter, admin, or owner
-    const roleError = authorize('resolter', 'admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'results.view');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -59,6 +58,9 @@ export default async function handler(req, res) {
       allResults = allResults.filter(r => r.olympiadId === olympiadId);
     }
 
+    // Only the olympiads the user may see
+    allResults = await filterByOlympiadPermission(authResult.user, 'results.view', allResults);
+
     // Filter by user if specified
     if (userId) {
       allResults = allResults.filter(r => r.userId === userId);
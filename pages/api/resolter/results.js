@@ -10,7 +10,7 @@ import {
 } from "../../../lib/submission-helper.js";
 import { findUserById } from "../../../lib/user-helper.js";
 import { protect } from "../../../lib/auth.js";
-import { authorize } from "../../../lib/auth.js";
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from "../../../lib/permissions.js";
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -41,12 +41,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is resolter, admin, or owner
-    const roleError = authorize("resolter", "admin", "owner")(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    // Checked again for the olympiad once it is loaded
+    const permissionError = await checkPermissionInAnyScope(authResult.user, "results.view");
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
@@ -68,6 +68,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const scopeError = await checkPermission(authResult.user, "results.view", await olympiadResource(olympiad));
+    if (scopeError) {
+      return res.status(scopeError.status).json({
+        success: false,
+        message: scopeError.error,
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const skip = (page - 1) * limit;
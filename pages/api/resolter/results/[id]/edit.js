@@ -2,7 +2,7 @@ import { connectDB } from '../../../../../lib/json-db.js';
 import { findResultById, updateResult } from '../../../../../lib/result-helper.js';
 import { findOlympiadById } from '../../../../../lib/olympiad-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from '../../../../../lib/permissions.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -27,12 +27,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is resolter, admin, or owner
-    const roleError = authorize('resolter', 'admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    // Checked again for the result's olympiad once it is loaded
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'results.edit');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -50,6 +50,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const scopeError = await checkPermission(authResult.user, 'results.edit', await olympiadResource(result.olympiadId));
+    if (scopeError) {
+      return res.status(scopeError.status).json({ 
+        success: false,
+        message: scopeError.error 
+      });
+    }
+
     // Verify olympiad exists
     const olympiad = await findOlympiadById(result.olympiadId);
     if (!olympiad) {
@@ -1,7 +1,7 @@
 import { connectDB } from '../../../../../lib/json-db.js';
 import { findResultById, updateResult } from '../../../../../lib/result-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from '../../../../../lib/permissions.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
 
@@ -24,12 +24,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is resolter, admin, or owner
-    const roleError = authorize('resolter', 'admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    // Checked again for the result's olympiad once it is loaded
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'results.publish');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -55,6 +55,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const scopeError = await checkPermission(authResult.user, 'results.publish', await olympiadResource(result.olympiadId));
+    if (scopeError) {
+      return res.status(scopeError.status).json({ 
+        success: false,
+        message: scopeError.error 
+      });
+    }
+
     // Update status
     const updatedResult = await updateResult(resultId, {
       status: status,
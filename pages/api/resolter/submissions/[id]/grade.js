@@ -5,7 +5,7 @@ import { findSubmissionById, updateSubmission, findSubmissionsByOlympiadId } fro
 import { findResultByUserAndOlympiad, updateResult } from '../../../../../lib/result-helper.js';
 import { findSubmissionsByUserAndOlympiad } from '../../../../../lib/submission-helper.js';
 import { protect } from '../../../../../lib/auth.js';
-import { authorize } from '../../../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource } from '../../../../../lib/permissions.js';
 import { analyzeText } from '../../../../../lib/text-analysis.js';
 
 import { handleCORS } from '../../../../../lib/api-helpers.js';
@@ -29,12 +29,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is resolter, admin, or owner
-    const roleError = authorize('resolter', 'admin', 'owner')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    // Checked again for the submission's olympiad once it is loaded
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'submission.grade');
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: roleError.error 
+        message: permissionError.error 
       });
     }
 
@@ -66,6 +66,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const scopeError = await checkPermission(authResult.user, 'submission.grade', await olympiadResource(submission.olympiadId));
+    if (scopeError) {
+      return res.status(scopeError.status).json({ 
+        success: false,
+        message: scopeError.error 
+      });
+    }
+
     // Verify olympiad exists
     const olympiad = await findOlympiadById(submission.olympiadId);
     if (!olympiad) {
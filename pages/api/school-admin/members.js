@@ -0,0 +1,110 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool, getSchoolMembers, removeSchoolMember } from '../../../lib/school-helper.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+// School admins manage these; other school admins are added by platform admins
+const MANAGED_ROLES = ['student', 'school-teacher'];
+
+/**
+ * Teachers and students of the school admin's school. Existing accounts join with
+ * the school's invite code (GET /api/school-admin/school); a school admin cannot
+ * attach someone else's account. New students come from /api/student-imports.
+ * GET    /api/school-admin/members?role=student|school-teacher&search=&page=&limit=
+ * DELETE /api/school-admin/members?userId=:userId
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'school.manage_members', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      const { role, search } = req.query;
+      if (role && !MANAGED_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${MANAGED_ROLES.join(', ')}`,
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const { members, total } = await getSchoolMembers(school._id, {
+        role: role || { $in: MANAGED_ROLES },
+        search,
+        skip: (page - 1) * limit,
+        limit,
+      });
+
+      return res.json({
+        success: true,
+        members,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    }
+
+    const { userId } = req.query;
+    const removed = userId ? await removeSchoolMember(school._id, userId, MANAGED_ROLES) : false;
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_member_remove',
+      targetType: 'school',
+      targetId: school._id,
+      message: `Removed a member from ${school.name}`,
+      metadata: { userId },
+      req,
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed',
+    });
+  } catch (error) {
+    console.error('School admin members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing school members request',
+    });
+  }
+}
@@ -0,0 +1,83 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool } from '../../../lib/school-helper.js';
+import { findOlympiadById } from '../../../lib/olympiad-helper.js';
+import { getSchoolProctoringFlags } from '../../../lib/school-reports.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Anti-cheat flags on the school's students in an olympiad
+ * GET /api/school-admin/proctoring?olympiadId=:id
+ *
+ * Flagged attempts (suspicious or invalid trust score, violations, device
+ * switch, or an attempt ended for cheating), lowest trust score first.
+ * Captures themselves are at /api/school-teacher/camera-captures.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'proctoring.view', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { olympiadId } = req.query;
+    if (!olympiadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'olympiadId query parameter is required',
+      });
+    }
+
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found',
+      });
+    }
+
+    const flags = await getSchoolProctoringFlags(school, olympiad);
+
+    res.json({
+      success: true,
+      olympiadId: olympiad._id,
+      olympiadTitle: olympiad.title,
+      schoolId: school._id,
+      schoolName: school.name,
+      ...flags,
+    });
+  } catch (error) {
+    console.error('School admin proctoring error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving proctoring flags',
+    });
+  }
+}
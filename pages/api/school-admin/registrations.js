@@ -0,0 +1,133 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool, getSchoolMembers } from '../../../lib/school-helper.js';
+import { findOlympiadById } from '../../../lib/olympiad-helper.js';
+import { findRegistrationsByOlympiadId, registerStudents } from '../../../lib/registration-helper.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Olympiad registrations of the school admin's students
+ * GET  /api/school-admin/registrations?olympiadId=:id - The school's registrations
+ * POST /api/school-admin/registrations - { olympiadId, userIds? } registers the given students,
+ *      or every student of the school; each student goes through the usual eligibility,
+ *      window and seat checks, and the ones that fail are listed with the reason
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'school.register_students', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const olympiadId = req.method === 'GET' ? req.query.olympiadId : req.body?.olympiadId;
+    if (!olympiadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'olympiadId is required',
+      });
+    }
+
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const registrations = (await findRegistrationsByOlympiadId(olympiadId, { status: req.query.status }))
+        .filter((registration) => registration.user?.schoolId === school._id);
+
+      return res.json({
+        success: true,
+        olympiadId: olympiad._id,
+        olympiadTitle: olympiad.title,
+        registrations,
+        total: registrations.length,
+      });
+    }
+
+    const { userIds } = req.body;
+    if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be a non-empty array (omit it to register every student)',
+      });
+    }
+
+    const { members: students } = await getSchoolMembers(school._id, { role: 'student', limit: 0 });
+    let toRegister = students;
+    const notInSchool = [];
+    if (userIds) {
+      const studentsById = new Map(students.map((student) => [student._id, student]));
+      toRegister = [];
+      for (const id of new Set(userIds.map(String))) {
+        const student = studentsById.get(id);
+        if (student) toRegister.push(student);
+        else notInSchool.push({ userId: id, name: null, message: 'Not a student of your school' });
+      }
+    }
+
+    const { registered, failed } = await registerStudents(olympiad, toRegister);
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_bulk_registration',
+      targetType: 'olympiad',
+      targetId: olympiad._id,
+      message: `Registered ${registered.length} student(s) of ${school.name}`,
+      metadata: {
+        schoolId: school._id,
+        registered: registered.length,
+        failed: failed.length + notInSchool.length,
+      },
+      req,
+    });
+
+    res.json({
+      success: true,
+      registered,
+      failed: [...failed, ...notInSchool],
+      summary: {
+        requested: toRegister.length + notInSchool.length,
+        registered: registered.length,
+        waitlisted: registered.filter((registration) => registration.status === 'waitlisted').length,
+        failed: failed.length + notInSchool.length,
+      },
+    });
+  } catch (error) {
+    console.error('School admin registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing registrations',
+    });
+  }
+}
@@ -0,0 +1,115 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool } from '../../../lib/school-helper.js';
+import { findOlympiadById } from '../../../lib/olympiad-helper.js';
+import { getSchoolOlympiadResults, getSchoolProctoringFlags } from '../../../lib/school-reports.js';
+import { handleCORS } from '../../../lib/api-helpers.js';
+import { sendCsv } from '../../../lib/csv-helpers.js';
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toISOString();
+};
+
+/**
+ * School-level report of an olympiad as CSV: one row per student with score,
+ * ranks and anti-cheat flags
+ * GET /api/school-admin/reports?olympiadId=:id
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'results.view', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { olympiadId } = req.query;
+    if (!olympiadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'olympiadId query parameter is required',
+      });
+    }
+
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found',
+      });
+    }
+
+    const results = await getSchoolOlympiadResults(school, olympiad);
+    // Flag columns only for those who may see proctoring data
+    const canSeeFlags = !(await checkPermission(authResult.user, 'proctoring.view', { schoolId: school._id }));
+    const flags = canSeeFlags ? await getSchoolProctoringFlags(school, olympiad) : { flagged: [] };
+    const flagsByUser = new Map(flags.flagged.map((flag) => [flag.userId, flag]));
+
+    const headers = [
+      'SchoolRank', 'OverallRank', 'Name', 'Email', 'Grade', 'Score', 'MaxScore', 'Percentage',
+      'TimeSpentMinutes', 'CompletedAt', 'ResultStatus',
+      ...(canSeeFlags ? ['Flagged', 'TrustScore', 'TrustClassification', 'Violations', 'AttemptStatus'] : []),
+    ];
+    const rows = results.students.map((student) => {
+      const flag = flagsByUser.get(student.userId);
+      return [
+        student.rank ?? '',
+        student.overallRank ?? '',
+        student.name || '',
+        student.email || '',
+        student.grade ?? '',
+        student.score ?? '',
+        student.maxScore ?? '',
+        student.percentage ?? '',
+        student.timeSpent ?? '',
+        formatDate(student.completedAt),
+        student.resultStatus || (student.rank ? '' : 'did not participate'),
+        ...(canSeeFlags
+          ? [
+              flag ? 'yes' : '',
+              flag?.trustScore ?? '',
+              flag?.trustClassification || '',
+              flag ? flag.violationCount : '',
+              flag?.attemptStatus || '',
+            ]
+          : []),
+      ];
+    });
+
+    const slug = school.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'school';
+    const filename = `${slug}-olympiad-${olympiad._id}-${new Date().toISOString().slice(0, 10)}.csv`;
+    return sendCsv(res, filename, headers, rows);
+  } catch (error) {
+    console.error('School admin report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building school report',
+    });
+  }
+}
@@ -0,0 +1,81 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool } from '../../../lib/school-helper.js';
+import { findOlympiadById } from '../../../lib/olympiad-helper.js';
+import { getSchoolOlympiadResults } from '../../../lib/school-reports.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * The school's results in an olympiad, with summary statistics
+ * GET /api/school-admin/results?olympiadId=:id
+ *
+ * Lists every student of the school: participants by score with their school
+ * and overall rank, then the ones who did not take part.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'results.view', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const { olympiadId } = req.query;
+    if (!olympiadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'olympiadId query parameter is required',
+      });
+    }
+
+    const olympiad = await findOlympiadById(olympiadId);
+    if (!olympiad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Olympiad not found',
+      });
+    }
+
+    const results = await getSchoolOlympiadResults(school, olympiad);
+
+    res.json({
+      success: true,
+      olympiadId: olympiad._id,
+      olympiadTitle: olympiad.title,
+      olympiadType: olympiad.type,
+      schoolId: school._id,
+      schoolName: school.name,
+      ...results,
+    });
+  } catch (error) {
+    console.error('School admin results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving school results',
+    });
+  }
+}
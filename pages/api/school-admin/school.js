@@ -0,0 +1,86 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool, countSchoolMembers, regenerateInviteCode } from '../../../lib/school-helper.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * The school admin's school
+ * GET /api/school-admin/school - School, invite codes and member counts
+ * PUT /api/school-admin/school - { regenerateInviteCode: 'student' | 'teacher' } replaces a leaked code
+ *
+ * Name, region and city are changed by platform admins (PUT /api/admin/schools/:id).
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a school',
+      });
+    }
+
+    const permissionError = await checkPermission(authResult.user, 'school.manage_members', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({
+        success: true,
+        school,
+        members: await countSchoolMembers(school._id),
+      });
+    }
+
+    const kind = req.body?.regenerateInviteCode;
+    if (kind !== 'student' && kind !== 'teacher') {
+      return res.status(400).json({
+        success: false,
+        message: "regenerateInviteCode must be 'student' or 'teacher'",
+      });
+    }
+
+    const updated = await regenerateInviteCode(school._id, kind);
+
+    await createOwnerAuditLog({
+      actorId: authResult.user._id,
+      actorRole: authResult.user.role,
+      action: 'school_update',
+      targetType: 'school',
+      targetId: school._id,
+      message: `Replaced the ${kind} invite code of ${school.name}`,
+      metadata: { regeneratedInviteCode: kind },
+      req,
+    });
+
+    res.json({
+      success: true,
+      school: updated,
+    });
+  } catch (error) {
+    console.error('School admin school error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing school request',
+    });
+  }
+}
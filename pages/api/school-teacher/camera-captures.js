@@ -1,8 +1,9 @@
 import connectMongoDB from '../../../lib/mongodb.js';
 import { findOlympiadById } from '../../../lib/olympiad-helper.js';
-import { getAllUsers, findUserById } from '../../../lib/user-helper.js';
+import { findUserById } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool, getSchoolMemberIds } from '../../../lib/school-helper.js';
 import CameraCapture from '../../../models/CameraCapture.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
@@ -31,27 +32,22 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is school-teacher
-    const roleError = authorize('school-teacher')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    await connectMongoDB();
+
+    // The teacher's school, joined with its teacher invite code
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({ 
         success: false,
-        message: roleError.error 
+        message: 'Join your school with its teacher invite code first' 
       });
     }
 
-    await connectMongoDB();
-
-    const teacher = authResult.user;
-    
-    // Get teacher's school information
-    const teacherSchoolName = teacher.schoolName;
-    const teacherSchoolId = teacher.schoolId;
-
-    if (!teacherSchoolName && !teacherSchoolId) {
-      return res.status(400).json({ 
+    const permissionError = await checkPermission(authResult.user, 'proctoring.view', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: 'School teacher must have schoolName or schoolId assigned' 
+        message: permissionError.error 
       });
     }
 
@@ -75,20 +71,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get all users from the same school
-    const allUsers = await getAllUsers();
-    const schoolUserIds = allUsers
-      .filter(user => {
-        // Match by schoolId if both have it, otherwise match by schoolName
-        if (teacherSchoolId && user.schoolId) {
-          return user.schoolId === teacherSchoolId;
-        }
-        if (teacherSchoolName && user.schoolName) {
-          return user.schoolName.toLowerCase() === teacherSchoolName.toLowerCase();
-        }
-        return false;
-      })
-      .map(user => user._id);
+    // Students of the school
+    const schoolUserIds = await getSchoolMemberIds(school._id);
 
     const filter = { olympiadId, userId: { $in: schoolUserIds } };
     const total = await CameraCapture.countDocuments(filter);
@@ -125,8 +109,8 @@ export default async function handler(req, res) {
       olympiadId: olympiad._id,
       olympiadTitle: olympiad.title,
       olympiadLogo: olympiad.olympiadLogo || null,
-      schoolName: teacherSchoolName,
-      schoolId: teacherSchoolId,
+      schoolName: school.name,
+      schoolId: school._id,
       captures: capturesWithDetails,
       totalCaptures: total,
       pagination: {
@@ -2,9 +2,10 @@ import { connectDB } from '../../../lib/json-db.js';
 import { findOlympiadById } from '../../../lib/olympiad-helper.js';
 import { findResultsByOlympiadId } from '../../../lib/result-helper.js';
 import { findSubmissionsByOlympiadId } from '../../../lib/submission-helper.js';
-import { findUserById, getAllUsers } from '../../../lib/user-helper.js';
+import { findUserById } from '../../../lib/user-helper.js';
 import { protect } from '../../../lib/auth.js';
-import { authorize } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { getUserSchool, getSchoolMemberIds } from '../../../lib/school-helper.js';
 
 import { handleCORS } from '../../../lib/api-helpers.js';
 
@@ -32,27 +33,22 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if user is school-teacher
-    const roleError = authorize('school-teacher')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({ 
+    await connectDB();
+
+    // The teacher's school, joined with its teacher invite code
+    const school = await getUserSchool(authResult.user);
+    if (!school) {
+      return res.status(400).json({ 
         success: false,
-        message: roleError.error 
+        message: 'Join your school with its teacher invite code first' 
       });
     }
 
-    await connectDB();
-
-    const teacher = authResult.user;
-    
-    // Get teacher's school information
-    const teacherSchoolName = teacher.schoolName;
-    const teacherSchoolId = teacher.schoolId;
-
-    if (!teacherSchoolName && !teacherSchoolId) {
-      return res.status(400).json({ 
+    const permissionError = await checkPermission(authResult.user, 'results.view', { schoolId: school._id });
+    if (permissionError) {
+      return res.status(permissionError.status).json({ 
         success: false,
-        message: 'School teacher must have schoolName or schoolId assigned' 
+        message: permissionError.error 
       });
     }
 
@@ -72,20 +68,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get all users from the same school
-    const allUsers = await getAllUsers();
-    const schoolUserIds = allUsers
-      .filter(user => {
-        // Match by schoolId if both have it, otherwise match by schoolName
-        if (teacherSchoolId && user.schoolId) {
-          return user.schoolId === teacherSchoolId;
-        }
-        if (teacherSchoolName && user.schoolName) {
-          return user.schoolName.toLowerCase() === teacherSchoolName.toLowerCase();
-        }
-        return false;
-      })
-      .map(user => user._id);
+    // Students of the school
+    const schoolUserIds = await getSchoolMemberIds(school._id);
 
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
@@ -155,8 +139,8 @@ export default async function handler(req, res) {
       olympiadTitle: olympiad.title,
       olympiadType: olympiad.type,
       olympiadLogo: olympiad.olympiadLogo || null,
-      schoolName: teacherSchoolName,
-      schoolId: teacherSchoolId,
+      schoolName: school.name,
+      schoolId: school._id,
       results: resultsWithDetails,
       totalParticipants: total,
       totalParticipantsInOlympiad: allResults.length,
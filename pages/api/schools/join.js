@@ -0,0 +1,66 @@
+import { protect } from '../../../lib/auth.js';
+import { joinSchoolByInviteCode } from '../../../lib/school-helper.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * Join a school with an invite code (Protected)
+ * POST /api/schools/join - { inviteCode }
+ *
+ * Student codes admit students, teacher codes school teachers. Joining moves
+ * the user out of any school they were in.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+
+    const { inviteCode } = req.body || {};
+    if (!inviteCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'inviteCode is required',
+      });
+    }
+
+    let joined;
+    try {
+      joined = await joinSchoolByInviteCode(authResult.user._id, inviteCode);
+    } catch (error) {
+      if (error.code === 'INVALID_SCHOOL') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `You joined ${joined.school.name}`,
+      school: {
+        _id: joined.school._id,
+        name: joined.school.name,
+        region: joined.school.region,
+        city: joined.school.city,
+      },
+    });
+  } catch (error) {
+    console.error('Join school error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining school',
+    });
+  }
+}
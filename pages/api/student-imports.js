@@ -0,0 +1,195 @@
+import fs from 'fs';
+import { protect } from '../../lib/auth.js';
+import { checkPermission, getPermissionScope } from '../../lib/permissions.js';
+import { parseForm } from '../../lib/upload.js';
+import { createImportJob, listImportJobs } from '../../lib/student-import.js';
+import { getFrontendBaseUrl } from '../../lib/payments/core.js';
+import { createOwnerAuditLog } from '../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../lib/api-helpers.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_ROSTER_SIZE = 10 * 1024 * 1024; // 10MB
+
+const fieldValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? String(value[0]).trim() : '';
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+};
+
+/**
+ * Bulk student import (admin with schools.manage, or the school's admin)
+ * GET  /api/student-imports?schoolId=&status=&page=&limit= - Import jobs, newest first
+ * POST /api/student-imports - FormData { file: .csv or .xlsx, schoolId?, dryRun? }
+ *      Validates the roster and starts a background job; poll /api/student-imports/:id.
+ *      Columns: email, name (or firstName + lastName), grade, dateBorn, gender, tel.
+ *      New emails get a student account and a password-setup email; existing
+ *      students are linked to the school when an admin imports (a school admin's
+ *      rows for them fail: they join with the invite code). schoolId defaults to
+ *      the caller's school.
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  let uploadedPath = null;
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+    const { user } = authResult;
+
+    if (req.method === 'GET') {
+      const schoolId = req.query.schoolId || null;
+      let schoolIds = null;
+      if (schoolId) {
+        schoolIds = [schoolId];
+      } else if (!(await getPermissionScope(user, 'schools.manage')).global) {
+        schoolIds = user.schoolId ? [user.schoolId] : [];
+      }
+
+      for (const id of schoolIds || []) {
+        const permissionError = (await checkPermission(user, 'schools.manage', { schoolId: id }))
+          && (await checkPermission(user, 'school.manage_members', { schoolId: id }));
+        if (permissionError) {
+          return res.status(permissionError.status).json({
+            success: false,
+            message: permissionError.error,
+          });
+        }
+      }
+      if (schoolIds && schoolIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your account is not linked to a school',
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const { jobs, total } = await listImportJobs(
+        { schoolIds, status: req.query.status },
+        { skip: (page - 1) * limit, limit }
+      );
+
+      return res.json({
+        success: true,
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    }
+
+    let fields, files;
+    try {
+      ({ fields, files } = await parseForm(req, './uploads', { maxFileSize: MAX_ROSTER_SIZE }));
+    } catch (parseError) {
+      const message = String(parseError?.message || '').toLowerCase();
+      const isTooLarge = parseError?.httpCode === 413 || message.includes('too large') || message.includes('maxfilesize');
+      return res.status(isTooLarge ? 413 : 400).json({
+        success: false,
+        message: isTooLarge ? 'The file is too large (max 10MB)' : `Error parsing form data: ${parseError.message}`,
+      });
+    }
+
+    const file = Array.isArray(files?.file) ? files.file[0] : files?.file;
+    uploadedPath = file?.filepath || file?.path || null;
+    if (!uploadedPath) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the roster as a "file" field (.csv or .xlsx)',
+      });
+    }
+
+    const schoolId = fieldValue(fields?.schoolId) || user.schoolId;
+    if (!schoolId) {
+      return res.status(400).json({
+        success: false,
+        message: 'schoolId is required',
+      });
+    }
+
+    // Admins may also link existing accounts and move students over from another school
+    const canManageSchools = !(await checkPermission(user, 'schools.manage', { schoolId }));
+    const permissionError = canManageSchools ? null : await checkPermission(user, 'school.manage_members', { schoolId });
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    const dryRun = ['true', '1', 'yes'].includes(fieldValue(fields?.dryRun).toLowerCase());
+    const fileName = file.originalFilename || file.name || null;
+
+    let job;
+    try {
+      job = await createImportJob({
+        schoolId,
+        buffer: fs.readFileSync(uploadedPath),
+        fileName,
+        dryRun,
+        linkExisting: canManageSchools,
+        allowTransfer: canManageSchools,
+        frontendUrl: getFrontendBaseUrl(req),
+        createdBy: user._id,
+        createdByRole: user.role,
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_IMPORT' || error.code === 'INVALID_XLSX') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: 'student_import_start',
+      targetType: 'school',
+      targetId: job.schoolId,
+      message: `${dryRun ? 'Dry run of a student import' : 'Student import'} of ${job.totalRows} row(s) from ${fileName || 'an upload'}`,
+      metadata: {
+        jobId: job._id,
+        dryRun,
+        totalRows: job.totalRows,
+        invalidRows: job.rowErrors.length,
+      },
+      req,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun ? 'Dry run started' : 'Import started',
+      job,
+    });
+  } catch (error) {
+    console.error('Student import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing student import',
+    });
+  } finally {
+    if (uploadedPath) {
+      fs.promises.unlink(uploadedPath).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { protect } from '../../../lib/auth.js';
+import { checkPermission } from '../../../lib/permissions.js';
+import { findImportJob, cancelImportJob, restartImportJob } from '../../../lib/student-import.js';
+import { createOwnerAuditLog } from '../../../lib/owner-audit-logger.js';
+
+import { handleCORS } from '../../../lib/api-helpers.js';
+
+/**
+ * One student import job
+ * GET    /api/student-imports/:id - Progress (status, percent, counts), validation
+ *        errors (rowErrors) and the outcome of every processed row (results)
+ * POST   /api/student-imports/:id - Resume a failed or cancelled job from where it stopped
+ * DELETE /api/student-imports/:id - Cancel a queued or running job after the row in progress
+ */
+export default async function handler(req, res) {
+  if (handleCORS(req, res)) return;
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const authResult = await protect(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({
+        success: false,
+        message: authResult.error,
+      });
+    }
+    const { user } = authResult;
+
+    const job = await findImportJob(req.query.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found',
+      });
+    }
+
+    const resource = { schoolId: job.schoolId };
+    const permissionError = (await checkPermission(user, 'schools.manage', resource))
+      && (await checkPermission(user, 'school.manage_members', resource));
+    if (permissionError) {
+      return res.status(permissionError.status).json({
+        success: false,
+        message: permissionError.error,
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.json({ success: true, job });
+    }
+
+    const updated = req.method === 'DELETE'
+      ? await cancelImportJob(job._id)
+      : await restartImportJob(job._id);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: req.method === 'DELETE'
+          ? `The job is ${job.status} and can no longer be cancelled`
+          : `Only failed or cancelled jobs can be resumed (this one is ${job.status})`,
+      });
+    }
+
+    await createOwnerAuditLog({
+      actorId: user._id,
+      actorRole: user.role,
+      action: req.method === 'DELETE' ? 'student_import_cancel' : 'student_import_resume',
+      targetType: 'school',
+      targetId: job.schoolId,
+      message: `${req.method === 'DELETE' ? 'Cancelled' : 'Resumed'} student import at row ${updated.processedRows} of ${updated.totalRows}`,
+      metadata: { jobId: job._id },
+      req,
+    });
+
+    res.json({ success: true, job: updated });
+  } catch (error) {
+    console.error('Student import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing import job',
+    });
+  }
+}
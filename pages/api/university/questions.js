@@ -1,7 +1,9 @@
 import { connectDB } from '../../../lib/json-db.js';
-import { createQuestion, findQuestionsByOlympiadId, getAllQuestions } from '../../../lib/question-helper.js';
+import { createQuestion, findQuestionsByOlympiadId, getAllQuestions, normalizeQuestionContent } from '../../../lib/question-helper.js';
 import { findOlympiadById } from '../../../lib/olympiad-helper.js';
-import { protect, authorize } from '../../../lib/auth.js';
+import { QUESTION_TYPES, pickAnswerKey, getTypedAnswerKey } from '../../../lib/question-types.js';
+import { protect } from '../../../lib/auth.js';
+import { checkPermission, checkPermissionInAnyScope, olympiadResource, filterByOlympiadPermission } from '../../../lib/permissions.js';
 import { handleCORS } from '../../../lib/api-helpers.js';
 
 export default async function handler(req, res) {
@@ -19,18 +21,18 @@ export default async function handler(req, res) {
       });
     }
 
-    const roleError = authorize('university', 'owner', 'admin')(authResult.user);
-    if (roleError) {
-      return res.status(roleError.status).json({
+    const permissionError = await checkPermissionInAnyScope(authResult.user, 'question.manage');
+    if (permissionError) {
+      return res.status(permissionError.status).json({
         success: false,
-        message: roleError.error,
+        message: permissionError.error,
       });
     }
 
     await connectDB();
 
     if (req.method === 'POST') {
-      const { olympiadId, question, type, options, correctAnswer, correctAnswers, allowMultipleCorrect, points, order } = req.body;
+      const { olympiadId, question, type, points, order } = req.body;
 
       if (!olympiadId || !question || !type || !points) {
         return res.status(400).json({
@@ -39,31 +41,43 @@ export default async function handler(req, res) {
         });
       }
 
-      if (type === 'multiple-choice') {
-        const normalizedOptions = Array.isArray(options)
-          ? options.map((opt) => String(opt)).filter((opt) => opt.trim() !== '')
-          : [];
-        const normalizedCorrectAnswers = Array.isArray(correctAnswers)
-          ? correctAnswers.map((answer) => String(answer)).filter((answer) => answer.trim() !== '')
-          : [];
-        const hasSingleCorrectAnswer = typeof correctAnswer === 'string' && correctAnswer.trim() !== '';
-
-        if (normalizedOptions.length < 2 || (normalizedCorrectAnswers.length === 0 && !hasSingleCorrectAnswer)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Multiple choice questions require options and correctAnswer',
-          });
-        }
+      const olympiad = await olympiadResource(olympiadId);
+      if (!olympiad) {
+        return res.status(404).json({
+          success: false,
+          message: 'Olympiad not found',
+        });
+      }
+
+      const scopeError = await checkPermission(authResult.user, 'question.manage', olympiad);
+      if (scopeError) {
+        return res.status(scopeError.status).json({
+          success: false,
+          message: scopeError.error,
+        });
+      }
+
+      if (!QUESTION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid question type',
+        });
+      }
+
+      try {
+        normalizeQuestionContent(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
       }
 
       const questionDoc = await createQuestion({
         olympiadId,
         question,
         type,
-        options,
-        correctAnswer,
-        correctAnswers,
-        allowMultipleCorrect,
+        ...pickAnswerKey(req.body),
         points,
         order: order || 0,
       });
@@ -77,6 +91,7 @@ export default async function handler(req, res) {
         correctAnswer: questionDoc.correctAnswer || null,
         correctAnswers: questionDoc.correctAnswers || (questionDoc.correctAnswer ? [questionDoc.correctAnswer] : []),
         allowMultipleCorrect: Boolean(questionDoc.allowMultipleCorrect),
+        ...getTypedAnswerKey(questionDoc),
         points: questionDoc.points,
         order: questionDoc.order,
         createdAt: questionDoc.createdAt,
@@ -92,6 +107,7 @@ export default async function handler(req, res) {
       } else {
         questions = await getAllQuestions();
       }
+      questions = await filterByOlympiadPermission(authResult.user, 'question.manage', questions);
 
       questions = questions.sort((a, b) => {
         if (a.order !== b.order) {
@@ -111,6 +127,7 @@ export default async function handler(req, res) {
           correctAnswer: q.correctAnswer || null,
           correctAnswers: q.correctAnswers || (q.correctAnswer ? [q.correctAnswer] : []),
           allowMultipleCorrect: Boolean(q.allowMultipleCorrect),
+          ...getTypedAnswerKey(q),
           points: q.points,
           order: q.order,
           olympiadLogo: olympiad ? (olympiad.olympiadLogo || null) : null,
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Regression check for trust scoring: scores the recorded attempts in
+ * scripts/fixtures/trust-score-attempts.json under the built-in default
+ * anti-cheat policy and compares each with its expected classification and score.
+ * Run after changing lib/anti-cheat-scoring.js or DEFAULT_POLICY:
+ *   node scripts/check-trust-scores.js [--verbose]
+ * Exits with 1 if any attempt scores differently.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calculateTrustScore } from '../lib/anti-cheat-scoring.js';
+import { DEFAULT_POLICY } from '../lib/anti-cheat-policy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'trust-score-attempts.json');
+const verbose = process.argv.includes('--verbose');
+
+// Fixture timestamps are ISO strings; scoring expects dates
+function toAttempt(recorded) {
+  const toDate = (value) => (value ? new Date(value) : value);
+  return {
+    ...recorded,
+    startedAt: toDate(recorded.startedAt),
+    submittedAt: toDate(recorded.submittedAt),
+    deviceSwitchTimestamp: toDate(recorded.deviceSwitchTimestamp),
+    violations: (recorded.violations || []).map((violation) => ({ ...violation, timestamp: toDate(violation.timestamp) })),
+  };
+}
+
+function checkTrustScores() {
+  const { cases } = JSON.parse(readFileSync(FIXTURES_PATH, 'utf8'));
+  console.log(`Scoring ${cases.length} recorded attempts with policy ${DEFAULT_POLICY.name} v${DEFAULT_POLICY.version}\n`);
+
+  let failures = 0;
+  for (const { name, description, attempt, expected } of cases) {
+    const result = calculateTrustScore(toAttempt(attempt), DEFAULT_POLICY);
+    const ok = result.classification === expected.classification
+      && Math.abs(result.trustScore - expected.trustScore) < 0.01;
+    if (!ok) failures++;
+
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}: ${result.classification} (${result.trustScore})`
+      + (ok ? '' : `, expected ${expected.classification} (${expected.trustScore})`));
+    if (verbose || !ok) {
+      console.log(`     ${description}`);
+      for (const [type, entry] of Object.entries(result.breakdown.byType)) {
+        console.log(`     ${type}: ${entry.count} event(s), ${entry.points} point(s)${entry.capped ? ' (capped)' : ''}`);
+      }
+    }
+  }
+
+  console.log(`\n${cases.length - failures}/${cases.length} passed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+checkTrustScores();
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Turn the free-text schoolName/schoolId on users into School documents.
+ * Run once after deploying schools: node scripts/migrate-schools.js [--dry-run]
+ *
+ * - Spellings that normalize to the same key ("School №5", "school 5") are one
+ *   school, and so are users sharing a typed-in schoolId; the most common
+ *   spelling becomes the name, the others are kept as aliases
+ * - An existing School with one of those names is reused
+ * - Members get schoolId = School._id and schoolName = its name; users already
+ *   pointing at a School are left alone, as are non-school roles
+ * - Olympiad eligibility schoolIds written against the old IDs are remapped
+ *
+ * --dry-run prints the merges without writing anything.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import School from '../models/School.js';
+import User from '../models/User.js';
+import Olympiad from '../models/Olympiad.js';
+import { normalizeSchoolName, generateInviteCode, SCHOOL_MEMBER_ROLES } from '../lib/school-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/global-olympiad';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+function legacyIdKey(schoolId) {
+  return `id:${String(schoolId).trim().toLowerCase()}`;
+}
+
+// Union-find over "name:<normalized>" and "id:<legacy id>" keys
+function createGroups() {
+  const parent = new Map();
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key);
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(key, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+  return { find, union };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || null;
+}
+
+async function uniqueInviteCode(taken) {
+  for (;;) {
+    const code = generateInviteCode();
+    if (taken.has(code)) continue;
+    if (await School.exists({ $or: [{ studentInviteCode: code }, { teacherInviteCode: code }] })) continue;
+    taken.add(code);
+    return code;
+  }
+}
+
+async function migrateSchools() {
+  try {
+    console.log(`Connecting to MongoDB...${DRY_RUN ? ' (dry run)' : ''}`);
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected.');
+
+    const schoolIds = new Set((await School.find({}).select('_id').lean()).map((school) => school._id.toString()));
+    const users = await User.find({
+      $or: [{ schoolName: { $nin: [null, ''] } }, { schoolId: { $nin: [null, ''] } }],
+    })
+      .select('_id role schoolName schoolId')
+      .lean();
+
+    const pending = [];
+    let skippedRole = 0;
+    for (const user of users) {
+      if (user.schoolId && schoolIds.has(user.schoolId)) continue;
+      if (!SCHOOL_MEMBER_ROLES.includes(user.role)) {
+        skippedRole += 1;
+        continue;
+      }
+      const keys = [];
+      const nameKey = normalizeSchoolName(user.schoolName);
+      if (nameKey) keys.push(`name:${nameKey}`);
+      if (user.schoolId && String(user.schoolId).trim()) keys.push(legacyIdKey(user.schoolId));
+      if (keys.length > 0) pending.push({ user, keys });
+    }
+
+    const groups = createGroups();
+    for (const { keys } of pending) {
+      keys.slice(1).forEach((key) => groups.union(keys[0], key));
+    }
+    const byRoot = new Map();
+    for (const entry of pending) {
+      const root = groups.find(entry.keys[0]);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(entry);
+    }
+
+    console.log(`${pending.length} user(s) to link, ${byRoot.size} school(s) after deduplication`);
+
+    const legacyIdMap = new Map();
+    const inviteCodes = new Set();
+    const stats = { created: 0, reused: 0, linked: 0 };
+
+    for (const entries of byRoot.values()) {
+      const spellings = entries.map(({ user }) => user.schoolName?.trim()).filter(Boolean);
+      const legacyIds = [...new Set(entries.map(({ user }) => user.schoolId?.trim()).filter(Boolean))];
+      const name = mostCommon(spellings) || legacyIds[0];
+      const normalizedName = normalizeSchoolName(name);
+      const aliases = [...new Set(spellings.map(normalizeSchoolName))].filter((alias) => alias && alias !== normalizedName);
+      const allKeys = [normalizedName, ...aliases];
+
+      let school = await School.findOne({
+        $or: [{ normalizedName: { $in: allKeys } }, { aliases: { $in: allKeys } }],
+      }).lean();
+
+      const variants = [...new Set(spellings)].filter((spelling) => spelling !== name);
+      console.log(
+        `${school ? 'Reuse ' : 'Create'} "${school ? school.name : name}" <- ${entries.length} user(s)` +
+        (variants.length ? `, merging ${variants.map((v) => `"${v}"`).join(', ')}` : '') +
+        (legacyIds.length ? `, old IDs ${legacyIds.join(', ')}` : '')
+      );
+
+      if (DRY_RUN) continue;
+
+      if (school) {
+        const newAliases = allKeys.filter((key) => key !== school.normalizedName);
+        if (newAliases.length > 0) {
+          await School.updateOne({ _id: school._id }, { $addToSet: { aliases: { $each: newAliases } } });
+        }
+        stats.reused += 1;
+      } else {
+        school = (await School.create({
+          name,
+          normalizedName,
+          aliases,
+          studentInviteCode: await uniqueInviteCode(inviteCodes),
+          teacherInviteCode: await uniqueInviteCode(inviteCodes),
+        })).toObject();
+        stats.created += 1;
+      }
+
+      const id = school._id.toString();
+      legacyIds.forEach((legacyId) => legacyIdMap.set(legacyIdKey(legacyId), id));
+
+      const result = await User.updateMany(
+        { _id: { $in: entries.map(({ user }) => user._id) } },
+        { $set: { schoolId: id, schoolName: school.name } }
+      );
+      stats.linked += result.modifiedCount;
+    }
+
+    let olympiadsUpdated = 0;
+    if (!DRY_RUN && legacyIdMap.size > 0) {
+      const olympiads = await Olympiad.find({ 'registration.eligibility.schoolIds.0': { $exists: true } })
+        .select('_id registration.eligibility.schoolIds')
+        .lean();
+      for (const olympiad of olympiads) {
+        const current = olympiad.registration.eligibility.schoolIds;
+        const remapped = [...new Set(current.map((schoolId) => legacyIdMap.get(legacyIdKey(schoolId)) || schoolId))];
+        if (remapped.join() !== current.join()) {
+          await Olympiad.updateOne({ _id: olympiad._id }, { $set: { 'registration.eligibility.schoolIds': remapped } });
+          olympiadsUpdated += 1;
+        }
+      }
+    }
+
+    if (skippedRole > 0) {
+      console.log(`Skipped ${skippedRole} user(s) whose role cannot belong to a school`);
+    }
+    if (DRY_RUN) {
+      console.log('Dry run, nothing written.');
+    } else {
+      console.log(
+        `Done. ${stats.created} school(s) created, ${stats.reused} reused, ` +
+        `${stats.linked} user(s) linked, ${olympiadsUpdated} olympiad rule(s) remapped.`
+      );
+    }
+  } catch (error) {
+    console.error('Error migrating schools:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected.');
+  }
+}
+
+migrateSchools();
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Payme merchant API simulator
+ * Replays the scenarios of Payme's merchant sandbox against /api/payment/payme-webhook:
+ * authorization, order and amount checks, create/perform/cancel with their repeats,
+ * cancel after perform (coins taken back), the 12h timeout, CheckTransaction and GetStatement.
+ *
+ * Run: npm run payme-simulator (backend must be running: npm run dev)
+ * Env: API_BASE, PAYME_SECRET_KEY, MONGODB_URI (test orders are created directly in the database)
+ * Args: --user <email> - account the test orders belong to (default: first student)
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const BASE = process.env.API_BASE || 'http://localhost:3000';
+const ENDPOINT = `${BASE}/api/payment/payme-webhook`;
+const SECRET_KEY = process.env.PAYME_SECRET_KEY;
+const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/global-olympiad';
+
+const HOUR = 60 * 60 * 1000;
+
+let rpcId = 0;
+const failures = [];
+
+async function rpc(method, params, key = SECRET_KEY) {
+  const res = await fetch(ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`Paycom:${key}`).toString('base64')}`,
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++rpcId, method, params }),
+  });
+  return res.json();
+}
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`  ok   ${name}`);
+  } else {
+    console.log(`  FAIL ${name}`);
+    failures.push(name);
+    if (details !== undefined) console.log('       ', JSON.stringify(details));
+  }
+}
+
+function expectError(name, response, code) {
+  check(`${name} -> ${code}`, response.error?.code === code, response);
+}
+
+function paymeId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+async function createOrder(CoinPurchase, user, coins) {
+  const orderId = `sim_${user._id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const amountUzs = coins * 1000;
+  return CoinPurchase.create({
+    userId: user._id,
+    coins,
+    amountUzs,
+    amountTiyin: amountUzs * 100,
+    status: 'pending',
+    paymentProvider: 'payme',
+    orderId,
+  });
+}
+
+async function balanceOf(User, user) {
+  const doc = await User.findById(user._id).select('coins').lean();
+  return doc.coins;
+}
+
+async function run() {
+  if (!SECRET_KEY) {
+    console.error('PAYME_SECRET_KEY is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  const User = (await import('../models/User.js')).default;
+  const CoinPurchase = (await import('../models/CoinPurchase.js')).default;
+
+  const emailArg = process.argv.indexOf('--user');
+  const user = emailArg !== -1
+    ? await User.findOne({ email: process.argv[emailArg + 1]?.toLowerCase() }).lean()
+    : await User.findOne({ role: 'student' }).lean();
+  if (!user) {
+    throw new Error('No user found for the test orders (pass --user <email>)');
+  }
+  console.log(`Simulating against ${ENDPOINT} as ${user.email}\n`);
+
+  const startedAt = Date.now();
+
+  console.log('Authorization');
+  expectError('wrong key', await rpc('CheckPerformTransaction', {}, 'wrong-key'), -32504);
+  expectError('unknown method', await rpc('ChangeEverything', {}), -32601);
+
+  console.log('CheckPerformTransaction');
+  const order = await createOrder(CoinPurchase, user, 5);
+  const account = { order_id: order.orderId };
+  expectError('unknown order', await rpc('CheckPerformTransaction', { amount: order.amountTiyin, account: { order_id: 'missing' } }), -31050);
+  expectError('wrong amount', await rpc('CheckPerformTransaction', { amount: order.amountTiyin + 100, account }), -31001);
+  const allowed = await rpc('CheckPerformTransaction', { amount: order.amountTiyin, account });
+  check('valid order is allowed', allowed.result?.allow === true, allowed);
+
+  console.log('CreateTransaction');
+  const transactionId = paymeId();
+  const created = await rpc('CreateTransaction', { id: transactionId, time: Date.now(), amount: order.amountTiyin, account });
+  check('creates in state 1', created.result?.state === 1, created);
+  const createdAgain = await rpc('CreateTransaction', { id: transactionId, time: Date.now(), amount: order.amountTiyin, account });
+  check('repeat returns the stored create_time', createdAgain.result?.create_time === created.result?.create_time, createdAgain);
+  expectError('second transaction for the same order', await rpc('CreateTransaction', { id: paymeId(), time: Date.now(), amount: order.amountTiyin, account }), -31050);
+
+  console.log('PerformTransaction');
+  const balanceBefore = await balanceOf(User, user);
+  const performed = await rpc('PerformTransaction', { id: transactionId });
+  check('performs in state 2', performed.result?.state === 2, performed);
+  check('coins credited', await balanceOf(User, user) === balanceBefore + order.coins);
+  const performedAgain = await rpc('PerformTransaction', { id: transactionId });
+  check('repeat returns the stored perform_time', performedAgain.result?.perform_time === performed.result?.perform_time, performedAgain);
+  check('repeat credits nothing', await balanceOf(User, user) === balanceBefore + order.coins);
+  expectError('unknown transaction', await rpc('PerformTransaction', { id: paymeId() }), -31003);
+
+  console.log('CheckTransaction');
+  const checked = await rpc('CheckTransaction', { id: transactionId });
+  check('reports state 2 with stored times',
+    checked.result?.state === 2
+      && checked.result.create_time === created.result?.create_time
+      && checked.result.perform_time === performed.result?.perform_time
+      && checked.result.cancel_time === 0,
+    checked);
+
+  console.log('CancelTransaction after perform');
+  const cancelled = await rpc('CancelTransaction', { id: transactionId, reason: 5 });
+  check('cancels in state -2', cancelled.result?.state === -2, cancelled);
+  check('coins taken back', await balanceOf(User, user) === balanceBefore);
+  const cancelledAgain = await rpc('CancelTransaction', { id: transactionId, reason: 5 });
+  check('repeat returns the stored cancel_time', cancelledAgain.result?.cancel_time === cancelled.result?.cancel_time, cancelledAgain);
+  check('repeat takes nothing', await balanceOf(User, user) === balanceBefore);
+  expectError('perform after cancel', await rpc('PerformTransaction', { id: transactionId }), -31008);
+
+  console.log('CancelTransaction before perform');
+  const order2 = await createOrder(CoinPurchase, user, 3);
+  const transactionId2 = paymeId();
+  await rpc('CreateTransaction', { id: transactionId2, time: Date.now(), amount: order2.amountTiyin, account: { order_id: order2.orderId } });
+  const cancelledEarly = await rpc('CancelTransaction', { id: transactionId2, reason: 3 });
+  check('cancels in state -1', cancelledEarly.result?.state === -1, cancelledEarly);
+  expectError('create after cancel', await rpc('CreateTransaction', { id: transactionId2, time: Date.now(), amount: order2.amountTiyin, account: { order_id: order2.orderId } }), -31008);
+  expectError('perform after cancel', await rpc('PerformTransaction', { id: transactionId2 }), -31008);
+
+  console.log('Timeout');
+  const order3 = await createOrder(CoinPurchase, user, 2);
+  expectError('create with an expired time', await rpc('CreateTransaction', { id: paymeId(), time: Date.now() - 13 * HOUR, amount: order3.amountTiyin, account: { order_id: order3.orderId } }), -31008);
+  const transactionId3 = paymeId();
+  await rpc('CreateTransaction', { id: transactionId3, time: Date.now(), amount: order3.amountTiyin, account: { order_id: order3.orderId } });
+  await CoinPurchase.updateOne({ paymeTransactionId: transactionId3 }, { $set: { paymeCreateTime: Date.now() - 13 * HOUR } });
+  expectError('perform after 12h', await rpc('PerformTransaction', { id: transactionId3 }), -31008);
+  const expired = await rpc('CheckTransaction', { id: transactionId3 });
+  check('expired transaction is cancelled with reason 4', expired.result?.state === -1 && expired.result.reason === 4, expired);
+
+  console.log('GetStatement');
+  const statement = await rpc('GetStatement', { from: startedAt - 1000, to: Date.now() + 1000 });
+  const listed = new Set((statement.result?.transactions || []).map((transaction) => transaction.id));
+  check('lists the transactions of this run', [transactionId, transactionId2, transactionId3].every((id) => listed.has(id)), statement);
+}
+
+run()
+  .catch((error) => {
+    console.error('Simulator error:', error.message);
+    failures.push('simulator error');
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    if (failures.length) {
+      console.log(`\n${failures.length} scenario(s) failed`);
+      process.exit(1);
+    }
+    console.log('\nAll scenarios passed');
+    process.exit(0);
+  });
@@ -3,13 +3,16 @@ import { parse } from 'url';
 import next from 'next';
 import { Server } from 'socket.io';
 import dotenv from 'dotenv';
-import { verifyToken } from './lib/auth.js';
+import { authenticateToken } from './lib/auth.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { readFileSync, existsSync } from 'fs';
 import { networkInterfaces } from 'os';
 import * as presenceStore from './lib/presence-store.js';
 import { flushPresenceToMongo } from './lib/presence-flush.js';
+import { sweepExpiredAttempts } from './lib/attempt-finalizer.js';
+import { resumeImportJobs } from './lib/student-import.js';
+import { attachProctorNamespace, broadcastLiveState, studentRoom } from './lib/proctor-live.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -192,9 +195,10 @@ app.prepare().then(() => {
   io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token;
     if (token) {
-      const decoded = verifyToken(token);
-      if (decoded) {
-        socket.userId = decoded.id;
+      // Same checks as the API: banned users and revoked sessions get no identity
+      const authResult = await authenticateToken(token);
+      if (!authResult.error) {
+        socket.userId = authResult.user._id;
         return next();
       }
     }
@@ -202,10 +206,18 @@ app.prepare().then(() => {
     return next();
   });
 
+  // Staff dashboard: live attempts per olympiad and proctor commands
+  attachProctorNamespace(io);
+
   // Socket.io handlers
   io.on('connection', async (socket) => {
     console.log('User connected:', socket.id, socket.userId ? `(User: ${socket.userId})` : '(Unauthenticated)');
 
+    // Proctor commands (pause, warnings, ...) reach every socket of the student
+    if (socket.userId) {
+      socket.join(studentRoom(socket.userId.toString()));
+    }
+
     let heartbeatInterval = null;
     let attemptId = null;
 
@@ -334,11 +346,15 @@ app.prepare().then(() => {
           const { default: connectMongoDB } = await import('./lib/mongodb.js');
           const Attempt = (await import('./models/Attempt.js')).default;
           const { getTimerStatus } = await import('./lib/timer-service.js');
+          const { syncAttemptSections } = await import('./lib/attempt-sections.js');
           await connectMongoDB();
 
           const attempt = await Attempt.findById(attemptIdValue);
           if (attempt && attempt.userId.toString() === socket.userId.toString()) {
-            const timerStatus = getTimerStatus(attempt.endsAt);
+            if (attempt.status === 'started' && syncAttemptSections(attempt)) {
+              await attempt.save();
+            }
+            const timerStatus = getTimerStatus(attempt.endsAt, attempt);
             socket.emit('timer-sync-response', timerStatus);
           }
         } catch (error) {
@@ -455,9 +471,33 @@ app.prepare().then(() => {
     flushPresenceToMongo().catch((err) => console.error('Presence flush error:', err));
   }, PRESENCE_FLUSH_INTERVAL_MS);
 
-  // Clear flush interval on shutdown
-  process.on('SIGTERM', () => clearInterval(presenceFlushInterval));
-  process.on('SIGINT', () => clearInterval(presenceFlushInterval));
+  // Auto-submit attempts whose timer ran out without a submit (closed tab, crashed browser)
+  const EXPIRY_SWEEP_INTERVAL_MS = 30000;
+  const expirySweepInterval = setInterval(() => {
+    sweepExpiredAttempts().catch((err) => console.error('Expiry sweep error:', err));
+  }, EXPIRY_SWEEP_INTERVAL_MS);
+
+  // Pick up student imports left unfinished by a restart or crash
+  const IMPORT_RESUME_INTERVAL_MS = 60000;
+  const importResumeInterval = setInterval(() => {
+    resumeImportJobs().catch((err) => console.error('Import resume error:', err));
+  }, IMPORT_RESUME_INTERVAL_MS);
+
+  // Push live attempt changes to proctors watching an olympiad
+  const PROCTOR_BROADCAST_INTERVAL_MS = 5000;
+  const proctorBroadcastInterval = setInterval(() => {
+    broadcastLiveState().catch((err) => console.error('Live proctoring broadcast error:', err));
+  }, PROCTOR_BROADCAST_INTERVAL_MS);
+
+  // Clear background intervals on shutdown
+  const clearBackgroundIntervals = () => {
+    clearInterval(presenceFlushInterval);
+    clearInterval(expirySweepInterval);
+    clearInterval(importResumeInterval);
+    clearInterval(proctorBroadcastInterval);
+  };
+  process.on('SIGTERM', clearBackgroundIntervals);
+  process.on('SIGINT', clearBackgroundIntervals);
 
   // Function to get local IP address
   const getLocalIP = () => {